@@ -12,6 +12,11 @@ const config = require('./config');
 const { logger, requestLogger } = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
 const { initializeDatabase, healthCheck } = require('./db/database');
+const feedPoller = require('./utils/feedPoller');
+const itemRetention = require('./utils/itemRetention');
+const webSub = require('./utils/webSub');
+const feedIcons = require('./utils/feedIcons');
+const itemImporter = require('./utils/itemImporter');
 
 // Create Express app
 const app = express();
@@ -73,6 +78,9 @@ app.use(limiter);
 // Compression middleware
 app.use(compression());
 
+// WebSub callbacks check signatures against the raw body, so they are mounted before the body parsers
+app.use('/api/v1/websub', require('./routes/websub'));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -130,13 +138,18 @@ app.use('/api/v1/auth/oauth', require('./routes/oauth'));
 app.use('/api/v1/sessions', require('./routes/session'));
 app.use('/api/v1/tokens', require('./routes/tokens'));
 app.use('/api/v1/email', require('./routes/email'));
+app.use('/api/v1/feeds', require('./routes/feeds'));
+app.use('/api/v1/items', require('./routes/items'));
+app.use('/api/v1/refresh', require('./routes/refresh'));
+app.use('/api/v1/subscriptions', require('./routes/subscriptions'));
+app.use('/api/v1/folders', require('./routes/folders'));
+app.use('/api/v1/opml', require('./routes/opml'));
+app.use('/api/v1/imports', require('./routes/imports'));
+app.use('/api/v1/admin', require('./routes/admin'));
 
 // Placeholder for additional route modules (to be implemented in later stages)
 // app.use('/api/v1/users', require('./routes/users'));
-// app.use('/api/v1/feeds', require('./routes/feeds'));
-// app.use('/api/v1/items', require('./routes/items'));
 // app.use('/api/v1/categories', require('./routes/categories'));
-// app.use('/api/v1/subscriptions', require('./routes/subscriptions'));
 
 // Temporary welcome endpoint for testing
 app.get('/api/v1', (req, res) => {
@@ -172,6 +185,29 @@ const startServer = async () => {
       logger.info(`📝 Logging level: ${config.LOG_LEVEL}`);
     });
     
+    // Start feed polling
+    if (config.FEED_POLL_ENABLED) {
+      feedPoller.start();
+    }
+
+    // Start item retention
+    if (config.FEED_RETENTION_ENABLED) {
+      itemRetention.start();
+    }
+
+    // Start WebSub lease renewal
+    if (config.WEBSUB_ENABLED) {
+      webSub.start();
+    }
+
+    // Start feed icon refresh
+    if (config.FEED_ICONS_ENABLED) {
+      feedIcons.start();
+    }
+
+    // Resume imports of saved articles interrupted by the last shutdown
+    itemImporter.start().catch(error => logger.error('Failed to resume item imports:', error));
+    
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}, shutting down gracefully...`);
@@ -179,6 +215,38 @@ const startServer = async () => {
       server.close(async () => {
         logger.info('HTTP server closed');
         
+        // Let the current poll cycle finish before closing the database
+        try {
+          await feedPoller.stop();
+        } catch (error) {
+          logger.error('Error stopping feed poller:', error);
+        }
+
+        try {
+          await itemRetention.stop();
+        } catch (error) {
+          logger.error('Error stopping item retention:', error);
+        }
+
+        try {
+          await webSub.stop();
+        } catch (error) {
+          logger.error('Error stopping WebSub lease renewal:', error);
+        }
+
+        try {
+          await feedIcons.stop();
+        } catch (error) {
+          logger.error('Error stopping feed icon refresh:', error);
+        }
+
+        // Running imports pause after their current batch and resume on the next start
+        try {
+          await itemImporter.stop();
+        } catch (error) {
+          logger.error('Error stopping item importer:', error);
+        }
+        
         // Close database connection
         try {
           const { closeConnection } = require('./db/database');
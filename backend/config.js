@@ -22,14 +22,67 @@ const config = {
   JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
 
   // Feed Polling
+  FEED_POLL_ENABLED: process.env.FEED_POLL_ENABLED !== 'false',
   FEED_POLL_INTERVAL: parseInt(process.env.FEED_POLL_INTERVAL) || 300000,
   FEED_POLL_CONCURRENCY: parseInt(process.env.FEED_POLL_CONCURRENCY) || 5,
   FEED_TIMEOUT: parseInt(process.env.FEED_TIMEOUT) || 30000,
+  FEED_MAX_BYTES: parseInt(process.env.FEED_MAX_BYTES) || 10485760, // 10MB; larger feeds and pages are not downloaded
+  FEED_DISCOVERY_TIMEOUT: parseInt(process.env.FEED_DISCOVERY_TIMEOUT) || 10000,
+  FEED_DISCOVERY_MAX_BYTES: parseInt(process.env.FEED_DISCOVERY_MAX_BYTES) || 2097152, // 2MB; larger candidates found on a page are skipped
+  FEED_DISCOVERY_CONCURRENCY: parseInt(process.env.FEED_DISCOVERY_CONCURRENCY) || 3, // candidates of a page fetched at once
+  FEED_MAX_REDIRECTS: parseInt(process.env.FEED_MAX_REDIRECTS) || 5,
+  FEED_ALLOW_PRIVATE_ADDRESSES: process.env.FEED_ALLOW_PRIVATE_ADDRESSES === 'true', // fetch from loopback and private networks
+  FEED_SCRAPE_MAX_PAGES: parseInt(process.env.FEED_SCRAPE_MAX_PAGES) || 5, // pages a scraped source may follow per poll
   FEED_MAX_ITEMS_PER_FEED: parseInt(process.env.FEED_MAX_ITEMS_PER_FEED) || 100,
+  FEED_MAX_ITEM_AGE_DAYS: parseInt(process.env.FEED_MAX_ITEM_AGE_DAYS) || 0, // 0 keeps items regardless of age
+  FEED_MAX_ITEMS_TOTAL: parseInt(process.env.FEED_MAX_ITEMS_TOTAL) || 0, // 0 disables the global limit
+  FEED_RETENTION_ENABLED: process.env.FEED_RETENTION_ENABLED !== 'false',
+  FEED_RETENTION_SCHEDULE: process.env.FEED_RETENTION_SCHEDULE || '30 3 * * *', // daily at 03:30
+  POLL_LOG_MAX_AGE_DAYS: process.env.POLL_LOG_MAX_AGE_DAYS !== undefined ?
+    parseInt(process.env.POLL_LOG_MAX_AGE_DAYS) || 0 : 30, // 0 keeps every poll log
+  FEED_REFRESH_COOLDOWN: parseInt(process.env.FEED_REFRESH_COOLDOWN) || 60, // seconds between a user's manual refreshes
+  FEED_REFRESH_MIN_AGE: parseInt(process.env.FEED_REFRESH_MIN_AGE) || 60, // feeds fetched more recently are not fetched again
+  FEED_REFRESH_JOB_TTL: parseInt(process.env.FEED_REFRESH_JOB_TTL) || 3600, // seconds finished refresh jobs can be looked up
+  OPML_IMPORT_CONCURRENCY: parseInt(process.env.OPML_IMPORT_CONCURRENCY) || 4, // feeds of an import looked up at once
+  OPML_IMPORT_MAX_FEEDS: parseInt(process.env.OPML_IMPORT_MAX_FEEDS) || 2000,
+  OPML_IMPORT_JOB_TTL: parseInt(process.env.OPML_IMPORT_JOB_TTL) || 3600, // seconds finished import jobs can be looked up
+  ITEM_IMPORT_BATCH_SIZE: parseInt(process.env.ITEM_IMPORT_BATCH_SIZE) || 100, // saved articles imported between checkpoints
+  ITEM_IMPORT_MAX_ITEMS: parseInt(process.env.ITEM_IMPORT_MAX_ITEMS) || 50000,
+  ITEM_IMPORT_MAX_FILE_SIZE: parseInt(process.env.ITEM_IMPORT_MAX_FILE_SIZE) || 52428800, // 50MB; article exports carry full content
+  FEED_MIN_FETCH_INTERVAL: parseInt(process.env.FEED_MIN_FETCH_INTERVAL) || 900, // 15 minutes in seconds
+  FEED_MAX_FETCH_INTERVAL: parseInt(process.env.FEED_MAX_FETCH_INTERVAL) || 86400, // 24 hours in seconds
+  FEED_FAILURE_THRESHOLD: parseInt(process.env.FEED_FAILURE_THRESHOLD) || 10,
+  FEED_MAX_BACKOFF_INTERVAL: parseInt(process.env.FEED_MAX_BACKOFF_INTERVAL) || 172800, // 48 hours in seconds
+  FEED_RECOVERY_PROBE_INTERVAL: parseInt(process.env.FEED_RECOVERY_PROBE_INTERVAL) || 86400, // 24 hours in seconds
+  FEED_IFRAME_HOSTS: process.env.FEED_IFRAME_HOSTS !== undefined ?
+    process.env.FEED_IFRAME_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean) :
+    ['youtube.com', 'youtube-nocookie.com', 'player.vimeo.com', 'w.soundcloud.com', 'open.spotify.com'],
+  // Servers whose /@name profiles are read as Mastodon accounts; profiles on other servers are found through discovery
+  MASTODON_HOSTS: process.env.MASTODON_HOSTS !== undefined ?
+    process.env.MASTODON_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean) :
+    ['mastodon.social', 'mastodon.online', 'mastodon.world', 'mstdn.social', 'mas.to', 'fosstodon.org', 'hachyderm.io', 'infosec.exchange', 'techhub.social', 'universeodon.com', 'mastodon.art', 'social.vivaldi.net'],
+
+  // WebSub push subscriptions
+  WEBSUB_ENABLED: process.env.WEBSUB_ENABLED !== 'false',
+  WEBSUB_CALLBACK_URL: process.env.WEBSUB_CALLBACK_URL || 'http://localhost:3000/api/v1/websub',
+  WEBSUB_LEASE_SECONDS: parseInt(process.env.WEBSUB_LEASE_SECONDS) || 864000, // 10 days
+  WEBSUB_RENEW_MARGIN: parseInt(process.env.WEBSUB_RENEW_MARGIN) || 86400, // renew a day before the lease expires
+  WEBSUB_RENEW_SCHEDULE: process.env.WEBSUB_RENEW_SCHEDULE || '*/30 * * * *',
+  WEBSUB_POLL_INTERVAL: parseInt(process.env.WEBSUB_POLL_INTERVAL) || 86400, // safety-net polling of pushed feeds, in seconds
+  WEBSUB_TIMEOUT: parseInt(process.env.WEBSUB_TIMEOUT) || 10000,
+
+  // Feed icons
+  FEED_ICONS_ENABLED: process.env.FEED_ICONS_ENABLED !== 'false',
+  FEED_ICON_SIZE: parseInt(process.env.FEED_ICON_SIZE) || 64, // largest side of the stored PNG, in pixels
+  FEED_ICON_MAX_BYTES: parseInt(process.env.FEED_ICON_MAX_BYTES) || 1048576, // 1MB
+  FEED_ICON_TIMEOUT: parseInt(process.env.FEED_ICON_TIMEOUT) || 10000,
+  FEED_ICON_REFRESH_INTERVAL: parseInt(process.env.FEED_ICON_REFRESH_INTERVAL) || 604800, // 7 days in seconds
+  FEED_ICON_REFRESH_SCHEDULE: process.env.FEED_ICON_REFRESH_SCHEDULE || '0 4 * * *', // daily at 04:00
 
   // Security
   BCRYPT_SALT_ROUNDS: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10,
   COOKIE_SECRET: process.env.COOKIE_SECRET || 'development-cookie-secret-key-change-in-production',
+  FEED_CREDENTIALS_KEY: process.env.FEED_CREDENTIALS_KEY || 'development-feed-credentials-key-change-in-production',
   MAX_LOGIN_ATTEMPTS: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
   ACCOUNT_LOCK_DURATION: parseInt(process.env.ACCOUNT_LOCK_DURATION) || 300000, // 5 minutes in milliseconds
 
@@ -0,0 +1,19 @@
+/**
+ * Migration: Add HTTP validators and body hash to Feed table for conditional fetching
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.string('etag', 512).nullable().comment('ETag returned by the last successful fetch');
+    table.string('last_modified', 64).nullable().comment('Last-Modified returned by the last successful fetch');
+    table.string('content_hash', 64).nullable().comment('SHA-256 of the last parsed feed body');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropColumn('etag');
+    table.dropColumn('last_modified');
+    table.dropColumn('content_hash');
+  });
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration: Add adaptive polling schedule fields to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.integer('effective_interval').nullable().comment('Interval in seconds currently used by the scheduler');
+    table.string('interval_source', 20).nullable().comment('default | cadence | publisher | subscriber');
+    table.integer('hint_interval').nullable().comment('Publisher hint in seconds from <ttl> or sy:updatePeriod');
+    table.timestamp('next_fetch_at').nullable().comment('When the feed is next due for polling');
+    table.index('next_fetch_at');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropIndex('next_fetch_at');
+    table.dropColumn('effective_interval');
+    table.dropColumn('interval_source');
+    table.dropColumn('hint_interval');
+    table.dropColumn('next_fetch_at');
+  });
+};
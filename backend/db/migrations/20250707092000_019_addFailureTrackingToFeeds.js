@@ -0,0 +1,25 @@
+/**
+ * Migration: Add failure tracking and automatic pausing fields to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.integer('consecutive_failures').notNullable().defaultTo(0).comment('Failed polls since the last success');
+    table.string('last_error', 1024).nullable().comment('Message of the most recent failed poll');
+    table.integer('last_http_status').nullable().comment('HTTP status of the most recent poll');
+    table.timestamp('last_success_at').nullable().comment('When the feed was last polled successfully');
+    table.string('paused_reason', 32).nullable().comment('manual | not_found | invalid_feed | unreachable');
+    table.timestamp('paused_at').nullable().comment('When the feed was paused');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropColumn('consecutive_failures');
+    table.dropColumn('last_error');
+    table.dropColumn('last_http_status');
+    table.dropColumn('last_success_at');
+    table.dropColumn('paused_reason');
+    table.dropColumn('paused_at');
+  });
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration: Add detected syndication format to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.string('format', 16).nullable().comment('rss | rdf | atom | json');
+    table.string('format_version', 8).nullable().comment('Version of the detected format, e.g. 2.0 or 1.1');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropColumn('format');
+    table.dropColumn('format_version');
+  });
+};
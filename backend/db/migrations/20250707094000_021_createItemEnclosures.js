@@ -0,0 +1,42 @@
+/**
+ * Migration: Create ItemEnclosure table and add podcast metadata to FeedItem table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.createTable('ItemEnclosure', function(table) {
+    table.increments('id').primary();
+    table.integer('item_id').notNullable().references('id').inTable('FeedItem').onDelete('CASCADE');
+    table.text('url').notNullable();
+    table.string('mime_type', 128).nullable();
+    table.bigInteger('length').nullable().comment('Size in bytes as announced by the feed');
+    table.integer('duration').nullable().comment('Playback duration in seconds');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.unique(['item_id', 'url']);
+    table.index('item_id');
+  }).then(() => {
+    return knex.schema.table('FeedItem', function(table) {
+      table.integer('duration').nullable().comment('Episode duration in seconds (itunes:duration)');
+      table.integer('episode').nullable().comment('itunes:episode');
+      table.integer('season').nullable().comment('itunes:season');
+      table.string('episode_type', 16).nullable().comment('full | trailer | bonus');
+      table.boolean('explicit').nullable().comment('itunes:explicit, null when not stated');
+      table.text('chapters_url').nullable().comment('podcast:chapters URL');
+      table.string('chapters_type', 64).nullable().comment('MIME type of the chapters document');
+      table.json('transcripts').nullable().comment('podcast:transcript links');
+    });
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('FeedItem', function(table) {
+    table.dropColumn('duration');
+    table.dropColumn('episode');
+    table.dropColumn('season');
+    table.dropColumn('episode_type');
+    table.dropColumn('explicit');
+    table.dropColumn('chapters_url');
+    table.dropColumn('chapters_type');
+    table.dropColumn('transcripts');
+  }).then(() => knex.schema.dropTable('ItemEnclosure'));
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration: Add plain-text content to FeedItem table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('FeedItem', function(table) {
+    table.text('content_text').nullable().comment('Plain text of the sanitised content, for search and previews');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('FeedItem', function(table) {
+    table.dropColumn('content_text');
+  });
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration: Add content identity and canonical URL to FeedItem table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('FeedItem', function(table) {
+    table.string('identity_hash', 64).nullable().comment('SHA-256 of the normalised link, title and publication day');
+    table.text('canonical_url').nullable().comment('Link without scheme, www., tracking parameters or fragment');
+
+    table.index(['feed_id', 'identity_hash']);
+    table.index('canonical_url');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('FeedItem', function(table) {
+    table.dropIndex(['feed_id', 'identity_hash']);
+    table.dropIndex('canonical_url');
+    table.dropColumn('identity_hash');
+    table.dropColumn('canonical_url');
+  });
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration: Add per-feed retention limits to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.integer('retention_max_items').nullable().comment('Items kept for this feed; null uses FEED_MAX_ITEMS_PER_FEED, 0 keeps all');
+    table.integer('retention_max_age_days').nullable().comment('Days items are kept; null uses FEED_MAX_ITEM_AGE_DAYS, 0 keeps all');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropColumn('retention_max_items');
+    table.dropColumn('retention_max_age_days');
+  });
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration: Add WebSub push subscription fields to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.string('websub_hub', 2048).nullable().comment('Hub advertised by the feed');
+    table.string('websub_topic', 2048).nullable().comment('Topic URL the subscription is for');
+    table.string('websub_secret', 128).nullable().comment('Secret the hub signs content deliveries with');
+    table.string('websub_state', 32).nullable().comment('subscribing | subscribed | unsubscribing | denied');
+    table.timestamp('websub_lease_expires_at').nullable().comment('When the hub lease runs out');
+    table.string('websub_error', 1024).nullable().comment('Why the last subscription attempt failed or was denied');
+    table.timestamp('websub_last_push_at').nullable().comment('When the hub last delivered content');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropColumn('websub_hub');
+    table.dropColumn('websub_topic');
+    table.dropColumn('websub_secret');
+    table.dropColumn('websub_state');
+    table.dropColumn('websub_lease_expires_at');
+    table.dropColumn('websub_error');
+    table.dropColumn('websub_last_push_at');
+  });
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration: Create FeedAlias table for the former URLs of moved or merged feeds
+ */
+
+exports.up = function(knex) {
+  return knex.schema.createTable('FeedAlias', function(table) {
+    table.increments('id').primary();
+    table.integer('feed_id').notNullable().references('id').inTable('Feed').onDelete('CASCADE');
+    table.text('url').notNullable().unique().comment('Former feed URL, resolved to feed_id when feeds are added');
+    table.string('reason', 32).notNullable().defaultTo('redirect').comment('redirect | merge');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.index('feed_id');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('FeedAlias');
+};
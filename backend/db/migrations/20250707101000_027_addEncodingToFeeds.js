@@ -0,0 +1,17 @@
+/**
+ * Migration: Add detected character encoding to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.string('encoding', 64).nullable().comment('Character encoding the last fetched document was transcoded from');
+    table.string('encoding_source', 32).nullable().comment('Where the encoding came from (bom, xml_declaration, http_header, heuristic)');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropColumn('encoding');
+    table.dropColumn('encoding_source');
+  });
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration: Add cached icon details to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.string('icon_path', 255).nullable().comment('PNG icon relative to UPLOAD_DIR');
+    table.text('icon_source_url').nullable().comment('Where the cached icon was downloaded from');
+    table.datetime('icon_checked_at').nullable().comment('When the icon was last looked for');
+    table.text('icon_error').nullable().comment('Why the last icon refresh found nothing usable');
+    table.index(['icon_checked_at']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropIndex(['icon_checked_at']);
+    table.dropColumn('icon_path');
+    table.dropColumn('icon_source_url');
+    table.dropColumn('icon_checked_at');
+    table.dropColumn('icon_error');
+  });
+};
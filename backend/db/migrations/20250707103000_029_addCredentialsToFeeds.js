@@ -0,0 +1,33 @@
+/**
+ * Migration: Add owners and encrypted credentials to Feed table
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.table('Feed', function(table) {
+    table.integer('owner_id').unsigned().nullable().references('id').inTable('User').onDelete('CASCADE')
+      .comment('User a credentialed feed is private to; null for shared feeds');
+    table.text('credentials').nullable().comment('Encrypted credentials and extra request headers');
+    table.index(['owner_id']);
+  });
+
+  // A private feed may share its URL with the shared feed and with other users' private feeds
+  await knex.schema.table('Feed', function(table) {
+    table.dropUnique(['url']);
+  });
+  await knex.raw('CREATE UNIQUE INDEX feed_shared_url_unique ON Feed (url) WHERE owner_id IS NULL');
+  await knex.raw('CREATE UNIQUE INDEX feed_private_url_unique ON Feed (url, owner_id) WHERE owner_id IS NOT NULL');
+};
+
+exports.down = async function(knex) {
+  await knex('Feed').whereNotNull('owner_id').del();
+  await knex.raw('DROP INDEX IF EXISTS feed_private_url_unique');
+  await knex.raw('DROP INDEX IF EXISTS feed_shared_url_unique');
+
+  await knex.schema.table('Feed', function(table) {
+    table.dropIndex(['owner_id']);
+    table.dropForeign(['owner_id']);
+    table.dropColumn('owner_id');
+    table.dropColumn('credentials');
+    table.unique(['url']);
+  });
+};
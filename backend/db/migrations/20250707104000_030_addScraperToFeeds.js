@@ -0,0 +1,17 @@
+/**
+ * Migration: Add scraped web page sources to Feed table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.string('source_type', 16).notNullable().defaultTo('feed').comment('feed | scrape');
+    table.text('scraper').nullable().comment('CSS selectors of a scraped page, as JSON');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('Feed', function(table) {
+    table.dropColumn('source_type');
+    table.dropColumn('scraper');
+  });
+};
@@ -0,0 +1,35 @@
+/**
+ * Migration: Add HTTP, timing, item count and error diagnostics to PollLog table
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('PollLog', function(table) {
+    table.integer('http_status').nullable().comment('HTTP status of the final response');
+    table.integer('duration_ms').nullable().comment('Time taken by the poll');
+    table.integer('bytes').nullable().comment('Bytes downloaded');
+    table.integer('items_parsed').nullable().comment('Items found in the document');
+    table.integer('updated_items').notNullable().defaultTo(0).comment('Existing items that changed');
+    table.string('error_class', 64).nullable().comment('Class of the error that failed the poll');
+    table.string('error_code', 64).nullable().comment('Error code of the error that failed the poll');
+    table.text('error_message').nullable();
+    table.text('final_url').nullable().comment('URL the document was served from after redirects');
+    table.index(['run_at']);
+    table.index(['feed_id', 'run_at']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('PollLog', function(table) {
+    table.dropIndex(['run_at']);
+    table.dropIndex(['feed_id', 'run_at']);
+    table.dropColumn('http_status');
+    table.dropColumn('duration_ms');
+    table.dropColumn('bytes');
+    table.dropColumn('items_parsed');
+    table.dropColumn('updated_items');
+    table.dropColumn('error_class');
+    table.dropColumn('error_code');
+    table.dropColumn('error_message');
+    table.dropColumn('final_url');
+  });
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration: Add role field to User table for admin-only endpoints
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('User', function(table) {
+    table.string('role', 16).notNullable().defaultTo('user').comment('user | admin');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('User', function(table) {
+    table.dropColumn('role');
+  });
+};
@@ -0,0 +1,17 @@
+/**
+ * Migration: Add updated_at field to UserFeedSubscription table for preference changes
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('UserFeedSubscription', function(table) {
+    table.timestamp('updated_at').nullable();
+    table.index(['user_id']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('UserFeedSubscription', function(table) {
+    table.dropIndex(['user_id']);
+    table.dropColumn('updated_at');
+  });
+};
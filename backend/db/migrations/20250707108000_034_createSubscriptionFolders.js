@@ -0,0 +1,37 @@
+/**
+ * Migration: Create SubscriptionFolder table for nested, user-owned folders,
+ * and add folder_id and manual sort position to UserFeedSubscription
+ */
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('SubscriptionFolder', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').notNullable().references('id').inTable('User').onDelete('CASCADE');
+    table.integer('parent_id').unsigned().nullable().references('id').inTable('SubscriptionFolder').onDelete('CASCADE')
+      .comment('Enclosing folder, null at the top level');
+    table.string('name', 255).notNullable();
+    table.integer('position').nullable().comment('Manual sort order among siblings, null sorts after by name');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').nullable();
+
+    table.index(['user_id', 'parent_id']);
+  });
+
+  return knex.schema.table('UserFeedSubscription', function(table) {
+    table.integer('folder_id').unsigned().nullable().references('id').inTable('SubscriptionFolder').onDelete('SET NULL');
+    table.integer('position').nullable().comment('Manual sort order within the folder, null sorts after by feed name');
+
+    table.index(['folder_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.table('UserFeedSubscription', function(table) {
+    table.dropIndex(['folder_id']);
+    table.dropForeign(['folder_id']);
+    table.dropColumn('position');
+    table.dropColumn('folder_id');
+  });
+
+  return knex.schema.dropTableIfExists('SubscriptionFolder');
+};
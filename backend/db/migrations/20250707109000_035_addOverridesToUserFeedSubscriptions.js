@@ -0,0 +1,25 @@
+/**
+ * Migration: Add the subscriber's own title, private note and display settings to UserFeedSubscription
+ */
+
+exports.up = function(knex) {
+  return knex.schema.table('UserFeedSubscription', function(table) {
+    table.string('custom_title', 255).nullable().comment('Shown instead of Feed.name to this subscriber');
+    table.text('note').nullable();
+    table.string('view', 16).notNullable().defaultTo('list').comment('list | cards | magazine');
+    table.string('open_in', 16).notNullable().defaultTo('content').comment('content | original');
+    table.boolean('full_text').notNullable().defaultTo(false);
+    table.string('sort_order', 16).notNullable().defaultTo('newest').comment('newest | oldest');
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.table('UserFeedSubscription', function(table) {
+    table.dropColumn('sort_order');
+    table.dropColumn('full_text');
+    table.dropColumn('open_in');
+    table.dropColumn('view');
+    table.dropColumn('note');
+    table.dropColumn('custom_title');
+  });
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration: Create ItemImport table for background imports of starred and
+ * saved articles, checkpointed so an interrupted import resumes where it stopped
+ */
+
+exports.up = function(knex) {
+  return knex.schema.createTable('ItemImport', function(table) {
+    table.increments('id').primary();
+    table.integer('user_id').notNullable().references('id').inTable('User').onDelete('CASCADE');
+    table.string('format', 32).notNullable().comment('google_reader | feedly | json_feed');
+    table.string('status', 16).notNullable().defaultTo('running').comment('running | completed | failed');
+    table.text('entries').nullable().comment('JSON entries still to import, cleared once the import finishes');
+    table.integer('total').notNullable().defaultTo(0);
+    table.integer('position').notNullable().defaultTo(0).comment('Entries processed so far');
+    table.integer('items_created').notNullable().defaultTo(0);
+    table.integer('bookmarks_created').notNullable().defaultTo(0);
+    table.integer('skipped').notNullable().defaultTo(0);
+    table.integer('failed').notNullable().defaultTo(0);
+    table.text('errors').nullable().comment('JSON list of the first failed entries');
+    table.text('error').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').nullable();
+    table.timestamp('finished_at').nullable();
+
+    table.index(['user_id', 'status']);
+  });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('ItemImport');
+};
@@ -41,6 +41,13 @@ const configurations = {
       ...baseConfig.migrations,
       // For tests, we want to run migrations fresh each time
       disableMigrationsListValidation: true
+    },
+    pool: {
+      ...baseConfig.pool,
+      // An in-memory database only exists on the connection that created it,
+      // so concurrent queries must share a single connection
+      min: 1,
+      max: 1
     }
   },
 
@@ -43,6 +43,14 @@ class DatabaseError extends AppError {
   }
 }
 
+class FeedFetchError extends AppError {
+  constructor(message = 'Feed could not be retrieved', code = 'FEED_FETCH_FAILED', details = {}) {
+    super(message, 422, code);
+    this.httpStatus = details.httpStatus || null;
+    this.retryAfter = details.retryAfter || null;
+  }
+}
+
 // Error handler middleware
 const errorHandler = (err, req, res, next) => {
   // Log the error
@@ -156,5 +164,6 @@ module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
-  DatabaseError
+  DatabaseError,
+  FeedFetchError
 }; 
\ No newline at end of file
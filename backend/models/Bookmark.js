@@ -0,0 +1,81 @@
+const { db } = require('../db/database');
+const { ValidationError } = require('../middlewares/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Bookmark Model
+ * Handles the items users have starred or saved for later
+ */
+class Bookmark {
+  constructor(data) {
+    this.user_id = data.user_id;
+    this.item_id = data.item_id;
+    this.bookmarked_at = data.bookmarked_at;
+  }
+
+  /**
+   * Find a user's bookmark of an item
+   * @param {number} userId - User ID
+   * @param {number} itemId - Item ID
+   * @returns {Promise<Bookmark|null>} - Bookmark or null
+   */
+  static async findByUserAndItem(userId, itemId) {
+    try {
+      const bookmarkData = await db('Bookmark').where({ user_id: userId, item_id: itemId }).first();
+      return bookmarkData ? new Bookmark(bookmarkData) : null;
+    } catch (error) {
+      logger.error('Error finding bookmark:', error);
+      throw new Error('Bookmark lookup failed');
+    }
+  }
+
+  /**
+   * Bookmark an item, keeping an existing bookmark and its date as they are
+   * @param {Object} bookmarkData - user_id, item_id and optional bookmarked_at
+   * @returns {Promise<Object>} - Bookmark and whether it was added
+   */
+  static async add(bookmarkData) {
+    try {
+      const { user_id: userId, item_id: itemId, bookmarked_at: bookmarkedAt = null } = bookmarkData;
+
+      if (!userId || !itemId) {
+        throw new ValidationError('User and item are required');
+      }
+
+      const existing = await Bookmark.findByUserAndItem(userId, itemId);
+      if (existing) {
+        return { bookmark: existing, created: false };
+      }
+
+      const bookmarkToCreate = {
+        user_id: userId,
+        item_id: itemId,
+        bookmarked_at: bookmarkedAt || new Date().toISOString()
+      };
+      await db('Bookmark').insert(bookmarkToCreate);
+
+      return { bookmark: new Bookmark(bookmarkToCreate), created: true };
+    } catch (error) {
+      logger.error('Error adding bookmark:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Bookmark creation failed');
+    }
+  }
+
+  /**
+   * Get bookmark data for API responses
+   * @returns {Object} - Public bookmark data
+   */
+  getPublicData() {
+    return {
+      item_id: this.item_id,
+      bookmarked_at: this.bookmarked_at
+    };
+  }
+}
+
+module.exports = Bookmark;
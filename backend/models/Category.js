@@ -0,0 +1,91 @@
+const { db } = require('../db/database');
+const { ValidationError } = require('../middlewares/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Category Model
+ * Handles the categories items are filed under
+ */
+class Category {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+  }
+
+  /**
+   * Find a category by name, ignoring case
+   * @param {string} name - Category name
+   * @returns {Promise<Category|null>} - Category or null
+   */
+  static async findByName(name) {
+    try {
+      const categoryData = await db('Category').whereRaw('LOWER(name) = LOWER(?)', [name]).orderBy('id', 'asc').first();
+      return categoryData ? new Category(categoryData) : null;
+    } catch (error) {
+      logger.error('Error finding category by name:', error);
+      throw new Error('Category lookup failed');
+    }
+  }
+
+  /**
+   * Find the category with a name, adding it if there is none yet
+   * @param {string} name - Category name
+   * @returns {Promise<Object>} - Category and whether it was added
+   */
+  static async findOrCreate(name) {
+    try {
+      const trimmed = String(name || '').trim();
+      if (!trimmed) {
+        throw new ValidationError('Category name is required');
+      }
+
+      const existing = await Category.findByName(trimmed);
+      if (existing) {
+        return { category: existing, created: false };
+      }
+
+      const [categoryId] = await db('Category').insert({ name: trimmed });
+
+      logger.info(`Category ${categoryId} created: ${trimmed}`);
+      return { category: new Category({ id: categoryId, name: trimmed }), created: true };
+    } catch (error) {
+      logger.error('Error creating category:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Category creation failed');
+    }
+  }
+
+  /**
+   * File an item under this category
+   * @param {number} itemId - Item ID
+   * @returns {Promise<void>}
+   */
+  async addItem(itemId) {
+    try {
+      await db('ItemCategory')
+        .insert({ item_id: itemId, category_id: this.id })
+        .onConflict(['item_id', 'category_id'])
+        .ignore();
+    } catch (error) {
+      logger.error('Error adding item to category:', error);
+      throw new Error('Category update failed');
+    }
+  }
+
+  /**
+   * Get category data for API responses
+   * @returns {Object} - Public category data
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      name: this.name
+    };
+  }
+}
+
+module.exports = Category;
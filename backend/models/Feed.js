@@ -0,0 +1,857 @@
+const { db } = require('../db/database');
+const FeedAlias = require('./FeedAlias');
+const FeedCredentials = require('../utils/feedCredentials');
+const { ValidationError } = require('../middlewares/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Feed Model
+ * Handles the feed sources that users subscribe to; feeds are shared unless
+ * they carry credentials, which makes them private to the user who added them,
+ * or only hold the articles a user imported, which are never fetched
+ */
+class Feed {
+  static STATUSES = ['active', 'paused'];
+
+  // Reasons the poller pauses a feed by itself; these feeds keep being probed for recovery
+  static AUTO_PAUSE_REASONS = ['not_found', 'invalid_feed', 'unreachable'];
+
+  // Private feeds holding imported articles that matched no stored item; they are never polled or resumed
+  static IMPORT_PAUSE_REASON = 'imported';
+
+  static PAUSE_REASONS = ['manual', Feed.IMPORT_PAUSE_REASON, ...Feed.AUTO_PAUSE_REASONS];
+
+  static WEBSUB_STATES = ['subscribing', 'subscribed', 'unsubscribing', 'denied'];
+
+  // feed: an RSS, Atom or JSON Feed document; scrape: a web page read with CSS selectors
+  static SOURCE_TYPES = ['feed', 'scrape'];
+
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.url = data.url;
+    this.status = data.status;
+    this.fetch_interval = data.fetch_interval;
+    this.last_fetched_at = data.last_fetched_at;
+    this.etag = data.etag;
+    this.last_modified = data.last_modified;
+    this.content_hash = data.content_hash;
+    this.effective_interval = data.effective_interval;
+    this.interval_source = data.interval_source;
+    this.hint_interval = data.hint_interval;
+    this.next_fetch_at = data.next_fetch_at;
+    this.consecutive_failures = data.consecutive_failures;
+    this.last_error = data.last_error;
+    this.last_http_status = data.last_http_status;
+    this.last_success_at = data.last_success_at;
+    this.paused_reason = data.paused_reason;
+    this.paused_at = data.paused_at;
+    this.format = data.format;
+    this.format_version = data.format_version;
+    this.encoding = data.encoding;
+    this.encoding_source = data.encoding_source;
+    this.retention_max_items = data.retention_max_items;
+    this.retention_max_age_days = data.retention_max_age_days;
+    this.websub_hub = data.websub_hub;
+    this.websub_topic = data.websub_topic;
+    this.websub_secret = data.websub_secret;
+    this.websub_state = data.websub_state;
+    this.websub_lease_expires_at = data.websub_lease_expires_at;
+    this.websub_error = data.websub_error;
+    this.websub_last_push_at = data.websub_last_push_at;
+    this.icon_path = data.icon_path;
+    this.icon_source_url = data.icon_source_url;
+    this.icon_checked_at = data.icon_checked_at;
+    this.icon_error = data.icon_error;
+    this.owner_id = data.owner_id;
+    this.credentials = data.credentials;
+    this.source_type = data.source_type;
+    this.scraper = data.scraper;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Create a new feed
+   * @param {Object} feedData - Feed data
+   * @returns {Promise<Feed>} - Created feed instance
+   */
+  static async create(feedData) {
+    try {
+      if (!feedData.name || !feedData.url) {
+        throw new ValidationError('Feed name and URL are required');
+      }
+
+      if (feedData.status && !Feed.STATUSES.includes(feedData.status)) {
+        throw new ValidationError(`Invalid feed status: ${feedData.status}`);
+      }
+
+      if (feedData.paused_reason && !Feed.PAUSE_REASONS.includes(feedData.paused_reason)) {
+        throw new ValidationError(`Invalid pause reason: ${feedData.paused_reason}`);
+      }
+
+      const ownerId = feedData.owner_id || null;
+      if (feedData.credentials && !ownerId) {
+        throw new ValidationError('A feed with credentials must have an owner');
+      }
+      if (feedData.paused_reason === Feed.IMPORT_PAUSE_REASON && (!ownerId || feedData.status !== 'paused')) {
+        throw new ValidationError('A feed of imported articles must be paused and have an owner');
+      }
+
+      const existingFeed = await Feed.findByUrlOrAlias(feedData.url, ownerId);
+      if (existingFeed) {
+        throw new ValidationError('Feed with this URL already exists');
+      }
+
+      const feedToCreate = {
+        name: feedData.name,
+        url: feedData.url,
+        owner_id: ownerId,
+        credentials: feedData.credentials ? FeedCredentials.encrypt(feedData.credentials) : null,
+        source_type: feedData.scraper ? 'scrape' : 'feed',
+        scraper: feedData.scraper ? JSON.stringify(feedData.scraper) : null,
+        status: feedData.status || 'active',
+        paused_reason: feedData.status === 'paused' ? feedData.paused_reason || 'manual' : null,
+        paused_at: feedData.status === 'paused' ? new Date().toISOString() : null,
+        fetch_interval: feedData.fetch_interval || 3600,
+        last_fetched_at: feedData.last_fetched_at || null,
+        format: feedData.format || null,
+        format_version: feedData.format_version || null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+
+      const [feedId] = await db('Feed').insert(feedToCreate);
+
+      const createdFeed = await Feed.findById(feedId);
+
+      logger.info(`Feed created successfully: ${createdFeed.url}`);
+      return createdFeed;
+    } catch (error) {
+      logger.error('Error creating feed:', error);
+
+      if (error.code === 'SQLITE_CONSTRAINT' || error.errno === 19) {
+        throw new ValidationError('Feed with this URL already exists');
+      }
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Feed creation failed');
+    }
+  }
+
+  /**
+   * Find feed by ID
+   * @param {number} id - Feed ID
+   * @returns {Promise<Feed|null>} - Feed instance or null
+   */
+  static async findById(id) {
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new ValidationError('Invalid feed ID provided');
+    }
+
+    try {
+      const feedData = await db('Feed').where('id', id).first();
+      return feedData ? new Feed(feedData) : null;
+    } catch (error) {
+      logger.error('Error finding feed by ID:', error);
+      throw new Error('Feed lookup failed');
+    }
+  }
+
+  /**
+   * Find feed by URL
+   * @param {string} url - Feed URL
+   * @param {number|null} ownerId - Owner of the private feed to find, or null for the shared feed
+   * @returns {Promise<Feed|null>} - Feed instance or null
+   */
+  static async findByUrl(url, ownerId = null) {
+    try {
+      const query = db('Feed').where('url', url);
+      if (ownerId) {
+        query.where('owner_id', ownerId);
+      } else {
+        query.whereNull('owner_id');
+      }
+
+      const feedData = await query.first();
+      return feedData ? new Feed(feedData) : null;
+    } catch (error) {
+      logger.error('Error finding feed by URL:', error);
+      throw new Error('Feed lookup failed');
+    }
+  }
+
+  /**
+   * Find feed by its current URL or by a URL it had before it moved or was merged
+   * @param {string} url - Feed URL
+   * @param {number|null} ownerId - Owner of the private feed to find, or null for the shared feed
+   * @returns {Promise<Feed|null>} - Feed instance or null
+   */
+  static async findByUrlOrAlias(url, ownerId = null) {
+    const feed = await Feed.findByUrl(url, ownerId);
+    if (feed || ownerId) {
+      // Only shared feeds keep aliases
+      return feed;
+    }
+
+    const alias = await FeedAlias.findByUrl(url);
+    return alias ? Feed.findById(alias.feed_id) : null;
+  }
+
+  /**
+   * Merge one feed into another: items the target already has carry their
+   * read states, bookmarks, categories and nuggets over to the target's copy,
+   * the rest move across, and subscribers of both end up with one subscription
+   * @param {Feed} source - Feed that disappears
+   * @param {Feed} target - Feed that remains
+   * @returns {Promise<Feed>} - Reloaded target feed
+   */
+  static async merge(source, target) {
+    try {
+      if (source.id === target.id) {
+        throw new ValidationError('A feed cannot be merged into itself');
+      }
+
+      const ids = { source: source.id, target: target.id };
+
+      await db.transaction(async (trx) => {
+        // Carry per-user state of items the target already has over to the target's copy
+        await trx.raw(`INSERT OR IGNORE INTO ReadState (user_id, item_id, read_at)
+          SELECT r.user_id, t.id, r.read_at FROM ReadState r
+          JOIN FeedItem s ON s.id = r.item_id
+          JOIN FeedItem t ON t.guid = s.guid AND t.feed_id = :target
+          WHERE s.feed_id = :source`, ids);
+        await trx.raw(`INSERT OR IGNORE INTO Bookmark (user_id, item_id, bookmarked_at)
+          SELECT b.user_id, t.id, b.bookmarked_at FROM Bookmark b
+          JOIN FeedItem s ON s.id = b.item_id
+          JOIN FeedItem t ON t.guid = s.guid AND t.feed_id = :target
+          WHERE s.feed_id = :source`, ids);
+        await trx.raw(`INSERT OR IGNORE INTO ItemCategory (item_id, category_id)
+          SELECT t.id, c.category_id FROM ItemCategory c
+          JOIN FeedItem s ON s.id = c.item_id
+          JOIN FeedItem t ON t.guid = s.guid AND t.feed_id = :target
+          WHERE s.feed_id = :source`, ids);
+        await trx.raw(`UPDATE Nugget SET item_id = (
+            SELECT t.id FROM FeedItem s
+            JOIN FeedItem t ON t.guid = s.guid AND t.feed_id = :target
+            WHERE s.id = Nugget.item_id
+          )
+          WHERE item_id IN (
+            SELECT s.id FROM FeedItem s
+            JOIN FeedItem t ON t.guid = s.guid AND t.feed_id = :target
+            WHERE s.feed_id = :source
+          )`, ids);
+
+        // Deleting the duplicates cascades to their enclosures and remaining per-user rows
+        await trx('FeedItem')
+          .where('feed_id', source.id)
+          .whereIn('guid', trx('FeedItem').select('guid').where('feed_id', target.id))
+          .del();
+        await trx('FeedItem').where('feed_id', source.id).update({ feed_id: target.id });
+
+        await trx('UserFeedSubscription')
+          .where('feed_id', source.id)
+          .whereNotIn('user_id', trx('UserFeedSubscription').select('user_id').where('feed_id', target.id))
+          .update({ feed_id: target.id });
+        await trx('PollLog').where('feed_id', source.id).update({ feed_id: target.id });
+
+        await trx('FeedAlias').where('feed_id', source.id).update({ feed_id: target.id });
+        if (!target.owner_id) {
+          await FeedAlias.record(trx, target.id, source.url, 'merge');
+        }
+
+        await trx('Feed').where('id', source.id).del();
+      });
+
+      logger.info(`Feed ${source.id} (${source.url}) merged into feed ${target.id} (${target.url})`);
+      return await Feed.findById(target.id);
+    } catch (error) {
+      logger.error('Error merging feeds:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Feed merge failed');
+    }
+  }
+
+  /**
+   * List feeds with subscriber counts
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Feeds and total count
+   */
+  static async findAll(options = {}) {
+    try {
+      const { limit = 50, offset = 0, search = null, userId = null } = options;
+
+      const applySearch = (query) => {
+        if (userId) {
+          Feed.whereVisibleTo(query, userId);
+        }
+        // Feeds of imported articles are reached through the bookmarks on their items
+        query.where((listed) => {
+          listed.whereNull('Feed.paused_reason').orWhereNot('Feed.paused_reason', Feed.IMPORT_PAUSE_REASON);
+        });
+        if (search) {
+          query.where((builder) => {
+            builder.where('Feed.name', 'like', `%${search}%`)
+              .orWhere('Feed.url', 'like', `%${search}%`);
+          });
+        }
+        return query;
+      };
+
+      const [{ total }] = await applySearch(db('Feed').count('Feed.id as total'));
+
+      const rows = await applySearch(
+        db('Feed')
+          .select('Feed.*')
+          .select(db.raw('(SELECT COUNT(*) FROM UserFeedSubscription WHERE UserFeedSubscription.feed_id = Feed.id) as subscriber_count'))
+      )
+        .orderBy('Feed.name', 'asc')
+        .limit(limit)
+        .offset(offset);
+
+      const feeds = rows.map(row => {
+        const feed = new Feed(row);
+        feed.subscriber_count = row.subscriber_count;
+        return feed;
+      });
+
+      return { feeds, total };
+    } catch (error) {
+      logger.error('Error listing feeds:', error);
+      throw new Error('Feed listing failed');
+    }
+  }
+
+  /**
+   * Restrict a query on Feed to the shared feeds and the user's own private feeds
+   * @param {Object} query - Knex query builder that selects from Feed
+   * @param {number} userId - User ID
+   * @returns {Object} - The same query builder
+   */
+  static whereVisibleTo(query, userId) {
+    return query.where((visible) => {
+      visible.whereNull('Feed.owner_id').orWhere('Feed.owner_id', userId);
+    });
+  }
+
+  /**
+   * Find active feeds that are due for polling, along with automatically
+   * paused feeds that are due for a recovery probe; feeds none of whose
+   * subscribers want automatic refreshes are left out
+   * @param {Date} now - Reference time
+   * @returns {Promise<Feed[]>} - Feeds that are due for polling
+   */
+  static async findDue(now = new Date()) {
+    try {
+      const nowIso = now.toISOString();
+
+      const rows = await db('Feed')
+        .where((due) => {
+          due.where((active) => {
+            active.where('status', 'active')
+              .where((builder) => {
+                builder.whereNull('last_fetched_at')
+                  .orWhereRaw('julianday(next_fetch_at) <= julianday(?)', [nowIso])
+                  // Feeds that have not been scheduled yet fall back to their fixed interval
+                  .orWhere((fallback) => {
+                    fallback.whereNull('next_fetch_at')
+                      .whereRaw('julianday(last_fetched_at) + (fetch_interval / 86400.0) <= julianday(?)', [nowIso]);
+                  });
+              });
+          })
+            .orWhere((probe) => {
+              probe.where('status', 'paused')
+                .whereIn('paused_reason', Feed.AUTO_PAUSE_REASONS)
+                .whereRaw('julianday(next_fetch_at) <= julianday(?)', [nowIso]);
+            });
+        })
+        // Feeds whose subscribers all turned auto_refresh off are only refreshed on demand
+        .whereNot((manualOnly) => {
+          const subscriptions = () => db('UserFeedSubscription').select(db.raw(1)).whereRaw('UserFeedSubscription.feed_id = Feed.id');
+          manualOnly.whereExists(subscriptions())
+            .whereNotExists(subscriptions().where('UserFeedSubscription.auto_refresh', 1));
+        })
+        .orderByRaw('last_fetched_at IS NOT NULL, last_fetched_at ASC');
+
+      return rows.map(feedData => new Feed(feedData));
+    } catch (error) {
+      logger.error('Error finding due feeds:', error);
+      throw new Error('Due feed lookup failed');
+    }
+  }
+
+  /**
+   * Find the feeds a user subscribes to
+   * @param {number} userId - User ID
+   * @param {number[]|null} folderIds - Only subscriptions in these folders, or null for all
+   * @returns {Promise<Feed[]>} - Subscribed feeds, by name
+   */
+  static async findSubscribed(userId, folderIds = null) {
+    try {
+      const query = db('Feed')
+        .join('UserFeedSubscription', 'UserFeedSubscription.feed_id', 'Feed.id')
+        .where('UserFeedSubscription.user_id', userId)
+        .select('Feed.*');
+
+      if (folderIds) {
+        query.whereIn('UserFeedSubscription.folder_id', folderIds);
+      }
+
+      const rows = await Feed.whereVisibleTo(query, userId).orderBy('Feed.name', 'asc');
+
+      return rows.map(feedData => new Feed(feedData));
+    } catch (error) {
+      logger.error('Error finding subscribed feeds:', error);
+      throw new Error('Subscribed feed lookup failed');
+    }
+  }
+
+  /**
+   * Find every feed that is polled: active feeds and automatically paused ones
+   * @returns {Promise<Feed[]>} - Polled feeds, by name
+   */
+  static async findPolled() {
+    try {
+      const rows = await db('Feed')
+        .where('status', 'active')
+        .orWhereIn('paused_reason', Feed.AUTO_PAUSE_REASONS)
+        .orderBy('name', 'asc');
+
+      return rows.map(feedData => new Feed(feedData));
+    } catch (error) {
+      logger.error('Error finding polled feeds:', error);
+      throw new Error('Polled feed lookup failed');
+    }
+  }
+
+  /**
+   * Find feeds with a WebSub lease that runs out before a given time
+   * @param {Date} before - Renewal cutoff
+   * @returns {Promise<Feed[]>} - Feeds whose subscription should be renewed
+   */
+  static async findWebSubRenewals(before) {
+    try {
+      const rows = await db('Feed')
+        .where('websub_state', 'subscribed')
+        .whereRaw('julianday(websub_lease_expires_at) <= julianday(?)', [before.toISOString()])
+        .orderBy('websub_lease_expires_at', 'asc');
+
+      return rows.map(feedData => new Feed(feedData));
+    } catch (error) {
+      logger.error('Error finding WebSub renewals:', error);
+      throw new Error('WebSub renewal lookup failed');
+    }
+  }
+
+  /**
+   * Find feeds whose icon has not been looked for since a given time
+   * @param {Date} before - Refresh cutoff
+   * @param {number} limit - Maximum number of feeds
+   * @returns {Promise<Feed[]>} - Feeds whose icon should be refreshed, never checked first
+   */
+  static async findIconRefreshes(before, limit = 100) {
+    try {
+      const rows = await db('Feed')
+        .where('status', 'active')
+        .where((stale) => {
+          stale.whereNull('icon_checked_at')
+            .orWhereRaw('julianday(icon_checked_at) <= julianday(?)', [before.toISOString()]);
+        })
+        .orderByRaw('icon_checked_at IS NOT NULL, icon_checked_at ASC')
+        .limit(limit);
+
+      return rows.map(feedData => new Feed(feedData));
+    } catch (error) {
+      logger.error('Error finding icon refreshes:', error);
+      throw new Error('Icon refresh lookup failed');
+    }
+  }
+
+  /**
+   * Public URL of a cached icon; app.js serves UPLOAD_DIR under /uploads
+   * @param {string|null} iconPath - Icon path relative to UPLOAD_DIR
+   * @returns {string|null} - Icon URL or null
+   */
+  static iconUrl(iconPath) {
+    return iconPath ? `/uploads/${iconPath}` : null;
+  }
+
+  /**
+   * Update feed
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Feed>} - Updated feed instance
+   */
+  async update(updates) {
+    try {
+      if (updates.status !== undefined && !Feed.STATUSES.includes(updates.status)) {
+        throw new ValidationError(`Invalid feed status: ${updates.status}`);
+      }
+
+      if (updates.paused_reason && !Feed.PAUSE_REASONS.includes(updates.paused_reason)) {
+        throw new ValidationError(`Invalid pause reason: ${updates.paused_reason}`);
+      }
+
+      if (updates.websub_state && !Feed.WEBSUB_STATES.includes(updates.websub_state)) {
+        throw new ValidationError(`Invalid WebSub state: ${updates.websub_state}`);
+      }
+
+      if (this.isImportOnly() && updates.status !== undefined) {
+        throw new ValidationError('A feed of imported articles cannot be paused or resumed');
+      }
+
+      // Keep the pause bookkeeping consistent with the status
+      let pauseFields = {};
+      if (updates.status === 'paused') {
+        pauseFields = {
+          paused_reason: updates.paused_reason || 'manual',
+          paused_at: this.status === 'paused' && this.paused_at ? this.paused_at : new Date().toISOString()
+        };
+      } else if (updates.status === 'active') {
+        pauseFields = { paused_reason: null, paused_at: null };
+      }
+
+      if (updates.credentials && !this.owner_id) {
+        throw new ValidationError('Credentials can only be set on a private feed');
+      }
+
+      if (updates.scraper !== undefined && !this.isScraped()) {
+        throw new ValidationError('Selectors can only be set on a scraped page');
+      }
+
+      const allowedUpdates = {
+        name: updates.name,
+        url: updates.url,
+        status: updates.status,
+        fetch_interval: updates.fetch_interval,
+        last_fetched_at: updates.last_fetched_at,
+        etag: updates.etag,
+        last_modified: updates.last_modified,
+        content_hash: updates.content_hash,
+        effective_interval: updates.effective_interval,
+        interval_source: updates.interval_source,
+        hint_interval: updates.hint_interval,
+        next_fetch_at: updates.next_fetch_at,
+        consecutive_failures: updates.consecutive_failures,
+        last_error: updates.last_error,
+        last_http_status: updates.last_http_status,
+        last_success_at: updates.last_success_at,
+        format: updates.format,
+        format_version: updates.format_version,
+        encoding: updates.encoding,
+        encoding_source: updates.encoding_source,
+        retention_max_items: updates.retention_max_items,
+        retention_max_age_days: updates.retention_max_age_days,
+        websub_hub: updates.websub_hub,
+        websub_topic: updates.websub_topic,
+        websub_secret: updates.websub_secret,
+        websub_state: updates.websub_state,
+        websub_lease_expires_at: updates.websub_lease_expires_at,
+        websub_error: updates.websub_error,
+        websub_last_push_at: updates.websub_last_push_at,
+        icon_path: updates.icon_path,
+        icon_source_url: updates.icon_source_url,
+        icon_checked_at: updates.icon_checked_at,
+        icon_error: updates.icon_error,
+        // null clears the credentials; the feed stays private to its owner
+        credentials: updates.credentials === undefined
+          ? undefined
+          : (updates.credentials ? FeedCredentials.encrypt(updates.credentials) : null),
+        scraper: updates.scraper ? JSON.stringify(updates.scraper) : undefined,
+        // New selectors must be applied even if the page itself has not changed
+        ...(updates.scraper && { content_hash: null }),
+        ...pauseFields,
+        updated_at: new Date().toISOString()
+      };
+
+      // Remove undefined fields
+      Object.keys(allowedUpdates).forEach(key => {
+        if (allowedUpdates[key] === undefined) {
+          delete allowedUpdates[key];
+        }
+      });
+
+      await db('Feed').where('id', this.id).update(allowedUpdates);
+
+      Object.assign(this, allowedUpdates);
+
+      logger.info(`Feed updated successfully: ${this.url}`);
+      return this;
+    } catch (error) {
+      logger.error('Error updating feed:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Feed update failed');
+    }
+  }
+
+  /**
+   * Move this feed to the URL it permanently redirects to, keeping the old
+   * URL as an alias, or merge it into the feed that already has that URL
+   * @param {string} url - New feed URL
+   * @returns {Promise<Object>} - Feed that now owns the URL and whether a merge happened
+   */
+  async relocate(url) {
+    if (url === this.url) {
+      return { feed: this, merged: false };
+    }
+
+    // Private feeds only merge with the same owner's feed and keep no aliases
+    const existingFeed = await Feed.findByUrlOrAlias(url, this.owner_id);
+    if (existingFeed && existingFeed.id !== this.id) {
+      return { feed: await Feed.merge(this, existingFeed), merged: true };
+    }
+
+    try {
+      const previousUrl = this.url;
+      const updatedAt = new Date().toISOString();
+
+      await db.transaction(async (trx) => {
+        if (!this.owner_id) {
+          // The feed may be moving back to one of its former URLs
+          await trx('FeedAlias').where('url', url).del();
+          await FeedAlias.record(trx, this.id, previousUrl, 'redirect');
+        }
+        await trx('Feed').where('id', this.id).update({ url, updated_at: updatedAt });
+      });
+
+      Object.assign(this, { url, updated_at: updatedAt });
+
+      logger.info(`Feed ${this.id} moved from ${previousUrl} to ${url}`);
+      return { feed: this, merged: false };
+    } catch (error) {
+      logger.error('Error relocating feed:', error);
+      throw new Error('Feed relocation failed');
+    }
+  }
+
+  /**
+   * Record a former URL of this feed
+   * @param {string} url - Former feed URL
+   * @param {string} reason - redirect | merge
+   * @returns {Promise<void>}
+   */
+  async addAlias(url, reason = 'redirect') {
+    try {
+      await FeedAlias.record(db, this.id, url, reason);
+    } catch (error) {
+      logger.error('Error adding feed alias:', error);
+      throw new Error('Feed alias creation failed');
+    }
+  }
+
+  /**
+   * Check whether this feed is a web page read with CSS selectors
+   * @returns {boolean} - Whether the feed is scraped
+   */
+  isScraped() {
+    return this.source_type === 'scrape';
+  }
+
+  /**
+   * Selectors of a scraped page
+   * @returns {Object|null} - Scraper configuration or null
+   */
+  getScraper() {
+    return this.scraper ? JSON.parse(this.scraper) : null;
+  }
+
+  /**
+   * Check whether a user may see this feed and its items
+   * @param {number} userId - User ID
+   * @returns {boolean} - True for shared feeds and the owner's private feeds
+   */
+  isVisibleTo(userId) {
+    return !this.owner_id || this.owner_id === userId;
+  }
+
+  /**
+   * Check whether this feed only holds imported articles and is never polled
+   * @returns {boolean} - True for feeds paused with the import reason
+   */
+  isImportOnly() {
+    return this.status === 'paused' && this.paused_reason === Feed.IMPORT_PAUSE_REASON;
+  }
+
+  /**
+   * Decrypt this feed's credentials
+   * @returns {Object|null} - Credentials or null
+   */
+  getCredentials() {
+    return this.credentials ? FeedCredentials.decrypt(this.credentials) : null;
+  }
+
+  /**
+   * Headers that authenticate requests for this feed
+   * @returns {Object} - Header name to value map
+   */
+  getRequestHeaders() {
+    return FeedCredentials.toHeaders(this.getCredentials());
+  }
+
+  /**
+   * Pause polling for this feed
+   * @param {string} reason - Pause reason code
+   * @returns {Promise<Feed>} - Updated feed instance
+   */
+  async pause(reason = 'manual') {
+    return this.update({ status: 'paused', paused_reason: reason });
+  }
+
+  /**
+   * Resume polling for this feed and poll it on the next cycle
+   * @returns {Promise<Feed>} - Updated feed instance
+   */
+  async resume() {
+    return this.update({
+      status: 'active',
+      consecutive_failures: 0,
+      next_fetch_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Summarise the feed's polling health
+   * @returns {string} - healthy | failing | paused | auto_paused | pending
+   */
+  getHealthState() {
+    if (this.status === 'paused') {
+      return Feed.AUTO_PAUSE_REASONS.includes(this.paused_reason) ? 'auto_paused' : 'paused';
+    }
+
+    if (this.consecutive_failures > 0) {
+      return 'failing';
+    }
+
+    return this.last_fetched_at ? 'healthy' : 'pending';
+  }
+
+  /**
+   * Get item and subscriber statistics
+   * @returns {Promise<Object>} - Feed statistics
+   */
+  async getStats() {
+    try {
+      const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+      const totalItems = await db('FeedItem').where('feed_id', this.id).count('id as count').first();
+      const recentItems = await db('FeedItem')
+        .where('feed_id', this.id)
+        .where('fetched_at', '>=', since)
+        .count('id as count')
+        .first();
+      const subscribers = await db('UserFeedSubscription').where('feed_id', this.id).count('id as count').first();
+
+      return {
+        total_items: totalItems.count,
+        items_last_30_days: recentItems.count,
+        subscriber_count: subscribers.count
+      };
+    } catch (error) {
+      logger.error('Error getting feed stats:', error);
+      throw new Error('Feed statistics lookup failed');
+    }
+  }
+
+  /**
+   * Delete feed and its items
+   * @returns {Promise<boolean>} - Success status
+   */
+  async delete() {
+    try {
+      const deletedRows = await db('Feed').where('id', this.id).del();
+
+      if (deletedRows === 0) {
+        throw new ValidationError('Feed not found or already deleted');
+      }
+
+      logger.info(`Feed deleted successfully: ${this.url}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting feed:', error);
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new Error('Feed deletion failed');
+    }
+  }
+
+  /**
+   * Describe this feed's credentials without their secrets
+   * @returns {Object} - Credentials summary
+   */
+  describeCredentials() {
+    try {
+      return FeedCredentials.describe(this.getCredentials());
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Get feed data for API responses
+   * @returns {Object} - Public feed data
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      name: this.name,
+      url: this.url,
+      icon_url: Feed.iconUrl(this.icon_path),
+      status: this.status,
+      fetch_interval: this.fetch_interval,
+      source_type: this.source_type || 'feed',
+      ...(this.isScraped() && { scraper: this.getScraper() }),
+      format: this.format || null,
+      format_version: this.format_version || null,
+      encoding: this.encoding || null,
+      encoding_source: this.encoding_source || null,
+      last_fetched_at: this.last_fetched_at,
+      schedule: {
+        effective_interval: this.effective_interval || this.fetch_interval,
+        source: this.interval_source || 'default',
+        publisher_hint: this.hint_interval || null,
+        next_fetch_at: this.next_fetch_at || null
+      },
+      health: {
+        state: this.getHealthState(),
+        consecutive_failures: this.consecutive_failures || 0,
+        last_error: this.last_error || null,
+        last_http_status: this.last_http_status || null,
+        last_success_at: this.last_success_at || null,
+        paused_reason: this.paused_reason || null,
+        paused_at: this.paused_at || null
+      },
+      retention: {
+        max_items: this.retention_max_items ?? null,
+        max_age_days: this.retention_max_age_days ?? null
+      },
+      // The secret never leaves the server
+      websub: {
+        hub: this.websub_hub || null,
+        state: this.websub_state || null,
+        lease_expires_at: this.websub_lease_expires_at || null,
+        last_push_at: this.websub_last_push_at || null,
+        error: this.websub_error || null
+      },
+      private: Boolean(this.owner_id),
+      // Only the owner sees private feeds; secrets never leave the server
+      ...(this.credentials && { credentials: this.describeCredentials() }),
+      ...(this.subscriber_count !== undefined && { subscriber_count: this.subscriber_count }),
+      ...(this.aliases !== undefined && { aliases: this.aliases.map(alias => alias.getPublicData()) }),
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Feed;
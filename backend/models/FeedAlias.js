@@ -0,0 +1,80 @@
+const { db } = require('../db/database');
+const { logger } = require('../utils/logger');
+
+/**
+ * FeedAlias Model
+ * Handles the former URLs of feeds that moved with a permanent redirect or were merged
+ */
+class FeedAlias {
+  static REASONS = ['redirect', 'merge'];
+
+  constructor(data) {
+    this.id = data.id;
+    this.feed_id = data.feed_id;
+    this.url = data.url;
+    this.reason = data.reason;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Find the alias for a URL
+   * @param {string} url - Former feed URL
+   * @returns {Promise<FeedAlias|null>} - Alias or null
+   */
+  static async findByUrl(url) {
+    try {
+      const aliasData = await db('FeedAlias').where('url', url).first();
+      return aliasData ? new FeedAlias(aliasData) : null;
+    } catch (error) {
+      logger.error('Error finding feed alias:', error);
+      throw new Error('Feed alias lookup failed');
+    }
+  }
+
+  /**
+   * Find the aliases of a feed, oldest first
+   * @param {number} feedId - Feed ID
+   * @returns {Promise<FeedAlias[]>} - Aliases
+   */
+  static async findByFeed(feedId) {
+    try {
+      const rows = await db('FeedAlias').where('feed_id', feedId).orderBy('id', 'asc');
+      return rows.map(aliasData => new FeedAlias(aliasData));
+    } catch (error) {
+      logger.error('Error finding feed aliases:', error);
+      throw new Error('Feed alias lookup failed');
+    }
+  }
+
+  /**
+   * Point a URL at a feed, replacing any alias the URL already had
+   * @param {Object} trx - Knex transaction or connection
+   * @param {number} feedId - Feed the URL now resolves to
+   * @param {string} url - Former feed URL
+   * @param {string} reason - redirect | merge
+   * @returns {Promise<void>}
+   */
+  static async record(trx, feedId, url, reason = 'redirect') {
+    await trx('FeedAlias').where('url', url).del();
+    await trx('FeedAlias').insert({
+      feed_id: feedId,
+      url,
+      reason,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get alias data for API responses
+   * @returns {Object} - Public alias data
+   */
+  getPublicData() {
+    return {
+      url: this.url,
+      reason: this.reason,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = FeedAlias;
@@ -0,0 +1,559 @@
+const { db } = require('../db/database');
+const { ValidationError } = require('../middlewares/errorHandler');
+const { logger } = require('../utils/logger');
+const ItemEnclosure = require('./ItemEnclosure');
+const Feed = require('./Feed');
+const UserFeedSubscription = require('./UserFeedSubscription');
+const ItemIdentity = require('../utils/itemIdentity');
+
+/**
+ * FeedItem Model
+ * Handles the articles collected from polled feeds
+ */
+class FeedItem {
+  static UPDATABLE_FIELDS = [
+    'title', 'link', 'summary', 'content', 'content_text', 'author', 'image_url', 'published_at',
+    'duration', 'episode', 'season', 'episode_type', 'explicit', 'chapters_url', 'chapters_type', 'transcripts',
+    'identity_hash', 'canonical_url'
+  ];
+
+  constructor(data) {
+    this.id = data.id;
+    this.feed_id = data.feed_id;
+    this.guid = data.guid;
+    this.title = data.title;
+    this.link = data.link;
+    this.summary = data.summary;
+    this.content = data.content;
+    this.content_text = data.content_text;
+    this.author = data.author;
+    this.image_url = data.image_url;
+    this.published_at = data.published_at;
+    this.duration = data.duration;
+    this.episode = data.episode;
+    this.season = data.season;
+    this.episode_type = data.episode_type;
+    this.explicit = data.explicit === null || data.explicit === undefined ? null : Boolean(data.explicit);
+    this.chapters_url = data.chapters_url;
+    this.chapters_type = data.chapters_type;
+    this.identity_hash = data.identity_hash;
+    this.canonical_url = data.canonical_url;
+    this.transcripts = typeof data.transcripts === 'string' ? JSON.parse(data.transcripts) : data.transcripts || null;
+    this.fetched_at = data.fetched_at;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Find item by ID
+   * @param {number} id - Item ID
+   * @returns {Promise<FeedItem|null>} - Item instance or null
+   */
+  static async findById(id) {
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new ValidationError('Invalid item ID provided');
+    }
+
+    try {
+      const itemData = await db('FeedItem').where('id', id).first();
+      return itemData ? new FeedItem(itemData) : null;
+    } catch (error) {
+      logger.error('Error finding item by ID:', error);
+      throw new Error('Item lookup failed');
+    }
+  }
+
+  /**
+   * Find items belonging to a feed, newest first
+   * @param {number} feedId - Feed ID
+   * @param {Object} options - Query options
+   * @returns {Promise<FeedItem[]>} - Array of items
+   */
+  static async findByFeed(feedId, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const items = await db('FeedItem')
+        .where('feed_id', feedId)
+        .orderBy([{ column: 'published_at', order: 'desc' }, { column: 'id', order: 'desc' }])
+        .limit(limit)
+        .offset(offset);
+
+      return items.map(itemData => new FeedItem(itemData));
+    } catch (error) {
+      logger.error('Error finding feed items:', error);
+      throw new Error('Item lookup failed');
+    }
+  }
+
+  /**
+   * Subquery of the feeds a user subscribes to
+   * @param {number} userId - User ID
+   * @param {number[]|null} folderIds - Only subscriptions in these folders, or null for all
+   * @returns {Object} - Knex query selecting feed_id
+   */
+  static subscribedFeedIds(userId, folderIds = null) {
+    const query = db('UserFeedSubscription').select('feed_id').where('user_id', userId);
+    return folderIds ? query.whereIn('folder_id', folderIds) : query;
+  }
+
+  /**
+   * Limit a query to the items a user has not read, in one feed or in the feeds they subscribe to
+   * @param {Object} query - Knex query on FeedItem
+   * @param {Object} scope - userId, and feedId or folderIds
+   * @returns {Object} - The limited query
+   */
+  static whereUnread(query, scope) {
+    const { userId, feedId = null, folderIds = null } = scope;
+
+    return query
+      .whereIn('FeedItem.feed_id', Feed.whereVisibleTo(db('Feed').select('Feed.id'), userId))
+      .whereIn('FeedItem.feed_id', feedId ? [feedId] : FeedItem.subscribedFeedIds(userId, folderIds))
+      .whereNotExists(db('ReadState').select(db.raw(1)).whereRaw('ReadState.item_id = FeedItem.id').where('ReadState.user_id', userId));
+  }
+
+  /**
+   * Count a user's unread items
+   * @param {Object} scope - userId, and feedId or folderIds
+   * @returns {Promise<number>} - Unread items
+   */
+  static async countUnread(scope) {
+    try {
+      const [{ total }] = await FeedItem.whereUnread(db('FeedItem').count('FeedItem.id as total'), scope);
+      return total;
+    } catch (error) {
+      logger.error('Error counting unread items:', error);
+      throw new Error('Unread count failed');
+    }
+  }
+
+  /**
+   * Mark all of a user's unread items as read
+   * @param {Object} scope - userId, feedId or folderIds, and before, an optional
+   *   timestamp that leaves items published later unread
+   * @returns {Promise<number>} - Items marked as read
+   */
+  static async markAllRead(scope) {
+    try {
+      const query = FeedItem.whereUnread(db('FeedItem'), scope);
+      if (scope.before) {
+        query.whereRaw('COALESCE(FeedItem.published_at, FeedItem.created_at) <= ?', [scope.before]);
+      }
+
+      const itemIds = await query.pluck('FeedItem.id');
+      const readAt = new Date().toISOString();
+
+      for (let i = 0; i < itemIds.length; i += 500) {
+        await db('ReadState')
+          .insert(itemIds.slice(i, i + 500).map(itemId => ({ user_id: scope.userId, item_id: itemId, read_at: readAt })))
+          .onConflict(['user_id', 'item_id'])
+          .ignore();
+      }
+
+      return itemIds.length;
+    } catch (error) {
+      logger.error('Error marking items as read:', error);
+      throw new Error('Marking items as read failed');
+    }
+  }
+
+  /**
+   * List items, newest first, from one feed or from the feeds a user subscribes to
+   * @param {Object} options - Query options
+   * @param {boolean} [options.collapseDuplicates] - Show an article syndicated by several
+   *   subscribed feeds once, under the feed that delivered it first
+   * @param {number[]} [options.folderIds] - Only the subscriptions in these folders
+   * @param {string} [options.sortOrder] - newest or oldest first
+   * @returns {Promise<Object>} - Items (with their feed, under the user's title for it, and
+   *   the user's display settings) and total count
+   */
+  static async findAll(options = {}) {
+    try {
+      const {
+        limit = 20, offset = 0, feedId = null, userId = null, folderIds = null, collapseDuplicates = false, sortOrder = 'newest'
+      } = options;
+      const direction = sortOrder === 'oldest' ? 'asc' : 'desc';
+      const subscribedFeeds = () => FeedItem.subscribedFeedIds(userId, folderIds);
+
+      const applyScope = (query) => {
+        // Items of other users' private feeds never show up
+        if (userId) {
+          query.whereIn('FeedItem.feed_id', Feed.whereVisibleTo(db('Feed').select('Feed.id'), userId));
+
+          // Read items drop out of feeds whose subscription has show_read_items turned off
+          query.whereNot((hidden) => {
+            hidden.whereIn('FeedItem.feed_id', db('UserFeedSubscription').select('feed_id').where({ user_id: userId, show_read_items: 0 }))
+              .whereExists(db('ReadState').select(db.raw(1)).whereRaw('ReadState.item_id = FeedItem.id').where('ReadState.user_id', userId));
+          });
+        }
+
+        if (feedId) {
+          query.where('FeedItem.feed_id', feedId);
+        } else {
+          query.whereIn('FeedItem.feed_id', subscribedFeeds());
+
+          if (collapseDuplicates) {
+            query.whereNotExists(function() {
+              this.select(db.raw(1))
+                .from('FeedItem as original')
+                .whereRaw('original.canonical_url = FeedItem.canonical_url')
+                .whereRaw('original.feed_id != FeedItem.feed_id')
+                .whereRaw('original.id < FeedItem.id')
+                .whereIn('original.feed_id', subscribedFeeds());
+            });
+          }
+        }
+        return query;
+      };
+
+      const [{ total }] = await applyScope(db('FeedItem').count('FeedItem.id as total'));
+
+      const rows = await applyScope(
+        db('FeedItem')
+          .join('Feed', 'Feed.id', 'FeedItem.feed_id')
+          .leftJoin('UserFeedSubscription', function() {
+            this.on('UserFeedSubscription.feed_id', '=', 'FeedItem.feed_id').andOn('UserFeedSubscription.user_id', '=', db.raw('?', [userId]));
+          })
+          .select('FeedItem.*', 'Feed.name as feed_name', 'Feed.url as feed_url', 'Feed.icon_path as feed_icon_path')
+          .select('UserFeedSubscription.custom_title as subscription__custom_title',
+            'UserFeedSubscription.open_in as subscription__open_in', 'UserFeedSubscription.full_text as subscription__full_text')
+      )
+        .orderBy([{ column: 'FeedItem.published_at', order: direction }, { column: 'FeedItem.id', order: direction }])
+        .limit(limit)
+        .offset(offset);
+
+      const items = rows.map(row => FeedItem.withFeed(
+        new FeedItem(row),
+        { id: row.feed_id, name: row.feed_name, url: row.feed_url, icon_path: row.feed_icon_path },
+        { custom_title: row.subscription__custom_title, open_in: row.subscription__open_in, full_text: row.subscription__full_text }
+      ));
+
+      return { items, total };
+    } catch (error) {
+      logger.error('Error listing items:', error);
+      throw new Error('Item listing failed');
+    }
+  }
+
+  /**
+   * Attach the feed an item came from, under the subscriber's title, and the
+   * subscriber's display settings; item listings and details share this shape
+   * @param {FeedItem} item - Item to decorate
+   * @param {Object} feed - Feed or feed row with id, name, url and icon_path
+   * @param {Object|null} subscription - custom_title, open_in and full_text of the user's subscription
+   * @returns {FeedItem} - The same item with `feed` and `display` set
+   */
+  static withFeed(item, feed, subscription) {
+    item.feed = {
+      id: feed.id,
+      name: subscription?.custom_title || feed.name,
+      url: feed.url,
+      icon_url: Feed.iconUrl(feed.icon_path)
+    };
+    // How the subscriber wants the item opened; view and sort order apply to whole listings
+    const display = UserFeedSubscription.getDisplay(subscription);
+    item.display = { open_in: display.open_in, full_text: display.full_text };
+    return item;
+  }
+
+  /**
+   * Attach the other copies of each item found in the user's subscribed feeds
+   * @param {FeedItem[]} items - Items to decorate
+   * @param {number} userId - User whose subscriptions are searched
+   * @returns {Promise<FeedItem[]>} - The same items with `also_in` set
+   */
+  static async withAlsoIn(items, userId) {
+    try {
+      const urls = [...new Set(items.map(item => item.canonical_url).filter(Boolean))];
+      const copies = urls.length === 0 ? [] : await Feed.whereVisibleTo(db('FeedItem'), userId)
+        .join('Feed', 'Feed.id', 'FeedItem.feed_id')
+        .join('UserFeedSubscription', 'UserFeedSubscription.feed_id', 'FeedItem.feed_id')
+        .where('UserFeedSubscription.user_id', userId)
+        .whereIn('FeedItem.canonical_url', urls)
+        .select('FeedItem.id', 'FeedItem.feed_id', 'FeedItem.canonical_url', 'FeedItem.link')
+        .select(db.raw('COALESCE(UserFeedSubscription.custom_title, Feed.name) as feed_name'))
+        .orderBy('FeedItem.id', 'asc');
+
+      items.forEach(item => {
+        item.also_in = copies
+          .filter(copy => item.canonical_url && copy.canonical_url === item.canonical_url && copy.feed_id !== item.feed_id)
+          .map(copy => ({ item_id: copy.id, link: copy.link, feed: { id: copy.feed_id, name: copy.feed_name } }));
+      });
+
+      return items;
+    } catch (error) {
+      logger.error('Error finding duplicate items:', error);
+      throw new Error('Item lookup failed');
+    }
+  }
+
+  /**
+   * Attach enclosures to a list of items
+   * @param {FeedItem[]} items - Items to decorate
+   * @returns {Promise<FeedItem[]>} - The same items with `enclosures` set
+   */
+  static async withEnclosures(items) {
+    const enclosures = await ItemEnclosure.findByItems(items.map(item => item.id));
+    items.forEach(item => {
+      item.enclosures = enclosures.get(item.id) || [];
+    });
+    return items;
+  }
+
+  /**
+   * Insert new items and refresh existing ones, keyed on (feed_id, guid).
+   * Items whose GUID changed since the last fetch are recognised by their
+   * identity hash and updated in place instead of being inserted again.
+   * @param {number} feedId - Feed ID
+   * @param {Object[]} items - Normalised items
+   * @returns {Promise<Object>} - Counts of inserted and updated items
+   */
+  static async upsertMany(feedId, items) {
+    try {
+      const result = { inserted: 0, updated: 0 };
+
+      // Feeds occasionally repeat an entry; keep the first occurrence of each guid
+      const seen = new Set();
+      const uniqueItems = items
+        .filter(item => item.guid && !seen.has(item.guid) && seen.add(item.guid))
+        .map(item => ({
+          ...item,
+          identity_hash: ItemIdentity.identityHash(item),
+          canonical_url: ItemIdentity.canonicalUrl(item.link)
+        }));
+      if (uniqueItems.length === 0) {
+        return result;
+      }
+
+      const guids = uniqueItems.map(item => item.guid);
+      const existingRows = await db('FeedItem')
+        .where('feed_id', feedId)
+        .whereIn('guid', guids);
+      const existing = new Map(existingRows.map(row => [row.guid, row]));
+      const renamed = await FeedItem.findRenamedItems(feedId, uniqueItems.filter(item => !existing.has(item.guid)), guids);
+
+      const fetchedAt = new Date().toISOString();
+
+      for (const item of uniqueItems) {
+        const current = existing.get(item.guid) || renamed.get(item.guid);
+
+        if (!current) {
+          const [itemId] = await db('FeedItem').insert({
+            feed_id: feedId,
+            guid: item.guid,
+            ...FeedItem.pickUpdatableFields(item),
+            fetched_at: fetchedAt,
+            created_at: fetchedAt
+          });
+          if (item.enclosures && item.enclosures.length > 0) {
+            await ItemEnclosure.replaceForItem(itemId, item.enclosures);
+          }
+          result.inserted++;
+          continue;
+        }
+
+        const changes = FeedItem.pickUpdatableFields(item);
+        const changed = Object.keys(changes).some(key => (changes[key] ?? null) !== (current[key] ?? null));
+
+        if (changed) {
+          await db('FeedItem').where('id', current.id).update(changes);
+        }
+
+        const enclosuresChanged = item.enclosures !== undefined &&
+          await ItemEnclosure.replaceForItem(current.id, item.enclosures);
+
+        if (changed || enclosuresChanged) {
+          result.updated++;
+        }
+      }
+
+      logger.debug(`Feed ${feedId}: ${result.inserted} items inserted, ${result.updated} updated`);
+      return result;
+    } catch (error) {
+      logger.error('Error upserting feed items:', error);
+      throw new Error('Item upsert failed');
+    }
+  }
+
+  /**
+   * Find the stored copy of an item, or insert it. Articles taken from other
+   * readers rarely carry the feed's own GUID, so a stored item of the same feed
+   * with the same identity hash or canonical link counts as the same article.
+   * Stored items are left as they are.
+   * @param {number} feedId - Feed ID
+   * @param {Object} item - Normalised, sanitised item
+   * @returns {Promise<Object>} - Item and whether it was inserted
+   */
+  static async findOrInsert(feedId, item) {
+    try {
+      const identityHash = ItemIdentity.identityHash(item);
+      const canonicalUrl = ItemIdentity.canonicalUrl(item.link);
+
+      const existing = await db('FeedItem')
+        .where('feed_id', feedId)
+        .where((match) => {
+          match.where('guid', item.guid);
+          if (identityHash) {
+            match.orWhere('identity_hash', identityHash);
+          }
+          if (canonicalUrl) {
+            match.orWhere('canonical_url', canonicalUrl);
+          }
+        })
+        .orderByRaw('guid = ? DESC', [item.guid])
+        .orderBy('id', 'asc')
+        .first();
+      if (existing) {
+        return { item: new FeedItem(existing), created: false };
+      }
+
+      const fetchedAt = new Date().toISOString();
+      const [itemId] = await db('FeedItem').insert({
+        feed_id: feedId,
+        guid: item.guid,
+        ...FeedItem.pickUpdatableFields({ ...item, identity_hash: identityHash, canonical_url: canonicalUrl }),
+        fetched_at: fetchedAt,
+        created_at: fetchedAt
+      });
+      if (item.enclosures && item.enclosures.length > 0) {
+        await ItemEnclosure.replaceForItem(itemId, item.enclosures);
+      }
+
+      return { item: await FeedItem.findById(itemId), created: true };
+    } catch (error) {
+      logger.error('Error storing feed item:', error);
+      throw new Error('Item upsert failed');
+    }
+  }
+
+  /**
+   * Find a stored copy of an article that a user can already see: an item
+   * with the same canonical link in any visible feed, or with the same GUID
+   * in a visible feed at the article's feed URL. Copies in the user's
+   * subscribed feeds come first, then the oldest.
+   * @param {number} userId - User ID
+   * @param {Object} item - Normalised, sanitised item
+   * @param {string} feedUrl - URL of the feed the article came from
+   * @returns {Promise<FeedItem|null>} - Stored item or null
+   */
+  static async findVisibleCopy(userId, item, feedUrl) {
+    try {
+      const canonicalUrl = ItemIdentity.canonicalUrl(item.link);
+
+      const existing = await Feed.whereVisibleTo(db('FeedItem').join('Feed', 'Feed.id', 'FeedItem.feed_id'), userId)
+        .where((match) => {
+          match.where((sameFeed) => {
+            sameFeed.where('Feed.url', feedUrl).where('FeedItem.guid', item.guid);
+          });
+          if (canonicalUrl) {
+            match.orWhere('FeedItem.canonical_url', canonicalUrl);
+          }
+        })
+        .select('FeedItem.*')
+        .orderByRaw(
+          'EXISTS (SELECT 1 FROM UserFeedSubscription WHERE UserFeedSubscription.feed_id = FeedItem.feed_id AND UserFeedSubscription.user_id = ?) DESC',
+          [userId]
+        )
+        .orderBy('FeedItem.id', 'asc')
+        .first();
+
+      return existing ? new FeedItem(existing) : null;
+    } catch (error) {
+      logger.error('Error finding a visible copy of an item:', error);
+      throw new Error('Item lookup failed');
+    }
+  }
+
+  /**
+   * Match items with unknown GUIDs to stored items whose GUID has disappeared
+   * from the document but whose identity hash is the same
+   * @param {number} feedId - Feed ID
+   * @param {Object[]} unknownItems - Items whose GUID is not stored yet
+   * @param {string[]} documentGuids - Every GUID in the fetched document
+   * @returns {Promise<Map<string, Object>>} - Stored rows keyed by the new GUID
+   */
+  static async findRenamedItems(feedId, unknownItems, documentGuids) {
+    const renamed = new Map();
+    const hashes = unknownItems.map(item => item.identity_hash).filter(Boolean);
+    if (hashes.length === 0) {
+      return renamed;
+    }
+
+    const candidates = await db('FeedItem')
+      .where('feed_id', feedId)
+      .whereIn('identity_hash', hashes)
+      .whereNotIn('guid', documentGuids);
+
+    // Only trust one-to-one matches; identical hashes on either side are ambiguous
+    const count = (values, hash) => values.filter(value => value === hash).length;
+    unknownItems.forEach(item => {
+      if (item.identity_hash && count(hashes, item.identity_hash) === 1) {
+        const matches = candidates.filter(row => row.identity_hash === item.identity_hash);
+        if (matches.length === 1) {
+          renamed.set(item.guid, matches[0]);
+        }
+      }
+    });
+
+    return renamed;
+  }
+
+  /**
+   * Pick the columns that may be refreshed from a normalised item
+   * @param {Object} item - Normalised item
+   * @returns {Object} - Column values
+   */
+  static pickUpdatableFields(item) {
+    return FeedItem.UPDATABLE_FIELDS.reduce((acc, field) => {
+      if (item[field] === undefined) {
+        return acc;
+      }
+
+      // Store values the way SQLite returns them so unchanged items compare equal
+      if (field === 'transcripts') {
+        acc[field] = item[field] && item[field].length > 0 ? JSON.stringify(item[field]) : null;
+      } else if (field === 'explicit') {
+        acc[field] = typeof item[field] === 'boolean' ? Number(item[field]) : null;
+      } else {
+        acc[field] = item[field];
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Get item data for API responses
+   * @returns {Object} - Public item data
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      feed_id: this.feed_id,
+      ...(this.feed !== undefined && { feed: this.feed }),
+      guid: this.guid,
+      canonical_url: this.canonical_url || null,
+      title: this.title,
+      link: this.link,
+      summary: this.summary,
+      content: this.content,
+      content_text: this.content_text || null,
+      author: this.author,
+      image_url: this.image_url,
+      published_at: this.published_at,
+      podcast: {
+        duration: this.duration || null,
+        episode: this.episode || null,
+        season: this.season || null,
+        episode_type: this.episode_type || null,
+        explicit: this.explicit,
+        chapters: this.chapters_url ? { url: this.chapters_url, type: this.chapters_type || null } : null,
+        transcripts: this.transcripts || []
+      },
+      ...(this.enclosures !== undefined && { enclosures: this.enclosures.map(enclosure => enclosure.getPublicData()) }),
+      ...(this.also_in !== undefined && { also_in: this.also_in }),
+      ...(this.display !== undefined && { display: this.display }),
+      fetched_at: this.fetched_at
+    };
+  }
+}
+
+module.exports = FeedItem;
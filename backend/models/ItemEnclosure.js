@@ -0,0 +1,120 @@
+const { db } = require('../db/database');
+const { logger } = require('../utils/logger');
+
+/**
+ * ItemEnclosure Model
+ * Handles the media files (podcast audio, video, attachments) attached to feed items
+ */
+class ItemEnclosure {
+  constructor(data) {
+    this.id = data.id;
+    this.item_id = data.item_id;
+    this.url = data.url;
+    this.mime_type = data.mime_type;
+    this.length = data.length;
+    this.duration = data.duration;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * Find the enclosures of an item
+   * @param {number} itemId - Item ID
+   * @returns {Promise<ItemEnclosure[]>} - Enclosures in feed order
+   */
+  static async findByItem(itemId) {
+    const enclosures = await ItemEnclosure.findByItems([itemId]);
+    return enclosures.get(Number(itemId)) || [];
+  }
+
+  /**
+   * Find the enclosures of several items at once
+   * @param {number[]} itemIds - Item IDs
+   * @returns {Promise<Map<number, ItemEnclosure[]>>} - Enclosures keyed by item ID
+   */
+  static async findByItems(itemIds) {
+    try {
+      const byItem = new Map();
+      if (itemIds.length === 0) {
+        return byItem;
+      }
+
+      const rows = await db('ItemEnclosure').whereIn('item_id', itemIds).orderBy('id', 'asc');
+
+      rows.forEach(row => {
+        if (!byItem.has(row.item_id)) {
+          byItem.set(row.item_id, []);
+        }
+        byItem.get(row.item_id).push(new ItemEnclosure(row));
+      });
+
+      return byItem;
+    } catch (error) {
+      logger.error('Error finding item enclosures:', error);
+      throw new Error('Enclosure lookup failed');
+    }
+  }
+
+  /**
+   * Replace the enclosures of an item when the feed's list has changed
+   * @param {number} itemId - Item ID
+   * @param {Object[]} enclosures - Normalised enclosures
+   * @returns {Promise<boolean>} - Whether the stored enclosures changed
+   */
+  static async replaceForItem(itemId, enclosures) {
+    try {
+      const current = await db('ItemEnclosure').where('item_id', itemId).orderBy('id', 'asc');
+
+      if (ItemEnclosure.fingerprint(current) === ItemEnclosure.fingerprint(enclosures)) {
+        return false;
+      }
+
+      await db('ItemEnclosure').where('item_id', itemId).del();
+
+      const createdAt = new Date().toISOString();
+      for (const enclosure of enclosures) {
+        await db('ItemEnclosure').insert({
+          item_id: itemId,
+          url: enclosure.url,
+          mime_type: enclosure.mime_type || null,
+          length: enclosure.length || null,
+          duration: enclosure.duration || null,
+          created_at: createdAt
+        });
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Error replacing item enclosures:', error);
+      throw new Error('Enclosure update failed');
+    }
+  }
+
+  /**
+   * Comparable representation of an enclosure list
+   * @param {Object[]} enclosures - Stored or normalised enclosures
+   * @returns {string} - Fingerprint
+   */
+  static fingerprint(enclosures) {
+    return JSON.stringify(enclosures.map(enclosure => [
+      enclosure.url,
+      enclosure.mime_type || null,
+      enclosure.length ? Number(enclosure.length) : null,
+      enclosure.duration || null
+    ]));
+  }
+
+  /**
+   * Get enclosure data for API responses
+   * @returns {Object} - Public enclosure data
+   */
+  getPublicData() {
+    return {
+      url: this.url,
+      mime_type: this.mime_type || null,
+      length: this.length ? Number(this.length) : null,
+      duration: this.duration || null
+    };
+  }
+}
+
+module.exports = ItemEnclosure;
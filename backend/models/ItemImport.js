@@ -0,0 +1,249 @@
+const { db } = require('../db/database');
+const { ValidationError } = require('../middlewares/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * ItemImport Model
+ * Tracks a background import of starred and saved articles from another
+ * reader. The entries still to import are stored with the job, and progress
+ * is checkpointed after every batch so an interrupted import can resume.
+ */
+class ItemImport {
+  static STATUSES = ['running', 'completed', 'failed'];
+
+  // Failed entries are listed up to this many; the rest are only counted
+  static MAX_ERRORS = 100;
+
+  // Everything except the stored entries, which can be large
+  static COLUMNS = [
+    'id', 'user_id', 'format', 'status', 'total', 'position', 'items_created', 'bookmarks_created',
+    'skipped', 'failed', 'errors', 'error', 'created_at', 'updated_at', 'finished_at'
+  ];
+
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.format = data.format;
+    this.status = data.status;
+    this.total = data.total;
+    this.position = data.position;
+    this.items_created = data.items_created;
+    this.bookmarks_created = data.bookmarks_created;
+    this.skipped = data.skipped;
+    this.failed = data.failed;
+    this.errors = typeof data.errors === 'string' ? JSON.parse(data.errors) : data.errors || [];
+    this.error = data.error;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+    this.finished_at = data.finished_at;
+  }
+
+  /**
+   * Create a running import
+   * @param {Object} importData - user_id, format and the entries to import
+   * @returns {Promise<ItemImport>} - Created import
+   */
+  static async create(importData) {
+    try {
+      const { user_id: userId, format, entries } = importData;
+
+      if (!userId || !format || !Array.isArray(entries)) {
+        throw new ValidationError('User, format and entries are required');
+      }
+
+      const now = new Date().toISOString();
+      const [importId] = await db('ItemImport').insert({
+        user_id: userId,
+        format,
+        status: 'running',
+        entries: JSON.stringify(entries),
+        total: entries.length,
+        created_at: now,
+        updated_at: now
+      });
+
+      logger.info(`Item import ${importId} of ${entries.length} ${format} entries created for user ${userId}`);
+      return ItemImport.findById(importId);
+    } catch (error) {
+      logger.error('Error creating item import:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Item import creation failed');
+    }
+  }
+
+  /**
+   * Find an import by ID
+   * @param {number} id - Import ID
+   * @returns {Promise<ItemImport|null>} - Import or null
+   */
+  static async findById(id) {
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new ValidationError('Invalid import ID provided');
+    }
+
+    try {
+      const importData = await db('ItemImport').select(ItemImport.COLUMNS).where('id', id).first();
+      return importData ? new ItemImport(importData) : null;
+    } catch (error) {
+      logger.error('Error finding item import:', error);
+      throw new Error('Item import lookup failed');
+    }
+  }
+
+  /**
+   * Find one of a user's imports
+   * @param {number} userId - User ID
+   * @param {number} id - Import ID
+   * @returns {Promise<ItemImport|null>} - Import or null
+   */
+  static async findByUserAndId(userId, id) {
+    const job = await ItemImport.findById(id);
+    return job && job.user_id === userId ? job : null;
+  }
+
+  /**
+   * List a user's imports, newest first
+   * @param {number} userId - User ID
+   * @param {Object} options - limit
+   * @returns {Promise<ItemImport[]>} - Imports
+   */
+  static async findByUser(userId, options = {}) {
+    try {
+      const { limit = 20 } = options;
+
+      const imports = await db('ItemImport')
+        .select(ItemImport.COLUMNS)
+        .where('user_id', userId)
+        .orderBy('id', 'desc')
+        .limit(limit);
+
+      return imports.map(importData => new ItemImport(importData));
+    } catch (error) {
+      logger.error('Error listing item imports:', error);
+      throw new Error('Item import lookup failed');
+    }
+  }
+
+  /**
+   * Find the imports that are still running, of one user or of everyone
+   * @param {number|null} userId - User ID, or null for all users
+   * @returns {Promise<ItemImport[]>} - Running imports, oldest first
+   */
+  static async findRunning(userId = null) {
+    try {
+      const query = db('ItemImport').select(ItemImport.COLUMNS).where('status', 'running').orderBy('id', 'asc');
+      if (userId) {
+        query.where('user_id', userId);
+      }
+
+      const imports = await query;
+      return imports.map(importData => new ItemImport(importData));
+    } catch (error) {
+      logger.error('Error finding running item imports:', error);
+      throw new Error('Item import lookup failed');
+    }
+  }
+
+  /**
+   * Load the stored entries
+   * @returns {Promise<Object[]>} - Entries, empty once the import has finished
+   */
+  async loadEntries() {
+    try {
+      const { entries } = await db('ItemImport').select('entries').where('id', this.id).first();
+      return entries ? JSON.parse(entries) : [];
+    } catch (error) {
+      logger.error('Error loading item import entries:', error);
+      throw new Error('Item import lookup failed');
+    }
+  }
+
+  /**
+   * Record the progress made up to a position
+   * @param {Object} progress - position, the counters items_created, bookmarks_created,
+   *   skipped and failed, and errors
+   * @returns {Promise<ItemImport>} - Updated import
+   */
+  async checkpoint(progress) {
+    try {
+      const updates = {
+        position: progress.position,
+        items_created: progress.items_created,
+        bookmarks_created: progress.bookmarks_created,
+        skipped: progress.skipped,
+        failed: progress.failed,
+        errors: JSON.stringify(progress.errors.slice(0, ItemImport.MAX_ERRORS)),
+        updated_at: new Date().toISOString()
+      };
+
+      await db('ItemImport').where('id', this.id).update(updates);
+
+      Object.assign(this, updates, { errors: progress.errors.slice(0, ItemImport.MAX_ERRORS) });
+      return this;
+    } catch (error) {
+      logger.error('Error saving item import progress:', error);
+      throw new Error('Item import update failed');
+    }
+  }
+
+  /**
+   * Mark the import as finished and drop its entries
+   * @param {string} status - completed or failed
+   * @param {string|null} message - Why a failed import stopped
+   * @returns {Promise<ItemImport>} - Updated import
+   */
+  async finish(status, message = null) {
+    try {
+      if (!ItemImport.STATUSES.includes(status) || status === 'running') {
+        throw new ValidationError(`Invalid import status: ${status}`);
+      }
+
+      const now = new Date().toISOString();
+      const updates = { status, error: message, finished_at: now, updated_at: now };
+
+      await db('ItemImport').where('id', this.id).update({ ...updates, entries: null });
+
+      Object.assign(this, updates);
+      return this;
+    } catch (error) {
+      logger.error('Error finishing item import:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Item import update failed');
+    }
+  }
+
+  /**
+   * Get import data for API responses
+   * @returns {Object} - Public import data
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      format: this.format,
+      status: this.status,
+      progress: {
+        total: this.total,
+        completed: this.position,
+        items_created: this.items_created,
+        bookmarks_created: this.bookmarks_created,
+        skipped: this.skipped,
+        failed: this.failed
+      },
+      errors: this.errors,
+      error: this.error || null,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+      finished_at: this.finished_at
+    };
+  }
+}
+
+module.exports = ItemImport;
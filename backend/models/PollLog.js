@@ -0,0 +1,173 @@
+const { db } = require('../db/database');
+const { logger } = require('../utils/logger');
+
+/**
+ * PollLog Model
+ * Records the outcome of every feed poll, with enough detail to diagnose feeds that break
+ */
+class PollLog {
+  constructor(data) {
+    this.id = data.id;
+    this.feed_id = data.feed_id;
+    this.run_at = data.run_at;
+    this.success = data.success;
+    this.new_items = data.new_items;
+    this.updated_items = data.updated_items;
+    this.items_parsed = data.items_parsed;
+    this.http_status = data.http_status;
+    this.duration_ms = data.duration_ms;
+    this.bytes = data.bytes;
+    this.final_url = data.final_url;
+    this.error_class = data.error_class;
+    this.error_code = data.error_code;
+    this.error_message = data.error_message;
+  }
+
+  /**
+   * Record a poll run
+   * @param {Object} logData - Poll outcome and diagnostics
+   * @returns {Promise<PollLog>} - Created log entry
+   */
+  static async create(logData) {
+    try {
+      const error = logData.error || null;
+      const logToCreate = {
+        feed_id: logData.feed_id,
+        run_at: logData.run_at || new Date().toISOString(),
+        success: logData.success ? 1 : 0,
+        new_items: logData.new_items || 0,
+        updated_items: logData.updated_items || 0,
+        items_parsed: logData.items_parsed !== undefined ? logData.items_parsed : null,
+        http_status: logData.http_status || null,
+        duration_ms: logData.duration_ms !== undefined ? logData.duration_ms : null,
+        bytes: logData.bytes !== undefined ? logData.bytes : null,
+        final_url: logData.final_url || null,
+        error_class: error ? error.constructor.name : null,
+        error_code: error && error.code ? String(error.code) : null,
+        error_message: error ? error.message : null
+      };
+
+      const [logId] = await db('PollLog').insert(logToCreate);
+
+      return new PollLog({ id: logId, ...logToCreate });
+    } catch (error) {
+      logger.error('Error creating poll log:', error);
+      throw new Error('Poll log creation failed');
+    }
+  }
+
+  /**
+   * Find poll logs for a feed, newest first
+   * @param {number} feedId - Feed ID
+   * @param {Object} options - Query options
+   * @returns {Promise<PollLog[]>} - Array of log entries
+   */
+  static async findByFeed(feedId, options = {}) {
+    try {
+      const { limit = 50, offset = 0 } = options;
+
+      const logs = await db('PollLog')
+        .where('feed_id', feedId)
+        .orderBy([{ column: 'run_at', order: 'desc' }, { column: 'id', order: 'desc' }])
+        .limit(limit)
+        .offset(offset);
+
+      return logs.map(logData => new PollLog(logData));
+    } catch (error) {
+      logger.error('Error finding poll logs:', error);
+      throw new Error('Poll log lookup failed');
+    }
+  }
+
+  /**
+   * List poll logs of all feeds, newest first
+   * @param {Object} options - limit, offset and the filters feedId, success, httpStatus, from and to
+   * @returns {Promise<Object>} - Log entries with their feed names, and the total matching
+   */
+  static async findAll(options = {}) {
+    try {
+      const { limit = 50, offset = 0, feedId = null, success = null, httpStatus = null, from = null, to = null } = options;
+
+      const applyFilters = (query) => {
+        if (feedId) {
+          query.where('PollLog.feed_id', feedId);
+        }
+        if (success !== null) {
+          query.where('PollLog.success', success ? 1 : 0);
+        }
+        if (httpStatus) {
+          query.where('PollLog.http_status', httpStatus);
+        }
+        if (from) {
+          query.where('PollLog.run_at', '>=', from);
+        }
+        if (to) {
+          query.where('PollLog.run_at', '<=', to);
+        }
+        return query;
+      };
+
+      const [{ total }] = await applyFilters(db('PollLog').count('PollLog.id as total'));
+
+      const rows = await applyFilters(
+        db('PollLog')
+          .leftJoin('Feed', 'Feed.id', 'PollLog.feed_id')
+          .select('PollLog.*', 'Feed.name as feed_name')
+      )
+        .orderBy([{ column: 'PollLog.run_at', order: 'desc' }, { column: 'PollLog.id', order: 'desc' }])
+        .limit(limit)
+        .offset(offset);
+
+      const logs = rows.map(row => {
+        const log = new PollLog(row);
+        log.feed_name = row.feed_name;
+        return log;
+      });
+
+      return { logs, total };
+    } catch (error) {
+      logger.error('Error listing poll logs:', error);
+      throw new Error('Poll log listing failed');
+    }
+  }
+
+  /**
+   * Delete poll logs recorded before a cutoff
+   * @param {string} cutoff - ISO timestamp
+   * @returns {Promise<number>} - Number of deleted log entries
+   */
+  static async deleteOlderThan(cutoff) {
+    try {
+      return await db('PollLog').where('run_at', '<', cutoff).del();
+    } catch (error) {
+      logger.error('Error pruning poll logs:', error);
+      throw new Error('Poll log pruning failed');
+    }
+  }
+
+  /**
+   * Get poll log data for API responses
+   * @returns {Object} - Log entry
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      feed_id: this.feed_id,
+      ...(this.feed_name !== undefined && { feed_name: this.feed_name }),
+      run_at: this.run_at,
+      success: Boolean(this.success),
+      http_status: this.http_status,
+      duration_ms: this.duration_ms,
+      bytes: this.bytes,
+      final_url: this.final_url,
+      items_parsed: this.items_parsed,
+      new_items: this.new_items,
+      updated_items: this.updated_items,
+      error_class: this.error_class,
+      error_code: this.error_code,
+      error_message: this.error_message
+    };
+  }
+}
+
+module.exports = PollLog;
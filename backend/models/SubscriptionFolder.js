@@ -0,0 +1,354 @@
+const { db } = require('../db/database');
+const { ValidationError } = require('../middlewares/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * SubscriptionFolder Model
+ * Handles a user's folders of subscriptions. Folders nest through parent_id,
+ * and folders and subscriptions are kept in a manual order among their
+ * siblings by position; those never placed by hand follow, sorted by name.
+ */
+class SubscriptionFolder {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.parent_id = data.parent_id;
+    this.name = data.name;
+    this.position = data.position;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Order a query by manual position, unplaced rows last
+   * @param {Object} query - Knex query builder
+   * @param {string} table - Table whose position column is used
+   * @param {string} nameColumn - Column sorting rows without a position
+   * @returns {Object} - The ordered query
+   */
+  static orderByPosition(query, table, nameColumn) {
+    return query
+      .orderByRaw(`${table}.position IS NULL`)
+      .orderBy([
+        { column: `${table}.position`, order: 'asc' },
+        { column: nameColumn, order: 'asc' },
+        { column: `${table}.id`, order: 'asc' }
+      ]);
+  }
+
+  /**
+   * Next free position among a user's folders and subscriptions in a folder
+   * @param {number} userId - User ID
+   * @param {number|null} parentId - Folder, or null for the top level
+   * @returns {Promise<number>} - Position after the last placed sibling
+   */
+  static async nextPosition(userId, parentId) {
+    const [folders, subscriptions] = await Promise.all([
+      db('SubscriptionFolder').where({ user_id: userId, parent_id: parentId }).max('position as last').first(),
+      db('UserFeedSubscription').where({ user_id: userId, folder_id: parentId }).max('position as last').first()
+    ]);
+    const last = Math.max(folders.last ?? -1, subscriptions.last ?? -1);
+
+    return last + 1;
+  }
+
+  /**
+   * Create a folder; until it is placed by hand it sorts among its siblings by name
+   * @param {Object} folderData - user_id, name and optional parent_id
+   * @returns {Promise<SubscriptionFolder>} - Created folder
+   */
+  static async create(folderData) {
+    try {
+      const { user_id: userId, name, parent_id: parentId = null } = folderData;
+
+      if (!userId || !name) {
+        throw new ValidationError('User and folder name are required');
+      }
+
+      const now = new Date().toISOString();
+      const [folderId] = await db('SubscriptionFolder').insert({
+        user_id: userId,
+        parent_id: parentId,
+        name,
+        created_at: now,
+        updated_at: now
+      });
+
+      logger.info(`Folder ${folderId} created by user ${userId}`);
+      return SubscriptionFolder.findById(folderId);
+    } catch (error) {
+      logger.error('Error creating folder:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Folder creation failed');
+    }
+  }
+
+  /**
+   * Find folder by ID
+   * @param {number} id - Folder ID
+   * @returns {Promise<SubscriptionFolder|null>} - Folder or null
+   */
+  static async findById(id) {
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new ValidationError('Invalid folder ID provided');
+    }
+
+    try {
+      const folderData = await db('SubscriptionFolder').where('id', id).first();
+      return folderData ? new SubscriptionFolder(folderData) : null;
+    } catch (error) {
+      logger.error('Error finding folder by ID:', error);
+      throw new Error('Folder lookup failed');
+    }
+  }
+
+  /**
+   * Find a folder of the given user
+   * @param {number} userId - User ID
+   * @param {number} id - Folder ID
+   * @returns {Promise<SubscriptionFolder|null>} - Folder, or null if missing or another user's
+   */
+  static async findByUserAndId(userId, id) {
+    const folder = await SubscriptionFolder.findById(id);
+    return folder && folder.user_id === userId ? folder : null;
+  }
+
+  /**
+   * List all of a user's folders
+   * @param {number} userId - User ID
+   * @returns {Promise<SubscriptionFolder[]>} - Folders in sibling order
+   */
+  static async findByUser(userId) {
+    try {
+      const rows = await SubscriptionFolder.orderByPosition(
+        db('SubscriptionFolder').where('user_id', userId),
+        'SubscriptionFolder',
+        'SubscriptionFolder.name'
+      );
+
+      return rows.map(folderData => new SubscriptionFolder(folderData));
+    } catch (error) {
+      logger.error('Error listing folders:', error);
+      throw new Error('Folder listing failed');
+    }
+  }
+
+  /**
+   * IDs of a folder and every folder nested in it
+   * @param {SubscriptionFolder[]} folders - All of the user's folders
+   * @param {number} folderId - Folder ID
+   * @returns {number[]} - Folder IDs, the folder itself first
+   */
+  static subtreeIds(folders, folderId) {
+    const ids = [folderId];
+
+    for (let i = 0; i < ids.length; i++) {
+      folders.filter(folder => folder.parent_id === ids[i]).forEach(folder => ids.push(folder.id));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Resolve a folder scope: the user's folder and its subfolders
+   * @param {number} userId - User ID
+   * @param {number} folderId - Folder ID
+   * @returns {Promise<number[]|null>} - Folder IDs, or null if the folder is missing or another user's
+   */
+  static async findScope(userId, folderId) {
+    if (!folderId || !Number.isInteger(Number(folderId))) {
+      throw new ValidationError('Invalid folder ID provided');
+    }
+
+    const folders = await SubscriptionFolder.findByUser(userId);
+    const folder = folders.find(candidate => candidate.id === Number(folderId));
+
+    return folder ? SubscriptionFolder.subtreeIds(folders, folder.id) : null;
+  }
+
+  /**
+   * Arrange folders and subscriptions into a tree, adding up unread counts
+   * @param {SubscriptionFolder[]} folders - All of the user's folders, in sibling order
+   * @param {UserFeedSubscription[]} subscriptions - All of the user's subscriptions with stats, in sibling order
+   * @returns {Object} - Top-level folders and subscriptions, as public data
+   */
+  static buildTree(folders, subscriptions) {
+    const nodes = new Map(folders.map(folder => [folder.id, {
+      ...folder.getPublicData(),
+      unread_count: 0,
+      folders: [],
+      subscriptions: []
+    }]));
+    const root = { folders: [], subscriptions: [] };
+    const parentOf = (folderId) => (folderId && nodes.get(folderId)) || root;
+
+    folders.forEach(folder => parentOf(folder.parent_id).folders.push(nodes.get(folder.id)));
+    subscriptions.forEach(subscription => parentOf(subscription.folder_id).subscriptions.push(subscription.getPublicData()));
+
+    const countUnread = (node) => {
+      node.unread_count = node.subscriptions.reduce((sum, subscription) => sum + (subscription.stats?.unread_count || 0), 0) +
+        node.folders.reduce((sum, child) => sum + countUnread(child), 0);
+      return node.unread_count;
+    };
+    root.folders.forEach(countUnread);
+
+    return root;
+  }
+
+  /**
+   * Put folders and subscriptions of one parent in the given order. Siblings
+   * left out follow the listed ones in their current order.
+   * @param {number} userId - User ID
+   * @param {number|null} parentId - Folder whose children are ordered, or null for the top level
+   * @param {Object} order - folder_ids and subscription_ids, first to last
+   * @returns {Promise<void>}
+   */
+  static async reorder(userId, parentId, order) {
+    try {
+      const { folder_ids: folderIds = [], subscription_ids: subscriptionIds = [] } = order;
+
+      const folders = await SubscriptionFolder.orderByPosition(
+        db('SubscriptionFolder').where({ user_id: userId, parent_id: parentId }).select('SubscriptionFolder.id'),
+        'SubscriptionFolder',
+        'SubscriptionFolder.name'
+      );
+      const subscriptions = await SubscriptionFolder.orderByPosition(
+        db('UserFeedSubscription')
+          .join('Feed', 'Feed.id', 'UserFeedSubscription.feed_id')
+          .where({ 'UserFeedSubscription.user_id': userId, 'UserFeedSubscription.folder_id': parentId })
+          .select('UserFeedSubscription.id', db.raw('COALESCE(UserFeedSubscription.custom_title, Feed.name) as title')),
+        'UserFeedSubscription',
+        'title'
+      );
+
+      const arrange = (siblings, ids, label) => {
+        const siblingIds = siblings.map(sibling => sibling.id);
+        const strangers = ids.filter(id => !siblingIds.includes(id));
+
+        if (strangers.length > 0) {
+          throw new ValidationError(`${label} ${strangers.join(', ')} not in this folder`);
+        }
+
+        return [...ids, ...siblingIds.filter(id => !ids.includes(id))];
+      };
+
+      const folderOrder = arrange(folders, folderIds, 'Folders');
+      const subscriptionOrder = arrange(subscriptions, subscriptionIds, 'Subscriptions');
+      const now = new Date().toISOString();
+
+      await db.transaction(async (trx) => {
+        for (const [position, id] of folderOrder.entries()) {
+          await trx('SubscriptionFolder').where('id', id).update({ position, updated_at: now });
+        }
+        for (const [position, id] of subscriptionOrder.entries()) {
+          await trx('UserFeedSubscription').where('id', id).update({ position, updated_at: now });
+        }
+      });
+    } catch (error) {
+      logger.error('Error reordering folder:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Folder reordering failed');
+    }
+  }
+
+  /**
+   * Rename the folder or move it into another folder, where it sorts by name
+   * until it is placed by hand
+   * @param {Object} updateData - name and/or parent_id (null for the top level)
+   * @returns {Promise<SubscriptionFolder>} - Updated folder
+   */
+  async update(updateData) {
+    try {
+      const allowedUpdates = { updated_at: new Date().toISOString() };
+
+      if (updateData.name !== undefined) {
+        allowedUpdates.name = updateData.name;
+      }
+
+      if (updateData.parent_id !== undefined && updateData.parent_id !== this.parent_id) {
+        const parentId = updateData.parent_id;
+
+        if (parentId !== null) {
+          const folders = await SubscriptionFolder.findByUser(this.user_id);
+          if (SubscriptionFolder.subtreeIds(folders, this.id).includes(parentId)) {
+            throw new ValidationError('A folder cannot be moved into itself or one of its subfolders');
+          }
+        }
+
+        allowedUpdates.parent_id = parentId;
+        allowedUpdates.position = null;
+      }
+
+      await db('SubscriptionFolder').where('id', this.id).update(allowedUpdates);
+
+      Object.assign(this, allowedUpdates);
+      return this;
+    } catch (error) {
+      logger.error('Error updating folder:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Folder update failed');
+    }
+  }
+
+  /**
+   * Delete the folder. Its subfolders and subscriptions move up into the
+   * folder's parent, after the parent's own children and in their old order.
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async delete() {
+    try {
+      const offset = await SubscriptionFolder.nextPosition(this.user_id, this.parent_id);
+      const now = new Date().toISOString();
+      let deleted;
+
+      await db.transaction(async (trx) => {
+        await trx('SubscriptionFolder').where('parent_id', this.id).update({
+          parent_id: this.parent_id,
+          position: trx.raw('position + ?', [offset]),
+          updated_at: now
+        });
+        await trx('UserFeedSubscription').where('folder_id', this.id).update({
+          folder_id: this.parent_id,
+          position: trx.raw('position + ?', [offset]),
+          updated_at: now
+        });
+        deleted = await trx('SubscriptionFolder').where('id', this.id).del();
+      });
+
+      logger.info(`Folder ${this.id} deleted by user ${this.user_id}`);
+      return deleted > 0;
+    } catch (error) {
+      logger.error('Error deleting folder:', error);
+      throw new Error('Folder deletion failed');
+    }
+  }
+
+  /**
+   * Get folder data for API responses
+   * @returns {Object} - Public folder data
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      name: this.name,
+      parent_id: this.parent_id,
+      position: this.position,
+      created_at: this.created_at,
+      updated_at: this.updated_at || this.created_at
+    };
+  }
+}
+
+module.exports = SubscriptionFolder;
@@ -35,6 +35,7 @@ class User {
     this.twofa_backup_codes = data.twofa_backup_codes;
     this.google_id = data.google_id;
     this.email_verified = data.email_verified;
+    this.role = data.role;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -0,0 +1,350 @@
+const { db } = require('../db/database');
+const Feed = require('./Feed');
+const SubscriptionFolder = require('./SubscriptionFolder');
+const { ValidationError } = require('../middlewares/errorHandler');
+const { logger } = require('../utils/logger');
+
+/**
+ * UserFeedSubscription Model
+ * Handles a user's subscription to a feed and its per-subscription settings:
+ * auto_refresh and custom_interval steer how often the poller fetches the feed,
+ * show_read_items whether read items stay in the user's timeline. A subscription
+ * may sit in one of the user's folders, in the manual order kept by position.
+ * The subscriber's own title, note and display settings override the shared
+ * feed for that user only.
+ */
+class UserFeedSubscription {
+  static DISPLAY_DEFAULTS = {
+    view: 'list',
+    open_in: 'content',
+    full_text: false,
+    sort_order: 'newest'
+  };
+
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.feed_id = data.feed_id;
+    this.auto_refresh = data.auto_refresh;
+    this.custom_interval = data.custom_interval;
+    this.show_read_items = data.show_read_items;
+    this.folder_id = data.folder_id;
+    this.position = data.position;
+    this.custom_title = data.custom_title;
+    this.note = data.note;
+    this.view = data.view;
+    this.open_in = data.open_in;
+    this.full_text = data.full_text;
+    this.sort_order = data.sort_order;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Convert preferences to column values
+   * @param {Object} preferences - auto_refresh, custom_interval and show_read_items
+   * @returns {Object} - Columns to store
+   */
+  static toColumns(preferences = {}) {
+    const columns = {};
+
+    if (preferences.auto_refresh !== undefined) {
+      columns.auto_refresh = preferences.auto_refresh ? 1 : 0;
+    }
+    if (preferences.custom_interval !== undefined) {
+      columns.custom_interval = preferences.custom_interval || null;
+    }
+    if (preferences.show_read_items !== undefined) {
+      columns.show_read_items = preferences.show_read_items ? 1 : 0;
+    }
+
+    return columns;
+  }
+
+  /**
+   * Convert the subscriber's title, note and display settings to column values
+   * @param {Object} overrides - custom_title, note and display (view, open_in, full_text, sort_order)
+   * @returns {Object} - Columns to store
+   */
+  static overrideColumns(overrides = {}) {
+    const columns = {};
+
+    if (overrides.custom_title !== undefined) {
+      columns.custom_title = overrides.custom_title || null;
+    }
+    if (overrides.note !== undefined) {
+      columns.note = overrides.note || null;
+    }
+
+    const display = overrides.display || {};
+    ['view', 'open_in', 'sort_order'].forEach((field) => {
+      if (display[field] !== undefined) {
+        columns[field] = display[field];
+      }
+    });
+    if (display.full_text !== undefined) {
+      columns.full_text = display.full_text ? 1 : 0;
+    }
+
+    return columns;
+  }
+
+  /**
+   * Read display settings from subscription columns, falling back to the
+   * defaults where there is no subscription
+   * @param {Object|null} columns - view, open_in, full_text and sort_order, possibly null
+   * @returns {Object} - Display settings
+   */
+  static getDisplay(columns) {
+    const defaults = UserFeedSubscription.DISPLAY_DEFAULTS;
+
+    return {
+      view: columns?.view || defaults.view,
+      open_in: columns?.open_in || defaults.open_in,
+      full_text: columns?.full_text === null || columns?.full_text === undefined ? defaults.full_text : Boolean(columns.full_text),
+      sort_order: columns?.sort_order || defaults.sort_order
+    };
+  }
+
+  /**
+   * Describe the subscribed feed in subscription responses
+   * @param {Object} feed - Feed or feed row
+   * @returns {Object} - Feed summary
+   */
+  static summarizeFeed(feed) {
+    return {
+      id: feed.id,
+      name: feed.name,
+      url: feed.url,
+      icon_url: Feed.iconUrl(feed.icon_path),
+      status: feed.status
+    };
+  }
+
+  /**
+   * Subscribe a user to a feed
+   * @param {Object} subscriptionData - user_id, feed_id, and optional preferences, folder_id,
+   *   custom_title, note and display
+   * @returns {Promise<UserFeedSubscription>} - Created subscription
+   */
+  static async create(subscriptionData) {
+    try {
+      const { user_id: userId, feed_id: feedId, preferences, folder_id: folderId = null } = subscriptionData;
+
+      if (!userId || !feedId) {
+        throw new ValidationError('User and feed are required');
+      }
+
+      const existing = await UserFeedSubscription.findByUserAndFeed(userId, feedId);
+      if (existing) {
+        throw new ValidationError('Already subscribed to this feed');
+      }
+
+      const now = new Date().toISOString();
+      const [subscriptionId] = await db('UserFeedSubscription').insert({
+        user_id: userId,
+        feed_id: feedId,
+        folder_id: folderId,
+        ...UserFeedSubscription.toColumns(preferences),
+        ...UserFeedSubscription.overrideColumns(subscriptionData),
+        created_at: now,
+        updated_at: now
+      });
+
+      logger.info(`User ${userId} subscribed to feed ${feedId}`);
+      return UserFeedSubscription.findById(subscriptionId);
+    } catch (error) {
+      logger.error('Error creating subscription:', error);
+
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      throw new Error('Subscription creation failed');
+    }
+  }
+
+  /**
+   * Find subscription by ID
+   * @param {number} id - Subscription ID
+   * @returns {Promise<UserFeedSubscription|null>} - Subscription or null
+   */
+  static async findById(id) {
+    if (!id || !Number.isInteger(Number(id))) {
+      throw new ValidationError('Invalid subscription ID provided');
+    }
+
+    try {
+      const subscriptionData = await db('UserFeedSubscription').where('id', id).first();
+      return subscriptionData ? new UserFeedSubscription(subscriptionData) : null;
+    } catch (error) {
+      logger.error('Error finding subscription by ID:', error);
+      throw new Error('Subscription lookup failed');
+    }
+  }
+
+  /**
+   * Find a user's subscription to a feed
+   * @param {number} userId - User ID
+   * @param {number} feedId - Feed ID
+   * @returns {Promise<UserFeedSubscription|null>} - Subscription or null
+   */
+  static async findByUserAndFeed(userId, feedId) {
+    try {
+      const subscriptionData = await db('UserFeedSubscription').where({ user_id: userId, feed_id: feedId }).first();
+      return subscriptionData ? new UserFeedSubscription(subscriptionData) : null;
+    } catch (error) {
+      logger.error('Error finding subscription:', error);
+      throw new Error('Subscription lookup failed');
+    }
+  }
+
+  /**
+   * List a user's subscriptions with their feeds, unread counts and latest item times
+   * @param {number} userId - User ID
+   * @returns {Promise<UserFeedSubscription[]>} - Subscriptions in manual order, then by title
+   */
+  static async findByUser(userId) {
+    try {
+      const query = Feed.whereVisibleTo(
+        db('UserFeedSubscription')
+          .join('Feed', 'Feed.id', 'UserFeedSubscription.feed_id')
+          .where('UserFeedSubscription.user_id', userId),
+        userId
+      )
+        .select('UserFeedSubscription.*')
+        .select('Feed.id as feed__id', 'Feed.name as feed__name', 'Feed.url as feed__url',
+          'Feed.status as feed__status', 'Feed.icon_path as feed__icon_path')
+        .select(db.raw('COALESCE(UserFeedSubscription.custom_title, Feed.name) as title'))
+        .select(db.raw('(SELECT COUNT(*) FROM FeedItem WHERE FeedItem.feed_id = Feed.id) as total_items'))
+        .select(db.raw(`(SELECT COUNT(*) FROM FeedItem WHERE FeedItem.feed_id = Feed.id AND NOT EXISTS
+          (SELECT 1 FROM ReadState WHERE ReadState.item_id = FeedItem.id AND ReadState.user_id = ?)) as unread_count`, [userId]))
+        .select(db.raw('(SELECT MAX(COALESCE(FeedItem.published_at, FeedItem.created_at)) FROM FeedItem WHERE FeedItem.feed_id = Feed.id) as latest_item_at'));
+
+      const rows = await SubscriptionFolder.orderByPosition(query, 'UserFeedSubscription', 'title');
+
+      return rows.map(row => {
+        const subscription = new UserFeedSubscription(row);
+        subscription.feed = UserFeedSubscription.summarizeFeed({
+          id: row.feed__id,
+          name: row.feed__name,
+          url: row.feed__url,
+          icon_path: row.feed__icon_path,
+          status: row.feed__status
+        });
+        subscription.stats = {
+          unread_count: row.unread_count,
+          total_items: row.total_items,
+          latest_item_at: row.latest_item_at || null
+        };
+        return subscription;
+      });
+    } catch (error) {
+      logger.error('Error listing subscriptions:', error);
+      throw new Error('Subscription listing failed');
+    }
+  }
+
+  /**
+   * Update subscription preferences and the subscriber's title, note and display settings
+   * @param {Object} preferences - auto_refresh, custom_interval and show_read_items
+   * @param {Object} overrides - custom_title, note and display
+   * @returns {Promise<UserFeedSubscription>} - Updated subscription
+   */
+  async update(preferences, overrides = {}) {
+    try {
+      const allowedUpdates = {
+        ...UserFeedSubscription.toColumns(preferences),
+        ...UserFeedSubscription.overrideColumns(overrides),
+        updated_at: new Date().toISOString()
+      };
+
+      await db('UserFeedSubscription').where('id', this.id).update(allowedUpdates);
+
+      Object.assign(this, allowedUpdates);
+      return this;
+    } catch (error) {
+      logger.error('Error updating subscription:', error);
+      throw new Error('Subscription update failed');
+    }
+  }
+
+  /**
+   * Move the subscription into a folder, where it sorts by title until it is placed by hand
+   * @param {number|null} folderId - Folder ID, or null for the top level
+   * @returns {Promise<UserFeedSubscription>} - Moved subscription
+   */
+  async moveTo(folderId) {
+    try {
+      if (folderId === this.folder_id) {
+        return this;
+      }
+
+      const allowedUpdates = {
+        folder_id: folderId,
+        position: null,
+        updated_at: new Date().toISOString()
+      };
+
+      await db('UserFeedSubscription').where('id', this.id).update(allowedUpdates);
+
+      Object.assign(this, allowedUpdates);
+      return this;
+    } catch (error) {
+      logger.error('Error moving subscription:', error);
+      throw new Error('Subscription move failed');
+    }
+  }
+
+  /**
+   * Unsubscribe; the feed and its items stay for other subscribers
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async delete() {
+    try {
+      const deleted = await db('UserFeedSubscription').where('id', this.id).del();
+
+      logger.info(`User ${this.user_id} unsubscribed from feed ${this.feed_id}`);
+      return deleted > 0;
+    } catch (error) {
+      logger.error('Error deleting subscription:', error);
+      throw new Error('Subscription deletion failed');
+    }
+  }
+
+  /**
+   * Get subscription preferences
+   * @returns {Object} - Preferences
+   */
+  getPreferences() {
+    return {
+      auto_refresh: Boolean(this.auto_refresh),
+      custom_interval: this.custom_interval || null,
+      show_read_items: Boolean(this.show_read_items)
+    };
+  }
+
+  /**
+   * Get subscription data for API responses
+   * @returns {Object} - Public subscription data
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      feed_id: this.feed_id,
+      folder_id: this.folder_id || null,
+      position: this.position ?? null,
+      ...(this.feed && { feed: this.feed, title: this.custom_title || this.feed.name }),
+      custom_title: this.custom_title || null,
+      note: this.note || null,
+      preferences: this.getPreferences(),
+      display: UserFeedSubscription.getDisplay(this),
+      ...(this.stats && { stats: this.stats }),
+      created_at: this.created_at,
+      updated_at: this.updated_at || this.created_at
+    };
+  }
+}
+
+module.exports = UserFeedSubscription;
@@ -0,0 +1,112 @@
+const express = require('express');
+const Feed = require('../models/Feed');
+const PollLog = require('../models/PollLog');
+const feedRefresh = require('../utils/feedRefresh');
+const { FeedRefresh } = require('../utils/feedRefresh');
+const AuthMiddleware = require('../middlewares/auth');
+const { ValidationMiddleware } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ * Handles system diagnostics that are only available to administrators
+ */
+
+/**
+ * @route POST /api/v1/admin/feeds/poll
+ * @desc Poll one feed, or every polled feed, right away, including recently fetched ones;
+ * answers with a refresh job to follow
+ * @access Private (admin)
+ */
+router.post('/feeds/poll',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRole('admin'),
+  ValidationMiddleware.validateFeedRefresh,
+  async (req, res) => {
+    try {
+      const { feed_id: feedId } = req.validatedData;
+      let feeds;
+      let scope;
+
+      if (feedId) {
+        const feed = await Feed.findById(feedId);
+        if (!feed) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'FEED_NOT_FOUND',
+              message: 'Feed not found'
+            }
+          });
+        }
+        feeds = [feed];
+        scope = { type: 'feed', feed_id: feed.id };
+      } else {
+        feeds = await Feed.findPolled();
+        scope = { type: 'all' };
+      }
+
+      // Administrators are not throttled, so they can check a broken feed again right after fixing it
+      const job = feedRefresh.start(req.user.id, feeds, { scope, force: true });
+
+      logger.info(`Poll ${job.id} of ${feeds.length} feeds started by admin ${req.user.id}`);
+
+      res.status(202).json({
+        success: true,
+        data: FeedRefresh.getPublicData(job)
+      });
+    } catch (error) {
+      logger.error('Manual poll error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REFRESH_FAILED',
+          message: 'Failed to start polling'
+        }
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/admin/logs/polls
+ * @desc List poll logs of all feeds, newest first, filtered by feed, outcome, HTTP status and date range
+ * @access Private (admin)
+ */
+router.get('/logs/polls',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireRole('admin'),
+  ValidationMiddleware.validatePollLogQuery,
+  async (req, res) => {
+    try {
+      const { limit, offset } = req.validatedData;
+      const { logs, total } = await PollLog.findAll(req.validatedData);
+
+      res.json({
+        success: true,
+        data: {
+          logs: logs.map(log => log.getPublicData()),
+          pagination: {
+            total,
+            limit,
+            offset,
+            has_more: offset + logs.length < total
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Poll log listing error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'POLL_LOG_LIST_FAILED',
+          message: 'Failed to list poll logs'
+        }
+      });
+    }
+  }
+);
+
+module.exports = router;
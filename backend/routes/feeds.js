@@ -0,0 +1,396 @@
+const express = require('express');
+const Feed = require('../models/Feed');
+const FeedAlias = require('../models/FeedAlias');
+const FeedDiscovery = require('../utils/feedDiscovery');
+const PageScraper = require('../utils/pageScraper');
+const PollScheduler = require('../utils/pollScheduler');
+const FeedRegistry = require('../utils/feedRegistry');
+const FeedCredentials = require('../utils/feedCredentials');
+const AuthMiddleware = require('../middlewares/auth');
+const { ValidationMiddleware } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+const { ValidationError, FeedFetchError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Feed Routes
+ * Handles listing, adding and maintaining feed sources; feeds added with
+ * credentials are private to the user who added them
+ */
+
+/**
+ * Send an error response for a failed feed operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the handler
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendFeedError = (res, error, code, message) => {
+  if (error instanceof ValidationError || error instanceof FeedFetchError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+/**
+ * Load the feed named by the :id parameter or respond with 404; other
+ * users' private feeds are reported as missing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadFeed = async (req, res, next) => {
+  try {
+    const feed = await Feed.findById(req.params.id);
+
+    if (!feed || !feed.isVisibleTo(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FEED_NOT_FOUND',
+          message: 'Feed not found'
+        }
+      });
+    }
+
+    req.feed = feed;
+    next();
+  } catch (error) {
+    logger.error('Feed lookup error:', error);
+    sendFeedError(res, error, 'FEED_LOOKUP_FAILED', 'Failed to retrieve feed');
+  }
+};
+
+/**
+ * Let only the users who manage the loaded feed change it: admins for
+ * shared feeds and the owner for private ones, which loadFeed hides from
+ * everyone else
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireFeedManager = (req, res, next) => (req.feed.owner_id === req.user.id
+  ? next()
+  : AuthMiddleware.requireRole('admin')(req, res, next));
+
+/**
+ * @route GET /api/v1/feeds
+ * @desc List the shared feeds and the user's private feeds
+ * @access Private
+ */
+router.get('/',
+  AuthMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const search = req.query.search ? String(req.query.search).trim() : null;
+
+      const { feeds, total } = await Feed.findAll({ limit, offset, search, userId: req.user.id });
+
+      res.json({
+        success: true,
+        data: {
+          feeds: feeds.map(feed => feed.getPublicData()),
+          pagination: {
+            total,
+            limit,
+            offset,
+            has_more: offset + feeds.length < total
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Feed listing error:', error);
+      sendFeedError(res, error, 'FEED_LIST_FAILED', 'Failed to list feeds');
+    }
+  }
+);
+
+/**
+ * Respond with 409 when a feed already exists for the URL
+ * @param {Object} res - Express response object
+ * @param {string} url - Feed URL
+ * @param {number|null} ownerId - Owner of the private feed being added, or null for a shared feed
+ * @returns {Promise<boolean>} - True if a response was sent
+ */
+const rejectExistingFeed = async (res, url, ownerId = null) => {
+  // Former URLs of moved and merged feeds resolve to the feed that replaced them
+  const existingFeed = await Feed.findByUrlOrAlias(url, ownerId);
+  if (!existingFeed) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: {
+      code: 'FEED_EXISTS',
+      message: 'Feed with this URL already exists'
+    },
+    data: existingFeed.getPublicData()
+  });
+  return true;
+};
+
+/**
+ * Scrape a page that is about to be added, refusing selectors that match nothing
+ * @param {string} url - Page URL
+ * @param {Object} scraper - Scraper configuration
+ * @param {Object|null} authHeaders - Credential headers
+ * @returns {Promise<Object>} - Page URL, parsed feed and whether the URL was permanently redirected
+ */
+const scrapePage = async (url, scraper, authHeaders) => {
+  const { response, feed } = await PageScraper.fetchAndScrape(url, scraper, { authHeaders });
+
+  if (feed.items.length === 0) {
+    throw new FeedFetchError('No items matched the selectors on this page', 'NO_ITEMS_FOUND');
+  }
+
+  return { url: response.permanentUrl, feed, movedPermanently: response.permanentUrl !== url };
+};
+
+/**
+ * @route POST /api/v1/feeds
+ * @desc Add a new feed from a feed or website URL after verifying that it can be fetched and parsed;
+ * a feed added with credentials is private to the user, and one added with a scraper reads a web page
+ * through CSS selectors
+ * @access Private
+ */
+router.post('/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFeedCreate,
+  async (req, res) => {
+    try {
+      const { name, credentials, scraper } = req.validatedData;
+      const ownerId = credentials ? req.user.id : null;
+      const authHeaders = credentials ? FeedCredentials.toHeaders(credentials) : null;
+
+      if (await rejectExistingFeed(res, req.validatedData.url, ownerId)) {
+        return;
+      }
+
+      // Website URLs are resolved to the best feed they offer, unless the page itself is to be scraped
+      const { url, feed: parsedFeed, movedPermanently } = scraper
+        ? await scrapePage(req.validatedData.url, scraper, authHeaders)
+        : await FeedDiscovery.resolve(req.validatedData.url, { authHeaders });
+
+      if (url !== req.validatedData.url && await rejectExistingFeed(res, url, ownerId)) {
+        return;
+      }
+
+      const feed = await FeedRegistry.add({
+        requestedUrl: req.validatedData.url,
+        url,
+        parsedFeed,
+        movedPermanently,
+        name,
+        ownerId,
+        credentials,
+        scraper
+      });
+
+      logger.info(`Feed added by user ${req.user.id}: ${feed.url}`);
+
+      res.status(201).json({
+        success: true,
+        data: feed.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Feed creation error:', error);
+      sendFeedError(res, error, 'FEED_CREATE_FAILED', 'Failed to add feed');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/feeds/discover
+ * @desc Find the feeds offered by a website, ranked best first
+ * @access Private
+ */
+router.post('/discover',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFeedDiscover,
+  async (req, res) => {
+    try {
+      const discovery = await FeedDiscovery.discover(req.validatedData.url);
+
+      res.json({
+        success: true,
+        data: discovery
+      });
+    } catch (error) {
+      logger.error('Feed discovery error:', error);
+      sendFeedError(res, error, 'FEED_DISCOVERY_FAILED', 'Failed to discover feeds');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/feeds/preview
+ * @desc Show the items a set of CSS selectors extracts from a web page before it is added
+ * @access Private
+ */
+router.post('/preview',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFeedPreview,
+  async (req, res) => {
+    try {
+      const { url, scraper, credentials } = req.validatedData;
+      const preview = await PageScraper.preview(url, scraper, {
+        authHeaders: credentials ? FeedCredentials.toHeaders(credentials) : null
+      });
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      logger.error('Scraper preview error:', error);
+      sendFeedError(res, error, 'FEED_PREVIEW_FAILED', 'Failed to preview page');
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/feeds/:id
+ * @desc Get feed details, statistics and former URLs
+ * @access Private
+ */
+router.get('/:id',
+  AuthMiddleware.authenticate,
+  loadFeed,
+  async (req, res) => {
+    try {
+      const stats = await req.feed.getStats();
+      req.feed.aliases = await FeedAlias.findByFeed(req.feed.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...req.feed.getPublicData(),
+          stats
+        }
+      });
+    } catch (error) {
+      logger.error('Feed details error:', error);
+      sendFeedError(res, error, 'FEED_LOOKUP_FAILED', 'Failed to retrieve feed');
+    }
+  }
+);
+
+/**
+ * @route PUT /api/v1/feeds/:id
+ * @desc Update feed name, status, fetch interval, retention limits, credentials of private feeds or
+ * selectors of scraped pages
+ * @access Private
+ */
+router.put('/:id',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFeedUpdate,
+  loadFeed,
+  requireFeedManager,
+  async (req, res) => {
+    try {
+      let feed = await req.feed.update(req.validatedData);
+
+      if (req.validatedData.fetch_interval !== undefined && feed.last_fetched_at) {
+        feed = await PollScheduler.scheduleFeed(feed);
+      }
+
+      res.json({
+        success: true,
+        data: feed.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Feed update error:', error);
+      sendFeedError(res, error, 'FEED_UPDATE_FAILED', 'Failed to update feed');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/feeds/:id/pause
+ * @desc Stop polling a feed
+ * @access Private
+ */
+router.post('/:id/pause',
+  AuthMiddleware.authenticate,
+  loadFeed,
+  requireFeedManager,
+  async (req, res) => {
+    try {
+      const feed = await req.feed.pause();
+
+      res.json({
+        success: true,
+        data: feed.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Feed pause error:', error);
+      sendFeedError(res, error, 'FEED_UPDATE_FAILED', 'Failed to pause feed');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/feeds/:id/resume
+ * @desc Resume polling a paused feed
+ * @access Private
+ */
+router.post('/:id/resume',
+  AuthMiddleware.authenticate,
+  loadFeed,
+  requireFeedManager,
+  async (req, res) => {
+    try {
+      const feed = await req.feed.resume();
+
+      res.json({
+        success: true,
+        data: feed.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Feed resume error:', error);
+      sendFeedError(res, error, 'FEED_UPDATE_FAILED', 'Failed to resume feed');
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/v1/feeds/:id
+ * @desc Delete a feed together with its items
+ * @access Private
+ */
+router.delete('/:id',
+  AuthMiddleware.authenticate,
+  loadFeed,
+  requireFeedManager,
+  async (req, res) => {
+    try {
+      await req.feed.delete();
+
+      logger.info(`Feed ${req.feed.id} deleted by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Feed deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Feed deletion error:', error);
+      sendFeedError(res, error, 'FEED_DELETE_FAILED', 'Failed to delete feed');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const SubscriptionFolder = require('../models/SubscriptionFolder');
+const UserFeedSubscription = require('../models/UserFeedSubscription');
+const AuthMiddleware = require('../middlewares/auth');
+const { ValidationMiddleware } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Folder Routes
+ * Handles the user's nested folders of subscriptions and the manual order
+ * of folders and subscriptions within them
+ */
+
+/**
+ * Send an error response for a failed folder operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the handler
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendFolderError = (res, error, code, message) => {
+  if (error instanceof ValidationError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+/**
+ * Respond with 404 for a folder that is missing or another user's
+ * @param {Object} res - Express response object
+ */
+const sendFolderNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'FOLDER_NOT_FOUND',
+    message: 'Folder not found'
+  }
+});
+
+/**
+ * Load the user's folder named by the :id parameter or respond with 404
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadFolder = async (req, res, next) => {
+  try {
+    const folder = await SubscriptionFolder.findByUserAndId(req.user.id, req.params.id);
+
+    if (!folder) {
+      return sendFolderNotFound(res);
+    }
+
+    req.folder = folder;
+    next();
+  } catch (error) {
+    logger.error('Folder lookup error:', error);
+    sendFolderError(res, error, 'FOLDER_LOOKUP_FAILED', 'Failed to retrieve folder');
+  }
+};
+
+/**
+ * @route GET /api/v1/folders
+ * @desc Get the user's folders as a tree holding their subscriptions, with unread counts
+ * @access Private
+ */
+router.get('/',
+  AuthMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const [folders, subscriptions] = await Promise.all([
+        SubscriptionFolder.findByUser(req.user.id),
+        UserFeedSubscription.findByUser(req.user.id)
+      ]);
+
+      res.json({
+        success: true,
+        data: SubscriptionFolder.buildTree(folders, subscriptions)
+      });
+    } catch (error) {
+      logger.error('Folder listing error:', error);
+      sendFolderError(res, error, 'FOLDER_LIST_FAILED', 'Failed to list folders');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/folders
+ * @desc Create a folder, at the top level or inside another folder
+ * @access Private
+ */
+router.post('/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFolderCreate,
+  async (req, res) => {
+    try {
+      const { name, parent_id: parentId } = req.validatedData;
+
+      if (parentId && !(await SubscriptionFolder.findByUserAndId(req.user.id, parentId))) {
+        return sendFolderNotFound(res);
+      }
+
+      const folder = await SubscriptionFolder.create({ user_id: req.user.id, name, parent_id: parentId });
+
+      res.status(201).json({
+        success: true,
+        data: folder.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Folder creation error:', error);
+      sendFolderError(res, error, 'FOLDER_CREATE_FAILED', 'Failed to create folder');
+    }
+  }
+);
+
+/**
+ * @route PUT /api/v1/folders/order
+ * @desc Set the order of the folders and subscriptions directly inside a folder, or at the top level
+ * @access Private
+ */
+router.put('/order',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFolderOrder,
+  async (req, res) => {
+    try {
+      const { parent_id: parentId, folder_ids: folderIds, subscription_ids: subscriptionIds } = req.validatedData;
+
+      if (parentId && !(await SubscriptionFolder.findByUserAndId(req.user.id, parentId))) {
+        return sendFolderNotFound(res);
+      }
+
+      await SubscriptionFolder.reorder(req.user.id, parentId, { folder_ids: folderIds, subscription_ids: subscriptionIds });
+
+      res.json({
+        success: true,
+        message: 'Folder order updated'
+      });
+    } catch (error) {
+      logger.error('Folder reordering error:', error);
+      sendFolderError(res, error, 'FOLDER_REORDER_FAILED', 'Failed to reorder folder');
+    }
+  }
+);
+
+/**
+ * @route PUT /api/v1/folders/:id
+ * @desc Rename a folder or move it into another folder
+ * @access Private
+ */
+router.put('/:id',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFolderUpdate,
+  loadFolder,
+  async (req, res) => {
+    try {
+      const { parent_id: parentId } = req.validatedData;
+
+      if (parentId && !(await SubscriptionFolder.findByUserAndId(req.user.id, parentId))) {
+        return sendFolderNotFound(res);
+      }
+
+      const folder = await req.folder.update(req.validatedData);
+
+      res.json({
+        success: true,
+        data: folder.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Folder update error:', error);
+      sendFolderError(res, error, 'FOLDER_UPDATE_FAILED', 'Failed to update folder');
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/v1/folders/:id
+ * @desc Delete a folder; its subfolders and subscriptions move up into its parent
+ * @access Private
+ */
+router.delete('/:id',
+  AuthMiddleware.authenticate,
+  loadFolder,
+  async (req, res) => {
+    try {
+      await req.folder.delete();
+
+      res.json({
+        success: true,
+        message: 'Folder deleted'
+      });
+    } catch (error) {
+      logger.error('Folder deletion error:', error);
+      sendFolderError(res, error, 'FOLDER_DELETE_FAILED', 'Failed to delete folder');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const multer = require('multer');
+const config = require('../config');
+const ItemImport = require('../models/ItemImport');
+const ItemArchive = require('../utils/itemArchive');
+const itemImporter = require('../utils/itemImporter');
+const AuthMiddleware = require('../middlewares/auth');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+// Exports are parsed straight from memory; multer errors such as
+// LIMIT_FILE_SIZE reach the error handler
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.ITEM_IMPORT_MAX_FILE_SIZE, files: 1 }
+});
+
+/**
+ * Import Routes
+ * Handles importing starred and saved articles exported by other readers
+ */
+
+/**
+ * Send an error response for a failed import operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the handler
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendImportError = (res, error, code, message) => {
+  if (error instanceof ValidationError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+/**
+ * @route POST /api/v1/imports
+ * @desc Upload a Google Reader/Inoreader starred.json, Feedly saved-items export or JSON Feed archive;
+ * its articles are stored, bookmarked and tagged in the background
+ * @access Private
+ */
+router.post('/',
+  AuthMiddleware.authenticate,
+  upload.single('file'),
+  async (req, res) => {
+    try {
+      const [running] = await ItemImport.findRunning(req.user.id);
+      if (running) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'IMPORT_IN_PROGRESS',
+            message: 'An import is already running'
+          },
+          data: running.getPublicData()
+        });
+      }
+
+      if (!req.file) {
+        throw new ValidationError('Upload an export in the file field');
+      }
+
+      const archive = ItemArchive.parse(req.file.buffer.toString('utf8'));
+
+      if (archive.entries.length === 0) {
+        throw new ValidationError('The file holds no articles');
+      }
+      if (archive.entries.length > config.ITEM_IMPORT_MAX_ITEMS) {
+        throw new ValidationError(
+          `The file holds ${archive.entries.length} articles; at most ${config.ITEM_IMPORT_MAX_ITEMS} can be imported at once`
+        );
+      }
+
+      const job = await itemImporter.create(req.user.id, archive);
+
+      res.status(202).json({
+        success: true,
+        data: job.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Item import error:', error);
+      sendImportError(res, error, 'IMPORT_FAILED', 'Failed to start import');
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/imports
+ * @desc List the user's recent imports, newest first
+ * @access Private
+ */
+router.get('/',
+  AuthMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const imports = await ItemImport.findByUser(req.user.id);
+
+      res.json({
+        success: true,
+        data: imports.map(job => job.getPublicData())
+      });
+    } catch (error) {
+      logger.error('Item import list error:', error);
+      sendImportError(res, error, 'IMPORT_LIST_FAILED', 'Failed to list imports');
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/imports/:id
+ * @desc Get the progress of an import
+ * @access Private
+ */
+router.get('/:id',
+  AuthMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const job = await ItemImport.findByUserAndId(req.user.id, req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'IMPORT_NOT_FOUND',
+            message: 'Import not found'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Item import lookup error:', error);
+      sendImportError(res, error, 'IMPORT_LOOKUP_FAILED', 'Failed to retrieve import');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const SubscriptionFolder = require('../models/SubscriptionFolder');
+const UserFeedSubscription = require('../models/UserFeedSubscription');
+const AuthMiddleware = require('../middlewares/auth');
+const { ValidationMiddleware } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Item Routes
+ * Handles reading the items collected from feeds
+ */
+
+/**
+ * Send an error response for a failed item operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the handler
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendItemError = (res, error, code, message) => {
+  if (error instanceof ValidationError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+/**
+ * Resolve the feed_id or folder_id the items are limited to, from the validated
+ * body or the query string, or respond with 404. A folder scope takes in its subfolders.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadScope = async (req, res, next) => {
+  try {
+    const { feed_id: feedId = null, folder_id: folderId = null } = req.validatedData || req.query;
+    req.scope = { userId: req.user.id, feedId: null, folderIds: null };
+
+    if (feedId && folderId) {
+      throw new ValidationError('Provide either feed_id or folder_id');
+    }
+
+    if (feedId) {
+      const feed = await Feed.findById(feedId);
+      if (!feed || !feed.isVisibleTo(req.user.id)) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'FEED_NOT_FOUND',
+            message: 'Feed not found'
+          }
+        });
+      }
+      req.scope.feedId = feed.id;
+    }
+
+    if (folderId) {
+      req.scope.folderIds = await SubscriptionFolder.findScope(req.user.id, folderId);
+      if (!req.scope.folderIds) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'FOLDER_NOT_FOUND',
+            message: 'Folder not found'
+          }
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Item scope error:', error);
+    sendItemError(res, error, 'ITEM_LIST_FAILED', 'Failed to list items');
+  }
+};
+
+/**
+ * @route GET /api/v1/items
+ * @desc List items from the user's subscriptions, a folder of them or a single feed, collapsing cross-feed duplicates.
+ * A single subscribed feed is listed with the subscriber's display settings.
+ * @access Private
+ */
+router.get('/',
+  AuthMiddleware.authenticate,
+  loadScope,
+  async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const collapseDuplicates = req.query.collapse_duplicates !== 'false';
+
+      const subscription = req.scope.feedId ? await UserFeedSubscription.findByUserAndFeed(req.user.id, req.scope.feedId) : null;
+      const display = UserFeedSubscription.getDisplay(subscription);
+
+      const { items, total } = await FeedItem.findAll({ limit, offset, ...req.scope, collapseDuplicates, sortOrder: display.sort_order });
+      await FeedItem.withEnclosures(items);
+      await FeedItem.withAlsoIn(items, req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          items: items.map(item => item.getPublicData()),
+          display,
+          pagination: {
+            total,
+            limit,
+            offset,
+            has_more: offset + items.length < total
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Item listing error:', error);
+      sendItemError(res, error, 'ITEM_LIST_FAILED', 'Failed to list items');
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/items/unread-count
+ * @desc Count unread items in the user's subscriptions, a folder of them or a single feed
+ * @access Private
+ */
+router.get('/unread-count',
+  AuthMiddleware.authenticate,
+  loadScope,
+  async (req, res) => {
+    try {
+      const unreadCount = await FeedItem.countUnread(req.scope);
+
+      res.json({
+        success: true,
+        data: {
+          unread_count: unreadCount
+        }
+      });
+    } catch (error) {
+      logger.error('Unread count error:', error);
+      sendItemError(res, error, 'UNREAD_COUNT_FAILED', 'Failed to count unread items');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/items/mark-all-read
+ * @desc Mark every unread item in the user's subscriptions, a folder of them or a single feed as read
+ * @access Private
+ */
+router.post('/mark-all-read',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateMarkAllRead,
+  loadScope,
+  async (req, res) => {
+    try {
+      const markedRead = await FeedItem.markAllRead({ ...req.scope, before: req.validatedData.before });
+
+      res.json({
+        success: true,
+        data: {
+          marked_read: markedRead
+        }
+      });
+    } catch (error) {
+      logger.error('Mark all read error:', error);
+      sendItemError(res, error, 'MARK_READ_FAILED', 'Failed to mark items as read');
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/items/:id
+ * @desc Get item details, including enclosures and podcast metadata
+ * @access Private
+ */
+router.get('/:id',
+  AuthMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const item = await FeedItem.findById(req.params.id);
+      const feed = item ? await Feed.findById(item.feed_id) : null;
+
+      // Items of other users' private feeds are reported as missing
+      if (!item || !feed.isVisibleTo(req.user.id)) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ITEM_NOT_FOUND',
+            message: 'Item not found'
+          }
+        });
+      }
+
+      FeedItem.withFeed(item, feed, await UserFeedSubscription.findByUserAndFeed(req.user.id, feed.id));
+      await FeedItem.withEnclosures([item]);
+      await FeedItem.withAlsoIn([item], req.user.id);
+
+      res.json({
+        success: true,
+        data: item.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Item details error:', error);
+      sendItemError(res, error, 'ITEM_LOOKUP_FAILED', 'Failed to retrieve item');
+    }
+  }
+);
+
+module.exports = router;
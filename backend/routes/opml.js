@@ -0,0 +1,158 @@
+const express = require('express');
+const multer = require('multer');
+const config = require('../config');
+const SubscriptionFolder = require('../models/SubscriptionFolder');
+const UserFeedSubscription = require('../models/UserFeedSubscription');
+const Opml = require('../utils/opml');
+const opmlImport = require('../utils/opmlImport');
+const { OpmlImport } = require('../utils/opmlImport');
+const AuthMiddleware = require('../middlewares/auth');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+// OPML files are parsed straight from memory; multer errors such as
+// LIMIT_FILE_SIZE reach the error handler
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.MAX_FILE_SIZE, files: 1 }
+});
+
+/**
+ * OPML Routes
+ * Handles importing subscriptions from other readers and exporting them as OPML
+ */
+
+/**
+ * @route POST /api/v1/opml/import
+ * @desc Upload an OPML file; its feeds are subscribed to in the background, in folders following its outlines
+ * @access Private
+ */
+router.post('/import',
+  AuthMiddleware.authenticate,
+  upload.single('file'),
+  async (req, res) => {
+    try {
+      const running = opmlImport.findRunning(req.user.id);
+      if (running) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'IMPORT_IN_PROGRESS',
+            message: 'An import is already running'
+          },
+          data: OpmlImport.getPublicData(running)
+        });
+      }
+
+      if (!req.file) {
+        throw new ValidationError('Upload an OPML file in the file field');
+      }
+
+      const { outlines } = Opml.parse(req.file.buffer.toString('utf8'));
+      const total = OpmlImport.flatten(outlines).length;
+
+      if (total === 0) {
+        throw new ValidationError('The file lists no feeds');
+      }
+      if (total > config.OPML_IMPORT_MAX_FEEDS) {
+        throw new ValidationError(`The file lists ${total} feeds; at most ${config.OPML_IMPORT_MAX_FEEDS} can be imported at once`);
+      }
+
+      const job = opmlImport.start(req.user.id, outlines);
+
+      logger.info(`OPML import ${job.id} of ${total} feeds started by user ${req.user.id}`);
+
+      res.status(202).json({
+        success: true,
+        data: OpmlImport.getPublicData(job)
+      });
+    } catch (error) {
+      logger.error('OPML import error:', error);
+
+      if (error instanceof ValidationError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: {
+            code: error.code,
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'IMPORT_FAILED',
+          message: 'Failed to start import'
+        }
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/opml/import/:jobId
+ * @desc Get the progress of an import and the result of each feed
+ * @access Private
+ */
+router.get('/import/:jobId',
+  AuthMiddleware.authenticate,
+  (req, res) => {
+    const job = opmlImport.find(req.params.jobId, req.user.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'IMPORT_NOT_FOUND',
+          message: 'Import not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: OpmlImport.getPublicData(job)
+    });
+  }
+);
+
+/**
+ * @route GET /api/v1/opml/export
+ * @desc Download the user's subscriptions, folders and titles as an OPML 2.0 file
+ * @access Private
+ */
+router.get('/export',
+  AuthMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const [folders, subscriptions] = await Promise.all([
+        SubscriptionFolder.findByUser(req.user.id),
+        UserFeedSubscription.findByUser(req.user.id)
+      ]);
+
+      const opml = Opml.build(SubscriptionFolder.buildTree(folders, subscriptions), {
+        title: `${req.user.name}'s subscriptions`,
+        ownerName: req.user.name,
+        ownerEmail: req.user.email
+      });
+
+      res.set('Content-Type', 'text/x-opml; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="subscriptions.opml"');
+      res.send(opml);
+    } catch (error) {
+      logger.error('OPML export error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'EXPORT_FAILED',
+          message: 'Failed to export subscriptions'
+        }
+      });
+    }
+  }
+);
+
+module.exports = router;
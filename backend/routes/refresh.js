@@ -0,0 +1,196 @@
+const express = require('express');
+const Feed = require('../models/Feed');
+const SubscriptionFolder = require('../models/SubscriptionFolder');
+const feedRefresh = require('../utils/feedRefresh');
+const { FeedRefresh } = require('../utils/feedRefresh');
+const AuthMiddleware = require('../middlewares/auth');
+const { ValidationMiddleware } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Refresh Routes
+ * Handles manual "refresh now" requests: starting a refresh of one feed, a
+ * folder of subscriptions or all subscribed feeds, and following its progress
+ */
+
+/**
+ * Load the refresh job named by the :jobId parameter or respond with 404;
+ * other users' jobs are reported as missing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadJob = (req, res, next) => {
+  const job = feedRefresh.find(req.params.jobId, req.user.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'REFRESH_NOT_FOUND',
+        message: 'Refresh not found'
+      }
+    });
+  }
+
+  req.job = job;
+  next();
+};
+
+/**
+ * @route POST /api/v1/refresh
+ * @desc Poll one feed, the feeds in a folder, or every feed the user subscribes to, right away; answers with a job to follow
+ * @access Private
+ */
+router.post('/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateFeedRefresh,
+  async (req, res) => {
+    try {
+      const running = feedRefresh.findRunning(req.user.id);
+      if (running) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'REFRESH_IN_PROGRESS',
+            message: 'A refresh is already running'
+          },
+          data: FeedRefresh.getPublicData(running)
+        });
+      }
+
+      const wait = feedRefresh.getCooldown(req.user.id);
+      if (wait > 0) {
+        res.set('Retry-After', String(wait));
+        return res.status(429).json({
+          success: false,
+          error: {
+            code: 'REFRESH_THROTTLED',
+            message: `Feeds were refreshed recently. Try again in ${wait} seconds.`
+          }
+        });
+      }
+
+      const { feed_id: feedId, folder_id: folderId } = req.validatedData;
+      let feeds;
+      let scope;
+
+      if (feedId) {
+        const feed = await Feed.findById(feedId);
+        if (!feed || !feed.isVisibleTo(req.user.id)) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'FEED_NOT_FOUND',
+              message: 'Feed not found'
+            }
+          });
+        }
+        feeds = [feed];
+        scope = { type: 'feed', feed_id: feed.id };
+      } else if (folderId) {
+        const folderIds = await SubscriptionFolder.findScope(req.user.id, folderId);
+        if (!folderIds) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'FOLDER_NOT_FOUND',
+              message: 'Folder not found'
+            }
+          });
+        }
+        feeds = await Feed.findSubscribed(req.user.id, folderIds);
+        scope = { type: 'folder', folder_id: folderId };
+      } else {
+        feeds = await Feed.findSubscribed(req.user.id);
+        scope = { type: 'subscriptions' };
+      }
+
+      const job = feedRefresh.start(req.user.id, feeds, { scope });
+
+      logger.info(`Refresh ${job.id} of ${feeds.length} feeds started by user ${req.user.id}`);
+
+      res.status(202).json({
+        success: true,
+        data: FeedRefresh.getPublicData(job)
+      });
+    } catch (error) {
+      logger.error('Refresh start error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'REFRESH_FAILED',
+          message: 'Failed to start refresh'
+        }
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/v1/refresh/:jobId
+ * @desc Get the progress of a refresh and the result of each feed polled so far
+ * @access Private
+ */
+router.get('/:jobId',
+  AuthMiddleware.authenticate,
+  loadJob,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: FeedRefresh.getPublicData(req.job)
+    });
+  }
+);
+
+/**
+ * @route GET /api/v1/refresh/:jobId/events
+ * @desc Stream the progress of a refresh as server-sent events, ending with a `complete` event
+ * @access Private
+ */
+router.get('/:jobId/events',
+  AuthMiddleware.authenticate,
+  loadJob,
+  (req, res) => {
+    const { job } = req;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    const send = (event) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(FeedRefresh.getPublicData(job))}\n\n`);
+      // Compression buffers the response unless it is flushed after every event
+      if (res.flush) {
+        res.flush();
+      }
+    };
+
+    if (job.status === 'completed') {
+      send('complete');
+      return res.end();
+    }
+
+    const onProgress = () => send('progress');
+    const onComplete = () => {
+      send('complete');
+      res.end();
+    };
+    const stopListening = () => {
+      job.events.off('progress', onProgress);
+      job.events.off('complete', onComplete);
+    };
+
+    job.events.on('progress', onProgress);
+    job.events.once('complete', onComplete);
+    res.on('close', stopListening);
+
+    send('progress');
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const Feed = require('../models/Feed');
+const UserFeedSubscription = require('../models/UserFeedSubscription');
+const SubscriptionFolder = require('../models/SubscriptionFolder');
+const FeedRegistry = require('../utils/feedRegistry');
+const PollScheduler = require('../utils/pollScheduler');
+const AuthMiddleware = require('../middlewares/auth');
+const { ValidationMiddleware } = require('../utils/validation');
+const { logger } = require('../utils/logger');
+const { ValidationError, FeedFetchError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+/**
+ * Subscription Routes
+ * Handles subscribing users to feeds and their per-subscription settings
+ */
+
+/**
+ * Send an error response for a failed subscription operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the handler
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendSubscriptionError = (res, error, code, message) => {
+  if (error instanceof ValidationError || error instanceof FeedFetchError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+/**
+ * Load the user's subscription named by the :id parameter or respond with 404
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadSubscription = async (req, res, next) => {
+  try {
+    const subscription = await UserFeedSubscription.findById(req.params.id);
+
+    if (!subscription || subscription.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SUBSCRIPTION_NOT_FOUND',
+          message: 'Subscription not found'
+        }
+      });
+    }
+
+    req.subscription = subscription;
+    next();
+  } catch (error) {
+    logger.error('Subscription lookup error:', error);
+    sendSubscriptionError(res, error, 'SUBSCRIPTION_LOOKUP_FAILED', 'Failed to retrieve subscription');
+  }
+};
+
+/**
+ * Respond with 404 for a folder that is missing or another user's
+ * @param {Object} res - Express response object
+ */
+const sendFolderNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'FOLDER_NOT_FOUND',
+    message: 'Folder not found'
+  }
+});
+
+/**
+ * Recompute a feed's schedule after its subscribers' settings changed
+ * @param {number} feedId - Feed ID
+ * @returns {Promise<void>}
+ */
+const rescheduleFeed = async (feedId) => {
+  const feed = await Feed.findById(feedId);
+
+  // Feeds that were never fetched are polled on the next cycle anyway
+  if (feed && feed.last_fetched_at) {
+    await PollScheduler.scheduleFeed(feed);
+  }
+};
+
+/**
+ * @route GET /api/v1/subscriptions
+ * @desc List the user's subscriptions with unread counts and the time of the latest item
+ * @access Private
+ */
+router.get('/',
+  AuthMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const subscriptions = await UserFeedSubscription.findByUser(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          subscriptions: subscriptions.map(subscription => subscription.getPublicData())
+        }
+      });
+    } catch (error) {
+      logger.error('Subscription listing error:', error);
+      sendSubscriptionError(res, error, 'SUBSCRIPTION_LIST_FAILED', 'Failed to list subscriptions');
+    }
+  }
+);
+
+/**
+ * @route POST /api/v1/subscriptions
+ * @desc Subscribe to a feed by ID, or by a feed or website URL, which adds the shared feed if it is new
+ * @access Private
+ */
+router.post('/',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateSubscriptionCreate,
+  async (req, res) => {
+    try {
+      const { feed_id: feedId, url, name, folder_id: folderId, preferences, custom_title: customTitle, note, display } = req.validatedData;
+      let feed;
+
+      if (folderId && !(await SubscriptionFolder.findByUserAndId(req.user.id, folderId))) {
+        return sendFolderNotFound(res);
+      }
+
+      if (feedId) {
+        feed = await Feed.findById(feedId);
+        if (!feed || !feed.isVisibleTo(req.user.id)) {
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: 'FEED_NOT_FOUND',
+              message: 'Feed not found'
+            }
+          });
+        }
+      } else {
+        ({ feed } = await FeedRegistry.findOrCreate(url, { name }));
+      }
+
+      const existing = await UserFeedSubscription.findByUserAndFeed(req.user.id, feed.id);
+      if (existing) {
+        existing.feed = UserFeedSubscription.summarizeFeed(feed);
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'SUBSCRIPTION_EXISTS',
+            message: 'Already subscribed to this feed'
+          },
+          data: existing.getPublicData()
+        });
+      }
+
+      const subscription = await UserFeedSubscription.create({
+        user_id: req.user.id,
+        feed_id: feed.id,
+        folder_id: folderId,
+        preferences,
+        custom_title: customTitle,
+        note,
+        display
+      });
+      if (preferences.custom_interval || preferences.auto_refresh === false) {
+        await rescheduleFeed(feed.id);
+      }
+
+      subscription.feed = UserFeedSubscription.summarizeFeed(feed);
+
+      res.status(201).json({
+        success: true,
+        data: subscription.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Subscription creation error:', error);
+      sendSubscriptionError(res, error, 'SUBSCRIPTION_CREATE_FAILED', 'Failed to subscribe');
+    }
+  }
+);
+
+/**
+ * @route PUT /api/v1/subscriptions/:id
+ * @desc Update subscription preferences, the subscriber's title, note and display settings, or move
+ * the subscription into another folder
+ * @access Private
+ */
+router.put('/:id',
+  AuthMiddleware.authenticate,
+  ValidationMiddleware.validateSubscriptionUpdate,
+  loadSubscription,
+  async (req, res) => {
+    try {
+      const { preferences, folder_id: folderId, overrides } = req.validatedData;
+
+      if (folderId && !(await SubscriptionFolder.findByUserAndId(req.user.id, folderId))) {
+        return sendFolderNotFound(res);
+      }
+
+      const subscription = await req.subscription.update(preferences, overrides);
+      if (folderId !== undefined) {
+        await subscription.moveTo(folderId);
+      }
+
+      if (preferences.custom_interval !== undefined || preferences.auto_refresh !== undefined) {
+        await rescheduleFeed(subscription.feed_id);
+      }
+
+      res.json({
+        success: true,
+        data: subscription.getPublicData()
+      });
+    } catch (error) {
+      logger.error('Subscription update error:', error);
+      sendSubscriptionError(res, error, 'SUBSCRIPTION_UPDATE_FAILED', 'Failed to update subscription');
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/v1/subscriptions/:id
+ * @desc Unsubscribe from a feed
+ * @access Private
+ */
+router.delete('/:id',
+  AuthMiddleware.authenticate,
+  loadSubscription,
+  async (req, res) => {
+    try {
+      await req.subscription.delete();
+      await rescheduleFeed(req.subscription.feed_id);
+
+      res.json({
+        success: true,
+        message: 'Successfully unsubscribed'
+      });
+    } catch (error) {
+      logger.error('Subscription deletion error:', error);
+      sendSubscriptionError(res, error, 'SUBSCRIPTION_DELETE_FAILED', 'Failed to unsubscribe');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const Feed = require('../models/Feed');
+const feedPoller = require('../utils/feedPoller');
+const webSub = require('../utils/webSub');
+const { WebSub } = require('../utils/webSub');
+const CharsetDetector = require('../utils/charsetDetector');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+const router = express.Router();
+
+/**
+ * WebSub Routes
+ * Callback endpoints hubs use to verify subscriptions and deliver content
+ */
+
+/**
+ * Send an error response for a failed callback request
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the handler
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendWebSubError = (res, error, code, message) => {
+  if (error instanceof ValidationError || error.code === 'FEED_PARSE_FAILED') {
+    return res.status(error.code === 'FEED_PARSE_FAILED' ? 400 : error.statusCode).json({
+      success: false,
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: { code, message }
+  });
+};
+
+/**
+ * Respond with the 404 hubs treat as a refusal
+ * @param {Object} res - Express response object
+ */
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'SUBSCRIPTION_NOT_FOUND',
+    message: 'No matching subscription'
+  }
+});
+
+/**
+ * @route GET /api/v1/websub/:feedId
+ * @desc Answer a hub's subscription, unsubscription or denial request
+ * @access Public (hubs)
+ */
+router.get('/:feedId', async (req, res) => {
+  try {
+    const feed = await Feed.findById(req.params.feedId);
+
+    if (!feed) {
+      return sendNotFound(res);
+    }
+
+    const challenge = await webSub.verify(feed, req.query);
+
+    if (challenge === null) {
+      logger.warn(`Refused WebSub ${req.query['hub.mode']} verification for feed ${feed.id}`);
+      return sendNotFound(res);
+    }
+
+    res.status(200).type('text/plain').send(challenge);
+  } catch (error) {
+    logger.error('WebSub verification error:', error);
+    sendWebSubError(res, error, 'WEBSUB_VERIFICATION_FAILED', 'Failed to verify subscription');
+  }
+});
+
+/**
+ * @route POST /api/v1/websub/:feedId
+ * @desc Ingest content a hub delivers for a subscribed feed
+ * @access Public (hubs, authenticated by X-Hub-Signature)
+ */
+router.post('/:feedId',
+  express.raw({ type: () => true, limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const feed = await Feed.findById(req.params.feedId);
+
+      if (!feed) {
+        return sendNotFound(res);
+      }
+
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      // Unauthenticated deliveries are acknowledged so the hub stops retrying, but never ingested
+      if (!WebSub.isAuthentic(feed, req.get('X-Hub-Signature'), body)) {
+        logger.warn(`Ignored WebSub delivery for feed ${feed.id} with a missing or invalid signature`);
+        return res.status(202).end();
+      }
+
+      await feedPoller.ingestPush(feed, CharsetDetector.toUtf8(body, req.get('Content-Type')).body);
+
+      res.status(202).end();
+    } catch (error) {
+      logger.error('WebSub delivery error:', error);
+      sendWebSubError(res, error, 'WEBSUB_DELIVERY_FAILED', 'Failed to process delivery');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const CharsetDetector = require('../utils/charsetDetector');
+const FeedFetcher = require('../utils/feedFetcher');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+// "日本語のニュース" in Shift_JIS and "中文新闻" in GB2312
+const SHIFT_JIS_TITLE = Buffer.from([0x93, 0xFA, 0x96, 0x7B, 0x8C, 0xEA, 0x82, 0xCC, 0x83, 0x6A, 0x83, 0x85, 0x81, 0x5B, 0x83, 0x58]);
+const GB2312_TITLE = Buffer.from([0xD6, 0xD0, 0xCE, 0xC4, 0xD0, 0xC2, 0xCE, 0xC5]);
+
+/**
+ * Build a raw RSS document; strings are written byte for byte and buffers as is
+ * @param {string} declaration - XML declaration, or '' for none
+ * @param {string|Buffer} title - Item title
+ * @returns {Buffer} - Document bytes
+ */
+const rss = (declaration, title) => Buffer.concat([
+  Buffer.from(`${declaration}<rss version="2.0"><channel><title>Encoded</title><link>https://encoded.example.com/</link><item><title>`, 'latin1'),
+  Buffer.isBuffer(title) ? title : Buffer.from(title, 'latin1'),
+  Buffer.from('</title><link>https://encoded.example.com/1</link><guid>1</guid></item></channel></rss>', 'latin1')
+]);
+
+const xmlDeclaration = (encoding) => `<?xml version="1.0" encoding="${encoding}"?>\n`;
+const served = (body, contentType = 'application/rss+xml') => ({ headers: { 'Content-Type': contentType }, body });
+
+describe('Charset Detection Tests', () => {
+  let feedServer;
+  let testUser;
+  let userToken;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    testUser = await User.create({
+      name: 'Charset User',
+      email: 'charset@example.com',
+      password: 'SecurePass123!'
+    });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    await testUser.delete();
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    Object.keys(feedServer.routes).forEach(route => delete feedServer.routes[route]);
+  });
+
+  describe('Detection', () => {
+    test('should prefer the BOM, then the XML declaration, then the header', () => {
+      const withBom = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), rss(xmlDeclaration('ISO-8859-2'), 'x')]);
+      const declared = rss(xmlDeclaration('ISO-8859-2'), 'x');
+      const undeclared = rss('', 'x');
+
+      expect(CharsetDetector.detect(withBom, 'text/xml; charset=koi8-r')).toEqual({ encoding: 'utf-8', source: 'bom' });
+      expect(CharsetDetector.detect(declared, 'text/xml; charset=koi8-r')).toEqual({ encoding: 'iso-8859-2', source: 'xml_declaration' });
+      expect(CharsetDetector.detect(undeclared, 'text/xml; charset=koi8-r')).toEqual({ encoding: 'koi8-r', source: 'http_header' });
+      expect(CharsetDetector.detect(undeclared, 'text/xml')).toEqual({ encoding: 'utf-8', source: 'heuristic' });
+    });
+
+    test('should normalise labels and ignore unknown ones', () => {
+      expect(CharsetDetector.normalize('ISO-8859-1')).toBe('windows-1252');
+      expect(CharsetDetector.normalize('"Shift_JIS"')).toBe('shift_jis');
+      expect(CharsetDetector.normalize('GB2312')).toBe('gbk');
+      expect(CharsetDetector.normalize('x-made-up')).toBeNull();
+
+      expect(CharsetDetector.detect(rss(xmlDeclaration('x-made-up'), 'x'), 'text/xml; charset=x-also-made-up'))
+        .toEqual({ encoding: 'utf-8', source: 'heuristic' });
+    });
+
+    test('should distrust a legacy header charset on a body that is valid UTF-8', () => {
+      const body = rss('', Buffer.from('Café crème', 'utf8'));
+
+      expect(CharsetDetector.detect(body, 'application/rss+xml; charset=ISO-8859-1')).toEqual({ encoding: 'utf-8', source: 'heuristic' });
+      expect(CharsetDetector.toUtf8(body, 'application/rss+xml; charset=ISO-8859-1').body).toContain('Café crème');
+    });
+
+    test('should recognise undeclared Shift_JIS, GBK and Latin text', () => {
+      expect(CharsetDetector.guess(rss('', SHIFT_JIS_TITLE))).toBe('shift_jis');
+      expect(CharsetDetector.guess(rss('', GB2312_TITLE))).toBe('gbk');
+      expect(CharsetDetector.guess(rss('', 'Caf\xe9 \x96 na\xefve'))).toBe('windows-1252');
+    });
+  });
+
+  describe('Fetching', () => {
+    test('should transcode declared legacy encodings despite a wrong header', async () => {
+      feedServer.routes['/latin2.xml'] = served(
+        rss(xmlDeclaration('ISO-8859-2'), '\xaelu\xbbou\xe8k\xfd k\xf9\xf2'),
+        'application/rss+xml; charset=utf-8'
+      );
+
+      const { response, feed } = await FeedFetcher.fetchAndParse(`${feedServer.baseUrl}/latin2.xml`);
+
+      expect(response).toMatchObject({ encoding: 'iso-8859-2', encodingSource: 'xml_declaration' });
+      expect(feed.items[0].title).toBe('Žluťoučký kůň');
+    });
+
+    test('should transcode UTF-16 documents with a BOM', async () => {
+      const xml = `${xmlDeclaration('UTF-16')}<rss version="2.0"><channel><title>Wide</title><item><title>Ünïcödé</title><guid>1</guid></item></channel></rss>`;
+      feedServer.routes['/wide.xml'] = served(Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(xml, 'utf16le')]));
+
+      const { response, feed } = await FeedFetcher.fetchAndParse(`${feedServer.baseUrl}/wide.xml`);
+
+      expect(response).toMatchObject({ encoding: 'utf-16le', encodingSource: 'bom' });
+      expect(feed.items[0].title).toBe('Ünïcödé');
+    });
+
+    test('should use the header charset when the document names none', async () => {
+      feedServer.routes['/chinese.xml'] = served(rss('', GB2312_TITLE), 'text/xml; charset=GB2312');
+
+      const { response, feed } = await FeedFetcher.fetchAndParse(`${feedServer.baseUrl}/chinese.xml`);
+
+      expect(response).toMatchObject({ encoding: 'gbk', encodingSource: 'http_header' });
+      expect(feed.items[0].title).toBe('中文新闻');
+    });
+  });
+
+  describe('Polling', () => {
+    test('should store the detected encoding on the feed', async () => {
+      feedServer.routes['/japanese.xml'] = served(rss('', SHIFT_JIS_TITLE), 'application/rss+xml');
+      const feed = await Feed.create({ name: 'Japanese', url: `${feedServer.baseUrl}/japanese.xml` });
+
+      await new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+
+      const item = await db('FeedItem').where('feed_id', feed.id).first();
+      expect(item.title).toBe('日本語のニュース');
+
+      const response = await request(app)
+        .get(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ encoding: 'shift_jis', encoding_source: 'heuristic' });
+    });
+  });
+});
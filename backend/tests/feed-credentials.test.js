@@ -0,0 +1,336 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const config = require('../config');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const FeedFetcher = require('../utils/feedFetcher');
+const FeedCredentials = require('../utils/feedCredentials');
+const { FeedValidation } = require('../utils/validation');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const rss = (title, guids) => `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>${title}</title><link>https://private.example.com/</link>
+${guids.map(guid => `<item><title>Post ${guid}</title><link>https://private.example.com/${guid}</link><guid>${guid}</guid></item>`).join('')}
+</channel></rss>`;
+
+const basicAuth = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+describe('Feed Credentials Tests', () => {
+  let feedServer;
+  let owner;
+  let otherUser;
+  let ownerToken;
+  let otherToken;
+
+  const credentials = {
+    type: 'basic',
+    username: 'reader',
+    password: 's3cret',
+    headers: { 'X-Api-Key': 'k-123' }
+  };
+
+  // Only answers requests that carry the reader's credentials
+  const protectedFeed = (title, guids) => (req, res) => {
+    if (req.headers.authorization !== basicAuth('reader', 's3cret')) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="feed"' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+    res.end(rss(title, guids));
+  };
+
+  const feedRequests = (path) => feedServer.requests.filter(logged => logged.url === path);
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    owner = await User.create({
+      name: 'Credential Owner',
+      email: 'credentials-owner@example.com',
+      password: 'SecurePass123!'
+    });
+    otherUser = await User.create({
+      name: 'Credential Other',
+      email: 'credentials-other@example.com',
+      password: 'SecurePass123!'
+    });
+    ownerToken = JWTUtils.generateTokenPair(owner).accessToken;
+    otherToken = JWTUtils.generateTokenPair(otherUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    await owner.delete();
+    await otherUser.delete();
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    Object.keys(feedServer.routes).forEach(route => delete feedServer.routes[route]);
+    feedServer.requests.length = 0;
+  });
+
+  describe('Encryption', () => {
+    test('should encrypt credentials and decrypt them again', () => {
+      const encrypted = FeedCredentials.encrypt(credentials);
+
+      expect(encrypted).toMatch(/^v1:/);
+      expect(encrypted).not.toContain('s3cret');
+      expect(FeedCredentials.encrypt(credentials)).not.toBe(encrypted);
+      expect(FeedCredentials.decrypt(encrypted)).toEqual(credentials);
+    });
+
+    test('should refuse tampered ciphertext', () => {
+      const encrypted = FeedCredentials.encrypt(credentials);
+      const data = Buffer.from(encrypted.slice(3), 'base64');
+      data[data.length - 1] ^= 1;
+
+      expect(() => FeedCredentials.decrypt(`v1:${data.toString('base64')}`)).toThrow('could not be decrypted');
+      expect(() => FeedCredentials.decrypt('v0:abc')).toThrow('Unrecognised');
+    });
+
+    test('should refuse to store credentials with the development key in production', () => {
+      const environment = config.NODE_ENV;
+      config.NODE_ENV = 'production';
+
+      try {
+        expect(FeedCredentials.isConfigured()).toBe(false);
+        expect(() => FeedCredentials.encrypt(credentials)).toThrow('FEED_CREDENTIALS_KEY');
+      } finally {
+        config.NODE_ENV = environment;
+      }
+    });
+
+    test('should build request headers and a summary without secrets', () => {
+      expect(FeedCredentials.toHeaders(credentials)).toEqual({
+        Authorization: basicAuth('reader', 's3cret'),
+        'X-Api-Key': 'k-123'
+      });
+      expect(FeedCredentials.toHeaders({ type: 'bearer', token: 'tok', cookie: 'sid=1', headers: {} })).toEqual({
+        Authorization: 'Bearer tok',
+        Cookie: 'sid=1'
+      });
+      expect(FeedCredentials.describe(credentials)).toEqual({
+        type: 'basic',
+        username: 'reader',
+        cookie: false,
+        headers: ['X-Api-Key']
+      });
+    });
+  });
+
+  describe('Validation', () => {
+    const validate = (value) => {
+      const errors = [];
+      const normalized = FeedValidation.validateCredentials(value, errors);
+      return { errors, normalized };
+    };
+
+    test('should normalise valid credentials', () => {
+      expect(validate({ type: 'bearer', token: 'tok', extra: 'ignored' }).normalized).toEqual({
+        type: 'bearer',
+        token: 'tok',
+        headers: {}
+      });
+      expect(validate({ cookie: 'sid=1' }).errors).toEqual([]);
+      expect(validate(null)).toEqual({ errors: [], normalized: null });
+    });
+
+    test('should reject incomplete credentials and unsafe headers', () => {
+      const tooMany = Object.fromEntries(Array.from({ length: 21 }, (_, i) => [`X-H${i}`, 'v']));
+
+      expect(validate({ type: 'basic', password: 'x' }).errors).toHaveLength(1);
+      expect(validate({ type: 'digest' }).errors.length).toBeGreaterThan(0);
+      expect(validate({}).errors).toEqual(['Credentials need a type, a cookie or at least one header']);
+      expect(validate({ headers: { Authorization: 'Basic x' } }).errors[0]).toContain('cannot be set');
+      expect(validate({ headers: { 'X-Api-Key': 'a\r\nHost: evil' } }).errors[0]).toContain('single line');
+      expect(validate({ headers: { 'Bad Name': 'v' } }).errors[0]).toContain('Invalid header name');
+      expect(validate({ headers: tooMany }).errors[0]).toContain('At most 20');
+    });
+  });
+
+  describe('Fetching', () => {
+    test('should send credentials to the feed origin only', async () => {
+      const otherOrigin = feedServer.baseUrl.replace('127.0.0.1', 'localhost');
+      feedServer.routes['/same.xml'] = { status: 302, headers: { Location: '/moved.xml' } };
+      feedServer.routes['/moved.xml'] = { status: 302, headers: { Location: `${otherOrigin}/elsewhere.xml` } };
+      feedServer.routes['/elsewhere.xml'] = { body: rss('Elsewhere', ['1']) };
+
+      await FeedFetcher.fetch(`${feedServer.baseUrl}/same.xml`, {
+        authHeaders: FeedCredentials.toHeaders(credentials)
+      });
+
+      const [first, second, third] = feedServer.requests;
+      expect(first.headers.authorization).toBe(basicAuth('reader', 's3cret'));
+      expect(second.headers['x-api-key']).toBe('k-123');
+      expect(third.url).toBe('/elsewhere.xml');
+      expect(third.headers.authorization).toBeUndefined();
+      expect(third.headers['x-api-key']).toBeUndefined();
+    });
+  });
+
+  describe('Private feeds', () => {
+    const addPrivateFeed = (token = ownerToken, body = {}) => request(app)
+      .post('/api/v1/feeds')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ url: `${feedServer.baseUrl}/private.xml`, credentials, ...body });
+
+    test('should add a credentialed feed as private to its owner', async () => {
+      feedServer.routes['/private.xml'] = protectedFeed('Private', ['1']);
+
+      const response = await addPrivateFeed();
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.name).toBe('Private');
+      expect(response.body.data.private).toBe(true);
+      expect(response.body.data.credentials).toEqual({
+        type: 'basic',
+        username: 'reader',
+        cookie: false,
+        headers: ['X-Api-Key']
+      });
+      expect(JSON.stringify(response.body)).not.toContain('s3cret');
+      expect(JSON.stringify(response.body)).not.toContain('k-123');
+
+      const stored = await db('Feed').where('id', response.body.data.id).first();
+      expect(stored.owner_id).toBe(owner.id);
+      expect(stored.credentials).not.toContain('s3cret');
+    });
+
+    test('should reject invalid credentials and unreachable private feeds', async () => {
+      feedServer.routes['/private.xml'] = protectedFeed('Private', ['1']);
+
+      const invalid = await addPrivateFeed(ownerToken, { credentials: { headers: { Host: 'evil' } } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+
+      const unauthorised = await addPrivateFeed(ownerToken, { credentials: { ...credentials, password: 'wrong' } });
+      expect(unauthorised.status).toBe(422);
+      expect(await db('Feed').count('id as count').first()).toEqual({ count: 0 });
+    });
+
+    test('should keep private feeds apart from the shared feed and other users', async () => {
+      feedServer.routes['/private.xml'] = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+        res.end(rss(req.headers.authorization ? 'Private' : 'Public', ['1']));
+      };
+      const shared = await Feed.create({ name: 'Public', url: `${feedServer.baseUrl}/private.xml` });
+
+      const ownCopy = await addPrivateFeed();
+      const otherCopy = await addPrivateFeed(otherToken);
+      const duplicate = await addPrivateFeed();
+
+      expect(ownCopy.status).toBe(201);
+      expect(otherCopy.status).toBe(201);
+      expect(new Set([shared.id, ownCopy.body.data.id, otherCopy.body.data.id]).size).toBe(3);
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body.data.id).toBe(ownCopy.body.data.id);
+
+      const publicDuplicate = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ url: `${feedServer.baseUrl}/private.xml` });
+      expect(publicDuplicate.status).toBe(409);
+      expect(publicDuplicate.body.data.id).toBe(shared.id);
+      expect(publicDuplicate.body.data.private).toBe(false);
+    });
+
+    test('should hide a private feed and its items from other users', async () => {
+      feedServer.routes['/private.xml'] = protectedFeed('Private', ['1', '2']);
+      const { body } = await addPrivateFeed();
+      const feed = await Feed.findById(body.data.id);
+      await new FeedPoller({ concurrency: 1 }).pollFeed(feed);
+      // Even a subscription must not expose the feed
+      await db('UserFeedSubscription').insert([
+        { user_id: owner.id, feed_id: feed.id },
+        { user_id: otherUser.id, feed_id: feed.id }
+      ]);
+      const item = await db('FeedItem').where('feed_id', feed.id).first();
+
+      const asOther = (path) => request(app).get(path).set('Authorization', `Bearer ${otherToken}`);
+      const asOwner = (path) => request(app).get(path).set('Authorization', `Bearer ${ownerToken}`);
+
+      expect((await asOther(`/api/v1/feeds/${feed.id}`)).status).toBe(404);
+      expect((await asOther('/api/v1/feeds')).body.data.feeds).toEqual([]);
+      expect((await asOther(`/api/v1/items?feed_id=${feed.id}`)).status).toBe(404);
+      expect((await asOther(`/api/v1/items/${item.id}`)).status).toBe(404);
+      expect((await asOther('/api/v1/items')).body.data.items).toEqual([]);
+      expect((await request(app).put(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${otherToken}`).send({ name: 'Taken' })).status).toBe(404);
+
+      expect((await asOwner(`/api/v1/feeds/${feed.id}`)).status).toBe(200);
+      expect((await asOwner('/api/v1/feeds')).body.data.feeds.map(listed => listed.id)).toEqual([feed.id]);
+      expect((await asOwner('/api/v1/items')).body.data.items).toHaveLength(2);
+      expect((await asOwner(`/api/v1/items/${item.id}`)).status).toBe(200);
+
+      await db('UserFeedSubscription').del();
+    });
+
+    test('should poll with the stored credentials and update or clear them', async () => {
+      feedServer.routes['/private.xml'] = protectedFeed('Private', ['1']);
+      const { body } = await addPrivateFeed();
+
+      const poller = new FeedPoller({ concurrency: 1 });
+      expect((await poller.pollFeed(await Feed.findById(body.data.id))).new_items).toBe(1);
+
+      const cleared = await request(app)
+        .put(`/api/v1/feeds/${body.data.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ credentials: null });
+      expect(cleared.status).toBe(200);
+      expect(cleared.body.data.private).toBe(true);
+      expect(cleared.body.data.credentials).toBeUndefined();
+
+      const failed = await poller.pollFeed(await Feed.findById(body.data.id));
+      expect(failed.success).toBe(false);
+      expect(failed.error).toContain('401');
+
+      const restored = await request(app)
+        .put(`/api/v1/feeds/${body.data.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ credentials: { type: 'basic', username: 'reader', password: 's3cret' } });
+      expect(restored.status).toBe(200);
+      expect(restored.body.data.credentials.headers).toEqual([]);
+      expect((await poller.pollFeed(await Feed.findById(body.data.id))).success).toBe(true);
+    });
+
+    test('should refuse credentials on a shared feed', async () => {
+      const shared = await Feed.create({ name: 'Public', url: `${feedServer.baseUrl}/public.xml` });
+
+      const refused = await request(app)
+        .put(`/api/v1/feeds/${shared.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ credentials });
+      expect(refused.status).toBe(403);
+
+      await db('User').where('id', otherUser.id).update({ role: 'admin' });
+      try {
+        const response = await request(app)
+          .put(`/api/v1/feeds/${shared.id}`)
+          .set('Authorization', `Bearer ${otherToken}`)
+          .send({ credentials });
+
+        expect(response.status).toBe(400);
+        expect((await Feed.findById(shared.id)).credentials).toBeNull();
+      } finally {
+        await db('User').where('id', otherUser.id).update({ role: 'user' });
+      }
+    });
+
+    test('should move a private feed without recording aliases', async () => {
+      feedServer.routes['/private.xml'] = protectedFeed('Private', ['1']);
+      const { body } = await addPrivateFeed();
+      feedServer.routes['/private.xml'] = { status: 301, headers: { Location: '/renamed.xml' } };
+      feedServer.routes['/renamed.xml'] = protectedFeed('Private', ['1']);
+
+      const result = await new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(body.data.id));
+
+      expect(result.moved_to).toBe(`${feedServer.baseUrl}/renamed.xml`);
+      expect((await Feed.findById(body.data.id)).url).toBe(`${feedServer.baseUrl}/renamed.xml`);
+      expect(await db('FeedAlias').where('feed_id', body.data.id)).toEqual([]);
+      expect(feedRequests('/renamed.xml').every(logged => logged.headers.authorization)).toBe(true);
+    });
+  });
+});
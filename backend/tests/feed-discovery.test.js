@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const config = require('../config');
+const JWTUtils = require('../utils/jwt');
+const FeedDiscovery = require('../utils/feedDiscovery');
+const { FeedValidation } = require('../utils/validation');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+const atomFeed = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example Atom</title>
+  <id>urn:example:atom</id>
+  <updated>2025-07-07T10:00:00Z</updated>
+  <entry>
+    <title>Atom entry</title>
+    <id>urn:example:atom:1</id>
+    <link href="https://example.com/atom/1"/>
+    <updated>2025-07-07T10:00:00Z</updated>
+  </entry>
+</feed>`;
+
+const commentsFeed = rssFixture
+  .replace('<title>Example Blog</title>', '<title>Comments on Example Blog</title>')
+  .replace(/example\.com\/posts/g, 'example.com/comments');
+
+const html = (head) => `<!DOCTYPE html><html><head><title>Example &amp; Co</title>${head}</head><body>Hello</body></html>`;
+
+const htmlRoute = (head) => ({ headers: { 'Content-Type': 'text/html' }, body: html(head) });
+
+describe('Feed Discovery Tests', () => {
+  let feedServer;
+  let testUser;
+  let userToken;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    testUser = await User.create({
+      name: 'Discovery User',
+      email: 'discovery@example.com',
+      password: 'SecurePass123!'
+    });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    if (testUser) {
+      await testUser.delete();
+    }
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    Object.keys(feedServer.routes).forEach(route => delete feedServer.routes[route]);
+  });
+
+  describe('Link extraction', () => {
+    test('should collect announced feed links and resolve them', () => {
+      const { title, links } = FeedDiscovery.extractLinks(html(`
+        <link rel="stylesheet" href="/style.css">
+        <link rel="alternate" type="application/rss+xml" title="Posts" href="/posts.xml">
+        <link rel='alternate' type='application/atom+xml' href='https://other.example.com/atom?a=1&amp;b=2'>
+        <link rel=alternate type=application/feed+json href=feed.json>
+        <!-- <link rel="alternate" type="application/rss+xml" href="/hidden.xml"> -->
+        <link rel="alternate" hreflang="de" href="/de/">
+      `), 'https://example.com/blog/');
+
+      expect(title).toBe('Example & Co');
+      expect(links).toEqual([
+        { url: 'https://example.com/posts.xml', title: 'Posts', format: 'rss' },
+        { url: 'https://other.example.com/atom?a=1&b=2', title: null, format: 'atom' },
+        { url: 'https://example.com/blog/feed.json', title: null, format: 'json' }
+      ]);
+    });
+
+    test('should honour <base href>', () => {
+      const { links } = FeedDiscovery.extractLinks(html(`
+        <base href="https://cdn.example.com/site/">
+        <link rel="alternate" type="application/rss+xml" href="rss.xml">
+      `), 'https://example.com/');
+
+      expect(links[0].url).toBe('https://cdn.example.com/site/rss.xml');
+    });
+  });
+
+  describe('Discovery', () => {
+    test('should rank announced feeds above comment feeds without probing paths', async () => {
+      feedServer.routes['/'] = htmlRoute(`
+        <link rel="alternate" type="application/rss+xml" title="Comments" href="/comments/feed">
+        <link rel="alternate" type="application/rss+xml" title="Posts" href="/posts.xml">
+        <link rel="alternate" type="application/atom+xml" href="/missing.xml">
+      `);
+      feedServer.routes['/comments/feed'] = { body: commentsFeed };
+      feedServer.routes['/posts.xml'] = { body: rssFixture };
+      feedServer.routes['/atom.xml'] = { headers: { 'Content-Type': 'application/atom+xml' }, body: atomFeed };
+
+      const discovery = await FeedDiscovery.discover(`${feedServer.baseUrl}/`);
+
+      expect(discovery.title).toBe('Example & Co');
+      expect(discovery.candidates).toEqual([
+        { url: `${feedServer.baseUrl}/posts.xml`, title: 'Example Blog', format: 'rss', item_count: 2, source: 'link' },
+        { url: `${feedServer.baseUrl}/comments/feed`, title: 'Comments on Example Blog', format: 'rss', item_count: 2, source: 'link' }
+      ]);
+
+      const probed = feedServer.requests.map(req => req.url);
+      expect(probed).toContain('/missing.xml');
+      expect(probed).not.toContain('/atom.xml');
+    });
+
+    test('should probe well-known paths a few at a time when the page announces no feeds', async () => {
+      let active = 0;
+      let busiest = 0;
+      const slowMiss = (req, res) => {
+        active++;
+        busiest = Math.max(busiest, active);
+        setTimeout(() => {
+          active--;
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          res.end('Not found');
+        }, 20);
+      };
+      feedServer.routes['/'] = htmlRoute('');
+      FeedDiscovery.WELL_KNOWN_PATHS.forEach((wellKnown) => {
+        feedServer.routes[wellKnown] = slowMiss;
+      });
+      feedServer.routes['/atom.xml'] = { headers: { 'Content-Type': 'application/atom+xml' }, body: atomFeed };
+
+      const discovery = await FeedDiscovery.discover(`${feedServer.baseUrl}/`);
+
+      expect(discovery.candidates).toEqual([
+        { url: `${feedServer.baseUrl}/atom.xml`, title: 'Example Atom', format: 'atom', item_count: 1, source: 'well_known' }
+      ]);
+      expect(busiest).toBeLessThanOrEqual(config.FEED_DISCOVERY_CONCURRENCY);
+    });
+
+    test('should skip candidates larger than FEED_DISCOVERY_MAX_BYTES', async () => {
+      const maxBytes = config.FEED_DISCOVERY_MAX_BYTES;
+      config.FEED_DISCOVERY_MAX_BYTES = rssFixture.length - 1;
+      feedServer.routes['/'] = htmlRoute('<link rel="alternate" type="application/rss+xml" href="/posts.xml">');
+      feedServer.routes['/posts.xml'] = { body: rssFixture };
+
+      try {
+        const discovery = await FeedDiscovery.discover(`${feedServer.baseUrl}/`);
+        expect(discovery.candidates).toEqual([]);
+      } finally {
+        config.FEED_DISCOVERY_MAX_BYTES = maxBytes;
+      }
+    });
+
+    test('should discover JSON Feeds', async () => {
+      feedServer.routes['/'] = htmlRoute('<link rel="alternate" type="application/feed+json" href="/feed.json">');
+      feedServer.routes['/feed.json'] = {
+        headers: { 'Content-Type': 'application/feed+json' },
+        body: fs.readFileSync(path.join(__dirname, 'fixtures', 'jsonfeed11.json'), 'utf8')
+      };
+
+      const discovery = await FeedDiscovery.discover(`${feedServer.baseUrl}/`);
+
+      expect(discovery.candidates).toEqual([
+        { url: `${feedServer.baseUrl}/feed.json`, title: 'JSON Microblog', format: 'json', item_count: 2, source: 'link' }
+      ]);
+    });
+
+    test('should return a feed URL as its own candidate', async () => {
+      feedServer.routes['/feed.xml'] = { body: rssFixture };
+
+      const discovery = await FeedDiscovery.discover(`${feedServer.baseUrl}/feed.xml`);
+
+      expect(discovery.candidates).toEqual([
+        { url: `${feedServer.baseUrl}/feed.xml`, title: 'Example Blog', format: 'rss', item_count: 2, source: 'direct' }
+      ]);
+    });
+
+    test('should follow redirects to the page before resolving links', async () => {
+      feedServer.routes['/old'] = { status: 301, headers: { Location: '/blog/' } };
+      feedServer.routes['/blog/'] = htmlRoute('<link rel="alternate" type="application/rss+xml" href="rss">');
+      feedServer.routes['/blog/rss'] = { body: rssFixture };
+
+      const discovery = await FeedDiscovery.discover(`${feedServer.baseUrl}/old`);
+
+      expect(discovery.url).toBe(`${feedServer.baseUrl}/blog/`);
+      expect(discovery.candidates[0].url).toBe(`${feedServer.baseUrl}/blog/rss`);
+    });
+  });
+
+  describe('POST /api/v1/feeds/discover', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/v1/feeds/discover')
+        .send({ url: feedServer.baseUrl })
+        .expect(401);
+    });
+
+    test('should validate the URL', async () => {
+      const response = await request(app)
+        .post('/api/v1/feeds/discover')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: 'mailto:someone@example.com' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should add https:// to URLs pasted without a scheme', () => {
+      expect(FeedValidation.validateFeedDiscover({ url: 'example.com/blog' }).sanitizedData.url)
+        .toBe('https://example.com/blog');
+      expect(FeedValidation.validateFeedDiscover({ url: 'not a url' }).isValid).toBe(false);
+    });
+
+    test('should list ranked candidates', async () => {
+      feedServer.routes['/'] = htmlRoute('<link rel="alternate" type="application/rss+xml" href="/posts.xml">');
+      feedServer.routes['/posts.xml'] = { body: rssFixture };
+
+      const response = await request(app)
+        .post('/api/v1/feeds/discover')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/` })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.candidates).toHaveLength(1);
+      expect(response.body.data.candidates[0]).toMatchObject({
+        url: `${feedServer.baseUrl}/posts.xml`,
+        title: 'Example Blog',
+        item_count: 2
+      });
+    });
+
+    test('should return an empty list for sites without feeds', async () => {
+      feedServer.routes['/'] = htmlRoute('');
+
+      const response = await request(app)
+        .post('/api/v1/feeds/discover')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/` })
+        .expect(200);
+
+      expect(response.body.data.candidates).toEqual([]);
+    });
+
+    test('should report unreachable sites', async () => {
+      const response = await request(app)
+        .post('/api/v1/feeds/discover')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/nowhere` })
+        .expect(422);
+
+      expect(response.body.error.code).toBe('FEED_FETCH_FAILED');
+    });
+
+    test('should refuse addresses on the server\'s own network', async () => {
+      feedServer.routes['/'] = htmlRoute('<link rel="alternate" type="application/rss+xml" href="/feed.xml">');
+      config.FEED_ALLOW_PRIVATE_ADDRESSES = false;
+
+      try {
+        const response = await request(app)
+          .post('/api/v1/feeds/discover')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ url: `${feedServer.baseUrl}/` })
+          .expect(422);
+
+        expect(response.body.error.code).toBe('URL_NOT_ALLOWED');
+      } finally {
+        config.FEED_ALLOW_PRIVATE_ADDRESSES = true;
+      }
+    });
+  });
+
+  describe('POST /api/v1/feeds with a website URL', () => {
+    test('should subscribe to the best feed the site offers', async () => {
+      feedServer.routes['/'] = htmlRoute('<link rel="alternate" type="application/rss+xml" href="/posts.xml">');
+      feedServer.routes['/posts.xml'] = { body: rssFixture };
+
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/` })
+        .expect(201);
+
+      expect(response.body.data.url).toBe(`${feedServer.baseUrl}/posts.xml`);
+      expect(response.body.data.name).toBe('Example Blog');
+    });
+
+    test('should return 409 when the resolved feed already exists', async () => {
+      feedServer.routes['/'] = htmlRoute('<link rel="alternate" type="application/rss+xml" href="/posts.xml">');
+      feedServer.routes['/posts.xml'] = { body: rssFixture };
+      await Feed.create({ name: 'Known', url: `${feedServer.baseUrl}/posts.xml` });
+
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/` })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('FEED_EXISTS');
+      expect(response.body.data.name).toBe('Known');
+    });
+  });
+});
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { PNG } = require('pngjs');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const IconImage = require('../utils/iconImage');
+const feedIcons = require('../utils/feedIcons');
+const { FeedIcons } = require('../utils/feedIcons');
+const { startTestServer } = require('./helpers/testServer');
+
+// A red 1×1 GIF
+const RED_GIF = Buffer.from('R0lGODdhAQABAPAAAP8AAAAAACwAAAAAAQABAAACAkQBADs=', 'base64');
+
+/**
+ * Encode a single-colour PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} rgba - Colour
+ * @returns {Buffer} - PNG data
+ */
+const png = (width, height, rgba) => {
+  const image = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    image.data.set(rgba, i * 4);
+  }
+  return PNG.sync.write(image);
+};
+
+const RED_PNG = png(1, 1, [255, 0, 0, 255]);
+
+/**
+ * Build a 32-bit single-colour icon bitmap with an empty AND mask
+ * @param {number} size - Width and height
+ * @param {number[]} rgba - Colour
+ * @returns {Buffer} - Bitmap
+ */
+const dib32 = (size, [red, green, blue, alpha]) => {
+  const header = Buffer.alloc(40);
+  header.writeUInt32LE(40, 0);
+  header.writeInt32LE(size, 4);
+  header.writeInt32LE(size * 2, 8);
+  header.writeUInt16LE(1, 12);
+  header.writeUInt16LE(32, 14);
+
+  return Buffer.concat([
+    header,
+    Buffer.from(Array.from({ length: size * size }, () => [blue, green, red, alpha]).flat()),
+    Buffer.alloc(Math.ceil(size / 32) * 4 * size)
+  ]);
+};
+
+/**
+ * Pack images into an ICO file
+ * @param {Object[]} entries - width and data of each image
+ * @returns {Buffer} - ICO data
+ */
+const ico = (entries) => {
+  const header = Buffer.alloc(6 + entries.length * 16);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(entries.length, 4);
+
+  let offset = header.length;
+  entries.forEach((entry, i) => {
+    header[6 + i * 16] = entry.width % 256;
+    header[7 + i * 16] = entry.width % 256;
+    header.writeUInt16LE(32, 6 + i * 16 + 6);
+    header.writeUInt32LE(entry.data.length, 6 + i * 16 + 8);
+    header.writeUInt32LE(offset, 6 + i * 16 + 12);
+    offset += entry.data.length;
+  });
+
+  return Buffer.concat([header, ...entries.map(entry => entry.data)]);
+};
+
+const pixel = (image, x, y) => [...image.data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4)];
+
+const atom = (icon, link) => `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><title>Iconic</title><id>urn:iconic</id>
+<link href="${link}"/>${icon ? `<icon>${icon}</icon>` : ''}
+<entry><title>Post</title><id>urn:iconic:1</id><link href="${link}1"/></entry></feed>`;
+
+const served = (body, contentType) => ({ headers: { 'Content-Type': contentType }, body });
+
+describe('Feed Icon Tests', () => {
+  let uploadDir;
+  let icons;
+  let server;
+  let testUser;
+  let userToken;
+
+  const storedIcon = (feed) => PNG.sync.read(fs.readFileSync(path.join(uploadDir, feed.icon_path)));
+
+  beforeAll(async () => {
+    server = await startTestServer({});
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-icons-'));
+    icons = new FeedIcons({ uploadDir, size: 32 });
+    testUser = await User.create({
+      name: 'Icon User',
+      email: 'icons@example.com',
+      password: 'SecurePass123!'
+    });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await testUser.delete();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    fs.rmSync(path.join(uploadDir, FeedIcons.ICON_DIRECTORY), { recursive: true, force: true });
+    Object.keys(server.routes).forEach(route => delete server.routes[route]);
+  });
+
+  describe('Image decoding', () => {
+    test('should pick the entry of an ICO file closest to the wanted size', () => {
+      const file = ico([
+        { width: 16, data: png(16, 16, [255, 0, 0, 255]) },
+        { width: 32, data: dib32(32, [0, 0, 0, 255]) },
+        { width: 48, data: png(48, 48, [0, 0, 255, 128]) },
+        { width: 256, data: png(256, 256, [0, 255, 0, 255]) }
+      ]);
+
+      expect(IconImage.detectType(file)).toBe('ico');
+      const medium = IconImage.decode(file, 40);
+      expect([medium.width, medium.height]).toEqual([48, 48]);
+      expect(pixel(medium, 0, 0)).toEqual([0, 0, 255, 128]);
+
+      const large = IconImage.decode(file, 64);
+      expect(large.width).toBe(256);
+      expect(pixel(large, 10, 10)).toEqual([0, 255, 0, 255]);
+
+      const small = IconImage.decode(file, 24);
+      expect([small.width, small.height]).toEqual([32, 32]);
+      expect(pixel(small, 5, 5)).toEqual([0, 0, 0, 255]);
+    });
+
+    test('should decode the bitmap entries of a real favicon, with their AND masks', () => {
+      // Python IDLE's icon: 4-, 8- and 32-bit bitmaps at 16, 32 and 48 pixels, no PNG
+      const file = fs.readFileSync(path.join(__dirname, 'fixtures', 'favicon.ico'));
+
+      const decoded = [16, 32, 48].map(size => IconImage.decode(file, size));
+      expect(decoded.map(image => image.width)).toEqual([16, 32, 48]);
+      expect(pixel(decoded[1], 0, 0)).toEqual([0, 0, 0, 0]);
+      expect(pixel(decoded[1], 16, 16)).toEqual([255, 255, 255, 255]);
+
+      // The 4-bit 32×32 entry has no alpha channel, so its corner is cut out by the mask
+      const fourBit = IconImage.decodeDib(file.subarray(118, 118 + 744), { icon: true });
+      expect([fourBit.width, fourBit.height]).toEqual([32, 32]);
+      expect(pixel(fourBit, 0, 0)[3]).toBe(0);
+      expect(pixel(fourBit, 1, 0)).toEqual([128, 128, 128, 255]);
+
+      const stored = PNG.sync.read(IconImage.normalize(file, 32));
+      expect([stored.width, stored.height]).toEqual([32, 32]);
+    });
+
+    test('should decode BMP files', () => {
+      const dib = dib32(2, [10, 20, 30, 0]);
+      // A BMP file holds the bitmap at its real height, with the pixels after the 14-byte file header
+      dib.writeInt32LE(2, 8);
+      const header = Buffer.alloc(14);
+      header.write('BM', 0, 'latin1');
+      header.writeUInt32LE(14 + dib.length, 2);
+      header.writeUInt32LE(14 + 40, 10);
+
+      const image = IconImage.decode(Buffer.concat([header, dib]));
+      expect([image.width, image.height]).toEqual([2, 2]);
+      expect(pixel(image, 1, 1)).toEqual([10, 20, 30, 255]);
+    });
+
+    test('should refuse oversized PNGs before decoding them', () => {
+      // Only the header is read, so the 6000×6000 image needs no pixel data
+      const huge = Buffer.from(png(1, 1, [0, 0, 0, 255]));
+      huge.writeUInt32BE(6000, 16);
+      huge.writeUInt32BE(6000, 20);
+
+      expect(() => IconImage.decode(huge)).toThrow('Image is too large: 6000×6000');
+      expect(() => IconImage.decode(ico([{ width: 0, data: huge }]))).toThrow('Image is too large');
+      expect(IconImage.decode(png(1024, 1, [0, 0, 0, 255])).width).toBe(1024);
+    });
+
+    test('should refuse oversized and truncated bitmaps before allocating their pixels', () => {
+      const huge = dib32(1, [0, 0, 0, 255]);
+      huge.writeInt32LE(6000, 4);
+      huge.writeInt32LE(12000, 8);
+      const truncated = dib32(16, [0, 0, 0, 255]).subarray(0, 200);
+
+      expect(() => IconImage.decode(ico([{ width: 0, data: huge }]))).toThrow('Image is too large: 6000×6000');
+      expect(() => IconImage.decode(ico([{ width: 16, data: truncated }]))).toThrow('Bitmap data is truncated');
+      expect(() => IconImage.decode(ico([{ width: 16, data: Buffer.alloc(20) }]))).toThrow('Bitmap header is truncated');
+    });
+
+    test('should scale large images down and keep small ones', () => {
+      const wide = PNG.sync.read(IconImage.normalize(png(200, 100, [10, 20, 30, 255]), 64));
+      expect([wide.width, wide.height]).toEqual([64, 32]);
+      expect(pixel(wide, 5, 5)).toEqual([10, 20, 30, 255]);
+
+      const small = PNG.sync.read(IconImage.normalize(RED_PNG, 64));
+      expect([small.width, small.height]).toEqual([1, 1]);
+    });
+
+    test('should reject formats it cannot decode', () => {
+      expect(() => IconImage.decode(RED_GIF)).toThrow('Unsupported image format: unknown');
+      expect(() => IconImage.decode(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0]))).toThrow('Unsupported image format: unknown');
+      expect(() => IconImage.decode(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toThrow('Unsupported image format: unknown');
+      expect(() => IconImage.decode(ico([]))).toThrow('ICO file contains no images');
+    });
+  });
+
+  describe('Icon links', () => {
+    test('should rank page icons by size and skip SVG icons', () => {
+      const html = `<html><head><base href="https://cdn.example.com/assets/">
+        <link rel="icon" href="vector.svg" type="image/svg+xml">
+        <link rel="icon" href="tiny.png" sizes="16x16">
+        <link rel="shortcut icon" href="/favicon.ico">
+        <link rel="icon" href="medium.png" sizes="32x32 48x48">
+        <link rel="apple-touch-icon" href="touch.png">
+        <link rel="stylesheet" href="site.css">
+      </head></html>`;
+
+      expect(FeedIcons.extractIcons(html, 'https://example.com/', 32)).toEqual([
+        'https://cdn.example.com/assets/medium.png',
+        'https://cdn.example.com/assets/touch.png',
+        'https://cdn.example.com/favicon.ico',
+        'https://cdn.example.com/assets/tiny.png'
+      ]);
+    });
+  });
+
+  describe('Refreshing', () => {
+    test('should store the feed icon as a small PNG', async () => {
+      server.routes['/feed.atom'] = served(atom('/images/icon.png', `${server.baseUrl}/`), 'application/atom+xml');
+      server.routes['/images/icon.png'] = served(png(128, 128, [200, 100, 50, 255]), 'image/png');
+      const feed = await Feed.create({ name: 'Iconic', url: `${server.baseUrl}/feed.atom` });
+
+      const result = await icons.refresh(feed);
+
+      expect(result).toMatchObject({ feed_id: feed.id, source_url: `${server.baseUrl}/images/icon.png`, error: null });
+      expect(result.icon_url).toMatch(new RegExp(`^/uploads/icons/feed-${feed.id}-[0-9a-f]{16}\\.png$`));
+
+      const stored = await Feed.findById(feed.id);
+      expect(stored.getPublicData().icon_url).toBe(result.icon_url);
+      const image = storedIcon(stored);
+      expect([image.width, image.height]).toEqual([32, 32]);
+      expect(pixel(image, 0, 0)).toEqual([200, 100, 50, 255]);
+    });
+
+    test('should fall back to the site icons and then /favicon.ico', async () => {
+      server.routes['/feed.atom'] = served(atom(null, `${server.baseUrl}/blog/`), 'application/atom+xml');
+      server.routes['/blog/'] = served('<html><head><link rel="icon" href="/broken.png"></head></html>', 'text/html');
+      server.routes['/broken.png'] = served('not an image', 'image/png');
+      server.routes['/favicon.ico'] = served(fs.readFileSync(path.join(__dirname, 'fixtures', 'favicon.ico')), 'image/x-icon');
+      const feed = await Feed.create({ name: 'Fallback', url: `${server.baseUrl}/feed.atom` });
+
+      const result = await icons.refresh(feed);
+
+      expect(result.source_url).toBe(`${server.baseUrl}/favicon.ico`);
+      const stored = storedIcon(await Feed.findById(feed.id));
+      expect([stored.width, stored.height]).toEqual([32, 32]);
+      expect(pixel(stored, 16, 16)).toEqual([255, 255, 255, 255]);
+    });
+
+    test('should keep the current icon when none can be found', async () => {
+      server.routes['/feed.atom'] = served(atom('/icon.png', `${server.baseUrl}/`), 'application/atom+xml');
+      server.routes['/icon.png'] = served(RED_PNG, 'image/png');
+      const feed = await Feed.create({ name: 'Flaky', url: `${server.baseUrl}/feed.atom` });
+      const first = await icons.refresh(feed);
+
+      delete server.routes['/icon.png'];
+      const second = await icons.refresh(await Feed.findById(feed.id));
+
+      expect(second).toMatchObject({ icon_url: first.icon_url, error: 'Neither the feed nor its website offers a usable icon' });
+      const stored = await Feed.findById(feed.id);
+      expect(stored.icon_path).toBe(first.icon_url.replace('/uploads/', ''));
+      expect(stored.icon_error).toBe('Neither the feed nor its website offers a usable icon');
+      expect(fs.existsSync(path.join(uploadDir, stored.icon_path))).toBe(true);
+    });
+
+    test('should replace changed icons and prune orphaned files', async () => {
+      server.routes['/feed.atom'] = served(atom('/icon.png', `${server.baseUrl}/`), 'application/atom+xml');
+      server.routes['/icon.png'] = served(png(16, 16, [1, 2, 3, 255]), 'image/png');
+      const feed = await Feed.create({ name: 'Changing', url: `${server.baseUrl}/feed.atom` });
+      const oldPath = (await icons.refresh(feed)).icon_url.replace('/uploads/', '');
+
+      server.routes['/icon.png'] = served(png(16, 16, [4, 5, 6, 255]), 'image/png');
+      const newPath = (await icons.refresh(await Feed.findById(feed.id))).icon_url.replace('/uploads/', '');
+
+      expect(newPath).not.toBe(oldPath);
+      expect(fs.existsSync(path.join(uploadDir, oldPath))).toBe(false);
+
+      // Icons left behind by deleted feeds are removed once past the grace period
+      const orphan = path.join(uploadDir, 'icons', 'feed-999999-0123456789abcdef.png');
+      fs.writeFileSync(orphan, png(1, 1, [0, 0, 0, 255]));
+      expect(await icons.pruneOrphans()).toBe(0);
+      expect(await icons.pruneOrphans(new Date(Date.now() + FeedIcons.ORPHAN_GRACE_PERIOD))).toBe(1);
+      expect(fs.existsSync(orphan)).toBe(false);
+      expect(fs.existsSync(path.join(uploadDir, newPath))).toBe(true);
+    });
+
+    test('should only refresh icons that are due', async () => {
+      server.routes['/feed.atom'] = served(atom('/icon.png', `${server.baseUrl}/`), 'application/atom+xml');
+      server.routes['/icon.png'] = served(RED_PNG, 'image/png');
+      const due = await Feed.create({ name: 'Due', url: `${server.baseUrl}/feed.atom` });
+      const fresh = await Feed.create({ name: 'Fresh', url: `${server.baseUrl}/fresh.atom` });
+      await fresh.update({ icon_checked_at: new Date().toISOString() });
+
+      const result = await icons.refreshStale();
+
+      expect(result).toMatchObject({ refreshed: 1, failed: 0 });
+      expect((await Feed.findById(due.id)).icon_path).toBeTruthy();
+      expect((await Feed.findById(fresh.id)).icon_path).toBeNull();
+    });
+  });
+
+  describe('Adding feeds', () => {
+    test('should fetch the icon of a new feed and list it on its items', async () => {
+      server.routes['/feed.atom'] = served(atom('/icon.png', `${server.baseUrl}/`), 'application/atom+xml');
+      server.routes['/icon.png'] = served(RED_PNG, 'image/png');
+      const originalUploadDir = feedIcons.uploadDir;
+      feedIcons.uploadDir = uploadDir;
+
+      try {
+        const created = await request(app)
+          .post('/api/v1/feeds')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ url: `${server.baseUrl}/feed.atom` })
+          .expect(201);
+
+        const { icon_url: iconUrl } = await feedIcons.inFlight.get(created.body.data.id);
+        expect(iconUrl).toMatch(/^\/uploads\/icons\/feed-\d+-[0-9a-f]{16}\.png$/);
+
+        const details = await request(app)
+          .get(`/api/v1/feeds/${created.body.data.id}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+        expect(details.body.data.icon_url).toBe(iconUrl);
+
+        await db('FeedItem').where('feed_id', created.body.data.id).del();
+        await db('FeedItem').insert({ feed_id: created.body.data.id, guid: 'icon-1', title: 'Iconic post', link: `${server.baseUrl}/1` });
+        await db('UserFeedSubscription').insert({ user_id: testUser.id, feed_id: created.body.data.id });
+
+        const items = await request(app)
+          .get('/api/v1/items')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+        expect(items.body.data.items[0].feed.icon_url).toBe(iconUrl);
+      } finally {
+        feedIcons.uploadDir = originalUploadDir;
+      }
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../db/database');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const FeedParser = require('../utils/feedParser');
+const ItemIdentity = require('../utils/itemIdentity');
+const FeedFetcher = require('../utils/feedFetcher');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Fields every normalised item carries when the feed has no podcast metadata
+const noPodcast = {
+  duration: null,
+  episode: null,
+  season: null,
+  episode_type: null,
+  explicit: null,
+  chapters_url: null,
+  chapters_type: null,
+  transcripts: null,
+  enclosures: []
+};
+
+describe('Feed Parser Tests', () => {
+  describe('Format detection', () => {
+    test('should detect every supported format and version', () => {
+      expect(FeedParser.detect(fixture('rss2.xml'))).toEqual({ format: 'rss', version: '2.0' });
+      expect(FeedParser.detect(fixture('rss091.xml'))).toEqual({ format: 'rss', version: '0.91' });
+      expect(FeedParser.detect(fixture('rss10.xml'))).toEqual({ format: 'rdf', version: '1.0' });
+      expect(FeedParser.detect(fixture('rss090.xml'))).toEqual({ format: 'rdf', version: '0.90' });
+      expect(FeedParser.detect(fixture('atom.xml'))).toEqual({ format: 'atom', version: '1.0' });
+      expect(FeedParser.detect(fixture('jsonfeed11.json'))).toEqual({ format: 'json', version: '1.1' });
+      expect(FeedParser.detect(fixture('jsonfeed10.json'))).toEqual({ format: 'json', version: '1.0' });
+    });
+
+    test('should not mistake other documents for feeds', () => {
+      expect(FeedParser.detect('<!DOCTYPE html><html><body>Hi</body></html>')).toBeNull();
+      expect(FeedParser.detect('{"data": []}')).toBeNull();
+      expect(FeedParser.detect('{not json')).toBeNull();
+      expect(FeedParser.detect('')).toBeNull();
+    });
+
+    test('should look past a byte order mark and comments', () => {
+      expect(FeedParser.detect(`\uFEFF<?xml version="1.0"?>\n<!-- generated -->\n${fixture('rss2.xml').replace(/^<\?xml[^>]*\?>/, '')}`))
+        .toEqual({ format: 'rss', version: '2.0' });
+    });
+
+    test('should reject unrecognised documents through the fetcher', async () => {
+      await expect(FeedFetcher.parse('<html></html>')).rejects.toMatchObject({ code: 'FEED_PARSE_FAILED' });
+    });
+  });
+
+  describe('Normalisation', () => {
+    test('should normalise RSS 2.0', async () => {
+      const feed = await FeedParser.parse(fixture('rss2.xml'));
+
+      expect(feed.title).toBe('Example Blog');
+      expect(feed.link).toBe('https://example.com/');
+      expect(feed.items[1]).toEqual({
+        guid: 'https://example.com/posts/second',
+        title: 'Second post',
+        link: 'https://example.com/posts/second',
+        summary: 'Summary of the second post',
+        content: 'Summary of the second post',
+        author: null,
+        image_url: null,
+        published_at: '2025-07-07T10:00:00.000Z',
+        ...noPodcast
+      });
+    });
+
+    test('should normalise RSS 0.91 items without guids or dates', async () => {
+      const feed = await FeedParser.parse(fixture('rss091.xml'));
+
+      expect(feed.title).toBe('Legacy News');
+      expect(feed.items).toEqual([expect.objectContaining({
+        guid: expect.stringMatching(/^urn:sha256:[0-9a-f]{64}$/),
+        title: 'Legacy headline',
+        link: 'https://legacy.example.com/stories/1',
+        published_at: null
+      })]);
+    });
+
+    test('should normalise RSS 1.0 with Dublin Core and syndication hints', async () => {
+      const feed = await FeedParser.parse(fixture('rss10.xml'));
+
+      expect(feed.title).toBe('RDF Journal');
+      expect(feed.updatePeriod).toBe('daily');
+      expect(feed.updateFrequency).toBe('2');
+      expect(feed.items[0]).toEqual({
+        guid: 'https://rdf.example.com/entries/1',
+        title: 'First RDF entry',
+        link: 'https://rdf.example.com/entries/1',
+        summary: 'Described in RDF',
+        content: 'Described in RDF',
+        author: 'Ada Lovelace',
+        image_url: null,
+        published_at: '2025-07-06T08:30:00.000Z',
+        ...noPodcast
+      });
+    });
+
+    test('should normalise RSS 0.90', async () => {
+      const feed = await FeedParser.parse(fixture('rss090.xml'));
+
+      expect(feed.title).toBe('Netscape Era');
+      expect(feed.items[0].guid).toBe(ItemIdentity.synthesizeGuid(feed.items[0]));
+      expect(feed.items[0].link).toBe('https://netscape.example.com/items/1');
+    });
+
+    test('should normalise Atom 1.0', async () => {
+      const feed = await FeedParser.parse(fixture('atom.xml'));
+
+      expect(feed.title).toBe('Atom Notes');
+      expect(feed.link).toBe('https://atom.example.com/');
+      expect(feed.items[0]).toEqual({
+        guid: 'urn:uuid:1225c695-cfb8-4ebb-aaaa-80da344efa6a',
+        title: 'Notes & thoughts',
+        link: 'https://atom.example.com/notes/1',
+        summary: 'A short summary',
+        content: '<p>The full <em>content</em></p>',
+        author: 'Grace Hopper',
+        image_url: null,
+        published_at: '2025-07-06T09:00:00.000Z',
+        ...noPodcast,
+        enclosures: [{ url: 'https://atom.example.com/notes/1.mp3', mime_type: 'audio/mpeg', length: null, duration: null }]
+      });
+      // Entries without <published> fall back to <updated>
+      expect(feed.items[1].published_at).toBe('2025-07-07T09:00:00.000Z');
+    });
+
+    test('should normalise JSON Feed 1.1', async () => {
+      const feed = await FeedParser.parse(fixture('jsonfeed11.json'));
+
+      expect(feed.title).toBe('JSON Microblog');
+      expect(feed.link).toBe('https://json.example.com/');
+      expect(feed.items[0]).toEqual({
+        guid: 'https://json.example.com/posts/2',
+        title: 'A titled post',
+        link: 'https://json.example.com/posts/2',
+        summary: 'Titled post summary',
+        content: '<p>Rich <strong>HTML</strong> body</p>',
+        author: 'Katherine Johnson, Dorothy Vaughan',
+        image_url: 'https://json.example.com/images/2.png',
+        published_at: '2025-07-07T09:00:00.000Z',
+        ...noPodcast
+      });
+    });
+
+    test('should fill in untitled JSON Feed items from their text and the feed author', async () => {
+      const feed = await FeedParser.parse(fixture('jsonfeed11.json'));
+
+      expect(feed.items[1]).toMatchObject({
+        guid: '1',
+        title: 'A post without a title, like most microblog posts',
+        author: 'Feed Author',
+        published_at: '2025-07-06T07:00:00.000Z'
+      });
+    });
+
+    test('should normalise JSON Feed 1.0', async () => {
+      const feed = await FeedParser.parse(fixture('jsonfeed10.json'));
+
+      expect(feed.items[0]).toEqual({
+        guid: 'entry-1',
+        title: 'Linked article',
+        link: 'https://elsewhere.example.com/article',
+        summary: 'Commentary on an external article',
+        content: 'Commentary on an external article',
+        author: 'Legacy Author',
+        image_url: 'https://json1.example.com/banner.jpg',
+        published_at: '2025-07-05T10:00:00.000Z',
+        ...noPodcast
+      });
+    });
+
+    test('should shorten long fallback titles', () => {
+      const title = FeedParser.itemTitle(null, `<p>${'word '.repeat(40)}</p>`, 'https://example.com/');
+
+      expect(title.length).toBeLessThanOrEqual(100);
+      expect(title.endsWith('...')).toBe(true);
+    });
+  });
+
+  describe('Podcast metadata', () => {
+    test('should parse durations in seconds and clock formats', () => {
+      expect(FeedParser.parseDuration('3600')).toBe(3600);
+      expect(FeedParser.parseDuration('62:03')).toBe(3723);
+      expect(FeedParser.parseDuration('1:02:03')).toBe(3723);
+      expect(FeedParser.parseDuration(' 95.4 ')).toBe(95);
+      expect(FeedParser.parseDuration('about an hour')).toBeNull();
+      expect(FeedParser.parseDuration('0')).toBeNull();
+      expect(FeedParser.parseDuration(undefined)).toBeNull();
+    });
+
+    test('should parse explicit flags', () => {
+      expect(FeedParser.parseExplicit('yes')).toBe(true);
+      expect(FeedParser.parseExplicit('True')).toBe(true);
+      expect(FeedParser.parseExplicit('clean')).toBe(false);
+      expect(FeedParser.parseExplicit('no')).toBe(false);
+      expect(FeedParser.parseExplicit(undefined)).toBeNull();
+    });
+
+    test('should read iTunes and Podcasting 2.0 tags', async () => {
+      const feed = await FeedParser.parse(fixture('podcast.xml'));
+
+      expect(feed.items[0]).toMatchObject({
+        guid: 'podcast-episode-2',
+        duration: 2851,
+        episode: 2,
+        season: 1,
+        episode_type: 'full',
+        explicit: true,
+        chapters_url: 'https://podcast.example.com/episodes/2/chapters.json',
+        chapters_type: 'application/json+chapters',
+        transcripts: [
+          { url: 'https://podcast.example.com/episodes/2/transcript.vtt', type: 'text/vtt', language: 'en', rel: null },
+          { url: 'https://podcast.example.com/episodes/2/transcript.srt', type: 'application/srt', language: null, rel: 'captions' }
+        ]
+      });
+      expect(feed.items[1]).toMatchObject({ duration: 95, episode: null, episode_type: 'trailer', explicit: false });
+    });
+
+    test('should merge enclosures and Media RSS content without duplicates', async () => {
+      const feed = await FeedParser.parse(fixture('podcast.xml'));
+
+      expect(feed.items[0].enclosures).toEqual([
+        { url: 'https://cdn.example.com/episodes/2.mp3', mime_type: 'audio/mpeg', length: 34216300, duration: 2851 },
+        { url: 'https://cdn.example.com/episodes/2.mp4', mime_type: 'video/mp4', length: 104857600, duration: 2851 }
+      ]);
+    });
+
+    test('should turn JSON Feed attachments into enclosures', async () => {
+      const feed = await FeedParser.parse(JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'JSON Podcast',
+        items: [{
+          id: 'episode-1',
+          content_text: 'An episode',
+          attachments: [
+            { url: 'https://json.example.com/1.mp3', mime_type: 'audio/mpeg', size_in_bytes: 2048, duration_in_seconds: 600 },
+            { url: 'https://json.example.com/1.mp3', mime_type: 'audio/mpeg' },
+            'not an attachment'
+          ]
+        }]
+      }));
+
+      expect(feed.items[0].duration).toBe(600);
+      expect(feed.items[0].enclosures).toEqual([
+        { url: 'https://json.example.com/1.mp3', mime_type: 'audio/mpeg', length: 2048, duration: 600 }
+      ]);
+    });
+  });
+
+  describe('Ingestion', () => {
+    let feedServer;
+
+    beforeAll(async () => {
+      feedServer = await startTestServer({
+        '/feed.json': { headers: { 'Content-Type': 'application/feed+json' }, body: fixture('jsonfeed11.json') },
+        '/index.rdf': { headers: { 'Content-Type': 'application/rdf+xml' }, body: fixture('rss10.xml') },
+        '/atom.xml': { headers: { 'Content-Type': 'application/atom+xml' }, body: fixture('atom.xml') }
+      });
+    });
+
+    afterAll(async () => {
+      await feedServer.close();
+    });
+
+    afterEach(async () => {
+      await db('Feed').del();
+    });
+
+    test.each([
+      ['/feed.json', 'json', '1.1'],
+      ['/index.rdf', 'rdf', '1.0'],
+      ['/atom.xml', 'atom', '1.0']
+    ])('should store items from %s and record the format', async (route, format, version) => {
+      const feed = await Feed.create({ name: route, url: `${feedServer.baseUrl}${route}` });
+
+      const result = await new FeedPoller({ concurrency: 1 }).pollFeed(feed);
+
+      expect(result.success).toBe(true);
+      expect(result.new_items).toBe(2);
+
+      const polled = await Feed.findById(feed.id);
+      expect(polled.format).toBe(format);
+      expect(polled.format_version).toBe(version);
+      expect(polled.getPublicData()).toMatchObject({ format, format_version: version });
+
+      const items = await FeedItem.findByFeed(feed.id);
+      expect(items.every(item => item.guid && item.title && item.published_at)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const path = require('path');
+const { db } = require('../db/database');
+const config = require('../config');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const FeedFetcher = require('../utils/feedFetcher');
+const PollLog = require('../models/PollLog');
+const feedPoller = require('../utils/feedPoller');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+describe('Feed Poller Tests', () => {
+  let feedServer;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({
+      '/feed.xml': { body: rssFixture },
+      '/second.xml': { body: rssFixture.replace(/example\.com\/posts/g, 'example.org/posts') },
+      '/broken.xml': { status: 500, body: 'Server error' },
+      '/missing.xml': { status: 404, body: 'Not found' },
+      '/limited.xml': { status: 429, headers: { 'Retry-After': '36000' }, body: 'Slow down' }
+    });
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    feedServer.routes['/feed.xml'] = { body: rssFixture };
+  });
+
+  describe('Scheduling helpers', () => {
+    test('should convert intervals to cron expressions', () => {
+      expect(FeedPoller.toCronExpression(300000)).toBe('*/5 * * * *');
+      expect(FeedPoller.toCronExpression(60000)).toBe('*/1 * * * *');
+      expect(FeedPoller.toCronExpression(15000)).toBe('*/15 * * * * *');
+    });
+
+    test('should never run more workers than the concurrency limit', async () => {
+      let active = 0;
+      let peak = 0;
+
+      const results = await FeedPoller.runWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (value) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+        return value * 2;
+      });
+
+      expect(peak).toBe(2);
+      expect(results).toEqual([2, 4, 6, 8, 10, 12]);
+    });
+
+    test('should start and stop the schedule', async () => {
+      const poller = new FeedPoller({ interval: 60000 });
+
+      expect(poller.start()).toBe(true);
+      expect(poller.start()).toBe(false);
+
+      await poller.stop();
+      expect(poller.task).toBeNull();
+    });
+
+    test('should export a shared poller instance', () => {
+      expect(feedPoller).toBeInstanceOf(FeedPoller);
+    });
+  });
+
+  describe('Due feed selection', () => {
+    test('should select active feeds whose interval has elapsed', async () => {
+      const never = await Feed.create({ name: 'Never fetched', url: 'https://never.example.com/feed.xml' });
+      const stale = await Feed.create({
+        name: 'Stale',
+        url: 'https://stale.example.com/feed.xml',
+        fetch_interval: 600,
+        last_fetched_at: new Date(Date.now() - 700 * 1000).toISOString()
+      });
+      await Feed.create({
+        name: 'Fresh',
+        url: 'https://fresh.example.com/feed.xml',
+        fetch_interval: 600,
+        last_fetched_at: new Date(Date.now() - 60 * 1000).toISOString()
+      });
+      await Feed.create({ name: 'Paused', url: 'https://paused.example.com/feed.xml', status: 'paused' });
+
+      const due = await Feed.findDue();
+
+      expect(due.map(feed => feed.id).sort()).toEqual([never.id, stale.id].sort());
+    });
+  });
+
+  describe('Polling', () => {
+    test('should store items and log the run', async () => {
+      const feed = await Feed.create({ name: 'Poll me', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      const result = await poller.pollFeed(feed);
+
+      expect(result.success).toBe(true);
+      expect(result.new_items).toBe(2);
+
+      const items = await FeedItem.findByFeed(feed.id);
+      expect(items.map(item => item.guid)).toEqual([
+        'https://example.com/posts/second',
+        'https://example.com/posts/first'
+      ]);
+      expect(items[0].summary).toBe('Summary of the second post');
+      expect(items[0].published_at).toBe('2025-07-07T10:00:00.000Z');
+
+      const logs = await PollLog.findByFeed(feed.id);
+      expect(logs).toHaveLength(1);
+      expect(logs[0].success).toBe(1);
+      expect(logs[0].new_items).toBe(2);
+
+      const refreshed = await Feed.findById(feed.id);
+      expect(refreshed.last_fetched_at).not.toBeNull();
+    });
+
+    test('should upsert on guid instead of duplicating items', async () => {
+      const feed = await Feed.create({ name: 'Upsert', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+      feedServer.routes['/feed.xml'] = { body: rssFixture.replace('First post', 'First post (edited)') };
+      const second = await poller.pollFeed(feed);
+
+      expect(second.new_items).toBe(0);
+      expect(second.updated_items).toBe(1);
+
+      const items = await FeedItem.findByFeed(feed.id);
+      expect(items).toHaveLength(2);
+      expect(items.map(item => item.title)).toContain('First post (edited)');
+
+      const logs = await PollLog.findByFeed(feed.id);
+      expect(logs.map(log => log.new_items)).toEqual([0, 2]);
+    });
+
+    test('should log failed polls', async () => {
+      const feed = await Feed.create({ name: 'Broken', url: `${feedServer.baseUrl}/broken.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      const result = await poller.pollFeed(feed);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/HTTP 500/);
+
+      const logs = await PollLog.findByFeed(feed.id);
+      expect(logs[0].success).toBe(0);
+      expect(logs[0].new_items).toBe(0);
+    });
+
+    test('should respect the per-feed item limit', async () => {
+      const feed = await Feed.create({ name: 'Limited', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1, maxItemsPerFeed: 1 });
+
+      const result = await poller.pollFeed(feed);
+
+      expect(result.new_items).toBe(1);
+    });
+
+    test('should poll all due feeds in one cycle', async () => {
+      await Feed.create({ name: 'One', url: `${feedServer.baseUrl}/feed.xml` });
+      await Feed.create({ name: 'Two', url: `${feedServer.baseUrl}/second.xml` });
+      await Feed.create({ name: 'Three', url: `${feedServer.baseUrl}/broken.xml` });
+      const poller = new FeedPoller({ concurrency: 2 });
+
+      const results = await poller.runOnce();
+
+      expect(results).toHaveLength(3);
+      expect(results.filter(result => result.success)).toHaveLength(2);
+      expect(results.reduce((sum, result) => sum + result.new_items, 0)).toBe(4);
+
+      // Nothing is due right after a cycle
+      expect(await poller.runOnce()).toEqual([]);
+    });
+
+    test('should send the configured user agent', async () => {
+      const feed = await Feed.create({ name: 'Agent', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+
+      const fetch = feedServer.requests.filter(req => req.url === '/feed.xml').pop();
+      expect(fetch.headers['user-agent']).toMatch(/^RSSFeeder/);
+    });
+
+    test('should finish in-flight polls when stopped', async () => {
+      let received;
+      const requestReceived = new Promise(resolve => { received = resolve; });
+      feedServer.routes['/feed.xml'] = (req, res) => {
+        received();
+        setTimeout(() => {
+          res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+          res.end(rssFixture);
+        }, 100);
+      };
+      const feed = await Feed.create({ name: 'Stopping', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      const run = poller.runOnce();
+      expect(poller.runOnce()).toBe(run);
+
+      await requestReceived;
+      await poller.stop();
+
+      expect(poller.currentRun).toBeNull();
+      expect(await run).toHaveLength(1);
+      expect(await PollLog.findByFeed(feed.id)).toHaveLength(1);
+    });
+  });
+
+  describe('Conditional fetching', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should send If-None-Match and treat 304 as an empty successful poll', async () => {
+      feedServer.routes['/feed.xml'] = (req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: '"v1"' });
+        res.end(rssFixture);
+      };
+      const feed = await Feed.create({ name: 'ETag', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+      expect((await Feed.findById(feed.id)).etag).toBe('"v1"');
+
+      const second = await poller.pollFeed(await Feed.findById(feed.id));
+
+      expect(second.success).toBe(true);
+      expect(second.not_modified).toBe(true);
+      expect(second.new_items).toBe(0);
+
+      const logs = await PollLog.findByFeed(feed.id);
+      expect(logs[0].success).toBe(1);
+      expect(logs[0].new_items).toBe(0);
+    });
+
+    test('should send If-Modified-Since from the stored Last-Modified', async () => {
+      const lastModified = 'Mon, 07 Jul 2025 10:00:00 GMT';
+      feedServer.routes['/feed.xml'] = (req, res) => {
+        if (req.headers['if-modified-since'] === lastModified) {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml', 'Last-Modified': lastModified });
+        res.end(rssFixture);
+      };
+      const feed = await Feed.create({ name: 'Last-Modified', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+      const second = await poller.pollFeed(await Feed.findById(feed.id));
+
+      expect(second.not_modified).toBe(true);
+      const lastRequest = feedServer.requests.filter(req => req.url === '/feed.xml').pop();
+      expect(lastRequest.headers['if-modified-since']).toBe(lastModified);
+    });
+
+    test('should skip parsing when the body hash is unchanged', async () => {
+      const feed = await Feed.create({ name: 'Hash', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+      const refreshed = await Feed.findById(feed.id);
+      expect(refreshed.content_hash).toBe(FeedFetcher.hashBody(rssFixture));
+
+      const parseSpy = jest.spyOn(FeedFetcher, 'parse');
+      const second = await poller.pollFeed(refreshed);
+
+      expect(parseSpy).not.toHaveBeenCalled();
+      expect(second.success).toBe(true);
+      expect(second.not_modified).toBe(true);
+    });
+
+    test('should not keep validators when the body could not be parsed', async () => {
+      feedServer.routes['/feed.xml'] = {
+        headers: { 'Content-Type': 'text/html', ETag: '"broken"' },
+        body: '<html>maintenance</html>'
+      };
+      const feed = await Feed.create({ name: 'Unparsed', url: `${feedServer.baseUrl}/feed.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      const result = await poller.pollFeed(feed);
+
+      expect(result.success).toBe(false);
+      const refreshed = await Feed.findById(feed.id);
+      expect(refreshed.etag).toBeNull();
+      expect(refreshed.content_hash).toBeNull();
+    });
+  });
+
+  describe('Failure handling', () => {
+    const HOUR = 3600;
+    const secondsUntilNextFetch = (feed) =>
+      (new Date(feed.next_fetch_at).getTime() - new Date(feed.last_fetched_at).getTime()) / 1000;
+
+    test('should record failures and back off exponentially', async () => {
+      const feed = await Feed.create({ name: 'Flaky', url: `${feedServer.baseUrl}/broken.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+      await poller.pollFeed(await Feed.findById(feed.id));
+      await poller.pollFeed(await Feed.findById(feed.id));
+
+      const failed = await Feed.findById(feed.id);
+      expect(failed.status).toBe('active');
+      expect(failed.consecutive_failures).toBe(3);
+      expect(failed.last_error).toBe('Feed server responded with HTTP 500');
+      expect(failed.last_http_status).toBe(500);
+      expect(failed.getHealthState()).toBe('failing');
+
+      // Third failure waits four intervals, give or take the jitter
+      const delay = secondsUntilNextFetch(failed);
+      expect(delay).toBeGreaterThanOrEqual(4 * HOUR * 0.8);
+      expect(delay).toBeLessThanOrEqual(4 * HOUR * 1.2);
+    });
+
+    test('should reset the failure count after a successful poll', async () => {
+      const feed = await Feed.create({ name: 'Recovering', url: `${feedServer.baseUrl}/feed.xml` });
+      await feed.update({ consecutive_failures: 2, last_error: 'Feed server responded with HTTP 500' });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+
+      const recovered = await Feed.findById(feed.id);
+      expect(recovered.consecutive_failures).toBe(0);
+      expect(recovered.last_error).toBeNull();
+      expect(recovered.last_http_status).toBe(200);
+      expect(recovered.last_success_at).toBe(recovered.last_fetched_at);
+    });
+
+    test('should honour Retry-After on 429 responses', async () => {
+      const feed = await Feed.create({ name: 'Rate limited', url: `${feedServer.baseUrl}/limited.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+
+      const limited = await Feed.findById(feed.id);
+      expect(limited.last_http_status).toBe(429);
+      expect(secondsUntilNextFetch(limited)).toBe(10 * HOUR);
+    });
+
+    test('should pause a feed automatically after too many failures', async () => {
+      const feed = await Feed.create({ name: 'Dead', url: `${feedServer.baseUrl}/missing.xml` });
+      await feed.update({ consecutive_failures: config.FEED_FAILURE_THRESHOLD - 1 });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      const result = await poller.pollFeed(feed);
+
+      expect(result.paused).toBe(true);
+      const paused = await Feed.findById(feed.id);
+      expect(paused.status).toBe('paused');
+      expect(paused.paused_reason).toBe('not_found');
+      expect(paused.getHealthState()).toBe('auto_paused');
+      expect(secondsUntilNextFetch(paused)).toBe(config.FEED_RECOVERY_PROBE_INTERVAL);
+
+      // Paused feeds are only probed at the recovery rate
+      expect((await Feed.findDue()).map(due => due.id)).not.toContain(feed.id);
+      const probeTime = new Date(Date.now() + (config.FEED_RECOVERY_PROBE_INTERVAL + 60) * 1000);
+      expect((await Feed.findDue(probeTime)).map(due => due.id)).toContain(feed.id);
+    });
+
+    test('should classify unparseable feeds when pausing', () => {
+      expect(FeedPoller.pauseReasonFor({ httpStatus: 410 })).toBe('not_found');
+      expect(FeedPoller.pauseReasonFor({ code: 'FEED_PARSE_FAILED' })).toBe('invalid_feed');
+      expect(FeedPoller.pauseReasonFor({ httpStatus: 500, code: 'FEED_FETCH_FAILED' })).toBe('unreachable');
+    });
+
+    test('should reactivate an automatically paused feed once it recovers', async () => {
+      const feed = await Feed.create({ name: 'Probe', url: `${feedServer.baseUrl}/feed.xml` });
+      await feed.pause('unreachable');
+      await feed.update({
+        consecutive_failures: config.FEED_FAILURE_THRESHOLD,
+        last_fetched_at: new Date(Date.now() - 2 * 86400 * 1000).toISOString(),
+        next_fetch_at: new Date(Date.now() - 60 * 1000).toISOString()
+      });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      const results = await poller.runOnce();
+
+      expect(results).toHaveLength(1);
+      expect(results[0].recovered).toBe(true);
+      const active = await Feed.findById(feed.id);
+      expect(active.status).toBe('active');
+      expect(active.paused_reason).toBeNull();
+      expect(active.consecutive_failures).toBe(0);
+      expect(active.getHealthState()).toBe('healthy');
+    });
+
+    test('should never probe manually paused feeds', async () => {
+      const feed = await Feed.create({ name: 'Manual', url: `${feedServer.baseUrl}/feed.xml` });
+      await feed.pause();
+      await feed.update({ next_fetch_at: new Date(Date.now() - 60 * 1000).toISOString() });
+
+      expect((await Feed.findDue()).map(due => due.id)).not.toContain(feed.id);
+    });
+  });
+});
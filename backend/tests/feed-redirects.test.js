@@ -0,0 +1,292 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const FeedAlias = require('../models/FeedAlias');
+const config = require('../config');
+const JWTUtils = require('../utils/jwt');
+const AddressGuard = require('../utils/addressGuard');
+const FeedFetcher = require('../utils/feedFetcher');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const rss = (title, guids) => `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>${title}</title><link>https://moved.example.com/</link>
+${guids.map(guid => `<item><title>Post ${guid}</title><link>https://moved.example.com/${guid}</link><guid>${guid}</guid></item>`).join('')}
+</channel></rss>`;
+
+const redirect = (status, location) => ({ status, headers: { Location: location }, body: '' });
+
+describe('Feed Redirect Tests', () => {
+  let feedServer;
+  let testUser;
+  let otherUser;
+  let userToken;
+
+  const poll = async (feed) => new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+  const guidsOf = async (feedId) => (await db('FeedItem').where('feed_id', feedId).orderBy('guid')).map(item => item.guid);
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    testUser = await User.create({
+      name: 'Redirect User',
+      email: 'redirects@example.com',
+      password: 'SecurePass123!'
+    });
+    otherUser = await User.create({
+      name: 'Other Redirect User',
+      email: 'redirects-other@example.com',
+      password: 'SecurePass123!'
+    });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    await testUser.delete();
+    await otherUser.delete();
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    await db('Category').del();
+    Object.keys(feedServer.routes).forEach(route => delete feedServer.routes[route]);
+    feedServer.requests.length = 0;
+  });
+
+  describe('Fetching', () => {
+    test('should only adopt the address reached through permanent redirects', async () => {
+      feedServer.routes['/a.xml'] = redirect(301, '/b.xml');
+      feedServer.routes['/b.xml'] = redirect(302, '/c.xml');
+      feedServer.routes['/c.xml'] = redirect(308, `${feedServer.baseUrl}/d.xml`);
+      feedServer.routes['/d.xml'] = { body: rss('Moved', ['1']) };
+
+      const response = await FeedFetcher.fetch(`${feedServer.baseUrl}/a.xml`);
+
+      expect(response.url).toBe(`${feedServer.baseUrl}/d.xml`);
+      expect(response.permanentUrl).toBe(`${feedServer.baseUrl}/b.xml`);
+      expect(response.redirects.map(hop => hop.status)).toEqual([301, 302, 308]);
+      expect(response.body).toContain('<title>Moved</title>');
+    });
+
+    test('should give up after too many redirects or a loop', async () => {
+      feedServer.routes['/a.xml'] = redirect(301, '/b.xml');
+      feedServer.routes['/b.xml'] = redirect(301, '/c.xml');
+      feedServer.routes['/c.xml'] = redirect(301, '/d.xml');
+      feedServer.routes['/loop.xml'] = redirect(302, '/loop2.xml');
+      feedServer.routes['/loop2.xml'] = redirect(302, '/loop.xml');
+
+      await expect(FeedFetcher.fetch(`${feedServer.baseUrl}/a.xml`, { maxRedirects: 2 }))
+        .rejects.toMatchObject({ code: 'FEED_FETCH_FAILED' });
+      await expect(FeedFetcher.fetch(`${feedServer.baseUrl}/loop.xml`))
+        .rejects.toThrow(/loop/);
+    });
+
+    test('should refuse documents larger than the size limit', async () => {
+      feedServer.routes['/big.xml'] = { body: rss('Big', ['1', '2', '3', '4', '5', '6', '7', '8']) };
+
+      await expect(FeedFetcher.fetch(`${feedServer.baseUrl}/big.xml`, { maxBytes: 256 }))
+        .rejects.toMatchObject({ code: 'FEED_TOO_LARGE' });
+      await expect(FeedFetcher.fetch(`${feedServer.baseUrl}/big.xml`)).resolves.toMatchObject({ status: 200 });
+    });
+  });
+
+  describe('Address guard', () => {
+    afterEach(() => {
+      config.FEED_ALLOW_PRIVATE_ADDRESSES = true;
+    });
+
+    test('should tell private addresses from public ones', () => {
+      ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'].forEach(address => {
+        expect(AddressGuard.isPrivateAddress(address)).toBe(true);
+      });
+      ['93.184.216.34', '172.32.0.1', '2606:4700::1111', 'example.com'].forEach(address => {
+        expect(AddressGuard.isPrivateAddress(address)).toBe(false);
+      });
+    });
+
+    test('should refuse loopback and link-local hosts, named or not', async () => {
+      config.FEED_ALLOW_PRIVATE_ADDRESSES = false;
+      feedServer.routes['/feed.xml'] = { body: rss('Local', ['1']) };
+
+      await expect(FeedFetcher.fetch(`${feedServer.baseUrl}/feed.xml`))
+        .rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      await expect(FeedFetcher.fetch(feedServer.baseUrl.replace('127.0.0.1', 'localhost') + '/feed.xml'))
+        .rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      await expect(FeedFetcher.fetch('http://169.254.169.254/latest/meta-data/'))
+        .rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      expect(feedServer.requests).toHaveLength(0);
+    });
+
+    test('should check every redirect hop', async () => {
+      // Only the test server's own address is let through
+      const isPrivateAddress = AddressGuard.isPrivateAddress.bind(AddressGuard);
+      jest.spyOn(AddressGuard, 'isPrivateAddress').mockImplementation(address =>
+        address !== '127.0.0.1' && isPrivateAddress(address));
+      config.FEED_ALLOW_PRIVATE_ADDRESSES = false;
+      feedServer.routes['/a.xml'] = redirect(302, 'http://169.254.169.254/latest/meta-data/');
+
+      try {
+        await expect(FeedFetcher.fetch(`${feedServer.baseUrl}/a.xml`)).rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+        expect(feedServer.requests.map(req => req.url)).toEqual(['/a.xml']);
+      } finally {
+        AddressGuard.isPrivateAddress.mockRestore();
+      }
+    });
+  });
+
+  describe('Polling', () => {
+    test('should move the feed after a permanent redirect and keep the old URL as an alias', async () => {
+      feedServer.routes['/old.xml'] = redirect(301, '/new.xml');
+      feedServer.routes['/new.xml'] = { body: rss('Moved', ['1', '2']) };
+      const feed = await Feed.create({ name: 'Moved', url: `${feedServer.baseUrl}/old.xml` });
+
+      const result = await poll(feed);
+
+      expect(result).toMatchObject({ success: true, new_items: 2, moved_to: `${feedServer.baseUrl}/new.xml`, merged_into: null });
+      const moved = await Feed.findById(feed.id);
+      expect(moved.url).toBe(`${feedServer.baseUrl}/new.xml`);
+      expect((await FeedAlias.findByUrl(`${feedServer.baseUrl}/old.xml`)).feed_id).toBe(feed.id);
+
+      feedServer.requests.length = 0;
+      await poll(feed);
+      expect(feedServer.requests.map(req => req.url)).toEqual(['/new.xml']);
+    });
+
+    test('should keep polling the original URL after a temporary redirect', async () => {
+      feedServer.routes['/feed.xml'] = redirect(307, '/mirror.xml');
+      feedServer.routes['/mirror.xml'] = { body: rss('Mirror', ['1']) };
+      const feed = await Feed.create({ name: 'Mirror', url: `${feedServer.baseUrl}/feed.xml` });
+
+      const result = await poll(feed);
+
+      expect(result.moved_to).toBeNull();
+      expect((await Feed.findById(feed.id)).url).toBe(`${feedServer.baseUrl}/feed.xml`);
+      expect(await FeedAlias.findByFeed(feed.id)).toEqual([]);
+    });
+
+    test('should merge into the feed that already has the new URL', async () => {
+      const source = await Feed.create({ name: 'Old address', url: `${feedServer.baseUrl}/old.xml` });
+      const target = await Feed.create({ name: 'New address', url: `${feedServer.baseUrl}/new.xml` });
+
+      feedServer.routes['/old.xml'] = { body: rss('Old', ['shared', 'old-only']) };
+      feedServer.routes['/new.xml'] = { body: rss('New', ['shared', 'new-only']) };
+      await poll(source);
+      await poll(target);
+
+      const sourceItem = (guid) => db('FeedItem').where({ feed_id: source.id, guid }).first();
+      const shared = await sourceItem('shared');
+      const oldOnly = await sourceItem('old-only');
+      const [categoryId] = await db('Category').insert({ name: 'Moved things' });
+      await db('ReadState').insert({ user_id: testUser.id, item_id: shared.id });
+      await db('Bookmark').insert([
+        { user_id: testUser.id, item_id: shared.id },
+        { user_id: otherUser.id, item_id: oldOnly.id }
+      ]);
+      await db('ItemCategory').insert({ item_id: shared.id, category_id: categoryId });
+      await db('Nugget').insert({ user_id: testUser.id, item_id: shared.id, purpose: 'comment', service: 'EngageBot' });
+      await db('UserFeedSubscription').insert([
+        { user_id: testUser.id, feed_id: source.id },
+        { user_id: otherUser.id, feed_id: source.id, custom_interval: 7200 },
+        { user_id: otherUser.id, feed_id: target.id, custom_interval: 1800 }
+      ]);
+
+      feedServer.routes['/old.xml'] = redirect(308, '/new.xml');
+      const result = await poll(source);
+
+      expect(result).toMatchObject({ success: true, merged_into: target.id });
+      expect(await Feed.findById(source.id)).toBeNull();
+      expect(await guidsOf(target.id)).toEqual(['new-only', 'old-only', 'shared']);
+
+      const targetShared = await db('FeedItem').where({ feed_id: target.id, guid: 'shared' }).first();
+      expect(await db('ReadState').where('user_id', testUser.id)).toEqual([
+        expect.objectContaining({ item_id: targetShared.id })
+      ]);
+      expect((await db('Bookmark').orderBy('user_id')).map(row => [row.user_id, row.item_id])).toEqual([
+        [testUser.id, targetShared.id],
+        [otherUser.id, oldOnly.id]
+      ]);
+      expect(await db('ItemCategory').where('category_id', categoryId)).toEqual([{ item_id: targetShared.id, category_id: categoryId }]);
+      expect((await db('Nugget').where('user_id', testUser.id).first()).item_id).toBe(targetShared.id);
+
+      // Subscribers of both feeds keep their existing subscription to the target
+      const subscriptions = await db('UserFeedSubscription').orderBy('user_id');
+      expect(subscriptions.map(row => [row.user_id, row.feed_id, row.custom_interval])).toEqual([
+        [testUser.id, target.id, null],
+        [otherUser.id, target.id, 1800]
+      ]);
+
+      expect(await FeedAlias.findByUrl(`${feedServer.baseUrl}/old.xml`)).toMatchObject({ feed_id: target.id, reason: 'merge' });
+    });
+
+    test('should carry aliases of the merged feed over', async () => {
+      const source = await Feed.create({ name: 'Source', url: `${feedServer.baseUrl}/second.xml` });
+      const target = await Feed.create({ name: 'Target', url: `${feedServer.baseUrl}/third.xml` });
+      await source.addAlias(`${feedServer.baseUrl}/first.xml`);
+
+      await Feed.merge(source, target);
+
+      expect((await FeedAlias.findByFeed(target.id)).map(alias => alias.url)).toEqual([
+        `${feedServer.baseUrl}/first.xml`,
+        `${feedServer.baseUrl}/second.xml`
+      ]);
+      await expect(Feed.merge(target, target)).rejects.toThrow('A feed cannot be merged into itself');
+    });
+  });
+
+  describe('Adding feeds', () => {
+    test('should resolve former URLs to the feed that replaced them', async () => {
+      const feed = await Feed.create({ name: 'Current', url: `${feedServer.baseUrl}/current.xml` });
+      await feed.addAlias(`${feedServer.baseUrl}/former.xml`);
+
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/former.xml` })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('FEED_EXISTS');
+      expect(response.body.data.id).toBe(feed.id);
+      await expect(Feed.create({ name: 'Again', url: `${feedServer.baseUrl}/former.xml` }))
+        .rejects.toThrow('Feed with this URL already exists');
+    });
+
+    test('should map a URL that redirects to a known feed onto that feed', async () => {
+      const feed = await Feed.create({ name: 'Known', url: `${feedServer.baseUrl}/known.xml` });
+      feedServer.routes['/legacy.xml'] = redirect(301, '/known.xml');
+      feedServer.routes['/known.xml'] = { body: rss('Known', ['1']) };
+
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/legacy.xml` })
+        .expect(409);
+
+      expect(response.body.data.id).toBe(feed.id);
+    });
+
+    test('should add a moved feed under its new URL and list the old one', async () => {
+      feedServer.routes['/legacy.xml'] = redirect(301, '/fresh.xml');
+      feedServer.routes['/fresh.xml'] = { body: rss('Fresh', ['1']) };
+
+      const created = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/legacy.xml` })
+        .expect(201);
+
+      expect(created.body.data.url).toBe(`${feedServer.baseUrl}/fresh.xml`);
+
+      const details = await request(app)
+        .get(`/api/v1/feeds/${created.body.data.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(details.body.data.aliases).toEqual([
+        { url: `${feedServer.baseUrl}/legacy.xml`, reason: 'redirect', created_at: expect.any(String) }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const PollLog = require('../models/PollLog');
+const JWTUtils = require('../utils/jwt');
+const feedPoller = require('../utils/feedPoller');
+const feedRefresh = require('../utils/feedRefresh');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+describe('Feed Refresh Tests', () => {
+  let feedServer;
+  let adminUser;
+  let regularUser;
+  let otherUser;
+  let adminToken;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    adminUser = await User.create({ name: 'Admin User', email: 'refresh-admin@example.com', password: 'SecurePass123!' });
+    regularUser = await User.create({ name: 'Regular User', email: 'refresh-user@example.com', password: 'SecurePass123!' });
+    otherUser = await User.create({ name: 'Other User', email: 'refresh-other@example.com', password: 'SecurePass123!' });
+    await db('User').where('id', adminUser.id).update({ role: 'admin' });
+    adminToken = JWTUtils.generateTokenPair(adminUser).accessToken;
+    userToken = JWTUtils.generateTokenPair(regularUser).accessToken;
+    otherToken = JWTUtils.generateTokenPair(otherUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    await adminUser.delete();
+    await regularUser.delete();
+    await otherUser.delete();
+  });
+
+  afterEach(async () => {
+    // Let every job finish before its feeds are deleted
+    await Promise.all([...feedRefresh.jobs.values()].map(job => job.done));
+    feedRefresh.jobs.clear();
+    feedRefresh.lastStarted.clear();
+    await db('UserFeedSubscription').del();
+    await db('Feed').del();
+    feedServer.requests.length = 0;
+    Object.keys(feedServer.routes).forEach(route => delete feedServer.routes[route]);
+  });
+
+  const createFeed = async (route, data = {}) => {
+    feedServer.routes[route] = feedServer.routes[route] || { body: rssFixture };
+    return Feed.create({ name: route.slice(1), url: `${feedServer.baseUrl}${route}`, ...data });
+  };
+
+  const subscribe = (user, ...feeds) => db('UserFeedSubscription')
+    .insert(feeds.map(feed => ({ user_id: user.id, feed_id: feed.id })));
+
+  const startRefresh = (body, token = userToken) => request(app)
+    .post('/api/v1/refresh')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const getJob = (jobId, token = userToken) => request(app)
+    .get(`/api/v1/refresh/${jobId}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const finish = (jobId) => feedRefresh.jobs.get(jobId).done;
+
+  /**
+   * Serve a feed only once release() is called, to observe a running refresh
+   * @param {string} route - Path of the feed
+   */
+  const holdFeed = (route) => {
+    let release;
+    const released = new Promise((resolve) => { release = resolve; });
+    feedServer.routes[route] = async (req, res) => {
+      await released;
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+      res.end(rssFixture);
+    };
+    return release;
+  };
+
+  describe('POST /api/v1/refresh', () => {
+    test('should poll a single feed and report its result', async () => {
+      const feed = await createFeed('/single.xml');
+
+      const response = await startRefresh({ feed_id: feed.id });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({
+        scope: { type: 'feed', feed_id: feed.id },
+        status: 'running',
+        finished_at: null
+      });
+
+      await finish(response.body.data.id);
+      const job = await getJob(response.body.data.id);
+
+      expect(job.status).toBe(200);
+      expect(job.body.data).toMatchObject({
+        status: 'completed',
+        progress: { total: 1, completed: 1, new_items: 2 },
+        feeds: [{ feed_id: feed.id, name: 'single.xml', status: 'done', new_items: 2, error: null }]
+      });
+      expect(job.body.data.finished_at).not.toBeNull();
+      expect(await PollLog.findByFeed(feed.id)).toHaveLength(1);
+    });
+
+    test('should refresh every subscribed feed, skipping paused and recently fetched ones', async () => {
+      const fresh = await createFeed('/fresh.xml');
+      const recent = await createFeed('/recent.xml');
+      const paused = await createFeed('/paused.xml');
+      const broken = await createFeed('/broken.xml');
+      const unsubscribed = await createFeed('/unsubscribed.xml');
+      feedServer.routes['/broken.xml'] = { status: 500, body: 'Server error' };
+      await recent.update({ last_fetched_at: new Date().toISOString() });
+      await paused.pause();
+      await subscribe(regularUser, fresh, recent, paused, broken);
+
+      const response = await startRefresh({});
+      await finish(response.body.data.id);
+      const job = (await getJob(response.body.data.id)).body.data;
+
+      expect(job.scope).toEqual({ type: 'subscriptions' });
+      expect(job.progress).toEqual({ total: 4, completed: 4, new_items: 2 });
+      expect(job.feeds.map(entry => [entry.name, entry.status, entry.reason])).toEqual([
+        ['broken.xml', 'failed', null],
+        ['fresh.xml', 'done', null],
+        ['paused.xml', 'skipped', 'paused'],
+        ['recent.xml', 'skipped', 'recently_fetched']
+      ]);
+      expect(job.feeds[0].error).toBe('Feed server responded with HTTP 500');
+      expect(feedServer.requests.map(req => req.url).sort()).toEqual(['/broken.xml', '/fresh.xml']);
+      expect(await PollLog.findByFeed(unsubscribed.id)).toHaveLength(0);
+    });
+
+    test('should allow one refresh at a time and throttle repeated refreshes', async () => {
+      const feed = await createFeed('/slow.xml');
+      const release = holdFeed('/slow.xml');
+
+      const first = await startRefresh({ feed_id: feed.id });
+      const second = await startRefresh({ feed_id: feed.id });
+
+      expect(second.status).toBe(409);
+      expect(second.body.error.code).toBe('REFRESH_IN_PROGRESS');
+      expect(second.body.data.id).toBe(first.body.data.id);
+
+      release();
+      await finish(first.body.data.id);
+
+      const third = await startRefresh({});
+      expect(third.status).toBe(429);
+      expect(third.body.error.code).toBe('REFRESH_THROTTLED');
+      expect(Number(third.headers['retry-after'])).toBeGreaterThan(0);
+
+      // Other users have their own allowance
+      expect((await startRefresh({}, otherToken)).status).toBe(202);
+    });
+
+    test('should not refresh feeds or show jobs of other users', async () => {
+      const privateFeed = await createFeed('/private.xml', { owner_id: otherUser.id });
+
+      const hidden = await startRefresh({ feed_id: privateFeed.id });
+      expect(hidden.status).toBe(404);
+      expect(hidden.body.error.code).toBe('FEED_NOT_FOUND');
+
+      const own = await startRefresh({ feed_id: privateFeed.id }, otherToken);
+      expect(own.status).toBe(202);
+      expect((await getJob(own.body.data.id)).status).toBe(404);
+    });
+
+    test('should reject invalid feed IDs', async () => {
+      const response = await startRefresh({ feed_id: 'abc' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual(['feed_id must be a feed ID']);
+    });
+  });
+
+  describe('GET /api/v1/refresh/:jobId/events', () => {
+    test('should stream progress until the refresh completes', async () => {
+      const feed = await createFeed('/streamed.xml');
+      const release = holdFeed('/streamed.xml');
+      const started = await startRefresh({ feed_id: feed.id });
+
+      const stream = request(app)
+        .get(`/api/v1/refresh/${started.body.data.id}/events`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .then(response => response);
+      setTimeout(release, 50);
+      const response = await stream;
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      const events = response.text.trim().split('\n\n').map((block) => {
+        const [event, data] = block.split('\n');
+        return { event: event.replace('event: ', ''), data: JSON.parse(data.replace('data: ', '')) };
+      });
+      expect(events[0]).toMatchObject({ event: 'progress', data: { status: 'running' } });
+      expect(events[events.length - 1]).toMatchObject({
+        event: 'complete',
+        data: { status: 'completed', progress: { total: 1, completed: 1, new_items: 2 } }
+      });
+    });
+
+    test('should send a single complete event for a finished refresh', async () => {
+      const feed = await createFeed('/finished.xml');
+      const started = await startRefresh({ feed_id: feed.id });
+      await finish(started.body.data.id);
+
+      const response = await request(app)
+        .get(`/api/v1/refresh/${started.body.data.id}/events`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.text.startsWith('event: complete\n')).toBe(true);
+      expect(response.text.match(/^event:/gm)).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/v1/admin/feeds/poll', () => {
+    const poll = (body, token = adminToken) => request(app)
+      .post('/api/v1/admin/feeds/poll')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    test('should be limited to admins', async () => {
+      const response = await poll({}, userToken);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('should poll recently fetched feeds without throttling', async () => {
+      const feed = await createFeed('/admin.xml');
+      await feed.update({ last_fetched_at: new Date().toISOString() });
+
+      const first = await poll({ feed_id: feed.id });
+      await finish(first.body.data.id);
+      const second = await poll({});
+      await finish(second.body.data.id);
+
+      expect(first.status).toBe(202);
+      expect((await getJob(first.body.data.id, adminToken)).body.data.feeds[0]).toMatchObject({ status: 'done', new_items: 2 });
+      expect(second.status).toBe(202);
+      expect(second.body.data.scope).toEqual({ type: 'all' });
+      expect(feedServer.requests).toHaveLength(2);
+    });
+  });
+
+  describe('Failures', () => {
+    test('should complete a job whose feeds or listeners throw, so the user can refresh again', async () => {
+      const broken = await createFeed('/broken.xml');
+      const working = await createFeed('/working.xml');
+      broken.getHealthState = () => {
+        throw new Error('Feed state unreadable');
+      };
+
+      const job = feedRefresh.start(regularUser.id, [broken, working], { force: true });
+      const completed = jest.fn();
+      job.events.once('complete', completed);
+
+      await expect(job.done).resolves.toBe(job);
+      expect(job.status).toBe('completed');
+      expect(job.finished_at).not.toBeNull();
+      expect(job.feeds[0]).toMatchObject({ feed_id: broken.id, status: 'failed', error: 'Refresh failed' });
+      expect(completed).toHaveBeenCalledTimes(1);
+      expect(feedRefresh.findRunning(regularUser.id)).toBeNull();
+
+      const next = feedRefresh.start(regularUser.id, [working], { force: true });
+      next.events.on('progress', () => {
+        throw new Error('Client went away');
+      });
+
+      await expect(next.done).resolves.toBe(next);
+      expect(next.status).toBe('completed');
+      expect(feedRefresh.findRunning(regularUser.id)).toBeNull();
+    });
+  });
+
+  describe('Poller', () => {
+    test('should share a poll of a feed that is already running', async () => {
+      const feed = await createFeed('/shared.xml');
+      const release = holdFeed('/shared.xml');
+
+      const first = feedPoller.pollNow(feed);
+      const second = feedPoller.pollNow(feed);
+      release();
+
+      expect(await second).toBe(await first);
+      expect(feedServer.requests).toHaveLength(1);
+      expect(feedPoller.inFlight.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+describe('Feed Management Tests', () => {
+  let testUser;
+  let adminUser;
+  let userToken;
+  let adminToken;
+  let feedServer;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({
+      '/feed.xml': { body: rssFixture },
+      '/other.xml': { body: rssFixture.replace('Example Blog', 'Other Blog') },
+      '/gone.xml': { status: 410, body: 'Gone' }
+    });
+
+    testUser = await User.create({
+      name: 'Feed User',
+      email: 'feeds@example.com',
+      password: 'SecurePass123!'
+    });
+
+    adminUser = await User.create({
+      name: 'Feed Admin',
+      email: 'feeds-admin@example.com',
+      password: 'SecurePass123!'
+    });
+    await db('User').where('id', adminUser.id).update({ role: 'admin' });
+
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+    adminToken = JWTUtils.generateTokenPair(adminUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    if (testUser) {
+      await testUser.delete();
+    }
+    if (adminUser) {
+      await adminUser.delete();
+    }
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+  });
+
+  describe('Feed Model', () => {
+    test('should create and find a feed', async () => {
+      const feed = await Feed.create({ name: 'Model Feed', url: 'https://model.example.com/feed.xml' });
+
+      expect(feed.id).toBeDefined();
+      expect(feed.status).toBe('active');
+      expect(feed.fetch_interval).toBe(3600);
+
+      const byId = await Feed.findById(feed.id);
+      expect(byId.url).toBe('https://model.example.com/feed.xml');
+
+      const byUrl = await Feed.findByUrl('https://model.example.com/feed.xml');
+      expect(byUrl.id).toBe(feed.id);
+    });
+
+    test('should reject duplicate feed URLs', async () => {
+      await Feed.create({ name: 'Original', url: 'https://dup.example.com/feed.xml' });
+
+      await expect(Feed.create({ name: 'Copy', url: 'https://dup.example.com/feed.xml' }))
+        .rejects.toThrow('Feed with this URL already exists');
+    });
+
+    test('should pause and resume a feed', async () => {
+      const feed = await Feed.create({ name: 'Pausable', url: 'https://pause.example.com/feed.xml' });
+
+      await feed.pause();
+      expect((await Feed.findById(feed.id)).status).toBe('paused');
+
+      await feed.resume();
+      expect((await Feed.findById(feed.id)).status).toBe('active');
+    });
+
+    test('should record the pause reason and clear it on resume', async () => {
+      const feed = await Feed.create({ name: 'Reasons', url: 'https://reasons.example.com/feed.xml' });
+
+      await feed.pause();
+      let stored = await Feed.findById(feed.id);
+      expect(stored.paused_reason).toBe('manual');
+      expect(stored.paused_at).not.toBeNull();
+
+      await feed.update({ consecutive_failures: 4 });
+      await feed.resume();
+      stored = await Feed.findById(feed.id);
+      expect(stored.paused_reason).toBeNull();
+      expect(stored.paused_at).toBeNull();
+      expect(stored.consecutive_failures).toBe(0);
+
+      await expect(feed.pause('bored')).rejects.toThrow('Invalid pause reason');
+    });
+
+    test('should reject invalid status updates', async () => {
+      const feed = await Feed.create({ name: 'Status', url: 'https://status.example.com/feed.xml' });
+
+      await expect(feed.update({ status: 'broken' })).rejects.toThrow('Invalid feed status');
+    });
+
+    test('should delete a feed', async () => {
+      const feed = await Feed.create({ name: 'Doomed', url: 'https://doomed.example.com/feed.xml' });
+
+      await feed.delete();
+      expect(await Feed.findById(feed.id)).toBeNull();
+    });
+  });
+
+  describe('POST /api/v1/feeds', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/v1/feeds')
+        .send({ url: `${feedServer.baseUrl}/feed.xml` })
+        .expect(401);
+    });
+
+    test('should add a feed and take its name from the feed title', async () => {
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/feed.xml` })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.name).toBe('Example Blog');
+      expect(response.body.data.url).toBe(`${feedServer.baseUrl}/feed.xml`);
+      expect(response.body.data.status).toBe('active');
+      expect(response.body.data.fetch_interval).toBe(3600);
+      expect(response.body.data.last_fetched_at).toBeNull();
+    });
+
+    test('should prefer an explicit name', async () => {
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/feed.xml`, name: 'My Name' })
+        .expect(201);
+
+      expect(response.body.data.name).toBe('My Name');
+    });
+
+    test('should send the configured user agent', async () => {
+      await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/feed.xml` })
+        .expect(201);
+
+      const fetch = feedServer.requests.filter(req => req.url === '/feed.xml').pop();
+      expect(fetch.headers['user-agent']).toMatch(/^RSSFeeder/);
+    });
+
+    test('should reject invalid URLs', async () => {
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: 'ftp://example.com/feed.xml' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should reject pages that are not feeds and offer none', async () => {
+      // Separate origin so discovery cannot fall back to the feeds served above
+      const siteServer = await startTestServer({
+        '/page.html': { headers: { 'Content-Type': 'text/html' }, body: '<html><body>Not a feed</body></html>' }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${siteServer.baseUrl}/page.html` })
+        .expect(422);
+
+      await siteServer.close();
+
+      expect(response.body.error.code).toBe('NO_FEED_FOUND');
+      expect(await Feed.findByUrl(`${siteServer.baseUrl}/page.html`)).toBeNull();
+    });
+
+    test('should report unreachable feeds', async () => {
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/gone.xml` })
+        .expect(422);
+
+      expect(response.body.error.code).toBe('FEED_FETCH_FAILED');
+    });
+
+    test('should return 409 for an existing feed URL', async () => {
+      await Feed.create({ name: 'Existing', url: `${feedServer.baseUrl}/feed.xml` });
+
+      const response = await request(app)
+        .post('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ url: `${feedServer.baseUrl}/feed.xml` })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('FEED_EXISTS');
+      expect(response.body.data.name).toBe('Existing');
+    });
+  });
+
+  describe('GET /api/v1/feeds', () => {
+    test('should list feeds with pagination', async () => {
+      await Feed.create({ name: 'Alpha', url: 'https://alpha.example.com/feed.xml' });
+      await Feed.create({ name: 'Beta', url: 'https://beta.example.com/feed.xml' });
+      await Feed.create({ name: 'Gamma', url: 'https://gamma.example.com/feed.xml' });
+
+      const response = await request(app)
+        .get('/api/v1/feeds?limit=2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.feeds.map(feed => feed.name)).toEqual(['Alpha', 'Beta']);
+      expect(response.body.data.feeds[0].subscriber_count).toBe(0);
+      expect(response.body.data.pagination).toEqual({
+        total: 3,
+        limit: 2,
+        offset: 0,
+        has_more: true
+      });
+    });
+
+    test('should search feeds by name or URL', async () => {
+      await Feed.create({ name: 'Alpha', url: 'https://alpha.example.com/feed.xml' });
+      await Feed.create({ name: 'Beta', url: 'https://beta.example.com/feed.xml' });
+
+      const response = await request(app)
+        .get('/api/v1/feeds?search=beta')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.feeds).toHaveLength(1);
+      expect(response.body.data.feeds[0].name).toBe('Beta');
+    });
+
+    test('should show the health of each feed', async () => {
+      await Feed.create({ name: 'Fresh', url: 'https://fresh.example.com/feed.xml' });
+      const failing = await Feed.create({ name: 'Failing', url: 'https://failing.example.com/feed.xml' });
+      await failing.update({
+        last_fetched_at: new Date().toISOString(),
+        consecutive_failures: 3,
+        last_error: 'Feed server responded with HTTP 502',
+        last_http_status: 502
+      });
+      const dead = await Feed.create({ name: 'Dead', url: 'https://dead.example.com/feed.xml' });
+      await dead.pause('not_found');
+
+      const response = await request(app)
+        .get('/api/v1/feeds')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const health = Object.fromEntries(response.body.data.feeds.map(feed => [feed.name, feed.health]));
+      expect(health.Fresh.state).toBe('pending');
+      expect(health.Failing).toMatchObject({
+        state: 'failing',
+        consecutive_failures: 3,
+        last_error: 'Feed server responded with HTTP 502',
+        last_http_status: 502
+      });
+      expect(health.Dead).toMatchObject({ state: 'auto_paused', paused_reason: 'not_found' });
+    });
+  });
+
+  describe('GET/PUT/DELETE /api/v1/feeds/:id', () => {
+    test('should return feed details with stats', async () => {
+      const feed = await Feed.create({ name: 'Detail', url: 'https://detail.example.com/feed.xml' });
+
+      const response = await request(app)
+        .get(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Detail');
+      expect(response.body.data.stats).toEqual({
+        total_items: 0,
+        items_last_30_days: 0,
+        subscriber_count: 0
+      });
+    });
+
+    test('should return 404 for unknown feeds', async () => {
+      const response = await request(app)
+        .get('/api/v1/feeds/99999')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('FEED_NOT_FOUND');
+    });
+
+    test('should update a feed', async () => {
+      const feed = await Feed.create({ name: 'Before', url: 'https://update.example.com/feed.xml' });
+
+      const response = await request(app)
+        .put(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'After', fetch_interval: 1800, status: 'paused' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('After');
+      expect(response.body.data.fetch_interval).toBe(1800);
+      expect(response.body.data.status).toBe('paused');
+    });
+
+    test('should validate feed updates', async () => {
+      const feed = await Feed.create({ name: 'Invalid', url: 'https://invalid.example.com/feed.xml' });
+
+      const response = await request(app)
+        .put(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'broken', fetch_interval: 5 })
+        .expect(400);
+
+      expect(response.body.error.details).toHaveLength(2);
+    });
+
+    test('should pause and resume through the API', async () => {
+      const feed = await Feed.create({ name: 'Toggle', url: 'https://toggle.example.com/feed.xml' });
+
+      const paused = await request(app)
+        .post(`/api/v1/feeds/${feed.id}/pause`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(paused.body.data.status).toBe('paused');
+
+      const resumed = await request(app)
+        .post(`/api/v1/feeds/${feed.id}/resume`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(resumed.body.data.status).toBe('active');
+    });
+
+    test('should delete a feed', async () => {
+      const feed = await Feed.create({ name: 'Delete', url: 'https://delete.example.com/feed.xml' });
+
+      await request(app)
+        .delete(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await Feed.findById(feed.id)).toBeNull();
+    });
+
+    test('should leave shared feeds to admins and private feeds to their owners', async () => {
+      const shared = await Feed.create({ name: 'Shared', url: 'https://shared.example.com/feed.xml' });
+      const own = await Feed.create({ name: 'Own', url: 'https://own.example.com/feed.xml', owner_id: testUser.id });
+      const others = await Feed.create({ name: 'Others', url: 'https://others.example.com/feed.xml', owner_id: adminUser.id });
+
+      const attempts = [
+        token => request(app).put(`/api/v1/feeds/${shared.id}`).set('Authorization', `Bearer ${token}`).send({ name: 'Renamed' }),
+        token => request(app).post(`/api/v1/feeds/${shared.id}/pause`).set('Authorization', `Bearer ${token}`),
+        token => request(app).post(`/api/v1/feeds/${shared.id}/resume`).set('Authorization', `Bearer ${token}`),
+        token => request(app).delete(`/api/v1/feeds/${shared.id}`).set('Authorization', `Bearer ${token}`)
+      ];
+      for (const attempt of attempts) {
+        const response = await attempt(userToken);
+        expect(response.status).toBe(403);
+        expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      }
+      expect((await Feed.findById(shared.id)).name).toBe('Shared');
+
+      await request(app)
+        .put(`/api/v1/feeds/${own.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Still mine' })
+        .expect(200);
+
+      // Admins manage shared feeds, not other users' private ones
+      await request(app)
+        .delete(`/api/v1/feeds/${own.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+      await request(app)
+        .post(`/api/v1/feeds/${others.id}/pause`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+  });
+});
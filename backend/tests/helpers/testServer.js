@@ -0,0 +1,46 @@
+const http = require('http');
+
+/**
+ * Start a local HTTP server for tests that need a remote feed or website.
+ * Routes map a request path to either a handler `(req, res) => {}` or a
+ * static `{ status, headers, body }` response.
+ * @param {Object} routes - Path to response map
+ * @returns {Promise<Object>} - Server, base URL, request log and close()
+ */
+const startTestServer = (routes = {}) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+    const pathname = req.url.split('?')[0];
+    const route = routes[req.url] || routes[pathname];
+
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    if (typeof route === 'function') {
+      return route(req, res);
+    }
+
+    res.writeHead(route.status || 200, route.headers || { 'Content-Type': 'application/rss+xml' });
+    res.end(route.body || '');
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        server,
+        routes,
+        requests,
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+module.exports = { startTestServer };
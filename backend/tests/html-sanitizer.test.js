@@ -0,0 +1,159 @@
+const { db } = require('../db/database');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const HtmlSanitizer = require('../utils/htmlSanitizer');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const sanitize = (html) => HtmlSanitizer.sanitize(html, { baseUrl: 'https://example.com/blog/post' });
+
+describe('HTML Sanitizer Tests', () => {
+  describe('Allow-list', () => {
+    test('should keep formatting markup', () => {
+      const html = '<h2>Title</h2><p>Some <strong>bold</strong>, <em>italic</em> and <code>code</code>.</p><ul><li>One</li></ul>';
+
+      expect(sanitize(html)).toBe(html);
+    });
+
+    test('should remove scripts, styles and their content', () => {
+      expect(sanitize('<p>Safe</p><script>alert(1)</script><style>p { color: red }</style><noscript>x</noscript>'))
+        .toBe('<p>Safe</p>');
+      expect(sanitize('<p>Before</p><SCRIPT type="text/javascript">never closed'))
+        .toBe('<p>Before</p>');
+      expect(sanitize('<svg><script>alert(1)</script></svg>After')).toBe('After');
+    });
+
+    test('should remove event handlers, styles and unknown attributes', () => {
+      expect(sanitize('<p onclick="steal()" style="position:fixed" class="x" id="y" title="Kept">Text</p>'))
+        .toBe('<p title="Kept">Text</p>');
+      expect(sanitize('<img src="/a.png" onerror="steal()" alt="A">'))
+        .toBe('<img src="https://example.com/a.png" alt="A">');
+    });
+
+    test('should unwrap unknown tags and keep their text', () => {
+      expect(sanitize('<font color="red">Red</font> <form action="/x"><input name="q">Query</form>'))
+        .toBe('Red Query');
+    });
+
+    test('should drop comments and escape stray brackets', () => {
+      expect(sanitize('<!-- tracking --><p>1 < 2 > 0</p>')).toBe('<p>1 &lt; 2 &gt; 0</p>');
+    });
+
+    test('should balance unclosed and misnested tags', () => {
+      expect(sanitize('<div><b>Bold <i>both</div>')).toBe('<div><b>Bold <i>both</i></b></div>');
+      expect(sanitize('</p>Stray close<p>Open')).toBe('Stray close<p>Open</p>');
+    });
+  });
+
+  describe('URLs', () => {
+    test('should drop javascript: and data: URLs however they are disguised', () => {
+      expect(sanitize('<a href="javascript:alert(1)">A</a>')).toBe('<a>A</a>');
+      expect(sanitize('<a href="java&#x09;script:alert(1)">B</a>')).toBe('<a>B</a>');
+      expect(sanitize('<a href=" &#106;avascript:alert(1)">C</a>')).toBe('<a>C</a>');
+      expect(sanitize('<img src="data:image/svg+xml;base64,PHN2Zz4=">')).toBe('');
+      expect(sanitize('<a href="vbscript:msgbox">D</a>')).toBe('<a>D</a>');
+    });
+
+    test('should resolve relative links and images against the base URL', () => {
+      expect(sanitize('<a href="../about">About</a><img src="images/1.png" srcset="images/1.png 1x, /images/1@2x.png 2x">'))
+        .toBe('<a href="https://example.com/about" rel="noopener noreferrer">About</a>' +
+          '<img src="https://example.com/blog/images/1.png" srcset="https://example.com/blog/images/1.png 1x, https://example.com/images/1@2x.png 2x">');
+    });
+
+    test('should add rel="noopener noreferrer" to links', () => {
+      expect(sanitize('<a href="https://other.example.com/" target="_blank" rel="opener">Out</a>'))
+        .toBe('<a href="https://other.example.com/" rel="noopener noreferrer">Out</a>');
+      expect(sanitize('<a href="mailto:editor@example.com">Mail</a>'))
+        .toBe('<a href="mailto:editor@example.com" rel="noopener noreferrer">Mail</a>');
+    });
+
+    test('should escape attribute values', () => {
+      expect(sanitize('<img src="/a.png" alt="&quot;><script>alert(1)</script>">'))
+        .toBe('<img src="https://example.com/a.png" alt="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">');
+    });
+  });
+
+  describe('Embeds and tracking', () => {
+    test('should keep iframes from allowed hosts only', () => {
+      expect(sanitize('<iframe src="https://www.youtube.com/embed/abc" width="560" onload="x()">Fallback</iframe>'))
+        .toBe('<iframe src="https://www.youtube.com/embed/abc" width="560" sandbox="allow-scripts allow-same-origin allow-popups"></iframe>');
+      expect(sanitize('<iframe src="https://ads.example.net/frame">Ad</iframe><p>After</p>')).toBe('<p>After</p>');
+      expect(sanitize('<iframe src="http://www.youtube.com/embed/abc"></iframe>')).toBe('');
+    });
+
+    test('should remove tracking pixels', () => {
+      expect(sanitize('<img src="https://example.com/pixel.gif" width="1" height="1">')).toBe('');
+      expect(sanitize('<img src="https://feeds.feedburner.com/~r/Example/~4/abc" height="1">')).toBe('');
+      expect(sanitize('<img src="https://pixel.wp.com/b.gif?host=example.com">')).toBe('');
+      expect(sanitize('<img src="https://example.com/photo.jpg" width="640">'))
+        .toBe('<img src="https://example.com/photo.jpg" width="640">');
+    });
+  });
+
+  describe('Plain text', () => {
+    test('should convert HTML to text with one line per block', () => {
+      expect(HtmlSanitizer.toText('<h1>Title</h1><p>First&nbsp;paragraph &amp; more</p><p>H<sub>2</sub>O &#8212; water</p>'))
+        .toBe('Title\nFirst paragraph & more\nH2O — water');
+    });
+
+    test('should return null for empty documents', () => {
+      expect(HtmlSanitizer.toText('<p> </p>')).toBeNull();
+      expect(HtmlSanitizer.toText(null)).toBeNull();
+    });
+  });
+
+  describe('Ingestion', () => {
+    let feedServer;
+
+    const dirtyFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Dirty Blog</title>
+    <link>https://dirty.example.com/</link>
+    <item>
+      <title>Dirty post</title>
+      <link>/posts/1</link>
+      <guid>dirty-1</guid>
+      <description><![CDATA[<p onmouseover="x()">A <b>short</b> summary</p>]]></description>
+      <content:encoded><![CDATA[<p>Read <a href="related">this</a>.</p><img src="cover.jpg"><img src="https://feeds.feedburner.com/~r/dirty/~4/1" width="1" height="1"><script>track()</script>]]></content:encoded>
+    </item>
+  </channel>
+</rss>`;
+
+    beforeAll(async () => {
+      feedServer = await startTestServer({ '/dirty.xml': { body: dirtyFeed } });
+    });
+
+    afterAll(async () => {
+      await feedServer.close();
+    });
+
+    afterEach(async () => {
+      await db('Feed').del();
+    });
+
+    test('should store sanitised content and its plain text', async () => {
+      const feed = await Feed.create({ name: 'Dirty', url: `${feedServer.baseUrl}/dirty.xml` });
+
+      await new FeedPoller({ concurrency: 1 }).pollFeed(feed);
+
+      const [item] = await FeedItem.findByFeed(feed.id);
+      expect(item.content).toBe(
+        '<p>Read <a href="https://dirty.example.com/posts/related" rel="noopener noreferrer">this</a>.</p>' +
+        '<img src="https://dirty.example.com/posts/cover.jpg">'
+      );
+      expect(item.content_text).toBe('Read this.');
+      expect(item.getPublicData().content_text).toBe('Read this.');
+    });
+
+    test('should not rewrite unchanged items on the next poll', async () => {
+      const feed = await Feed.create({ name: 'Dirty', url: `${feedServer.baseUrl}/dirty.xml` });
+      await new FeedPoller({ concurrency: 1 }).pollFeed(feed);
+      feedServer.routes['/dirty.xml'] = { body: `${dirtyFeed}\n` };
+
+      const result = await new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+
+      expect(result.updated_items).toBe(0);
+    });
+  });
+});
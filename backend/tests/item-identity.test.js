@@ -0,0 +1,251 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const JWTUtils = require('../utils/jwt');
+const ItemIdentity = require('../utils/itemIdentity');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const rss = (title, items) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${title}</title>
+    <link>https://${title.toLowerCase()}.example.com/</link>
+    ${items.map(item => `<item>
+      <title>${item.title}</title>
+      <link>${item.link}</link>
+      ${item.guid ? `<guid>${item.guid}</guid>` : ''}
+      ${item.date ? `<pubDate>${item.date}</pubDate>` : ''}
+    </item>`).join('\n')}
+  </channel>
+</rss>`;
+
+describe('Item Identity Tests', () => {
+  describe('Links', () => {
+    test('should strip tracking parameters only', () => {
+      expect(ItemIdentity.cleanLink('https://example.com/a?utm_source=rss&utm_medium=feed&id=4&fbclid=x#comments'))
+        .toBe('https://example.com/a?id=4#comments');
+      expect(ItemIdentity.cleanLink('https://example.com/a?utm_campaign=x')).toBe('https://example.com/a');
+      expect(ItemIdentity.cleanLink('/posts/1?UTM_Source=feed&page=2')).toBe('/posts/1?page=2');
+      expect(ItemIdentity.cleanLink('https://example.com/a')).toBe('https://example.com/a');
+    });
+
+    test('should canonicalise links for matching across feeds', () => {
+      const canonical = 'example.com/2025/07/story?a=1&b=2';
+
+      expect(ItemIdentity.canonicalUrl('https://www.example.com/2025/07/story/?b=2&a=1&utm_source=x#top')).toBe(canonical);
+      expect(ItemIdentity.canonicalUrl('http://example.com/2025/07/story?a=1&b=2')).toBe(canonical);
+    });
+
+    test('should not treat homepages and relative links as article identities', () => {
+      expect(ItemIdentity.canonicalUrl('https://example.com/')).toBeNull();
+      expect(ItemIdentity.canonicalUrl('https://example.com/?utm_source=rss')).toBeNull();
+      expect(ItemIdentity.canonicalUrl('/posts/1')).toBeNull();
+      expect(ItemIdentity.canonicalUrl('mailto:editor@example.com')).toBeNull();
+    });
+  });
+
+  describe('Synthesised GUIDs', () => {
+    const item = {
+      title: 'A Headline!',
+      link: 'https://example.com/story?utm_source=rss',
+      published_at: '2025-07-07T10:00:00.000Z'
+    };
+
+    test('should be deterministic', () => {
+      expect(ItemIdentity.synthesizeGuid(item)).toMatch(/^urn:sha256:[0-9a-f]{64}$/);
+      expect(ItemIdentity.synthesizeGuid(item)).toBe(ItemIdentity.synthesizeGuid({ ...item }));
+    });
+
+    test('should ignore tracking parameters, title punctuation and the time of day', () => {
+      expect(ItemIdentity.synthesizeGuid({
+        title: 'a headline',
+        link: 'https://www.example.com/story/?utm_source=email',
+        published_at: '2025-07-07T18:30:00.000Z'
+      })).toBe(ItemIdentity.synthesizeGuid(item));
+    });
+
+    test('should differ for different articles', () => {
+      expect(ItemIdentity.synthesizeGuid({ ...item, link: 'https://example.com/other' }))
+        .not.toBe(ItemIdentity.synthesizeGuid(item));
+      expect(ItemIdentity.synthesizeGuid({ ...item, published_at: '2025-07-08T10:00:00.000Z' }))
+        .not.toBe(ItemIdentity.synthesizeGuid(item));
+    });
+
+    test('should give up when there is nothing to identify the item by', () => {
+      expect(ItemIdentity.synthesizeGuid({ title: '', link: '' })).toBeNull();
+    });
+  });
+
+  describe('Ingestion', () => {
+    let feedServer;
+    let testUser;
+    let userToken;
+
+    const poll = async (feed) => new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+
+    beforeAll(async () => {
+      feedServer = await startTestServer({});
+      testUser = await User.create({
+        name: 'Identity User',
+        email: 'identity@example.com',
+        password: 'SecurePass123!'
+      });
+      userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+    });
+
+    afterAll(async () => {
+      await feedServer.close();
+      if (testUser) {
+        await testUser.delete();
+      }
+    });
+
+    afterEach(async () => {
+      await db('UserFeedSubscription').del();
+      await db('Feed').del();
+      Object.keys(feedServer.routes).forEach(route => delete feedServer.routes[route]);
+    });
+
+    test('should keep items without GUIDs stable across fetches', async () => {
+      const items = [{ title: 'No guid', link: 'https://blog.example.com/no-guid?utm_source=rss', date: 'Mon, 07 Jul 2025 10:00:00 GMT' }];
+      feedServer.routes['/blog.xml'] = { body: rss('Blog', items) };
+      const feed = await Feed.create({ name: 'Blog', url: `${feedServer.baseUrl}/blog.xml` });
+
+      await poll(feed);
+      feedServer.routes['/blog.xml'] = { body: rss('Blog', [{ ...items[0], link: 'https://blog.example.com/no-guid?utm_source=email' }]) };
+      const second = await poll(feed);
+
+      expect(second.new_items).toBe(0);
+      const stored = await FeedItem.findByFeed(feed.id);
+      expect(stored).toHaveLength(1);
+      expect(stored[0].link).toBe('https://blog.example.com/no-guid');
+      expect(stored[0].guid).toMatch(/^urn:sha256:/);
+    });
+
+    test('should not duplicate items whose GUID changes on every fetch', async () => {
+      const items = (suffix) => [
+        { title: 'First', link: 'https://blog.example.com/first', guid: `first-${suffix}`, date: 'Mon, 07 Jul 2025 10:00:00 GMT' },
+        { title: 'Second', link: 'https://blog.example.com/second', guid: `second-${suffix}`, date: 'Mon, 07 Jul 2025 11:00:00 GMT' }
+      ];
+      feedServer.routes['/blog.xml'] = { body: rss('Blog', items('a')) };
+      const feed = await Feed.create({ name: 'Blog', url: `${feedServer.baseUrl}/blog.xml` });
+
+      await poll(feed);
+      feedServer.routes['/blog.xml'] = { body: rss('Blog', items('b')) };
+      const second = await poll(feed);
+
+      expect(second.new_items).toBe(0);
+      expect((await FeedItem.findByFeed(feed.id)).map(item => item.guid).sort()).toEqual(['first-a', 'second-a']);
+    });
+
+    test('should keep distinct items that happen to share an identity', async () => {
+      const items = [
+        { title: 'Daily update', link: 'https://blog.example.com/', guid: 'update-1' },
+        { title: 'Daily update', link: 'https://blog.example.com/', guid: 'update-2' }
+      ];
+      feedServer.routes['/blog.xml'] = { body: rss('Blog', items) };
+      const feed = await Feed.create({ name: 'Blog', url: `${feedServer.baseUrl}/blog.xml` });
+
+      await poll(feed);
+      feedServer.routes['/blog.xml'] = { body: rss('Blog', [...items, { ...items[0], guid: 'update-3' }]) };
+      const second = await poll(feed);
+
+      expect(second.new_items).toBe(1);
+    });
+
+    describe('Cross-feed duplicates', () => {
+      let first;
+      let second;
+
+      beforeEach(async () => {
+        feedServer.routes['/origin.xml'] = {
+          body: rss('Origin', [
+            { title: 'Shared story', link: 'https://news.example.com/shared?utm_source=origin', guid: 'origin-shared', date: 'Mon, 07 Jul 2025 10:00:00 GMT' },
+            { title: 'Only here', link: 'https://news.example.com/only', guid: 'origin-only', date: 'Mon, 07 Jul 2025 09:00:00 GMT' }
+          ])
+        };
+        feedServer.routes['/aggregator.xml'] = {
+          body: rss('Aggregator', [
+            { title: 'Shared story (via Origin)', link: 'http://www.news.example.com/shared/?utm_source=aggregator', guid: 'agg-1', date: 'Mon, 07 Jul 2025 12:00:00 GMT' }
+          ])
+        };
+
+        first = await Feed.create({ name: 'Origin', url: `${feedServer.baseUrl}/origin.xml` });
+        await poll(first);
+        second = await Feed.create({ name: 'Aggregator', url: `${feedServer.baseUrl}/aggregator.xml` });
+        await poll(second);
+      });
+
+      test('should collapse the same article into one entry with "also in" references', async () => {
+        await db('UserFeedSubscription').insert([
+          { user_id: testUser.id, feed_id: first.id },
+          { user_id: testUser.id, feed_id: second.id }
+        ]);
+
+        const response = await request(app)
+          .get('/api/v1/items')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        const { items, pagination } = response.body.data;
+        expect(pagination.total).toBe(2);
+        expect(items.map(item => item.guid)).toEqual(['origin-shared', 'origin-only']);
+        expect(items[0].also_in).toEqual([{
+          item_id: expect.any(Number),
+          link: 'http://www.news.example.com/shared/',
+          feed: { id: second.id, name: 'Aggregator' }
+        }]);
+        expect(items[1].also_in).toEqual([]);
+      });
+
+      test('should list every copy when collapsing is turned off', async () => {
+        await db('UserFeedSubscription').insert([
+          { user_id: testUser.id, feed_id: first.id },
+          { user_id: testUser.id, feed_id: second.id }
+        ]);
+
+        const response = await request(app)
+          .get('/api/v1/items?collapse_duplicates=false')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        expect(response.body.data.items.map(item => item.guid)).toEqual(['agg-1', 'origin-shared', 'origin-only']);
+        expect(response.body.data.items[0].also_in[0].feed.name).toBe('Origin');
+      });
+
+      test('should show a copy from a feed the user is not subscribed to elsewhere', async () => {
+        await db('UserFeedSubscription').insert({ user_id: testUser.id, feed_id: second.id });
+
+        const response = await request(app)
+          .get('/api/v1/items')
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        expect(response.body.data.items.map(item => item.guid)).toEqual(['agg-1']);
+        expect(response.body.data.items[0].also_in).toEqual([]);
+      });
+
+      test('should report other copies on the item itself', async () => {
+        await db('UserFeedSubscription').insert([
+          { user_id: testUser.id, feed_id: first.id },
+          { user_id: testUser.id, feed_id: second.id }
+        ]);
+        const copy = await db('FeedItem').where('guid', 'agg-1').first();
+
+        const response = await request(app)
+          .get(`/api/v1/items/${copy.id}`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .expect(200);
+
+        expect(response.body.data.canonical_url).toBe('news.example.com/shared');
+        expect(response.body.data.also_in).toEqual([
+          expect.objectContaining({ feed: { id: first.id, name: 'Origin' } })
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,337 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const ItemImport = require('../models/ItemImport');
+const JWTUtils = require('../utils/jwt');
+const ItemArchive = require('../utils/itemArchive');
+const itemImporter = require('../utils/itemImporter');
+const { ItemImporter } = require('../utils/itemImporter');
+
+describe('Item Import Tests', () => {
+  let testUser;
+  let otherUser;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    testUser = await User.create({ name: 'Archivist', email: 'item-importer@example.com', password: 'SecurePass123!' });
+    otherUser = await User.create({ name: 'Other Archivist', email: 'item-importer-other@example.com', password: 'SecurePass123!' });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+    otherToken = JWTUtils.generateTokenPair(otherUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await testUser.delete();
+    await otherUser.delete();
+  });
+
+  afterEach(async () => {
+    await Promise.all(itemImporter.runs.values());
+    await db('ItemImport').del();
+    await db('Bookmark').del();
+    await db('ItemCategory').del();
+    await db('Category').del();
+    await db('FeedItem').del();
+    await db('UserFeedSubscription').del();
+    await db('Feed').del();
+  });
+
+  const starred = {
+    id: 'user/1005921515/state/com.google/starred',
+    title: 'Starred in Inoreader',
+    items: [
+      {
+        id: 'tag:google.com,2005:reader/item/0000000000000001',
+        crawlTimeMsec: '1420070400000',
+        timestampUsec: '1420074000000000',
+        categories: [
+          'user/1005921515/state/com.google/starred',
+          'user/1005921515/label/Science',
+          'user/1005921515/label/Space'
+        ],
+        title: 'Comet spotted',
+        published: 1420070000,
+        alternate: [{ href: 'https://space.example.com/comet?utm_source=rss', type: 'text/html' }],
+        summary: { direction: 'ltr', content: '<p>A comet <script>alert(1)</script>appeared.</p>' },
+        author: 'Ada',
+        origin: { streamId: 'feed/https://space.example.com/feed.xml', title: 'Space News', htmlUrl: 'https://space.example.com/' }
+      },
+      {
+        id: 'tag:google.com,2005:reader/item/0000000000000002',
+        timestampUsec: '1420160400000000',
+        categories: ['user/1005921515/label/science'],
+        title: 'Rocket launch',
+        published: 1420150000,
+        alternate: [{ href: 'https://space.example.com/rocket', type: 'text/html' }],
+        content: { content: '<p>Lift-off.</p>' },
+        origin: { streamId: 'feed/https://space.example.com/feed.xml', title: 'Space News' }
+      },
+      {
+        id: 'tag:google.com,2005:reader/item/0000000000000003',
+        timestampUsec: '1420160400000000',
+        title: 'From a search',
+        alternate: [{ href: 'https://elsewhere.example.com/post' }],
+        origin: { streamId: 'user/1005921515/state/com.google/search', title: 'Search' }
+      }
+    ]
+  };
+
+  const upload = (content, token = userToken) => request(app)
+    .post('/api/v1/imports')
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(typeof content === 'string' ? content : JSON.stringify(content)), 'export.json');
+
+  const finish = async (response) => {
+    await itemImporter.runs.get(response.body.data.id);
+    return (await request(app)
+      .get(`/api/v1/imports/${response.body.data.id}`)
+      .set('Authorization', `Bearer ${userToken}`)).body.data;
+  };
+
+  describe('ItemArchive.parse', () => {
+    test('should read Google Reader and Inoreader starred items with their labels and feeds', () => {
+      const { format, title, entries } = ItemArchive.parse(JSON.stringify(starred));
+
+      expect(format).toBe('google_reader');
+      expect(title).toBe('Starred in Inoreader');
+      expect(entries[0]).toMatchObject({
+        feed: { url: 'https://space.example.com/feed.xml', title: 'Space News', html_url: 'https://space.example.com/' },
+        item: {
+          guid: 'tag:google.com,2005:reader/item/0000000000000001',
+          title: 'Comet spotted',
+          link: 'https://space.example.com/comet',
+          author: 'Ada',
+          published_at: '2014-12-31T23:53:20.000Z'
+        },
+        saved_at: '2015-01-01T01:00:00.000Z',
+        tags: ['Science', 'Space']
+      });
+      expect(entries[2].feed).toBeNull();
+    });
+
+    test('should read Feedly saved entries, leaving out Feedly\'s own tags', () => {
+      const { format, entries } = ItemArchive.parse(JSON.stringify([{
+        id: 'Xne8uW/IUiZhV1EuO2ZMzIrc2Ak6NlhGjboZ+Yk0rJ8=_1523699cbb3:2aa0463:e47a7aef',
+        originId: 'https://blog.example.com/?p=42',
+        title: 'Saved post',
+        published: 1430000000000,
+        crawled: 1430000100000,
+        actionTimestamp: 1430500000000,
+        canonicalUrl: 'https://blog.example.com/saved-post',
+        content: { content: '<p>Body</p>' },
+        visual: { url: 'https://blog.example.com/cover.jpg' },
+        origin: { streamId: 'feed/https://blog.example.com/feed/', title: 'A Blog', htmlUrl: 'https://blog.example.com' },
+        tags: [
+          { id: 'user/c805fcbf/tag/global.saved', label: 'Saved For Later' },
+          { id: 'user/c805fcbf/tag/Reading List', label: 'Reading List' }
+        ]
+      }]));
+
+      expect(format).toBe('feedly');
+      expect(entries).toEqual([expect.objectContaining({
+        feed: { url: 'https://blog.example.com/feed/', title: 'A Blog', html_url: 'https://blog.example.com' },
+        item: expect.objectContaining({
+          guid: 'https://blog.example.com/?p=42',
+          link: 'https://blog.example.com/saved-post',
+          image_url: 'https://blog.example.com/cover.jpg',
+          published_at: '2015-04-25T22:13:20.000Z'
+        }),
+        saved_at: '2015-05-01T17:06:40.000Z',
+        tags: ['Reading List']
+      })]);
+    });
+
+    test('should read JSON Feed archives and reject other files', () => {
+      const { format, entries } = ItemArchive.parse(JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'Archive',
+        feed_url: 'https://archive.example.com/feed.json',
+        items: [{ id: '1', url: 'https://archive.example.com/1', title: 'One', date_published: '2020-02-02T10:00:00Z', tags: ['Old', 'old'] }]
+      }));
+
+      expect(format).toBe('json_feed');
+      expect(entries[0]).toMatchObject({
+        feed: { url: 'https://archive.example.com/feed.json', title: 'Archive' },
+        item: { guid: '1', title: 'One' },
+        saved_at: '2020-02-02T10:00:00.000Z',
+        tags: ['Old']
+      });
+
+      expect(() => ItemArchive.parse('<rss/>')).toThrow('The file is not valid JSON');
+      expect(() => ItemArchive.parse('{"hello":"world"}')).toThrow('The file is not a Google Reader, Inoreader, Feedly or JSON Feed export');
+      expect(() => ItemArchive.parse(JSON.stringify({ version: 'https://jsonfeed.org/version/1', items: [] })))
+        .toThrow('The JSON Feed archive has no feed_url');
+    });
+  });
+
+  describe('POST /api/v1/imports', () => {
+    test('should store, bookmark and tag articles in the background', async () => {
+      const response = await upload(starred);
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ format: 'google_reader', status: 'running', progress: { total: 3 } });
+
+      const job = await finish(response);
+      expect(job.status).toBe('completed');
+      expect(job.progress).toEqual({ total: 3, completed: 3, items_created: 2, bookmarks_created: 2, skipped: 0, failed: 1 });
+      expect(job.errors).toEqual([{ index: 2, title: 'From a search', error: 'The article does not name the feed it came from' }]);
+
+      const feed = await Feed.findByUrl('https://space.example.com/feed.xml', testUser.id);
+      expect(feed).toMatchObject({ name: 'Space News', owner_id: testUser.id, status: 'paused', paused_reason: 'imported' });
+      expect(await Feed.findByUrl('https://space.example.com/feed.xml')).toBeNull();
+
+      const items = await db('FeedItem').where('feed_id', feed.id).orderBy('id');
+      expect(items.map(item => item.link)).toEqual(['https://space.example.com/comet', 'https://space.example.com/rocket']);
+      expect(items[0].summary).not.toContain('script');
+
+      const bookmarks = await db('Bookmark').where('user_id', testUser.id).orderBy('item_id');
+      expect(bookmarks.map(bookmark => bookmark.bookmarked_at)).toEqual(['2015-01-01T01:00:00.000Z', '2015-01-02T01:00:00.000Z']);
+
+      const filed = await db('ItemCategory').join('Category', 'Category.id', 'ItemCategory.category_id')
+        .orderBy(['ItemCategory.item_id', 'Category.name']).select('ItemCategory.item_id', 'Category.name');
+      expect(filed).toEqual([
+        { item_id: items[0].id, name: 'Science' },
+        { item_id: items[0].id, name: 'Space' },
+        { item_id: items[1].id, name: 'Science' }
+      ]);
+    });
+
+    test('should attach bookmarks to items already stored and skip those already bookmarked', async () => {
+      const feed = await Feed.create({ name: 'Space', url: 'https://space.example.com/feed.xml' });
+      const [storedId] = await db('FeedItem').insert({
+        feed_id: feed.id,
+        guid: 'https://space.example.com/comet',
+        title: 'Comet spotted',
+        link: 'https://space.example.com/comet',
+        canonical_url: 'space.example.com/comet'
+      });
+      await db('Bookmark').insert({ user_id: testUser.id, item_id: storedId, bookmarked_at: '2016-06-06T00:00:00.000Z' });
+
+      const job = await finish(await upload({ ...starred, items: starred.items.slice(0, 2) }));
+
+      expect(job.progress).toMatchObject({ items_created: 1, bookmarks_created: 1, skipped: 1, failed: 0 });
+      expect(await db('FeedItem').count('id as count').first()).toEqual({ count: 2 });
+      expect((await db('Bookmark').where('item_id', storedId).first()).bookmarked_at).toBe('2016-06-06T00:00:00.000Z');
+    });
+
+    test('should bookmark the copies the user already sees and keep the rest out of shared feeds', async () => {
+      const shared = await Feed.create({ name: 'Space', url: 'https://space.example.com/feed.xml' });
+      await db('UserFeedSubscription').insert({ user_id: testUser.id, feed_id: shared.id });
+      const [sharedId] = await db('FeedItem').insert({
+        feed_id: shared.id,
+        guid: 'https://space.example.com/comet',
+        title: 'Comet spotted',
+        link: 'https://space.example.com/comet',
+        canonical_url: 'space.example.com/comet'
+      });
+      // Another user's imported copy of the second article is not visible here
+      const hidden = await Feed.create({
+        name: 'Space',
+        url: 'https://space.example.com/feed.xml',
+        owner_id: otherUser.id,
+        status: 'paused',
+        paused_reason: 'imported'
+      });
+      const [hiddenId] = await db('FeedItem').insert({
+        feed_id: hidden.id,
+        guid: 'https://space.example.com/rocket',
+        title: 'Rocket launch',
+        link: 'https://space.example.com/rocket',
+        canonical_url: 'space.example.com/rocket'
+      });
+
+      const job = await finish(await upload({ ...starred, items: starred.items.slice(0, 2) }));
+
+      expect(job.progress).toMatchObject({ items_created: 1, bookmarks_created: 2, skipped: 0, failed: 0 });
+      expect(await db('FeedItem').where('feed_id', shared.id).pluck('id')).toEqual([sharedId]);
+      expect((await db('Bookmark').where('item_id', sharedId).first()).bookmarked_at).toBe('2015-01-01T01:00:00.000Z');
+      expect(await db('Bookmark').where('item_id', hiddenId).first()).toBeUndefined();
+
+      const archive = await Feed.findByUrl('https://space.example.com/feed.xml', testUser.id);
+      expect(await db('FeedItem').where('feed_id', archive.id).pluck('title')).toEqual(['Rocket launch']);
+    });
+
+    test('should never poll, resume or list the feed of imported articles', async () => {
+      await finish(await upload({ ...starred, items: starred.items.slice(0, 1) }));
+      const archive = await Feed.findByUrl('https://space.example.com/feed.xml', testUser.id);
+      await db('Feed').where('id', archive.id).update({ next_fetch_at: '2000-01-01T00:00:00.000Z' });
+
+      const listed = await request(app).get('/api/v1/feeds').set('Authorization', `Bearer ${userToken}`);
+      const resumed = await request(app).post(`/api/v1/feeds/${archive.id}/resume`).set('Authorization', `Bearer ${userToken}`);
+      const updated = await request(app)
+        .put(`/api/v1/feeds/${archive.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'active' });
+
+      expect(listed.body.data.feeds).toEqual([]);
+      expect(resumed.status).toBe(400);
+      expect(updated.status).toBe(400);
+      expect(await Feed.findDue()).toEqual([]);
+      expect(await Feed.findPolled()).toEqual([]);
+      expect((await Feed.findById(archive.id)).isImportOnly()).toBe(true);
+    });
+
+    test('should reject files that are not exports, and a second import while one runs', async () => {
+      const notJson = await upload('<opml/>');
+      const empty = await upload({ ...starred, items: [] });
+      const missing = await request(app).post('/api/v1/imports').set('Authorization', `Bearer ${userToken}`);
+
+      expect(notJson.status).toBe(400);
+      expect(notJson.body.error.message).toBe('The file is not valid JSON');
+      expect(empty.status).toBe(400);
+      expect(missing.status).toBe(400);
+
+      const running = await ItemImport.create({ user_id: testUser.id, format: 'feedly', entries: [] });
+      const second = await upload(starred);
+
+      expect(second.status).toBe(409);
+      expect(second.body.error.code).toBe('IMPORT_IN_PROGRESS');
+      expect(second.body.data.id).toBe(running.id);
+    });
+  });
+
+  describe('GET /api/v1/imports', () => {
+    test('should list the user\'s imports and keep them private', async () => {
+      const response = await upload(starred);
+      await finish(response);
+
+      const list = await request(app).get('/api/v1/imports').set('Authorization', `Bearer ${userToken}`);
+      const lookup = await request(app)
+        .get(`/api/v1/imports/${response.body.data.id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(list.body.data.map(job => job.id)).toEqual([response.body.data.id]);
+      expect(lookup.status).toBe(404);
+      expect(lookup.body.error.code).toBe('IMPORT_NOT_FOUND');
+    });
+  });
+
+  describe('Resuming', () => {
+    test('should pause when stopped and carry on from the last checkpoint on the next start', async () => {
+      const { entries } = ItemArchive.parse(JSON.stringify(starred));
+      const importer = new ItemImporter({ batchSize: 1 });
+      const job = await ItemImport.create({ user_id: testUser.id, format: 'google_reader', entries: entries.slice(0, 2) });
+      // A previous process got through the first entry before it went down
+      await job.checkpoint({ position: 1, items_created: 1, bookmarks_created: 1, skipped: 0, failed: 0, errors: [] });
+
+      const run = importer.launch(job);
+      await importer.stop();
+      await run;
+
+      const paused = await ItemImport.findById(job.id);
+      expect(paused.status).toBe('running');
+      expect(paused.position).toBe(1);
+
+      expect(await importer.start()).toBe(1);
+      await Promise.all(importer.runs.values());
+
+      const finished = await ItemImport.findById(job.id);
+      expect(finished.status).toBe('completed');
+      expect(finished.getPublicData().progress).toMatchObject({ completed: 2, items_created: 2, bookmarks_created: 2 });
+      expect(await db('FeedItem').pluck('title')).toEqual(['Rocket launch']);
+      expect(await db('ItemImport').where('id', job.id).first()).toMatchObject({ entries: null });
+    });
+  });
+});
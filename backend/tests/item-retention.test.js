@@ -0,0 +1,249 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const JWTUtils = require('../utils/jwt');
+const itemRetention = require('../utils/itemRetention');
+const { ItemRetention } = require('../utils/itemRetention');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2025-07-10T12:00:00.000Z');
+
+describe('Item Retention Tests', () => {
+  let testUser;
+  let userToken;
+
+  beforeAll(async () => {
+    testUser = await User.create({
+      name: 'Retention User',
+      email: 'retention@example.com',
+      password: 'SecurePass123!'
+    });
+    // Only admins change shared feeds
+    await db('User').where('id', testUser.id).update({ role: 'admin' });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+  });
+
+  afterAll(async () => {
+    if (testUser) {
+      await testUser.delete();
+    }
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+  });
+
+  /**
+   * Insert `count` items, one per day, the newest published a day before `now`
+   */
+  const seedItems = async (feed, count) => {
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      const [id] = await db('FeedItem').insert({
+        feed_id: feed.id,
+        guid: `${feed.id}-${i}`,
+        title: `Item ${i}`,
+        link: `https://example.com/${feed.id}/${i}`,
+        published_at: new Date(now.getTime() - (i + 1) * DAY).toISOString(),
+        fetched_at: now.toISOString(),
+        created_at: now.toISOString()
+      });
+      ids.push(id);
+    }
+    return ids;
+  };
+
+  const remainingGuids = async (feed) => (await FeedItem.findByFeed(feed.id, { limit: 1000 })).map(item => item.guid);
+
+  describe('Limits', () => {
+    test('should prefer per-feed overrides and let 0 disable a limit', () => {
+      const defaults = { maxItems: 100, maxAgeDays: 30 };
+
+      expect(ItemRetention.limitsFor({}, defaults)).toEqual({ maxItems: 100, maxAgeDays: 30 });
+      expect(ItemRetention.limitsFor({ retention_max_items: 5, retention_max_age_days: null }, defaults))
+        .toEqual({ maxItems: 5, maxAgeDays: 30 });
+      expect(ItemRetention.limitsFor({ retention_max_items: 0, retention_max_age_days: 0 }, defaults))
+        .toEqual({ maxItems: 0, maxAgeDays: 0 });
+    });
+
+    test('should recognise expired items', () => {
+      expect(ItemRetention.isExpired({ published_at: '2025-06-01T00:00:00.000Z' }, 30, now)).toBe(true);
+      expect(ItemRetention.isExpired({ published_at: '2025-07-01T00:00:00.000Z' }, 30, now)).toBe(false);
+      expect(ItemRetention.isExpired({ published_at: '2025-06-01T00:00:00.000Z' }, 0, now)).toBe(false);
+      expect(ItemRetention.isExpired({ published_at: null }, 30, now)).toBe(false);
+    });
+  });
+
+  describe('Pruning', () => {
+    test('should keep the newest items of each feed', async () => {
+      const feed = await Feed.create({ name: 'Busy', url: 'https://busy.example.com/feed.xml' });
+      await seedItems(feed, 8);
+
+      const report = await new ItemRetention({ maxItemsPerFeed: 5, maxAgeDays: 0, maxItemsTotal: 0 }).prune(now);
+
+      expect(await remainingGuids(feed)).toEqual([0, 1, 2, 3, 4].map(i => `${feed.id}-${i}`));
+      expect(report.items_removed).toBe(3);
+      expect(report.removed_by_reason).toEqual({ max_items: 3, max_age: 0, global_max_items: 0 });
+      expect(report.feeds).toEqual([{ feed_id: feed.id, url: feed.url, removed: 3 }]);
+    });
+
+    test('should remove items older than the age limit', async () => {
+      const feed = await Feed.create({ name: 'Old', url: 'https://old.example.com/feed.xml' });
+      await seedItems(feed, 6);
+
+      const report = await new ItemRetention({ maxItemsPerFeed: 0, maxAgeDays: 3, maxItemsTotal: 0 }).prune(now);
+
+      // The item published exactly three days ago is still within the limit
+      expect(await remainingGuids(feed)).toEqual([0, 1, 2].map(i => `${feed.id}-${i}`));
+      expect(report.removed_by_reason.max_age).toBe(3);
+    });
+
+    test('should never remove bookmarked or nugget-referenced items', async () => {
+      const feed = await Feed.create({ name: 'Saved', url: 'https://saved.example.com/feed.xml' });
+      const ids = await seedItems(feed, 6);
+      await db('Bookmark').insert({ user_id: testUser.id, item_id: ids[4] });
+      await db('Nugget').insert({ user_id: testUser.id, item_id: ids[5], purpose: 'comment', service: 'EngageBot' });
+
+      const report = await new ItemRetention({ maxItemsPerFeed: 2, maxAgeDays: 2, maxItemsTotal: 0 }).prune(now);
+
+      expect(await remainingGuids(feed)).toEqual([0, 1, 4, 5].map(i => `${feed.id}-${i}`));
+      expect(report.items_removed).toBe(2);
+      expect(report.protected_items).toBe(2);
+      expect(await db('Bookmark').where('user_id', testUser.id).count('item_id as count').first()).toEqual({ count: 1 });
+    });
+
+    test('should compact read states of pruned items only', async () => {
+      const feed = await Feed.create({ name: 'Read', url: 'https://read.example.com/feed.xml' });
+      const ids = await seedItems(feed, 4);
+      for (const id of ids) {
+        await db('ReadState').insert({ user_id: testUser.id, item_id: id });
+      }
+
+      const report = await new ItemRetention({ maxItemsPerFeed: 1, maxAgeDays: 0, maxItemsTotal: 0 }).prune(now);
+
+      expect(report.read_states_removed).toBe(3);
+      expect((await db('ReadState').where('user_id', testUser.id)).map(row => row.item_id)).toEqual([ids[0]]);
+    });
+
+    test('should apply per-feed overrides', async () => {
+      const strict = await Feed.create({ name: 'Strict', url: 'https://strict.example.com/feed.xml' });
+      const archive = await Feed.create({ name: 'Archive', url: 'https://archive.example.com/feed.xml' });
+      await strict.update({ retention_max_items: 1 });
+      await archive.update({ retention_max_items: 0, retention_max_age_days: 0 });
+      await seedItems(strict, 4);
+      await seedItems(archive, 4);
+
+      await new ItemRetention({ maxItemsPerFeed: 3, maxAgeDays: 2, maxItemsTotal: 0 }).prune(now);
+
+      expect(await remainingGuids(strict)).toEqual([`${strict.id}-0`]);
+      expect(await remainingGuids(archive)).toHaveLength(4);
+    });
+
+    test('should enforce the global item limit across feeds', async () => {
+      const first = await Feed.create({ name: 'First', url: 'https://first.example.com/feed.xml' });
+      const second = await Feed.create({ name: 'Second', url: 'https://second.example.com/feed.xml' });
+      await seedItems(first, 3);
+      await seedItems(second, 3);
+
+      const report = await new ItemRetention({ maxItemsPerFeed: 0, maxAgeDays: 0, maxItemsTotal: 4 }).prune(now);
+
+      expect(report.removed_by_reason.global_max_items).toBe(2);
+      expect(await remainingGuids(first)).toEqual([`${first.id}-0`, `${first.id}-1`]);
+      expect(await remainingGuids(second)).toEqual([`${second.id}-0`, `${second.id}-1`]);
+    });
+
+    test('should remember the last report', async () => {
+      const retention = new ItemRetention({ maxItemsPerFeed: 5, maxAgeDays: 0, maxItemsTotal: 0 });
+
+      const report = await retention.runOnce();
+
+      expect(retention.lastReport).toBe(report);
+      expect(report.items_removed).toBe(0);
+    });
+  });
+
+  describe('Scheduling', () => {
+    test('should start and stop the schedule', async () => {
+      const retention = new ItemRetention({ schedule: '0 4 * * *' });
+
+      expect(retention.start()).toBe(true);
+      expect(retention.start()).toBe(false);
+
+      await retention.stop();
+      expect(retention.task).toBeNull();
+    });
+
+    test('should export a shared instance', () => {
+      expect(itemRetention).toBeInstanceOf(ItemRetention);
+    });
+  });
+
+  describe('Ingestion', () => {
+    let feedServer;
+
+    const feedXml = (dates) => `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Dated</title><link>https://dated.example.com/</link>
+${dates.map((date, i) => `<item><title>Item ${i}</title><link>https://dated.example.com/${i}</link><guid>dated-${i}</guid><pubDate>${date.toUTCString()}</pubDate></item>`).join('')}
+</channel></rss>`;
+
+    beforeAll(async () => {
+      const today = Date.now();
+      feedServer = await startTestServer({
+        '/dated.xml': { body: feedXml([0, 1, 2, 40, 50].map(days => new Date(today - days * DAY))) }
+      });
+    });
+
+    afterAll(async () => {
+      await feedServer.close();
+    });
+
+    test('should not ingest items the feed keeps no longer than its limits', async () => {
+      const feed = await Feed.create({ name: 'Dated', url: `${feedServer.baseUrl}/dated.xml` });
+      await feed.update({ retention_max_items: 2, retention_max_age_days: 30 });
+
+      const result = await new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+
+      expect(result.new_items).toBe(2);
+      expect(await remainingGuids(feed)).toEqual(['dated-0', 'dated-1']);
+    });
+  });
+
+  describe('PUT /api/v1/feeds/:id', () => {
+    test('should set and clear retention overrides', async () => {
+      const feed = await Feed.create({ name: 'Configurable', url: 'https://configurable.example.com/feed.xml' });
+
+      const response = await request(app)
+        .put(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ retention_max_items: 50, retention_max_age_days: 0 })
+        .expect(200);
+
+      expect(response.body.data.retention).toEqual({ max_items: 50, max_age_days: 0 });
+
+      const cleared = await request(app)
+        .put(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ retention_max_items: null })
+        .expect(200);
+
+      expect(cleared.body.data.retention).toEqual({ max_items: null, max_age_days: 0 });
+    });
+
+    test('should reject invalid retention limits', async () => {
+      const feed = await Feed.create({ name: 'Invalid', url: 'https://invalid.example.com/feed.xml' });
+
+      const response = await request(app)
+        .put(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ retention_max_items: -1 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const ItemEnclosure = require('../models/ItemEnclosure');
+const JWTUtils = require('../utils/jwt');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const podcastFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'podcast.xml'), 'utf8');
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+describe('Item Routes Tests', () => {
+  let feedServer;
+  let testUser;
+  let userToken;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    testUser = await User.create({
+      name: 'Item User',
+      email: 'items@example.com',
+      password: 'SecurePass123!'
+    });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    if (testUser) {
+      await testUser.delete();
+    }
+  });
+
+  beforeEach(() => {
+    feedServer.routes['/podcast.xml'] = { body: podcastFixture };
+    feedServer.routes['/blog.xml'] = { body: rssFixture };
+  });
+
+  afterEach(async () => {
+    await db('UserFeedSubscription').del();
+    await db('Feed').del();
+  });
+
+  const pollFeed = async (route) => {
+    const feed = await Feed.create({ name: route, url: `${feedServer.baseUrl}${route}` });
+    await new FeedPoller({ concurrency: 1 }).pollFeed(feed);
+    return feed;
+  };
+
+  const subscribe = (feed) => db('UserFeedSubscription').insert({ user_id: testUser.id, feed_id: feed.id });
+
+  describe('Enclosure storage', () => {
+    test('should store enclosures and podcast metadata when polling', async () => {
+      const feed = await pollFeed('/podcast.xml');
+
+      const [episode] = await FeedItem.findByFeed(feed.id);
+      expect(episode).toMatchObject({
+        guid: 'podcast-episode-2',
+        duration: 2851,
+        episode: 2,
+        season: 1,
+        episode_type: 'full',
+        explicit: true
+      });
+      expect(episode.transcripts).toHaveLength(2);
+
+      const enclosures = await ItemEnclosure.findByItem(episode.id);
+      expect(enclosures.map(enclosure => enclosure.getPublicData())).toEqual([
+        { url: 'https://cdn.example.com/episodes/2.mp3', mime_type: 'audio/mpeg', length: 34216300, duration: 2851 },
+        { url: 'https://cdn.example.com/episodes/2.mp4', mime_type: 'video/mp4', length: 104857600, duration: 2851 }
+      ]);
+    });
+
+    test('should leave unchanged episodes alone on the next poll', async () => {
+      const feed = await pollFeed('/podcast.xml');
+      feedServer.routes['/podcast.xml'] = { body: `${podcastFixture}\n` };
+
+      const result = await new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+
+      expect(result.success).toBe(true);
+      expect(result.new_items).toBe(0);
+      expect(result.updated_items).toBe(0);
+    });
+
+    test('should replace enclosures when the feed changes them', async () => {
+      const feed = await pollFeed('/podcast.xml');
+      feedServer.routes['/podcast.xml'] = {
+        body: podcastFixture.replace('episodes/trailer.m4a', 'episodes/trailer-v2.m4a')
+      };
+
+      await new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+
+      const trailer = await db('FeedItem').where({ feed_id: feed.id, guid: 'podcast-trailer' }).first();
+      const enclosures = await ItemEnclosure.findByItem(trailer.id);
+      expect(enclosures.map(enclosure => enclosure.url)).toEqual(['https://cdn.example.com/episodes/trailer-v2.m4a']);
+    });
+
+    test('should delete enclosures with their item', async () => {
+      const feed = await pollFeed('/podcast.xml');
+      await feed.delete();
+
+      const [{ count }] = await db('ItemEnclosure').count('id as count');
+      expect(count).toBe(0);
+    });
+  });
+
+  describe('GET /api/v1/items', () => {
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/api/v1/items')
+        .expect(401);
+    });
+
+    test('should list items from subscribed feeds only', async () => {
+      const podcast = await pollFeed('/podcast.xml');
+      await pollFeed('/blog.xml');
+      await subscribe(podcast);
+
+      const response = await request(app)
+        .get('/api/v1/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.pagination).toEqual({ total: 2, limit: 20, offset: 0, has_more: false });
+      expect(response.body.data.items.map(item => item.guid)).toEqual(['podcast-episode-2', 'podcast-trailer']);
+      expect(response.body.data.items[0].feed).toEqual({ id: podcast.id, name: '/podcast.xml', url: podcast.url, icon_url: null });
+    });
+
+    test('should render an episode list with enclosures and podcast metadata', async () => {
+      const podcast = await pollFeed('/podcast.xml');
+
+      const response = await request(app)
+        .get(`/api/v1/items?feed_id=${podcast.id}&limit=1`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.pagination.has_more).toBe(true);
+      expect(response.body.data.items[0]).toMatchObject({
+        title: 'Episode 2: Trailers and more',
+        podcast: {
+          duration: 2851,
+          episode: 2,
+          season: 1,
+          episode_type: 'full',
+          explicit: true,
+          chapters: {
+            url: 'https://podcast.example.com/episodes/2/chapters.json',
+            type: 'application/json+chapters'
+          },
+          transcripts: [
+            { url: 'https://podcast.example.com/episodes/2/transcript.vtt', type: 'text/vtt', language: 'en', rel: null },
+            { url: 'https://podcast.example.com/episodes/2/transcript.srt', type: 'application/srt', language: null, rel: 'captions' }
+          ]
+        },
+        enclosures: [
+          { url: 'https://cdn.example.com/episodes/2.mp3', mime_type: 'audio/mpeg', length: 34216300, duration: 2851 },
+          { url: 'https://cdn.example.com/episodes/2.mp4', mime_type: 'video/mp4', length: 104857600, duration: 2851 }
+        ]
+      });
+    });
+
+    test('should return 404 for an unknown feed', async () => {
+      const response = await request(app)
+        .get('/api/v1/items?feed_id=99999')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('FEED_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/v1/items/:id', () => {
+    test('should return an item with its feed and enclosures', async () => {
+      const podcast = await pollFeed('/podcast.xml');
+      const trailer = await db('FeedItem').where({ feed_id: podcast.id, guid: 'podcast-trailer' }).first();
+
+      const response = await request(app)
+        .get(`/api/v1/items/${trailer.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        id: trailer.id,
+        feed: { id: podcast.id, url: podcast.url },
+        podcast: { duration: 95, episode: null, episode_type: 'trailer', explicit: false, chapters: null, transcripts: [] },
+        enclosures: [{ url: 'https://cdn.example.com/episodes/trailer.m4a', mime_type: 'audio/x-m4a', length: 1048576, duration: 95 }]
+      });
+    });
+
+    test('should report items without podcast metadata plainly', async () => {
+      const blog = await pollFeed('/blog.xml');
+      const [post] = await FeedItem.findByFeed(blog.id);
+
+      const response = await request(app)
+        .get(`/api/v1/items/${post.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.podcast).toEqual({
+        duration: null,
+        episode: null,
+        season: null,
+        episode_type: null,
+        explicit: null,
+        chapters: null,
+        transcripts: []
+      });
+      expect(response.body.data.enclosures).toEqual([]);
+    });
+
+    test('should describe the feed as the item listing does', async () => {
+      const blog = await pollFeed('/blog.xml');
+      await db('Feed').where('id', blog.id).update({ icon_path: 'icons/feed-1-0123456789abcdef.png' });
+
+      const list = await request(app)
+        .get(`/api/v1/items?feed_id=${blog.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      const [listed] = list.body.data.items;
+
+      const response = await request(app)
+        .get(`/api/v1/items/${listed.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.feed).toEqual(listed.feed);
+      expect(response.body.data.feed.icon_url).toBe('/uploads/icons/feed-1-0123456789abcdef.png');
+      expect(response.body.data.display).toEqual(listed.display);
+    });
+
+    test('should return 404 for unknown items', async () => {
+      const response = await request(app)
+        .get('/api/v1/items/99999')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('ITEM_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const Opml = require('../utils/opml');
+const opmlImport = require('../utils/opmlImport');
+const { OpmlImport } = require('../utils/opmlImport');
+const { ValidationError, FeedFetchError } = require('../middlewares/errorHandler');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+describe('OPML Tests', () => {
+  let feedServer;
+  let testUser;
+  let otherUser;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({
+      '/tech.xml': { body: rssFixture },
+      '/gadgets.xml': { body: rssFixture.replace('<title>Example Blog</title>', '<title>Gadget Blog</title>') },
+      '/broken.xml': { status: 404, body: 'Not found' }
+    });
+    testUser = await User.create({ name: 'Importer', email: 'opml-importer@example.com', password: 'SecurePass123!' });
+    otherUser = await User.create({ name: 'Other Importer', email: 'opml-other@example.com', password: 'SecurePass123!' });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+    otherToken = JWTUtils.generateTokenPair(otherUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    await testUser.delete();
+    await otherUser.delete();
+  });
+
+  afterEach(async () => {
+    await Promise.all([...opmlImport.jobs.values()].map(job => job.done));
+    opmlImport.jobs.clear();
+    await db('UserFeedSubscription').del();
+    await db('SubscriptionFolder').del();
+    await db('Feed').del();
+  });
+
+  const opmlFile = body => `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>From another reader</title></head>
+  <body>
+${body}
+  </body>
+</opml>`;
+
+  const upload = (content, token = userToken) => request(app)
+    .post('/api/v1/opml/import')
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(content), 'subscriptions.opml');
+
+  const finish = async (response, token = userToken) => {
+    await opmlImport.jobs.get(response.body.data.id).done;
+    return (await request(app)
+      .get(`/api/v1/opml/import/${response.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)).body.data;
+  };
+
+  describe('Opml.parse', () => {
+    test('should read feeds and folders from nested outlines', () => {
+      const { title, outlines } = Opml.parse(opmlFile(`
+    <outline text="Tech">
+      <outline text="Hardware" title="Hardware">
+        <outline type="rss" text="Gadgets &amp; More" xmlUrl="https://gadgets.example.com/feed" htmlUrl="https://gadgets.example.com/"/>
+      </outline>
+    </outline>
+    <outline type="rss" title="Loose" xmlurl="https://loose.example.com/feed"></outline>
+    <outline text="Empty folder"/>`));
+
+      expect(title).toBe('From another reader');
+      expect(outlines).toEqual([
+        {
+          title: 'Tech',
+          outlines: [{
+            title: 'Hardware',
+            outlines: [{ title: 'Gadgets & More', url: 'https://gadgets.example.com/feed', html_url: 'https://gadgets.example.com/' }]
+          }]
+        },
+        { title: 'Loose', url: 'https://loose.example.com/feed', html_url: null }
+      ]);
+    });
+
+    test('should reject files that are not OPML', () => {
+      expect(() => Opml.parse('<rss><channel></channel></rss>')).toThrow('The file is not an OPML document');
+    });
+  });
+
+  describe('OpmlImport.errorMessage', () => {
+    test('should explain known failures and hide internal errors', () => {
+      expect(OpmlImport.errorMessage(new FeedFetchError('Feed could not be retrieved: connect ECONNREFUSED 10.0.0.5:80')))
+        .toBe('The feed could not be retrieved');
+      expect(OpmlImport.errorMessage(new FeedFetchError('Feed server responded with HTTP 503', 'FEED_FETCH_FAILED', { httpStatus: 503 })))
+        .toBe('The feed server responded with HTTP 503');
+      expect(OpmlImport.errorMessage(new FeedFetchError('Unexpected token < at line 3', 'FEED_PARSE_FAILED')))
+        .toBe('The document is not a valid RSS, Atom or JSON feed');
+      expect(OpmlImport.errorMessage(new ValidationError('Feed name is required'))).toBe('Feed name is required');
+      expect(OpmlImport.errorMessage(new Error('SQLITE_BUSY: database is locked'))).toBe('The feed could not be added');
+    });
+  });
+
+  describe('POST /api/v1/opml/import', () => {
+    test('should subscribe in the background, recreating folders and reusing known feeds', async () => {
+      const known = await Feed.create({ name: 'Known Feed', url: 'https://known.example.com/feed.xml' });
+
+      const response = await upload(opmlFile(`
+    <outline text="Tech">
+      <outline text="Example" xmlUrl="${feedServer.baseUrl}/tech.xml"/>
+      <outline text="Hardware">
+        <outline text="My Gadgets" xmlUrl="${feedServer.baseUrl}/gadgets.xml"/>
+      </outline>
+    </outline>
+    <outline text="Known Feed" xmlUrl="https://known.example.com/feed.xml"/>
+    <outline text="Again" xmlUrl="https://known.example.com/feed.xml"/>
+    <outline text="Broken" xmlUrl="${feedServer.baseUrl}/broken.xml"/>
+    <outline text="Nonsense" xmlUrl="javascript:alert(1)"/>`));
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ status: 'running', progress: { total: 6 } });
+
+      const job = await finish(response);
+      expect(job.status).toBe('completed');
+      expect(job.progress).toEqual({ total: 6, completed: 6, created: 3, skipped: 1, failed: 2 });
+      expect(job.folders_created).toBe(2);
+      expect(job.feeds.map(entry => [entry.title, entry.status, entry.reason])).toEqual([
+        ['Example', 'created', null],
+        ['My Gadgets', 'created', null],
+        ['Known Feed', 'created', null],
+        ['Again', 'skipped', 'duplicate'],
+        ['Broken', 'failed', null],
+        ['Nonsense', 'failed', null]
+      ]);
+      expect(job.feeds[2].feed_id).toBe(known.id);
+      expect(job.feeds[4].error).toBe('The feed server responded with HTTP 404');
+      expect(job.feeds[5].error).toBe('Not a valid http(s) feed URL');
+
+      const { body } = await request(app).get('/api/v1/folders').set('Authorization', `Bearer ${userToken}`);
+      const [tech] = body.data.folders;
+      expect(tech.name).toBe('Tech');
+      expect(tech.subscriptions.map(subscription => [subscription.title, subscription.custom_title])).toEqual([['Example', 'Example']]);
+      expect(tech.subscriptions[0].feed.name).toBe('Example Blog');
+      expect(tech.folders[0].name).toBe('Hardware');
+      expect(tech.folders[0].subscriptions.map(subscription => [subscription.title, subscription.feed.name])).toEqual([
+        ['My Gadgets', 'Gadget Blog']
+      ]);
+      expect(body.data.subscriptions.map(subscription => subscription.title)).toEqual(['Known Feed']);
+    });
+
+    test('should skip subscriptions the user already has and reuse their folders', async () => {
+      const content = opmlFile(`<outline text="Tech"><outline text="Example" xmlUrl="${feedServer.baseUrl}/tech.xml"/></outline>`);
+      await finish(await upload(content));
+
+      const job = await finish(await upload(content));
+
+      expect(job.progress).toMatchObject({ created: 0, skipped: 1 });
+      expect(job.feeds[0].reason).toBe('already_subscribed');
+      expect(job.folders_created).toBe(0);
+      expect(await db('SubscriptionFolder').count('id as count').first()).toEqual({ count: 1 });
+    });
+
+    test('should reject uploads that are not OPML or list no feeds', async () => {
+      const notOpml = await upload('<html><body>Hello</body></html>');
+      const empty = await upload(opmlFile('<outline text="Nothing here"/>'));
+      const missing = await request(app).post('/api/v1/opml/import').set('Authorization', `Bearer ${userToken}`);
+
+      expect(notOpml.status).toBe(400);
+      expect(notOpml.body.error.message).toBe('The file is not an OPML document');
+      expect(empty.status).toBe(400);
+      expect(missing.status).toBe(400);
+    });
+
+    test('should keep import jobs private', async () => {
+      const response = await upload(opmlFile('<outline text="Known" xmlUrl="https://private-job.example.com/feed.xml"/>'));
+      await opmlImport.jobs.get(response.body.data.id).done;
+
+      const lookup = await request(app)
+        .get(`/api/v1/opml/import/${response.body.data.id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(lookup.status).toBe(404);
+      expect(lookup.body.error.code).toBe('IMPORT_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/v1/opml/export', () => {
+    test('should export folders, subscriptions and custom titles as OPML 2.0 that imports again', async () => {
+      const world = await Feed.create({ name: 'World News', url: 'https://world.example.com/feed.xml?a=1&b=2' });
+      const local = await Feed.create({ name: 'Local', url: 'https://local.example.com/feed.xml' });
+      const api = (method, url, body) => request(app)[method](`/api/v1${url}`).set('Authorization', `Bearer ${userToken}`).send(body);
+      const news = (await api('post', '/folders', { name: 'News & Views' })).body.data;
+      await api('post', '/subscriptions', { feed_id: world.id, folder_id: news.id, custom_title: 'The "World"' });
+      await api('post', '/subscriptions', { feed_id: local.id });
+
+      const response = await request(app).get('/api/v1/opml/export').set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('text/x-opml; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="subscriptions.opml"');
+      expect(response.text).toContain('<opml version="2.0">');
+      expect(response.text).toContain('<ownerEmail>opml-importer@example.com</ownerEmail>');
+      expect(response.text).toContain('<outline text="News &amp; Views" title="News &amp; Views">');
+      expect(response.text).toContain(
+        '<outline type="rss" text="The &quot;World&quot;" title="The &quot;World&quot;" xmlUrl="https://world.example.com/feed.xml?a=1&amp;b=2"/>'
+      );
+
+      expect(Opml.parse(response.text).outlines).toEqual([
+        { title: 'News & Views', outlines: [{ title: 'The "World"', url: 'https://world.example.com/feed.xml?a=1&b=2', html_url: null }] },
+        { title: 'Local', url: 'https://local.example.com/feed.xml', html_url: null }
+      ]);
+    });
+  });
+});
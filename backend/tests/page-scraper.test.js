@@ -0,0 +1,278 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const HtmlDocument = require('../utils/htmlDocument');
+const PageScraper = require('../utils/pageScraper');
+const FeedCredentials = require('../utils/feedCredentials');
+const { FeedValidation } = require('../utils/validation');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+// Sloppy but typical markup: unclosed <li> and <p>, lazy images, relative links and a <base>
+const newsPage = (posts, next = null) => `<!DOCTYPE html>
+<html><head><title>Example &amp; News</title><base href="/news/"></head>
+<body>
+  <nav><a href="/">Home</a></nav>
+  <ul class="posts">
+    ${posts.map(post => `<li class="post${post.featured ? ' featured' : ''}">
+      <h2><a href="${post.slug}?utm_source=list">${post.title}</a></h2>
+      ${post.date ? `<time datetime="${post.date}">${post.date}</time>` : ''}
+      <p class="excerpt">${post.summary || ''} <script>track()</script>
+      ${post.image ? `<img data-src="${post.image}" alt="">` : ''}`).join('\n')}
+  </ul>
+  ${next ? `<a rel="next" class="next" href="${next}">Older</a>` : ''}
+</body></html>`;
+
+const htmlRoute = body => ({ headers: { 'Content-Type': 'text/html; charset=utf-8' }, body });
+
+const scraper = {
+  item: 'li.post',
+  title: 'h2',
+  link: 'h2',
+  date: 'time',
+  summary: '.excerpt',
+  image: 'img',
+  next_page: 'a[rel=next]',
+  max_pages: 3
+};
+
+describe('Page Scraper Tests', () => {
+  let pageServer;
+  let testUser;
+  let userToken;
+
+  beforeAll(async () => {
+    pageServer = await startTestServer({});
+    testUser = await User.create({
+      name: 'Scraper User',
+      email: 'scraper@example.com',
+      password: 'SecurePass123!'
+    });
+    // Only admins change shared feeds
+    await db('User').where('id', testUser.id).update({ role: 'admin' });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await pageServer.close();
+    await testUser.delete();
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    Object.keys(pageServer.routes).forEach(route => delete pageServer.routes[route]);
+    pageServer.requests.length = 0;
+  });
+
+  describe('HTML Documents', () => {
+    const document = HtmlDocument.parse(`<div id="main"><ul><li class="a b">One<li class="b" data-x="Foo-bar">Two
+      <ul><li>Nested</ul><li>Three</ul><table><tr><td>1<td>2<tr><td>3</table><p>First<p>Second<div>Block</div></div>`);
+    const texts = selector => HtmlDocument.select(document, selector).map(HtmlDocument.text);
+
+    test('should build a tree from markup with implied end tags', () => {
+      expect(texts('#main > ul > li')).toEqual(['One', 'Two Nested', 'Three']);
+      expect(texts('tr')).toEqual(['12', '3']);
+      expect(texts('#main > p')).toEqual(['First', 'Second']);
+      expect(texts('#main > div')).toEqual(['Block']);
+    });
+
+    test('should match attribute selectors, combinators and pseudo-classes', () => {
+      expect(texts('li.a.b')).toEqual(['One']);
+      expect(texts('[data-x|=foo i]')).toEqual(['Two Nested']);
+      expect(texts('li[data-x^="Foo"], li[class~=a]')).toEqual(['One', 'Two Nested']);
+      expect(texts('li + li:not(.b)')).toEqual(['Three']);
+      expect(texts('li.a ~ li')).toEqual(['Two Nested', 'Three']);
+      expect(texts('ul ul li:only-child')).toEqual(['Nested']);
+      expect(texts('#main > ul > li:nth-child(odd)')).toEqual(['One', 'Three']);
+      expect(texts('td:nth-of-type(2), tr:last-child td:first-child')).toEqual(['2', '3']);
+      expect(texts('li:has(ul)')).toEqual(['Two Nested']);
+      expect(texts('li:contains("Thr")')).toEqual(['Three']);
+    });
+
+    test('should reject selectors it cannot evaluate', () => {
+      ['', 'a[', 'a::before', 'a:hover', 'a >', 'li:nth-child(x)', 'a[href="x]'].forEach((selector) => {
+        expect(() => HtmlDocument.parseSelector(selector)).toThrow('Invalid selector');
+      });
+    });
+  });
+
+  describe('Extraction', () => {
+    test('should extract items with resolved links, dates, summaries and images', () => {
+      const page = PageScraper.extract(newsPage([
+        { slug: 'launch', title: 'Launch &amp; day', date: '2025-07-04T09:00:00Z', summary: 'We <b>launched</b>.', image: 'img/launch.jpg' },
+        { slug: 'second', title: 'Second post', date: 'not a date' }
+      ], '?page=2'), 'https://example.com/news/index.html', scraper);
+
+      expect(page.title).toBe('Example & News');
+      expect(page.nextUrl).toBe('https://example.com/news/?page=2');
+      expect(page.items).toHaveLength(2);
+      expect(page.items[0]).toMatchObject({
+        guid: 'https://example.com/news/launch',
+        title: 'Launch & day',
+        link: 'https://example.com/news/launch',
+        published_at: '2025-07-04T09:00:00.000Z',
+        image_url: 'https://example.com/news/img/launch.jpg'
+      });
+      expect(page.items[0].summary).toContain('We <b>launched</b>.');
+      expect(page.items[0].summary).not.toContain('track()');
+      expect(page.items[1].published_at).toBeNull();
+      expect(page.items[1].image_url).toBeNull();
+    });
+
+    test('should read attributes and fall back to content hashes for GUIDs', () => {
+      const html = '<div class="card" data-url="/"><span>Same link</span></div><div class="card" data-url="/"><span>Other</span></div><div class="card"></div>';
+      const fields = { item: '.card', title: 'span', link: '@data-url' };
+
+      const first = PageScraper.extract(html, 'https://example.com/', fields);
+      const again = PageScraper.extract(html, 'https://example.com/', fields);
+
+      // The homepage identifies nothing, and the empty card is skipped
+      expect(first.items.map(item => item.title)).toEqual(['Same link', 'Other']);
+      expect(first.items[0].guid).toMatch(/^urn:sha256:/);
+      expect(first.items[0].guid).not.toBe(first.items[1].guid);
+      expect(again.items.map(item => item.guid)).toEqual(first.items.map(item => item.guid));
+    });
+
+    test('should validate scraper configurations', () => {
+      const validate = (value) => {
+        const errors = [];
+        return { normalized: FeedValidation.validateScraper(value, errors), errors };
+      };
+
+      expect(validate({ ...scraper, max_pages: '2', extra: 'x' })).toEqual({
+        normalized: { ...scraper, max_pages: 2 },
+        errors: []
+      });
+      expect(validate({ title: 'h2' }).errors).toEqual(['Scraper needs an item selector']);
+      expect(validate({ item: 'li' }).errors).toEqual(['Scraper needs a title or link selector']);
+      expect(validate({ item: 'li', title: 'h2::after' }).errors[0]).toContain('Scraper title: Invalid selector');
+      expect(validate({ item: 'li', link: 'a', max_pages: 50 }).errors[0]).toContain('max_pages');
+    });
+  });
+
+  describe('Pagination', () => {
+    test('should follow next links up to max_pages and stop when nothing new appears', async () => {
+      pageServer.routes['/news/'] = htmlRoute(newsPage([{ slug: 'a', title: 'A' }], '/news/2'));
+      pageServer.routes['/news/2'] = htmlRoute(newsPage([{ slug: 'b', title: 'B' }], '/news/3'));
+      pageServer.routes['/news/3'] = htmlRoute(newsPage([{ slug: 'c', title: 'C' }], '/news/4'));
+      pageServer.routes['/news/4'] = htmlRoute(newsPage([{ slug: 'd', title: 'D' }]));
+
+      const { feed } = await PageScraper.fetchAndScrape(`${pageServer.baseUrl}/news/`, scraper);
+      expect(feed.items.map(item => item.title)).toEqual(['A', 'B', 'C']);
+      expect(feed.pages).toHaveLength(3);
+      expect(feed.format).toBe('html');
+
+      // A page that repeats the previous items ends the walk
+      pageServer.routes['/news/2'] = htmlRoute(newsPage([{ slug: 'a', title: 'A' }], '/news/3'));
+      const repeated = await PageScraper.fetchAndScrape(`${pageServer.baseUrl}/news/`, scraper);
+      expect(repeated.feed.pages).toHaveLength(2);
+    });
+
+    test('should keep credentials away from next pages on other origins', async () => {
+      const otherOrigin = pageServer.baseUrl.replace('127.0.0.1', 'localhost');
+      pageServer.routes['/news/'] = htmlRoute(newsPage([{ slug: 'a', title: 'A' }], `${otherOrigin}/news/2`));
+      pageServer.routes['/news/2'] = htmlRoute(newsPage([{ slug: 'b', title: 'B' }]));
+
+      await PageScraper.fetchAndScrape(`${pageServer.baseUrl}/news/`, scraper, {
+        authHeaders: FeedCredentials.toHeaders({ type: 'bearer', token: 'tok', headers: {} })
+      });
+
+      expect(pageServer.requests.map(logged => [logged.url, logged.headers.authorization])).toEqual([
+        ['/news/', 'Bearer tok'],
+        ['/news/2', undefined]
+      ]);
+    });
+  });
+
+  describe('Scraped feeds', () => {
+    const post = (path, body) => request(app)
+      .post(path)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(body);
+
+    test('should preview the items a scraper extracts', async () => {
+      pageServer.routes['/news/'] = htmlRoute(newsPage([
+        { slug: 'launch', title: 'Launch', summary: '<a href="javascript:alert(1)">x</a>' }
+      ]));
+
+      const response = await post('/api/v1/feeds/preview', { url: `${pageServer.baseUrl}/news/`, scraper });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ url: `${pageServer.baseUrl}/news/`, title: 'Example & News', total: 1 });
+      expect(response.body.data.items[0].link).toBe(`${pageServer.baseUrl}/news/launch`);
+      expect(response.body.data.items[0].summary).not.toContain('javascript:');
+      expect(await db('Feed').count('id as count').first()).toEqual({ count: 0 });
+
+      const invalid = await post('/api/v1/feeds/preview', { url: `${pageServer.baseUrl}/news/`, scraper: { item: 'li:hover', title: 'h2' } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.details[0]).toContain('unsupported pseudo-class');
+    });
+
+    test('should add a scraped page and refuse selectors that match nothing', async () => {
+      pageServer.routes['/news/'] = htmlRoute(newsPage([{ slug: 'launch', title: 'Launch' }]));
+
+      const empty = await post('/api/v1/feeds', { url: `${pageServer.baseUrl}/news/`, scraper: { item: '.missing', title: 'h2' } });
+      expect(empty.status).toBe(422);
+      expect(empty.body.error.code).toBe('NO_ITEMS_FOUND');
+
+      const response = await post('/api/v1/feeds', { url: `${pageServer.baseUrl}/news/`, scraper });
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        name: 'Example & News',
+        source_type: 'scrape',
+        format: 'html',
+        scraper
+      });
+    });
+
+    test('should poll scraped pages and keep item identities stable', async () => {
+      pageServer.routes['/news/'] = htmlRoute(newsPage([{ slug: 'one', title: 'One' }, { slug: 'two', title: 'Two' }]));
+      const { body } = await post('/api/v1/feeds', { url: `${pageServer.baseUrl}/news/`, scraper });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      expect((await poller.pollFeed(await Feed.findById(body.data.id))).new_items).toBe(2);
+
+      // A redesign that keeps the links does not duplicate items
+      pageServer.routes['/news/'] = htmlRoute(newsPage([
+        { slug: 'three', title: 'Three', featured: true },
+        { slug: 'one', title: 'One (updated)' },
+        { slug: 'two', title: 'Two' }
+      ]));
+      const result = await poller.pollFeed(await Feed.findById(body.data.id));
+
+      expect(result.new_items).toBe(1);
+      const items = await db('FeedItem').where('feed_id', body.data.id).orderBy('guid');
+      expect(items.map(item => item.title)).toEqual(['One (updated)', 'Three', 'Two']);
+    });
+
+    test('should update selectors of scraped pages only', async () => {
+      pageServer.routes['/news/'] = htmlRoute(newsPage([{ slug: 'one', title: 'One', featured: true }, { slug: 'two', title: 'Two' }]));
+      const { body } = await post('/api/v1/feeds', { url: `${pageServer.baseUrl}/news/`, scraper });
+      const poller = new FeedPoller({ concurrency: 1 });
+      await poller.pollFeed(await Feed.findById(body.data.id));
+
+      const updated = await request(app)
+        .put(`/api/v1/feeds/${body.data.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ scraper: { ...scraper, item: 'li.featured' } });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.scraper.item).toBe('li.featured');
+      expect((await Feed.findById(body.data.id)).content_hash).toBeNull();
+
+      // The unchanged page is read again with the new selectors
+      const result = await poller.pollFeed(await Feed.findById(body.data.id));
+      expect(result.not_modified).toBe(false);
+      expect(result.new_items).toBe(0);
+
+      const regular = await Feed.create({ name: 'Regular', url: `${pageServer.baseUrl}/feed.xml` });
+      const refused = await request(app)
+        .put(`/api/v1/feeds/${regular.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ scraper });
+      expect(refused.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const PollLog = require('../models/PollLog');
+const JWTUtils = require('../utils/jwt');
+const { FeedPoller } = require('../utils/feedPoller');
+const { ItemRetention } = require('../utils/itemRetention');
+const { FeedValidation } = require('../utils/validation');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+describe('Poll Log Tests', () => {
+  let feedServer;
+  let adminUser;
+  let regularUser;
+  let adminToken;
+  let userToken;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    adminUser = await User.create({
+      name: 'Admin User',
+      email: 'poll-admin@example.com',
+      password: 'SecurePass123!'
+    });
+    regularUser = await User.create({
+      name: 'Regular User',
+      email: 'poll-user@example.com',
+      password: 'SecurePass123!'
+    });
+    await db('User').where('id', adminUser.id).update({ role: 'admin' });
+    adminToken = JWTUtils.generateTokenPair(adminUser).accessToken;
+    userToken = JWTUtils.generateTokenPair(regularUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    await adminUser.delete();
+    await regularUser.delete();
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+    Object.keys(feedServer.routes).forEach(route => delete feedServer.routes[route]);
+  });
+
+  const createFeed = (route, name = 'Logged Feed') => Feed.create({ name, url: `${feedServer.baseUrl}${route}` });
+
+  describe('Recording', () => {
+    test('should record HTTP status, timing, bytes, item counts and the final URL', async () => {
+      feedServer.routes['/old.xml'] = { status: 302, headers: { Location: '/feed.xml' } };
+      feedServer.routes['/feed.xml'] = { body: rssFixture };
+      const feed = await createFeed('/old.xml');
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+      const [log] = await PollLog.findByFeed(feed.id);
+
+      expect(log.getPublicData()).toMatchObject({
+        feed_id: feed.id,
+        success: true,
+        http_status: 200,
+        bytes: Buffer.byteLength(rssFixture),
+        final_url: `${feedServer.baseUrl}/feed.xml`,
+        items_parsed: 2,
+        new_items: 2,
+        updated_items: 0,
+        error_class: null,
+        error_message: null
+      });
+      expect(log.duration_ms).toBeGreaterThanOrEqual(0);
+
+      // An unchanged document is not parsed again
+      await poller.pollFeed(await Feed.findById(feed.id));
+      const [unchanged] = await PollLog.findByFeed(feed.id);
+      expect(unchanged).toMatchObject({ success: 1, http_status: 200, items_parsed: null, new_items: 0 });
+    });
+
+    test('should record the class, code and message of failures', async () => {
+      feedServer.routes['/feed.xml'] = { status: 503, body: 'Down for maintenance' };
+      const feed = await createFeed('/feed.xml');
+      await new FeedPoller({ concurrency: 1 }).pollFeed(feed);
+
+      feedServer.routes['/feed.xml'] = { headers: { 'Content-Type': 'text/html' }, body: '<html>Not a feed</html>' };
+      await new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+
+      const [parseFailure, fetchFailure] = await PollLog.findByFeed(feed.id);
+      expect(fetchFailure.getPublicData()).toMatchObject({
+        success: false,
+        http_status: 503,
+        bytes: null,
+        error_class: 'FeedFetchError',
+        error_code: 'FEED_FETCH_FAILED',
+        error_message: 'Feed server responded with HTTP 503'
+      });
+      expect(parseFailure.getPublicData()).toMatchObject({
+        success: false,
+        http_status: 200,
+        bytes: 23,
+        items_parsed: null,
+        error_code: 'FEED_PARSE_FAILED'
+      });
+    });
+
+    test('should remove logs past the retention age', async () => {
+      const feed = await createFeed('/feed.xml');
+      const now = new Date('2025-07-10T12:00:00.000Z');
+      await PollLog.create({ feed_id: feed.id, success: true, run_at: '2025-06-01T00:00:00.000Z' });
+      await PollLog.create({ feed_id: feed.id, success: true, run_at: '2025-07-09T00:00:00.000Z' });
+
+      const report = await new ItemRetention({ pollLogMaxAgeDays: 30 }).prune(now);
+      expect(report.poll_logs_removed).toBe(1);
+      expect((await PollLog.findByFeed(feed.id)).map(log => log.run_at)).toEqual(['2025-07-09T00:00:00.000Z']);
+
+      const keepAll = await new ItemRetention({ pollLogMaxAgeDays: 0 }).prune(new Date('2030-01-01T00:00:00.000Z'));
+      expect(keepAll.poll_logs_removed).toBe(0);
+    });
+  });
+
+  describe('GET /api/v1/admin/logs/polls', () => {
+    const listLogs = (query, token = adminToken) => request(app)
+      .get('/api/v1/admin/logs/polls')
+      .query(query)
+      .set('Authorization', `Bearer ${token}`);
+
+    let first;
+    let second;
+
+    beforeEach(async () => {
+      first = await createFeed('/first.xml', 'First');
+      second = await createFeed('/second.xml', 'Second');
+      await PollLog.create({ feed_id: first.id, success: true, http_status: 200, new_items: 2, run_at: '2025-07-01T10:00:00.000Z' });
+      await PollLog.create({ feed_id: first.id, success: false, http_status: 404, run_at: '2025-07-02T10:00:00.000Z' });
+      await PollLog.create({ feed_id: second.id, success: false, http_status: 500, run_at: '2025-07-03T10:00:00.000Z' });
+      await PollLog.create({ feed_id: second.id, success: true, http_status: 200, run_at: '2025-07-04T10:00:00.000Z' });
+    });
+
+    test('should be limited to admins', async () => {
+      const response = await listLogs({}, userToken);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('should list logs newest first with feed names and pagination', async () => {
+      const response = await listLogs({ limit: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.logs.map(log => [log.feed_name, log.run_at])).toEqual([
+        ['Second', '2025-07-04T10:00:00.000Z'],
+        ['Second', '2025-07-03T10:00:00.000Z'],
+        ['First', '2025-07-02T10:00:00.000Z']
+      ]);
+      expect(response.body.data.pagination).toEqual({ total: 4, limit: 3, offset: 0, has_more: true });
+    });
+
+    test('should filter by feed, outcome, HTTP status and date range', async () => {
+      const runs = async (query) => (await listLogs(query)).body.data.logs.map(log => log.run_at.slice(0, 10));
+
+      expect(await runs({ feed_id: first.id })).toEqual(['2025-07-02', '2025-07-01']);
+      expect(await runs({ success: 'false' })).toEqual(['2025-07-03', '2025-07-02']);
+      expect(await runs({ http_status: 404 })).toEqual(['2025-07-02']);
+      expect(await runs({ from: '2025-07-02', to: '2025-07-03' })).toEqual(['2025-07-03', '2025-07-02']);
+      expect(await runs({ to: '2025-07-01T12:00:00Z', success: 'true' })).toEqual(['2025-07-01']);
+    });
+
+    test('should reject invalid filters', async () => {
+      const response = await listLogs({ feed_id: 'abc', success: 'yes', http_status: 42, from: 'soon', to: 'later' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual([
+        'feed_id must be a feed ID',
+        'success must be true or false',
+        'http_status must be an HTTP status code',
+        'from must be a date or timestamp',
+        'to must be a date or timestamp'
+      ]);
+      expect(FeedValidation.validatePollLogQuery({ from: '2025-07-03', to: '2025-07-01' }).errors)
+        .toEqual(['from must not be after to']);
+    });
+  });
+});
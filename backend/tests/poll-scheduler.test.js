@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const config = require('../config');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const PollScheduler = require('../utils/pollScheduler');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+const HOUR = 3600;
+
+/**
+ * Build an RSS document with items published `gapHours` apart
+ * @param {number} count - Number of items
+ * @param {number} gapHours - Hours between items
+ * @param {string} channelExtra - Extra channel markup
+ * @returns {string} - RSS document
+ */
+const buildCadenceFeed = (count, gapHours, channelExtra = '') => {
+  const now = Date.now();
+  const items = Array.from({ length: count }, (_, i) => `
+    <item>
+      <title>Post ${i}</title>
+      <link>https://cadence.example.com/${i}</link>
+      <guid>https://cadence.example.com/${i}</guid>
+      <pubDate>${new Date(now - i * gapHours * HOUR * 1000).toUTCString()}</pubDate>
+    </item>`).join('');
+
+  return `<?xml version="1.0"?>
+<rss version="2.0" xmlns:sy="http://purl.org/rss/1.0/modules/syndication/">
+  <channel>
+    <title>Cadence</title>
+    <link>https://cadence.example.com/</link>
+    <description>Cadence test</description>
+    ${channelExtra}
+    ${items}
+  </channel>
+</rss>`;
+};
+
+describe('Poll Scheduler Tests', () => {
+  let feedServer;
+  let testUser;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({});
+    testUser = await User.create({
+      name: 'Scheduler User',
+      email: 'scheduler@example.com',
+      password: 'SecurePass123!'
+    });
+    // Only admins change shared feeds
+    await db('User').where('id', testUser.id).update({ role: 'admin' });
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    if (testUser) {
+      await testUser.delete();
+    }
+  });
+
+  afterEach(async () => {
+    await db('Feed').del();
+  });
+
+  describe('Signals', () => {
+    test('should read <ttl> as minutes', () => {
+      expect(PollScheduler.parseFeedHint({ ttl: '60' })).toBe(HOUR);
+    });
+
+    test('should read sy:updatePeriod and sy:updateFrequency', () => {
+      expect(PollScheduler.parseFeedHint({ updatePeriod: 'daily', updateFrequency: '4' })).toBe(6 * HOUR);
+      expect(PollScheduler.parseFeedHint({ updatePeriod: 'hourly' })).toBe(HOUR);
+      expect(PollScheduler.parseFeedHint({ updatePeriod: 'fortnightly' })).toBeNull();
+    });
+
+    test('should use the most conservative publisher hint', () => {
+      expect(PollScheduler.parseFeedHint({ ttl: '30', updatePeriod: 'daily' })).toBe(24 * HOUR);
+    });
+
+    test('should read Cache-Control max-age', () => {
+      expect(PollScheduler.parseMaxAge({ 'cache-control': 'public, max-age=7200' })).toBe(7200);
+      expect(PollScheduler.parseMaxAge({ 'cache-control': 'no-cache' })).toBeNull();
+      expect(PollScheduler.parseMaxAge({})).toBeNull();
+    });
+
+    test('should learn half the median publishing gap', () => {
+      const now = Date.now();
+      const dates = [0, 4, 8, 12, 40].map(hours => new Date(now - hours * HOUR * 1000).toISOString());
+
+      expect(PollScheduler.learnInterval(dates)).toBe(2 * HOUR);
+    });
+
+    test('should not learn from fewer than three dates', () => {
+      expect(PollScheduler.learnInterval([new Date().toISOString(), new Date().toISOString()])).toBeNull();
+    });
+
+    test('should read Retry-After as seconds or an HTTP date', () => {
+      const now = Date.parse('2025-07-07T10:00:00Z');
+
+      expect(PollScheduler.parseRetryAfter('120', now)).toBe(120);
+      expect(PollScheduler.parseRetryAfter('Mon, 07 Jul 2025 12:00:00 GMT', now)).toBe(2 * HOUR);
+      expect(PollScheduler.parseRetryAfter('Mon, 07 Jul 2025 09:00:00 GMT', now)).toBeNull();
+      expect(PollScheduler.parseRetryAfter('soon', now)).toBeNull();
+      expect(PollScheduler.parseRetryAfter(undefined, now)).toBeNull();
+    });
+  });
+
+  describe('Failure backoff', () => {
+    test('should double the delay for each consecutive failure', () => {
+      const noJitter = () => 0.5;
+
+      expect(PollScheduler.backoffInterval(HOUR, 1, noJitter)).toBe(HOUR);
+      expect(PollScheduler.backoffInterval(HOUR, 2, noJitter)).toBe(2 * HOUR);
+      expect(PollScheduler.backoffInterval(HOUR, 4, noJitter)).toBe(8 * HOUR);
+      expect(PollScheduler.backoffInterval(HOUR, 20, noJitter)).toBe(config.FEED_MAX_BACKOFF_INTERVAL);
+    });
+
+    test('should spread retries with jitter', () => {
+      expect(PollScheduler.backoffInterval(10 * HOUR, 1, () => 0)).toBe(8 * HOUR);
+      expect(PollScheduler.backoffInterval(10 * HOUR, 1, () => 0.999999)).toBe(12 * HOUR);
+    });
+  });
+
+  describe('Interval computation', () => {
+    test('should fall back to the feed interval', () => {
+      expect(PollScheduler.computeInterval({ fallback: HOUR })).toEqual({ interval: HOUR, source: 'default' });
+    });
+
+    test('should prefer the learned cadence', () => {
+      expect(PollScheduler.computeInterval({ fallback: HOUR, learned: 2 * HOUR }))
+        .toEqual({ interval: 2 * HOUR, source: 'cadence' });
+    });
+
+    test('should never poll more often than publisher hints allow', () => {
+      expect(PollScheduler.computeInterval({ fallback: HOUR, learned: HOUR, hint: 3 * HOUR }))
+        .toEqual({ interval: 3 * HOUR, source: 'publisher' });
+      expect(PollScheduler.computeInterval({ fallback: HOUR, maxAge: 5 * HOUR }))
+        .toEqual({ interval: 5 * HOUR, source: 'publisher' });
+    });
+
+    test('should clamp to the configured bounds', () => {
+      expect(PollScheduler.computeInterval({ fallback: HOUR, learned: 60 }).interval)
+        .toBe(config.FEED_MIN_FETCH_INTERVAL);
+      expect(PollScheduler.computeInterval({ fallback: HOUR, learned: 90 * 24 * HOUR }).interval)
+        .toBe(config.FEED_MAX_FETCH_INTERVAL);
+    });
+
+    test('should let a subscriber override win', () => {
+      expect(PollScheduler.computeInterval({ fallback: HOUR, learned: 6 * HOUR, hint: 12 * HOUR, override: 1800 }))
+        .toEqual({ interval: 1800, source: 'subscriber' });
+      expect(PollScheduler.computeInterval({ fallback: HOUR, override: 10 }).interval)
+        .toBe(config.FEED_MIN_FETCH_INTERVAL);
+    });
+  });
+
+  describe('Feed scheduling', () => {
+    test('should use the smallest custom interval among auto-refreshing subscribers', async () => {
+      const otherUser = await User.create({
+        name: 'Other Scheduler User',
+        email: 'scheduler-other@example.com',
+        password: 'SecurePass123!'
+      });
+      const feed = await Feed.create({ name: 'Override', url: 'https://override.example.com/feed.xml' });
+
+      await db('UserFeedSubscription').insert([
+        { user_id: testUser.id, feed_id: feed.id, custom_interval: 7200, auto_refresh: 1 },
+        { user_id: otherUser.id, feed_id: feed.id, custom_interval: 1200, auto_refresh: 0 }
+      ]);
+
+      expect(await PollScheduler.getSubscriberOverride(feed.id)).toBe(7200);
+
+      const scheduled = await PollScheduler.scheduleFeed(feed);
+      expect(scheduled.effective_interval).toBe(7200);
+      expect(scheduled.interval_source).toBe('subscriber');
+
+      await otherUser.delete();
+    });
+
+    test('should learn the cadence while polling and set the next fetch time', async () => {
+      feedServer.routes['/cadence.xml'] = { body: buildCadenceFeed(6, 8) };
+      const feed = await Feed.create({ name: 'Cadence', url: `${feedServer.baseUrl}/cadence.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+
+      const polled = await Feed.findById(feed.id);
+      expect(polled.interval_source).toBe('cadence');
+      expect(polled.effective_interval).toBe(4 * HOUR);
+      expect(new Date(polled.next_fetch_at).getTime() - new Date(polled.last_fetched_at).getTime())
+        .toBe(4 * HOUR * 1000);
+
+      expect((await Feed.findDue()).map(due => due.id)).not.toContain(feed.id);
+      expect((await Feed.findDue(new Date(Date.now() + 5 * HOUR * 1000))).map(due => due.id)).toContain(feed.id);
+    });
+
+    test('should respect <ttl>, sy:updatePeriod and Cache-Control while polling', async () => {
+      feedServer.routes['/hinted.xml'] = {
+        headers: { 'Content-Type': 'application/rss+xml', 'Cache-Control': 'max-age=900' },
+        body: buildCadenceFeed(6, 1, '<ttl>120</ttl><sy:updatePeriod>daily</sy:updatePeriod><sy:updateFrequency>2</sy:updateFrequency>')
+      };
+      const feed = await Feed.create({ name: 'Hinted', url: `${feedServer.baseUrl}/hinted.xml` });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      await poller.pollFeed(feed);
+
+      const polled = await Feed.findById(feed.id);
+      expect(polled.hint_interval).toBe(12 * HOUR);
+      expect(polled.effective_interval).toBe(12 * HOUR);
+      expect(polled.interval_source).toBe('publisher');
+    });
+
+    test('should expose the schedule through the feeds API', async () => {
+      feedServer.routes['/api.xml'] = { body: rssFixture };
+      const feed = await Feed.create({ name: 'Visible', url: `${feedServer.baseUrl}/api.xml` });
+      await new FeedPoller({ concurrency: 1 }).pollFeed(feed);
+      const token = JWTUtils.generateTokenPair(testUser).accessToken;
+
+      const response = await request(app)
+        .get(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.schedule).toEqual({
+        effective_interval: 3600,
+        source: 'default',
+        publisher_hint: null,
+        next_fetch_at: expect.any(String)
+      });
+
+      const updated = await request(app)
+        .put(`/api/v1/feeds/${feed.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ fetch_interval: 7200 })
+        .expect(200);
+
+      expect(updated.body.data.schedule.effective_interval).toBe(7200);
+    });
+  });
+});
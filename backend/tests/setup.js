@@ -1,6 +1,10 @@
 const { initializeDatabase, closeConnection } = require('../db/database');
+const config = require('../config');
 const { logger } = require('../utils/logger');
 
+// Test feeds are served from 127.0.0.1; the address guard tests switch this off again
+config.FEED_ALLOW_PRIVATE_ADDRESSES = true;
+
 // Set up test environment
 beforeAll(async () => {
   try {
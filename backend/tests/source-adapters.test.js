@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const config = require('../config');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const JWTUtils = require('../utils/jwt');
+const FeedFetcher = require('../utils/feedFetcher');
+const FeedParser = require('../utils/feedParser');
+const SourceAdapters = require('../utils/sourceAdapters');
+const { FeedPoller } = require('../utils/feedPoller');
+const { FeedFetchError } = require('../middlewares/errorHandler');
+const { startTestServer } = require('./helpers/testServer');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'adapters', name), 'utf8');
+
+// Platform feeds as recorded from the live services, served by URL so the tests stay offline
+const recorded = {
+  'https://www.youtube.com/feeds/videos.xml?channel_id=UCxyz123Example_Channel': fixture('youtube.xml'),
+  'https://www.reddit.com/r/rss/.rss': fixture('reddit.xml'),
+  'https://github.com/example/reader/releases.atom': fixture('github-releases.xml'),
+  'https://mastodon.example/@example.rss': fixture('mastodon.xml')
+};
+
+describe('Source Adapter Tests', () => {
+  const realFetch = FeedFetcher.fetch;
+  const iconsEnabled = config.FEED_ICONS_ENABLED;
+  const mastodonHosts = config.MASTODON_HOSTS;
+  let pageServer;
+  let testUser;
+  let userToken;
+
+  beforeAll(async () => {
+    pageServer = await startTestServer({});
+    testUser = await User.create({
+      name: 'Adapter User',
+      email: 'adapters@example.com',
+      password: 'SecurePass123!'
+    });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+    // Icons would be looked for on the real platforms
+    config.FEED_ICONS_ENABLED = false;
+    config.MASTODON_HOSTS = ['mastodon.example'];
+  });
+
+  beforeEach(() => {
+    jest.spyOn(FeedFetcher, 'fetch').mockImplementation(async (url, options) => {
+      if (recorded[url]) {
+        return {
+          url,
+          permanentUrl: url,
+          redirects: [],
+          status: 200,
+          headers: { 'content-type': 'application/atom+xml' },
+          body: recorded[url],
+          encoding: 'utf-8',
+          encodingSource: 'default',
+          notModified: false
+        };
+      }
+      if (url.startsWith(pageServer.baseUrl)) {
+        return realFetch.call(FeedFetcher, url, options);
+      }
+      throw new FeedFetchError('Request failed with status code 404', 'FEED_FETCH_FAILED', { httpStatus: 404 });
+    });
+  });
+
+  afterAll(async () => {
+    config.FEED_ICONS_ENABLED = iconsEnabled;
+    config.MASTODON_HOSTS = mastodonHosts;
+    await pageServer.close();
+    await testUser.delete();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    SourceAdapters.unregister('example');
+    await db('Feed').del();
+    Object.keys(pageServer.routes).forEach(route => delete pageServer.routes[route]);
+    pageServer.requests.length = 0;
+    config.MASTODON_HOSTS = ['mastodon.example'];
+  });
+
+  describe('URL Rewriting', () => {
+    test.each([
+      ['https://www.youtube.com/channel/UCxyz123Example_Channel/videos', 'youtube', 'https://www.youtube.com/feeds/videos.xml?channel_id=UCxyz123Example_Channel'],
+      ['https://m.youtube.com/user/Example%20User', 'youtube', 'https://www.youtube.com/feeds/videos.xml?user=Example%20User'],
+      ['https://youtube.com/playlist?list=PL123abc', 'youtube', 'https://www.youtube.com/feeds/videos.xml?playlist_id=PL123abc'],
+      ['https://old.reddit.com/r/rss/', 'reddit', 'https://www.reddit.com/r/rss/.rss'],
+      ['https://www.reddit.com/r/rss/top/?t=week', 'reddit', 'https://www.reddit.com/r/rss/top/.rss?t=week'],
+      ['https://reddit.com/u/feedfan', 'reddit', 'https://www.reddit.com/user/feedfan/.rss'],
+      ['https://github.com/example/reader', 'github', 'https://github.com/example/reader/releases.atom'],
+      ['https://github.com/example/reader/releases/tag/v2.1.0', 'github', 'https://github.com/example/reader/releases.atom'],
+      ['https://github.com/example/reader/tree/main', 'github', 'https://github.com/example/reader/commits/main.atom'],
+      ['https://github.com/example/reader/tags', 'github', 'https://github.com/example/reader/tags.atom'],
+      ['https://github.com/octocat', 'github', 'https://github.com/octocat.atom'],
+      ['https://mastodon.example/@example', 'mastodon', 'https://mastodon.example/@example.rss'],
+      ['https://mastodon.example/users/example', 'mastodon', 'https://mastodon.example/@example.rss'],
+      ['https://mastodon.example/@friend@Other.Example', 'mastodon', 'https://other.example/@friend.rss']
+    ])('should rewrite %s', (url, adapter, feedUrl) => {
+      expect(SourceAdapters.resolve(url)).toEqual({ adapter, url: feedUrl });
+    });
+
+    test('should leave URLs without a known native feed to discovery', () => {
+      [
+        'https://www.youtube.com/@example',
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+        'https://github.com/example/reader/issues/1',
+        'https://www.reddit.com/',
+        'https://example.com/blog',
+        'https://medium.com/@writer',
+        'https://example.com/users/writer',
+        'ftp://github.com/example/reader',
+        'not a url'
+      ].forEach(url => expect(SourceAdapters.resolve(url)).toBeNull());
+    });
+
+    test('should let registered adapters take over', () => {
+      SourceAdapters.register({
+        name: 'example',
+        matches: url => url.hostname === 'github.com',
+        feedUrl: url => `https://mirror.example${url.pathname}.rss`,
+        ownsFeed: url => url.hostname === 'mirror.example'
+      });
+
+      expect(SourceAdapters.resolve('https://github.com/example/reader')).toEqual({
+        adapter: 'example',
+        url: 'https://mirror.example/example/reader.rss'
+      });
+      expect(SourceAdapters.forFeed('https://mirror.example/x.rss').name).toBe('example');
+      expect(() => SourceAdapters.register({ name: 'broken', matches: () => true })).toThrow('Source adapters need');
+    });
+
+    test('should only treat listed servers as Mastodon', () => {
+      expect(SourceAdapters.forFeed('https://mastodon.example/@example.rss').name).toBe('mastodon');
+      expect(SourceAdapters.forFeed('https://medium.com/@writer.rss')).toBeNull();
+      expect(SourceAdapters.forFeed('https://blog.example.com/@news.rss')).toBeNull();
+    });
+  });
+
+  describe('Item Processing', () => {
+    const processed = async (url) => SourceAdapters.process(url, await FeedParser.parse(recorded[url]));
+
+    test('should add YouTube thumbnails from video IDs', async () => {
+      const feed = await processed('https://www.youtube.com/feeds/videos.xml?channel_id=UCxyz123Example_Channel');
+
+      expect(feed.title).toBe('Example Channel');
+      expect(feed.items.map(item => item.image_url)).toEqual([
+        'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+        'https://i.ytimg.com/vi/aBcDeFgHiJk/hqdefault.jpg'
+      ]);
+    });
+
+    test('should add Reddit link thumbnails and Mastodon pictures', async () => {
+      const reddit = await processed('https://www.reddit.com/r/rss/.rss');
+      expect(reddit.items.map(item => item.image_url)).toEqual(['https://b.thumbs.redditmedia.com/abc123.jpg', null]);
+
+      const mastodon = await processed('https://mastodon.example/@example.rss');
+      expect(mastodon.items[0].image_url).toBe('https://files.mastodon.example/media_attachments/files/000/000/001/original/screenshot.png');
+      expect(mastodon.items[1].image_url).toBeNull();
+      expect(mastodon.items[1].title).toBe('Text only post');
+    });
+
+    test('should leave feeds without transformations alone', async () => {
+      const parsed = await FeedParser.parse(recorded['https://github.com/example/reader/releases.atom']);
+
+      expect(SourceAdapters.process('https://github.com/example/reader/releases.atom', parsed)).toBe(parsed);
+      expect(SourceAdapters.process('https://example.com/feed.xml', parsed)).toBe(parsed);
+      expect(parsed.items.map(item => item.title)).toEqual(['v2.1.0', 'v2.0.0']);
+    });
+  });
+
+  describe('Feed Creation and Discovery', () => {
+    const post = (route, body) => request(app)
+      .post(route)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send(body);
+
+    test('should add platform URLs as their native feeds', async () => {
+      const response = await post('/api/v1/feeds', { url: 'https://www.youtube.com/channel/UCxyz123Example_Channel' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        url: 'https://www.youtube.com/feeds/videos.xml?channel_id=UCxyz123Example_Channel',
+        name: 'Example Channel',
+        format: 'atom'
+      });
+
+      const again = await post('/api/v1/feeds', { url: 'https://youtube.com/channel/UCxyz123Example_Channel/featured' });
+      expect(again.status).toBe(409);
+      expect(again.body.data.id).toBe(response.body.data.id);
+    });
+
+    test('should report the adapter feed when discovering', async () => {
+      const response = await post('/api/v1/feeds/discover', { url: 'https://old.reddit.com/r/rss' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        url: 'https://old.reddit.com/r/rss',
+        title: 'RSS',
+        candidates: [{
+          url: 'https://www.reddit.com/r/rss/.rss',
+          title: 'RSS',
+          format: 'atom',
+          item_count: 2,
+          source: 'adapter',
+          adapter: 'reddit'
+        }]
+      });
+    });
+
+    test('should fall back to discovery when the guessed feed does not exist', async () => {
+      // Listed as a Mastodon server, but the profile announces a regular feed
+      config.MASTODON_HOSTS = ['mastodon.example', new URL(pageServer.baseUrl).hostname];
+      pageServer.routes['/@writer'] = {
+        headers: { 'Content-Type': 'text/html' },
+        body: '<html><head><title>Writer</title><link rel="alternate" type="application/atom+xml" href="/writer/feed.atom"></head></html>'
+      };
+      pageServer.routes['/writer/feed.atom'] = {
+        headers: { 'Content-Type': 'application/atom+xml' },
+        body: recorded['https://github.com/example/reader/releases.atom']
+      };
+
+      const response = await post('/api/v1/feeds', { url: `${pageServer.baseUrl}/@writer` });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.url).toBe(`${pageServer.baseUrl}/writer/feed.atom`);
+      expect(pageServer.requests.map(logged => logged.url)).toContain('/@writer.rss');
+    });
+
+    test('should discover /@name pages on servers that are not listed', async () => {
+      pageServer.routes['/@writer'] = {
+        headers: { 'Content-Type': 'text/html' },
+        body: '<html><head><title>Writer</title><link rel="alternate" type="application/atom+xml" href="/writer/feed.atom"></head></html>'
+      };
+      pageServer.routes['/writer/feed.atom'] = {
+        headers: { 'Content-Type': 'application/atom+xml' },
+        body: recorded['https://github.com/example/reader/releases.atom']
+      };
+
+      const response = await post('/api/v1/feeds', { url: `${pageServer.baseUrl}/@writer` });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.url).toBe(`${pageServer.baseUrl}/writer/feed.atom`);
+      expect(pageServer.requests.map(logged => logged.url)).not.toContain('/@writer.rss');
+    });
+
+    test('should apply item transformations when polling', async () => {
+      const { body } = await post('/api/v1/feeds', { url: 'https://github.com/example/reader' });
+      const youtube = await post('/api/v1/feeds', { url: 'https://www.youtube.com/channel/UCxyz123Example_Channel' });
+      const poller = new FeedPoller({ concurrency: 1 });
+
+      expect((await poller.pollFeed(await Feed.findById(body.data.id))).new_items).toBe(2);
+      expect((await poller.pollFeed(await Feed.findById(youtube.body.data.id))).new_items).toBe(2);
+
+      const videos = await db('FeedItem').where('feed_id', youtube.body.data.id).orderBy('published_at', 'desc');
+      expect(videos.map(item => item.image_url)).toEqual([
+        'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+        'https://i.ytimg.com/vi/aBcDeFgHiJk/hqdefault.jpg'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const UserFeedSubscription = require('../models/UserFeedSubscription');
+const JWTUtils = require('../utils/jwt');
+const feedRefresh = require('../utils/feedRefresh');
+
+describe('Subscription Folder Tests', () => {
+  let testUser;
+  let otherUser;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    testUser = await User.create({ name: 'Folder User', email: 'folder-user@example.com', password: 'SecurePass123!' });
+    otherUser = await User.create({ name: 'Other Folder User', email: 'folder-other@example.com', password: 'SecurePass123!' });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+    otherToken = JWTUtils.generateTokenPair(otherUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await testUser.delete();
+    await otherUser.delete();
+  });
+
+  afterEach(async () => {
+    await Promise.all([...feedRefresh.jobs.values()].map(job => job.done));
+    feedRefresh.jobs.clear();
+    feedRefresh.lastStarted.clear();
+    await db('UserFeedSubscription').del();
+    await db('SubscriptionFolder').del();
+    await db('Feed').del();
+  });
+
+  const api = (method, url, body, token = userToken) => {
+    const req = request(app)[method](`/api/v1${url}`).set('Authorization', `Bearer ${token}`);
+    return body ? req.send(body) : req;
+  };
+
+  const createFolder = async (name, parentId = null, token = userToken) =>
+    (await api('post', '/folders', { name, parent_id: parentId }, token)).body.data;
+
+  const subscribeTo = async (name, folderId = null, items = []) => {
+    const feed = await Feed.create({ name, url: `https://${name.toLowerCase()}.example.com/feed.xml` });
+    await FeedItem.upsertMany(feed.id, items.map(guid => ({
+      guid,
+      title: guid,
+      link: `https://example.com/${guid}`,
+      published_at: '2025-07-01T10:00:00.000Z'
+    })));
+    const { body } = await api('post', '/subscriptions', { feed_id: feed.id, folder_id: folderId });
+    return { feed, subscription: body.data };
+  };
+
+  const tree = async () => (await api('get', '/folders')).body.data;
+  const names = nodes => nodes.map(node => node.name || node.feed.name);
+
+  describe('Folders', () => {
+    test('should nest folders and list them as a tree with unread counts', async () => {
+      const news = await createFolder('News');
+      const tech = await createFolder('Tech', news.id);
+      await subscribeTo('Loose', null, ['loose-1']);
+      await subscribeTo('World', news.id, ['world-1']);
+      await subscribeTo('Gadgets', tech.id, ['gadget-1', 'gadget-2']);
+
+      const response = await api('get', '/folders');
+
+      expect(response.status).toBe(200);
+      expect(names(response.body.data.subscriptions)).toEqual(['Loose']);
+      expect(response.body.data.folders).toEqual([
+        expect.objectContaining({
+          id: news.id,
+          name: 'News',
+          parent_id: null,
+          unread_count: 3,
+          subscriptions: [expect.objectContaining({ folder_id: news.id, feed: expect.objectContaining({ name: 'World' }) })],
+          folders: [expect.objectContaining({ id: tech.id, parent_id: news.id, unread_count: 2, folders: [] })]
+        })
+      ]);
+    });
+
+    test('should rename and move folders, but not into their own subfolders', async () => {
+      const outer = await createFolder('Outer');
+      const inner = await createFolder('Inner', outer.id);
+
+      const renamed = await api('put', `/folders/${outer.id}`, { name: 'Renamed' });
+      const cycle = await api('put', `/folders/${outer.id}`, { parent_id: inner.id });
+      const moved = await api('put', `/folders/${inner.id}`, { parent_id: null });
+
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.data.name).toBe('Renamed');
+      expect(cycle.status).toBe(400);
+      expect(cycle.body.error.message).toBe('A folder cannot be moved into itself or one of its subfolders');
+      expect(moved.status).toBe(200);
+      expect(names((await tree()).folders)).toEqual(['Inner', 'Renamed']);
+    });
+
+    test('should keep folders and subscriptions in the order given', async () => {
+      const alpha = await createFolder('Alpha');
+      await createFolder('Beta');
+      const gamma = await createFolder('Gamma');
+      const { subscription: first } = await subscribeTo('First', alpha.id);
+      const { subscription: second } = await subscribeTo('Second', alpha.id);
+
+      const top = await api('put', '/folders/order', { folder_ids: [gamma.id, alpha.id] });
+      const inAlpha = await api('put', '/folders/order', { parent_id: alpha.id, subscription_ids: [second.id, first.id] });
+      const stranger = await api('put', '/folders/order', { folder_ids: [alpha.id] }, otherToken);
+
+      expect(top.status).toBe(200);
+      expect(inAlpha.status).toBe(200);
+      const { folders } = await tree();
+      expect(folders.map(folder => [folder.name, folder.position])).toEqual([['Gamma', 0], ['Alpha', 1], ['Beta', 2]]);
+      expect(names(folders[1].subscriptions)).toEqual(['Second', 'First']);
+      expect(stranger.status).toBe(400);
+    });
+
+    test('should move the children of a deleted folder up a level', async () => {
+      const parent = await createFolder('Parent');
+      const doomed = await createFolder('Doomed', parent.id);
+      await createFolder('Child', doomed.id);
+      const { subscription } = await subscribeTo('Orphan', doomed.id);
+
+      const response = await api('delete', `/folders/${doomed.id}`);
+
+      expect(response.status).toBe(200);
+      const { folders } = await tree();
+      expect(names(folders)).toEqual(['Parent']);
+      expect(names(folders[0].folders)).toEqual(['Child']);
+      expect(names(folders[0].subscriptions)).toEqual(['Orphan']);
+      expect((await UserFeedSubscription.findById(subscription.id)).folder_id).toBe(parent.id);
+    });
+
+    test('should hide other users\' folders', async () => {
+      const folder = await createFolder('Private');
+
+      const rename = await api('put', `/folders/${folder.id}`, { name: 'Mine now' }, otherToken);
+      const removal = await api('delete', `/folders/${folder.id}`, null, otherToken);
+      const nested = await api('post', '/folders', { name: 'Sneaky', parent_id: folder.id }, otherToken);
+      const feed = await Feed.create({ name: 'Theirs', url: 'https://theirs.example.com/feed.xml' });
+      const theirs = (await api('post', '/subscriptions', { feed_id: feed.id }, otherToken)).body.data;
+      const move = await api('put', `/subscriptions/${theirs.id}`, { folder_id: folder.id }, otherToken);
+
+      expect([rename.status, removal.status, nested.status]).toEqual([404, 404, 404]);
+      expect(rename.body.error.code).toBe('FOLDER_NOT_FOUND');
+      expect(move.body.error.code).toBe('FOLDER_NOT_FOUND');
+      expect(names((await tree()).folders)).toEqual(['Private']);
+    });
+  });
+
+  describe('Subscriptions in folders', () => {
+    test('should move a subscription between folders', async () => {
+      const folder = await createFolder('Reading');
+      const { subscription } = await subscribeTo('Mover');
+
+      const moved = await api('put', `/subscriptions/${subscription.id}`, { folder_id: folder.id });
+      expect(moved.status).toBe(200);
+      expect(moved.body.data).toMatchObject({ folder_id: folder.id, position: null });
+
+      const back = await api('put', `/subscriptions/${subscription.id}`, { folder_id: null });
+      expect(back.body.data.folder_id).toBeNull();
+    });
+  });
+
+  describe('Folder scope', () => {
+    let work;
+    let projects;
+
+    beforeEach(async () => {
+      work = await createFolder('Work');
+      projects = await createFolder('Projects', work.id);
+      await subscribeTo('Office', work.id, ['office-1']);
+      await subscribeTo('Repo', projects.id, ['repo-1', 'repo-2']);
+      await subscribeTo('Fun', null, ['fun-1']);
+    });
+
+    const timeline = async (query) => (await api('get', `/items${query}`)).body.data.items.map(item => item.guid).sort();
+    const unread = async (query = '') => (await api('get', `/items/unread-count${query}`)).body.data.unread_count;
+
+    test('should limit the timeline and unread counts to a folder and its subfolders', async () => {
+      expect(await timeline(`?folder_id=${work.id}`)).toEqual(['office-1', 'repo-1', 'repo-2']);
+      expect(await timeline(`?folder_id=${projects.id}`)).toEqual(['repo-1', 'repo-2']);
+      expect(await unread()).toBe(4);
+      expect(await unread(`?folder_id=${work.id}`)).toBe(3);
+      expect(await unread(`?folder_id=${projects.id}`)).toBe(2);
+
+      const foreign = await request(app)
+        .get(`/api/v1/items?folder_id=${work.id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+      expect(foreign.status).toBe(404);
+      expect(foreign.body.error.code).toBe('FOLDER_NOT_FOUND');
+    });
+
+    test('should mark all items of a folder as read', async () => {
+      const response = await api('post', '/items/mark-all-read', { folder_id: projects.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.marked_read).toBe(2);
+      expect(await unread(`?folder_id=${work.id}`)).toBe(1);
+      expect(await unread()).toBe(2);
+
+      const everything = await api('post', '/items/mark-all-read', {});
+      expect(everything.body.data.marked_read).toBe(2);
+      expect(await unread()).toBe(0);
+    });
+
+    test('should leave items published after the given time unread', async () => {
+      const response = await api('post', '/items/mark-all-read', { folder_id: work.id, before: '2025-06-30T00:00:00Z' });
+
+      expect(response.body.data.marked_read).toBe(0);
+      expect(await unread(`?folder_id=${work.id}`)).toBe(3);
+    });
+
+    test('should refresh the feeds of a folder', async () => {
+      const feeds = await Feed.findSubscribed(testUser.id);
+      await Promise.all(feeds.map(feed => feed.pause()));
+
+      const response = await api('post', '/refresh', { folder_id: work.id });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.scope).toEqual({ type: 'folder', folder_id: work.id });
+      expect(response.body.data.feeds.map(feed => feed.name).sort()).toEqual(['Office', 'Repo']);
+    });
+  });
+});
@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const UserFeedSubscription = require('../models/UserFeedSubscription');
+const JWTUtils = require('../utils/jwt');
+const { startTestServer } = require('./helpers/testServer');
+
+const rssFixture = fs.readFileSync(path.join(__dirname, 'fixtures', 'rss2.xml'), 'utf8');
+
+describe('Subscription Tests', () => {
+  let feedServer;
+  let testUser;
+  let otherUser;
+  let userToken;
+  let otherToken;
+
+  beforeAll(async () => {
+    feedServer = await startTestServer({
+      '/feed.xml': { body: rssFixture },
+      '/site': {
+        headers: { 'Content-Type': 'text/html' },
+        body: '<html><head><link rel="alternate" type="application/rss+xml" href="/feed.xml"></head></html>'
+      }
+    });
+    testUser = await User.create({ name: 'Subscriber', email: 'subscriber@example.com', password: 'SecurePass123!' });
+    otherUser = await User.create({ name: 'Other Subscriber', email: 'other-subscriber@example.com', password: 'SecurePass123!' });
+    userToken = JWTUtils.generateTokenPair(testUser).accessToken;
+    otherToken = JWTUtils.generateTokenPair(otherUser).accessToken;
+  });
+
+  afterAll(async () => {
+    await feedServer.close();
+    await testUser.delete();
+    await otherUser.delete();
+  });
+
+  afterEach(async () => {
+    await db('UserFeedSubscription').del();
+    await db('Feed').del();
+  });
+
+  const subscribe = (body, token = userToken) => request(app)
+    .post('/api/v1/subscriptions')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const updateSubscription = (id, body, token = userToken) => request(app)
+    .put(`/api/v1/subscriptions/${id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const listSubscriptions = (token = userToken) => request(app)
+    .get('/api/v1/subscriptions')
+    .set('Authorization', `Bearer ${token}`);
+
+  const item = (guid, publishedAt) => ({
+    guid,
+    title: guid,
+    link: `https://example.com/${guid}`,
+    published_at: publishedAt
+  });
+
+  describe('POST /api/v1/subscriptions', () => {
+    test('should subscribe to a feed by ID with preferences', async () => {
+      const feed = await Feed.create({ name: 'By ID', url: 'https://by-id.example.com/feed.xml' });
+
+      const response = await subscribe({ feed_id: feed.id, preferences: { show_read_items: true } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        user_id: testUser.id,
+        feed_id: feed.id,
+        feed: { id: feed.id, name: 'By ID', url: 'https://by-id.example.com/feed.xml', icon_url: null, status: 'active' },
+        preferences: { auto_refresh: true, custom_interval: null, show_read_items: true }
+      });
+    });
+
+    test('should add a shared feed for a new URL and reuse it for later subscribers', async () => {
+      const first = await subscribe({ url: `${feedServer.baseUrl}/feed.xml` });
+      const second = await subscribe({ url: `${feedServer.baseUrl}/site` }, otherToken);
+
+      expect(first.status).toBe(201);
+      expect(first.body.data.feed).toMatchObject({ name: 'Example Blog', url: `${feedServer.baseUrl}/feed.xml` });
+      expect(second.status).toBe(201);
+      expect(second.body.data.feed_id).toBe(first.body.data.feed_id);
+
+      const feeds = await db('Feed').select('id', 'owner_id');
+      expect(feeds).toEqual([{ id: first.body.data.feed_id, owner_id: null }]);
+    });
+
+    test('should refuse to subscribe twice', async () => {
+      const feed = await Feed.create({ name: 'Twice', url: 'https://twice.example.com/feed.xml' });
+      const first = await subscribe({ feed_id: feed.id });
+
+      const response = await subscribe({ feed_id: feed.id });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('SUBSCRIPTION_EXISTS');
+      expect(response.body.data.id).toBe(first.body.data.id);
+    });
+
+    test('should not subscribe to other users\' private feeds', async () => {
+      const feed = await Feed.create({ name: 'Private', url: 'https://private.example.com/feed.xml', owner_id: otherUser.id });
+
+      const response = await subscribe({ feed_id: feed.id });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('FEED_NOT_FOUND');
+    });
+
+    test('should reject invalid subscriptions', async () => {
+      const response = await subscribe({
+        feed_id: 1,
+        url: 'https://both.example.com/feed.xml',
+        preferences: { auto_refresh: 'yes', custom_interval: 10 }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual([
+        'Provide either feed_id or url',
+        'auto_refresh must be true or false',
+        'Custom interval must be between 900 and 604800 seconds, or null'
+      ]);
+    });
+  });
+
+  describe('GET /api/v1/subscriptions', () => {
+    test('should list subscriptions with unread counts and the latest item time', async () => {
+      const busy = await Feed.create({ name: 'Busy', url: 'https://busy.example.com/feed.xml' });
+      const quiet = await Feed.create({ name: 'Quiet', url: 'https://quiet.example.com/feed.xml' });
+      await FeedItem.upsertMany(busy.id, [
+        item('busy-1', '2025-07-01T10:00:00.000Z'),
+        item('busy-2', '2025-07-03T10:00:00.000Z'),
+        item('busy-3', '2025-07-02T10:00:00.000Z')
+      ]);
+      const [read] = await FeedItem.findByFeed(busy.id, { limit: 1 });
+      await db('ReadState').insert({ user_id: testUser.id, item_id: read.id });
+      await subscribe({ feed_id: quiet.id });
+      await subscribe({ feed_id: busy.id });
+      await subscribe({ feed_id: quiet.id }, otherToken);
+
+      const response = await listSubscriptions();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.subscriptions.map(subscription => [subscription.feed.name, subscription.stats])).toEqual([
+        ['Busy', { unread_count: 2, total_items: 3, latest_item_at: '2025-07-03T10:00:00.000Z' }],
+        ['Quiet', { unread_count: 0, total_items: 0, latest_item_at: null }]
+      ]);
+    });
+  });
+
+  describe('PUT and DELETE /api/v1/subscriptions/:id', () => {
+    test('should update preferences and schedule the feed by the custom interval', async () => {
+      const feed = await Feed.create({ name: 'Custom', url: 'https://custom.example.com/feed.xml' });
+      await feed.update({ last_fetched_at: '2025-07-05T10:00:00.000Z' });
+      const { body } = await subscribe({ feed_id: feed.id });
+
+      const response = await updateSubscription(body.data.id, { preferences: { custom_interval: 7200, show_read_items: true } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.preferences).toEqual({ auto_refresh: true, custom_interval: 7200, show_read_items: true });
+      const scheduled = await Feed.findById(feed.id);
+      expect(scheduled).toMatchObject({ effective_interval: 7200, interval_source: 'subscriber', next_fetch_at: '2025-07-05T12:00:00.000Z' });
+
+      await updateSubscription(body.data.id, { preferences: { custom_interval: null } });
+      expect((await Feed.findById(feed.id)).interval_source).toBe('default');
+    });
+
+    test('should only let users change their own subscriptions', async () => {
+      const feed = await Feed.create({ name: 'Mine', url: 'https://mine.example.com/feed.xml' });
+      const { body } = await subscribe({ feed_id: feed.id });
+
+      const update = await updateSubscription(body.data.id, { preferences: { auto_refresh: false } }, otherToken);
+      const removal = await request(app)
+        .delete(`/api/v1/subscriptions/${body.data.id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(update.status).toBe(404);
+      expect(update.body.error.code).toBe('SUBSCRIPTION_NOT_FOUND');
+      expect(removal.status).toBe(404);
+    });
+
+    test('should unsubscribe and keep the feed', async () => {
+      const feed = await Feed.create({ name: 'Leaving', url: 'https://leaving.example.com/feed.xml' });
+      const { body } = await subscribe({ feed_id: feed.id });
+
+      const response = await request(app)
+        .delete(`/api/v1/subscriptions/${body.data.id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(response.status).toBe(200);
+      expect(await UserFeedSubscription.findById(body.data.id)).toBeNull();
+      expect(await Feed.findById(feed.id)).not.toBeNull();
+    });
+  });
+
+  describe('Settings', () => {
+    test('should only poll feeds automatically while a subscriber wants auto refresh', async () => {
+      const feed = await Feed.create({ name: 'Manual', url: 'https://manual.example.com/feed.xml' });
+      const unsubscribed = await Feed.create({ name: 'Unsubscribed', url: 'https://unsubscribed.example.com/feed.xml' });
+      const mine = (await subscribe({ feed_id: feed.id, preferences: { auto_refresh: false } })).body.data;
+      const dueIds = async () => (await Feed.findDue()).map(due => due.id);
+
+      expect(await dueIds()).toEqual([unsubscribed.id]);
+
+      const theirs = (await subscribe({ feed_id: feed.id }, otherToken)).body.data;
+      expect(await dueIds()).toEqual(expect.arrayContaining([feed.id, unsubscribed.id]));
+
+      await updateSubscription(theirs.id, { preferences: { auto_refresh: false } }, otherToken);
+      expect(await dueIds()).toEqual([unsubscribed.id]);
+
+      await updateSubscription(mine.id, { preferences: { auto_refresh: true } });
+      expect(await dueIds()).toContain(feed.id);
+    });
+
+    test('should hide read items from the timeline unless show_read_items is on', async () => {
+      const feed = await Feed.create({ name: 'Timeline', url: 'https://timeline.example.com/feed.xml' });
+      await FeedItem.upsertMany(feed.id, [item('read', '2025-07-01T10:00:00.000Z'), item('unread', '2025-07-02T10:00:00.000Z')]);
+      const readItem = (await FeedItem.findByFeed(feed.id)).find(feedItem => feedItem.guid === 'read');
+      await db('ReadState').insert({ user_id: testUser.id, item_id: readItem.id });
+      const { body } = await subscribe({ feed_id: feed.id });
+      await subscribe({ feed_id: feed.id }, otherToken);
+
+      const timeline = async (token = userToken) => (await request(app)
+        .get('/api/v1/items')
+        .set('Authorization', `Bearer ${token}`)).body.data.items.map(feedItem => feedItem.guid);
+
+      expect(await timeline()).toEqual(['unread']);
+      expect(await timeline(otherToken)).toEqual(['unread', 'read']);
+
+      await updateSubscription(body.data.id, { preferences: { show_read_items: true } });
+      expect(await timeline()).toEqual(['unread', 'read']);
+    });
+  });
+
+  describe('Overrides', () => {
+    const listItems = (query = '', token = userToken) => request(app)
+      .get(`/api/v1/items${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    test('should show the subscriber\'s own title and note to them only', async () => {
+      const feed = await Feed.create({ name: 'Publisher Name', url: 'https://renamed.example.com/feed.xml' });
+      await FeedItem.upsertMany(feed.id, [item('renamed-1', '2025-07-01T10:00:00.000Z')]);
+      const { body } = await subscribe({ feed_id: feed.id, custom_title: 'My Name', note: 'Read on Fridays' });
+      await subscribe({ feed_id: feed.id }, otherToken);
+
+      expect(body.data).toMatchObject({ title: 'My Name', custom_title: 'My Name', note: 'Read on Fridays' });
+      expect((await listItems()).body.data.items[0].feed.name).toBe('My Name');
+      expect((await listItems('', otherToken)).body.data.items[0].feed.name).toBe('Publisher Name');
+      expect((await Feed.findById(feed.id)).name).toBe('Publisher Name');
+
+      const cleared = await updateSubscription(body.data.id, { custom_title: null });
+      expect(cleared.body.data).toMatchObject({ custom_title: null, note: 'Read on Fridays' });
+      expect((await listSubscriptions()).body.data.subscriptions[0].title).toBe('Publisher Name');
+    });
+
+    test('should list a feed with the subscriber\'s display settings', async () => {
+      const feed = await Feed.create({ name: 'Display', url: 'https://display.example.com/feed.xml' });
+      await FeedItem.upsertMany(feed.id, [item('first', '2025-07-01T10:00:00.000Z'), item('second', '2025-07-02T10:00:00.000Z')]);
+      const { body } = await subscribe({ feed_id: feed.id });
+      expect(body.data.display).toEqual({ view: 'list', open_in: 'content', full_text: false, sort_order: 'newest' });
+
+      const display = { view: 'magazine', open_in: 'original', full_text: true, sort_order: 'oldest' };
+      const updated = await updateSubscription(body.data.id, { display });
+      expect(updated.body.data.display).toEqual(display);
+
+      const mine = await listItems(`?feed_id=${feed.id}`);
+      expect(mine.body.data.display).toEqual(display);
+      expect(mine.body.data.items.map(feedItem => [feedItem.guid, feedItem.display])).toEqual([
+        ['first', { open_in: 'original', full_text: true }],
+        ['second', { open_in: 'original', full_text: true }]
+      ]);
+
+      const theirs = await listItems(`?feed_id=${feed.id}`, otherToken);
+      expect(theirs.body.data.display.view).toBe('list');
+      expect(theirs.body.data.items.map(feedItem => feedItem.guid)).toEqual(['second', 'first']);
+    });
+
+    test('should reject invalid overrides', async () => {
+      const feed = await Feed.create({ name: 'Invalid', url: 'https://invalid.example.com/feed.xml' });
+      const { body } = await subscribe({ feed_id: feed.id });
+
+      const response = await updateSubscription(body.data.id, {
+        custom_title: 'x'.repeat(256),
+        display: { view: 'grid', full_text: 'yes' }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual([
+        'Custom title must be at most 255 characters',
+        'view must be one of: list, cards, magazine',
+        'full_text must be true or false'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const request = require('supertest');
+const { app } = require('../app');
+const { db } = require('../db/database');
+const config = require('../config');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const FeedParser = require('../utils/feedParser');
+const PollScheduler = require('../utils/pollScheduler');
+const webSub = require('../utils/webSub');
+const { WebSub } = require('../utils/webSub');
+const { FeedPoller } = require('../utils/feedPoller');
+const { startTestServer } = require('./helpers/testServer');
+
+const atom = ({ hub, self, entries }) => `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Pushed</title>
+  ${hub ? `<link rel="hub" href="${hub}"/>` : ''}
+  ${self ? `<link rel="self" href="${self}"/>` : ''}
+  <link href="https://pushed.example.com/"/>
+  <id>urn:pushed</id>
+  <updated>2025-07-07T09:00:00Z</updated>
+  ${entries.map(id => `<entry>
+    <title>Entry ${id}</title>
+    <link href="https://pushed.example.com/${id}"/>
+    <id>urn:pushed:${id}</id>
+    <updated>2025-07-07T09:00:00Z</updated>
+  </entry>`).join('\n')}
+</feed>`;
+
+// Shorter than the lease we ask for, but longer than the renewal margin
+const LEASE_SECONDS = 2 * 86400;
+
+const sign = (secret, body, algorithm = 'sha256') =>
+  `${algorithm}=${crypto.createHmac(algorithm, secret).update(body).digest('hex')}`;
+
+/**
+ * Start a stand-in WebSub hub that accepts (un)subscription requests,
+ * verifies them against the subscriber's callback and can publish content
+ * @returns {Promise<Object>} - Hub server, request log, subscriptions and publish()
+ */
+const startHub = async () => {
+  const hub = {
+    requests: [],
+    verifications: [],
+    subscriptions: new Map(),
+    pending: Promise.resolve()
+  };
+
+  const verifyIntent = async (params) => {
+    const challenge = crypto.randomBytes(8).toString('hex');
+    const response = await axios.get(params['hub.callback'], {
+      params: {
+        'hub.mode': params['hub.mode'],
+        'hub.topic': params['hub.topic'],
+        'hub.challenge': challenge,
+        ...(params['hub.mode'] === 'subscribe' && { 'hub.lease_seconds': LEASE_SECONDS })
+      },
+      validateStatus: () => true,
+      transformResponse: [(data) => data]
+    });
+
+    const confirmed = response.status === 200 && response.data === challenge;
+    hub.verifications.push({ mode: params['hub.mode'], topic: params['hub.topic'], status: response.status, confirmed });
+
+    if (confirmed && params['hub.mode'] === 'subscribe') {
+      hub.subscriptions.set(params['hub.topic'], { callback: params['hub.callback'], secret: params['hub.secret'] });
+    } else if (confirmed && params['hub.mode'] === 'unsubscribe') {
+      hub.subscriptions.delete(params['hub.topic']);
+    }
+  };
+
+  hub.server = await startTestServer({
+    '/hub': (req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        hub.requests.push(params);
+        // Like real hubs, verify after acknowledging the request
+        hub.pending = verifyIntent(params);
+        res.writeHead(202);
+        res.end();
+      });
+    }
+  });
+  hub.url = `${hub.server.baseUrl}/hub`;
+
+  hub.publish = (topic, body, options = {}) => {
+    const subscription = hub.subscriptions.get(topic);
+    return axios.post(subscription.callback, body, {
+      headers: {
+        'Content-Type': 'application/atom+xml',
+        'X-Hub-Signature': sign(options.secret || subscription.secret, body, options.algorithm)
+      },
+      validateStatus: () => true
+    });
+  };
+
+  return hub;
+};
+
+describe('WebSub Tests', () => {
+  describe('Discovery', () => {
+    test('should find the hub and self links of Atom feeds', async () => {
+      const feed = await FeedParser.parse(atom({
+        hub: 'https://hub.example.com/',
+        self: 'https://pushed.example.com/feed.atom',
+        entries: [1]
+      }));
+
+      expect(feed.hub).toBe('https://hub.example.com/');
+      expect(feed.self).toBe('https://pushed.example.com/feed.atom');
+      // The site link is not mistaken for the first <link> in the document
+      expect(feed.link).toBe('https://pushed.example.com/');
+    });
+
+    test('should find atom:link hubs in RSS and hubs in JSON Feed', async () => {
+      const rss = await FeedParser.parse(`<?xml version="1.0"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"><channel>
+  <title>RSS</title><link>https://rss.example.com/</link>
+  <atom:link rel="hub" href="https://hub.example.com/"/>
+  <atom:link rel="self" href="https://rss.example.com/feed.xml"/>
+</channel></rss>`);
+      const json = await FeedParser.parse(JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'JSON',
+        feed_url: 'https://json.example.com/feed.json',
+        hubs: [{ type: 'rssCloud', url: 'https://cloud.example.com/' }, { type: 'WebSub', url: 'https://hub.example.com/' }],
+        items: []
+      }));
+
+      expect(rss).toMatchObject({ link: 'https://rss.example.com/', hub: 'https://hub.example.com/', self: 'https://rss.example.com/feed.xml' });
+      expect(json).toMatchObject({ hub: 'https://hub.example.com/', self: 'https://json.example.com/feed.json' });
+    });
+
+    test('should resolve the hub and fall back to the fetched URL as topic', () => {
+      expect(WebSub.discover({ hub: '/hub', self: null }, 'https://pushed.example.com/feed.atom'))
+        .toEqual({ hub: 'https://pushed.example.com/hub', topic: 'https://pushed.example.com/feed.atom' });
+      expect(WebSub.discover({ hub: 'ftp://hub.example.com/' }, 'https://pushed.example.com/feed.atom')).toBeNull();
+      expect(WebSub.discover({ hub: null }, 'https://pushed.example.com/feed.atom')).toBeNull();
+    });
+  });
+
+  describe('Signatures', () => {
+    const body = Buffer.from('<feed/>');
+
+    test('should accept HMAC signatures made with the subscription secret', () => {
+      expect(WebSub.isSignatureValid('secret', sign('secret', body), body)).toBe(true);
+      expect(WebSub.isSignatureValid('secret', sign('secret', body, 'sha1'), body)).toBe(true);
+    });
+
+    test('should reject tampered, foreign or malformed signatures', () => {
+      expect(WebSub.isSignatureValid('secret', sign('secret', body), Buffer.from('<feed>changed</feed>'))).toBe(false);
+      expect(WebSub.isSignatureValid('secret', sign('other', body), body)).toBe(false);
+      expect(WebSub.isSignatureValid('secret', sign('secret', body, 'md5'), body)).toBe(false);
+      expect(WebSub.isSignatureValid('secret', 'sha256=abc', body)).toBe(false);
+      expect(WebSub.isSignatureValid('secret', undefined, body)).toBe(false);
+      expect(WebSub.isSignatureValid(null, sign('secret', body), body)).toBe(false);
+    });
+  });
+
+  describe('Scheduling', () => {
+    test('should poll pushed feeds only as a safety net', () => {
+      expect(PollScheduler.computeInterval({ fallback: 3600, pushed: true }))
+        .toEqual({ interval: PollScheduler.clamp(config.WEBSUB_POLL_INTERVAL), source: 'websub' });
+      expect(PollScheduler.computeInterval({ fallback: 3600, override: 1800, pushed: true }).source).toBe('subscriber');
+    });
+
+    test('should only treat unexpired subscriptions as pushed', () => {
+      const future = new Date(Date.now() + 60000).toISOString();
+      const past = new Date(Date.now() - 60000).toISOString();
+
+      expect(PollScheduler.isPushed({ websub_state: 'subscribed', websub_lease_expires_at: future })).toBe(true);
+      expect(PollScheduler.isPushed({ websub_state: 'subscribed', websub_lease_expires_at: past })).toBe(false);
+      expect(PollScheduler.isPushed({ websub_state: 'subscribing', websub_lease_expires_at: null })).toBe(false);
+    });
+  });
+
+  describe('Subscription flow', () => {
+    let appServer;
+    let feedServer;
+    let hub;
+    let originalCallbackUrl;
+    let feed;
+    let topic;
+
+    const poll = async () => new FeedPoller({ concurrency: 1 }).pollFeed(await Feed.findById(feed.id));
+    const reload = () => Feed.findById(feed.id);
+
+    beforeAll(async () => {
+      appServer = await new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+      });
+      originalCallbackUrl = webSub.callbackUrl;
+      webSub.callbackUrl = `http://127.0.0.1:${appServer.address().port}/api/v1/websub`;
+      feedServer = await startTestServer({});
+      hub = await startHub();
+    });
+
+    afterAll(async () => {
+      webSub.callbackUrl = originalCallbackUrl;
+      await hub.server.close();
+      await feedServer.close();
+      await new Promise(resolve => appServer.close(resolve));
+    });
+
+    beforeEach(async () => {
+      hub.requests.length = 0;
+      hub.verifications.length = 0;
+      hub.subscriptions.clear();
+
+      topic = `${feedServer.baseUrl}/pushed.atom`;
+      feedServer.routes['/pushed.atom'] = { body: atom({ hub: hub.url, self: topic, entries: [1] }) };
+      feed = await Feed.create({ name: 'Pushed', url: topic });
+
+      await poll();
+      await hub.pending;
+    });
+
+    afterEach(async () => {
+      await db('Feed').del();
+    });
+
+    test('should subscribe to the advertised hub and answer its verification', async () => {
+      expect(hub.requests).toEqual([expect.objectContaining({
+        'hub.mode': 'subscribe',
+        'hub.topic': topic,
+        'hub.callback': `${webSub.callbackUrl}/${feed.id}`,
+        'hub.lease_seconds': String(config.WEBSUB_LEASE_SECONDS),
+        'hub.secret': expect.stringMatching(/^[0-9a-f]{64}$/)
+      })]);
+      expect(hub.verifications).toEqual([{ mode: 'subscribe', topic, status: 200, confirmed: true }]);
+
+      const subscribed = await reload();
+      expect(subscribed.websub_state).toBe('subscribed');
+      expect(subscribed.websub_secret).toBe(hub.requests[0]['hub.secret']);
+      // The hub granted a shorter lease than requested
+      const lease = new Date(subscribed.websub_lease_expires_at).getTime() - Date.now();
+      expect(lease).toBeGreaterThan((LEASE_SECONDS - 60) * 1000);
+      expect(lease).toBeLessThanOrEqual(LEASE_SECONDS * 1000);
+
+      const publicData = subscribed.getPublicData();
+      expect(publicData.websub).toMatchObject({ hub: hub.url, state: 'subscribed', error: null });
+      expect(JSON.stringify(publicData)).not.toContain(subscribed.websub_secret);
+    });
+
+    test('should not ask again while the subscription is active', async () => {
+      feedServer.routes['/pushed.atom'] = { body: atom({ hub: hub.url, self: topic, entries: [1, 2] }) };
+
+      await poll();
+
+      expect(hub.requests).toHaveLength(1);
+    });
+
+    test('should ingest signed deliveries through the item pipeline', async () => {
+      const response = await hub.publish(topic, atom({ hub: hub.url, self: topic, entries: [2, 3] }));
+
+      expect(response.status).toBe(202);
+      const guids = (await FeedItem.findByFeed(feed.id)).map(item => item.guid).sort();
+      expect(guids).toEqual(['urn:pushed:1', 'urn:pushed:2', 'urn:pushed:3']);
+      expect((await reload()).websub_last_push_at).toBeTruthy();
+      expect(await db('PollLog').where({ feed_id: feed.id, new_items: 2 }).first()).toBeTruthy();
+    });
+
+    test('should acknowledge but ignore deliveries with a bad signature', async () => {
+      const response = await hub.publish(topic, atom({ hub: hub.url, self: topic, entries: [4] }), { secret: 'forged' });
+
+      expect(response.status).toBe(202);
+      expect((await FeedItem.findByFeed(feed.id)).map(item => item.guid)).toEqual(['urn:pushed:1']);
+    });
+
+    test('should reject unparseable deliveries', async () => {
+      const response = await hub.publish(topic, 'not a feed');
+
+      expect(response.status).toBe(400);
+      expect(response.data.error.code).toBe('FEED_PARSE_FAILED');
+    });
+
+    test('should refuse verifications it did not ask for', async () => {
+      await request(app)
+        .get(`/api/v1/websub/${feed.id}`)
+        .query({ 'hub.mode': 'subscribe', 'hub.topic': 'https://other.example.com/feed', 'hub.challenge': 'x' })
+        .expect(404);
+
+      // Nobody but us may end an active subscription
+      await request(app)
+        .get(`/api/v1/websub/${feed.id}`)
+        .query({ 'hub.mode': 'unsubscribe', 'hub.topic': topic, 'hub.challenge': 'x' })
+        .expect(404);
+
+      await request(app)
+        .get('/api/v1/websub/999999')
+        .query({ 'hub.mode': 'subscribe', 'hub.topic': topic, 'hub.challenge': 'x' })
+        .expect(404);
+
+      expect((await reload()).websub_state).toBe('subscribed');
+    });
+
+    test('should only echo challenges given once as a non-empty string', async () => {
+      const missing = await request(app)
+        .get(`/api/v1/websub/${feed.id}`)
+        .query({ 'hub.mode': 'subscribe', 'hub.topic': topic })
+        .expect(400);
+      expect(missing.body.error.code).toBe('VALIDATION_ERROR');
+
+      await request(app)
+        .get(`/api/v1/websub/${feed.id}?hub.mode=subscribe&hub.topic=${encodeURIComponent(topic)}&hub.challenge=a&hub.challenge=b`)
+        .expect(400);
+    });
+
+    test('should record denials and stop asking that hub', async () => {
+      const deny = () => request(app)
+        .get(`/api/v1/websub/${feed.id}`)
+        .query({ 'hub.mode': 'denied', 'hub.topic': topic, 'hub.reason': 'Topic not allowed' });
+
+      // An active subscription cannot be denied, only a request still waiting for verification
+      await deny().expect(404);
+      expect((await reload()).websub_state).toBe('subscribed');
+
+      await (await reload()).update({ websub_state: 'subscribing' });
+      await deny().expect(200);
+
+      const denied = await reload();
+      expect(denied.websub_state).toBe('denied');
+      expect(denied.websub_error).toBe('Topic not allowed');
+
+      feedServer.routes['/pushed.atom'] = { body: atom({ hub: hub.url, self: topic, entries: [1, 2] }) };
+      await poll();
+      expect(hub.requests).toHaveLength(1);
+    });
+
+    test('should renew leases before they expire, keeping the secret', async () => {
+      const secret = (await reload()).websub_secret;
+      await (await reload()).update({ websub_lease_expires_at: new Date(Date.now() + 60 * 1000).toISOString() });
+
+      const result = await webSub.renewLeases();
+      await hub.pending;
+
+      expect(result).toEqual({ renewed: 1, failed: 0 });
+      expect(hub.requests[1]).toMatchObject({ 'hub.mode': 'subscribe', 'hub.secret': secret });
+      const renewed = await reload();
+      expect(renewed.websub_state).toBe('subscribed');
+      expect(new Date(renewed.websub_lease_expires_at).getTime()).toBeGreaterThan(Date.now() + (LEASE_SECONDS - 60) * 1000);
+    });
+
+    test('should leave leases alone that are not due yet', async () => {
+      expect(await webSub.renewLeases()).toEqual({ renewed: 0, failed: 0 });
+      expect(hub.requests).toHaveLength(1);
+    });
+
+    test('should unsubscribe when the feed stops advertising the hub', async () => {
+      feedServer.routes['/pushed.atom'] = { body: atom({ self: topic, entries: [1, 2] }) };
+
+      await poll();
+      await hub.pending;
+
+      expect(hub.requests[1]).toMatchObject({ 'hub.mode': 'unsubscribe', 'hub.topic': topic });
+      expect(hub.verifications[1]).toMatchObject({ mode: 'unsubscribe', confirmed: true });
+      expect(hub.subscriptions.size).toBe(0);
+
+      const unsubscribed = await reload();
+      expect(unsubscribed.websub_hub).toBeNull();
+      expect(unsubscribed.websub_state).toBeNull();
+      expect(unsubscribed.websub_secret).toBeNull();
+    });
+  });
+});
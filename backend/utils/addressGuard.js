@@ -0,0 +1,113 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('../config');
+const { FeedFetchError } = require('../middlewares/errorHandler');
+
+/**
+ * Address Guard
+ * Keeps requests for user-supplied URLs away from the server's own network:
+ * loopback, private, link-local (such as the 169.254.169.254 metadata service)
+ * and other non-public addresses are refused. Host names are checked once they
+ * resolve, so every redirect hop is covered; FEED_ALLOW_PRIVATE_ADDRESSES
+ * turns the guard off for installations that read feeds on their own network.
+ */
+class AddressGuard {
+  static BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+  ];
+
+  // IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+  static BLOCK_LIST = AddressGuard.BLOCKED_RANGES.reduce((list, [address, prefix, type]) => {
+    list.addSubnet(address, prefix, type);
+    return list;
+  }, new net.BlockList());
+
+  /**
+   * Whether the guard is on; read on every request so it can be switched at runtime
+   * @returns {boolean} - True when private addresses are refused
+   */
+  static isEnabled() {
+    return !config.FEED_ALLOW_PRIVATE_ADDRESSES;
+  }
+
+  /**
+   * Check whether an IP address is outside the public internet
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} - True for loopback, private, link-local and reserved addresses
+   */
+  static isPrivateAddress(address) {
+    const type = net.isIP(address);
+    if (!type) {
+      return false;
+    }
+    return AddressGuard.BLOCK_LIST.check(address, type === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Refuse a URL whose host is a private IP address. Host names pass here and
+   * are checked by lookup once they resolve.
+   * @param {string} url - URL about to be requested
+   * @throws {FeedFetchError} - URL_NOT_ALLOWED for private addresses
+   */
+  static checkUrl(url) {
+    if (!AddressGuard.isEnabled()) {
+      return;
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (AddressGuard.isPrivateAddress(hostname)) {
+      throw new FeedFetchError(`Requests to ${hostname} are not allowed`, 'URL_NOT_ALLOWED');
+    }
+  }
+
+  /**
+   * dns.lookup replacement for HTTP clients that fails when a host name
+   * resolves to a private address
+   * @param {string} hostname - Host name
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - Called as dns.lookup would
+   */
+  static lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      if (AddressGuard.isEnabled()) {
+        const blocked = addresses.find(entry => AddressGuard.isPrivateAddress(entry.address));
+        if (blocked) {
+          return callback(new FeedFetchError(
+            `Requests to ${hostname} are not allowed: it resolves to ${blocked.address}`,
+            'URL_NOT_ALLOWED'
+          ));
+        }
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+}
+
+module.exports = AddressGuard;
@@ -0,0 +1,188 @@
+/**
+ * Charset Detector
+ * Works out the character encoding of a downloaded document from its byte
+ * order mark, XML declaration, Content-Type header or, failing those, its
+ * bytes, and transcodes it to a UTF-8 string
+ */
+class CharsetDetector {
+  static BOMS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+  ];
+
+  // Multi-byte encodings the heuristic can recognise; single-byte text falls back to windows-1252
+  static HEURISTIC_CANDIDATES = ['shift_jis', 'euc-jp', 'gbk'];
+
+  // Share of a candidate's non-ASCII characters that must look like real text
+  static HEURISTIC_THRESHOLD = 0.9;
+
+  static DEFAULT_ENCODING = 'windows-1252';
+
+  /**
+   * Canonical WHATWG name of an encoding label
+   * @param {string} label - Encoding label, e.g. "ISO-8859-1" or "Shift_JIS"
+   * @returns {string|null} - Canonical name, or null if the label is unknown
+   */
+  static normalize(label) {
+    if (!label) {
+      return null;
+    }
+
+    try {
+      return new TextDecoder(String(label).trim().replace(/^["']|["']$/g, '')).encoding;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Encoding announced by a byte order mark
+   * @param {Buffer} buffer - Raw document
+   * @returns {string|null} - Encoding or null
+   */
+  static fromBom(buffer) {
+    const bom = CharsetDetector.BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+    return bom ? bom.encoding : null;
+  }
+
+  /**
+   * Encoding named in an XML declaration, or UTF-16 recognised from the
+   * byte pattern of "<?" when the declaration itself is in UTF-16
+   * @param {Buffer} buffer - Raw document
+   * @returns {string|null} - Encoding or null
+   */
+  static fromXmlDeclaration(buffer) {
+    if (buffer[0] === 0x3C && buffer[1] === 0x00 && buffer[2] === 0x3F && buffer[3] === 0x00) {
+      return 'utf-16le';
+    }
+    if (buffer[0] === 0x00 && buffer[1] === 0x3C && buffer[2] === 0x00 && buffer[3] === 0x3F) {
+      return 'utf-16be';
+    }
+
+    // Every encoding a declaration may name is ASCII-compatible up to the declaration itself
+    const head = buffer.subarray(0, 1024).toString('latin1');
+    const match = /^\s*<\?xml\s[^>]*?encoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/.exec(head);
+    return match ? CharsetDetector.normalize(match[1]) : null;
+  }
+
+  /**
+   * Encoding named by a Content-Type header
+   * @param {string} contentType - Content-Type header value
+   * @returns {string|null} - Encoding or null
+   */
+  static fromContentType(contentType) {
+    const match = /charset\s*=\s*["']?([^;"'\s]+)/i.exec(contentType || '');
+    return match ? CharsetDetector.normalize(match[1]) : null;
+  }
+
+  /**
+   * Check whether a buffer is valid UTF-8
+   * @param {Buffer} buffer - Raw document
+   * @returns {boolean} - Whether it decodes without errors
+   */
+  static isUtf8(buffer) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Share of the non-ASCII characters in a decoded text that are kana, CJK
+   * ideographs, CJK punctuation or full-width forms; misdecoded text turns
+   * into half-width katakana, symbols and rare characters instead
+   * @param {string} text - Decoded text
+   * @returns {number} - Share between 0 and 1
+   */
+  static plausibility(text) {
+    const nonAscii = text.match(/[^\x00-\x7F]/g) || [];
+    if (nonAscii.length === 0) {
+      return 0;
+    }
+
+    const plausible = nonAscii.filter(char => /[　-ヿ一-鿿！-｠]/.test(char));
+    return plausible.length / nonAscii.length;
+  }
+
+  /**
+   * Guess the encoding of a document that does not declare one
+   * @param {Buffer} buffer - Raw document
+   * @returns {string} - Best guess
+   */
+  static guess(buffer) {
+    if (CharsetDetector.isUtf8(buffer)) {
+      return 'utf-8';
+    }
+
+    let best = null;
+    for (const candidate of CharsetDetector.HEURISTIC_CANDIDATES) {
+      let text;
+      try {
+        text = new TextDecoder(candidate, { fatal: true }).decode(buffer);
+      } catch (error) {
+        continue;
+      }
+
+      const score = CharsetDetector.plausibility(text);
+      // Japanese text always contains kana, which tells it apart from Chinese decoded the same way
+      const japanese = /[぀-ヿ]/.test(text);
+      if (score >= CharsetDetector.HEURISTIC_THRESHOLD && (candidate === 'gbk' || japanese) &&
+        (!best || score > best.score)) {
+        best = { encoding: candidate, score };
+      }
+    }
+
+    return best ? best.encoding : CharsetDetector.DEFAULT_ENCODING;
+  }
+
+  /**
+   * Detect the encoding of a document; precedence is BOM, XML declaration,
+   * HTTP header, then the heuristic
+   * @param {Buffer} buffer - Raw document
+   * @param {string} contentType - Content-Type header value
+   * @returns {Object} - encoding and the source it was taken from
+   */
+  static detect(buffer, contentType = null) {
+    const bom = CharsetDetector.fromBom(buffer);
+    if (bom) {
+      return { encoding: bom, source: 'bom' };
+    }
+
+    const declared = CharsetDetector.fromXmlDeclaration(buffer);
+    if (declared) {
+      return { encoding: declared, source: 'xml_declaration' };
+    }
+
+    const header = CharsetDetector.fromContentType(contentType);
+    // Servers often label UTF-8 content with their ISO-8859-1 default, and
+    // legacy text containing non-ASCII bytes is almost never valid UTF-8
+    const mislabelledUtf8 = header !== 'utf-8' && buffer.some(byte => byte > 0x7F) && CharsetDetector.isUtf8(buffer);
+    if (header && !mislabelledUtf8) {
+      return { encoding: header, source: 'http_header' };
+    }
+
+    return { encoding: CharsetDetector.guess(buffer), source: 'heuristic' };
+  }
+
+  /**
+   * Detect the encoding of a document and decode it
+   * @param {Buffer} buffer - Raw document
+   * @param {string} contentType - Content-Type header value
+   * @returns {Object} - Decoded body, encoding and detection source
+   */
+  static toUtf8(buffer, contentType = null) {
+    const { encoding, source } = CharsetDetector.detect(buffer, contentType);
+
+    return {
+      // TextDecoder drops a matching BOM and replaces invalid sequences
+      body: new TextDecoder(encoding).decode(buffer),
+      encoding,
+      source
+    };
+  }
+}
+
+module.exports = CharsetDetector;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+/**
+ * Feed Credentials
+ * Encrypts the credentials and extra request headers of private feeds at
+ * rest (AES-256-GCM keyed by FEED_CREDENTIALS_KEY) and turns them into the
+ * headers the poller sends
+ */
+class FeedCredentials {
+  static AUTH_TYPES = ['basic', 'bearer'];
+
+  static CIPHER = 'aes-256-gcm';
+
+  // Prefix of the stored value, so the format or key derivation can change later
+  static VERSION = 'v1';
+
+  static key = null;
+
+  /**
+   * Check whether credentials may be stored; production refuses the development key
+   * @returns {boolean} - Whether a real key is configured
+   */
+  static isConfigured() {
+    return !(config.NODE_ENV === 'production' && config.FEED_CREDENTIALS_KEY.includes('change-in-production'));
+  }
+
+  /**
+   * Derive the encryption key from FEED_CREDENTIALS_KEY
+   * @returns {Buffer} - 32-byte key
+   */
+  static getKey() {
+    if (!FeedCredentials.key) {
+      FeedCredentials.key = crypto.scryptSync(config.FEED_CREDENTIALS_KEY, 'rssfeeder-feed-credentials', 32);
+    }
+    return FeedCredentials.key;
+  }
+
+  /**
+   * Encrypt credentials for storage
+   * @param {Object} credentials - Normalised credentials
+   * @returns {string} - Versioned, base64-encoded IV, auth tag and ciphertext
+   */
+  static encrypt(credentials) {
+    if (!FeedCredentials.isConfigured()) {
+      throw new ValidationError('Feed credentials cannot be stored until FEED_CREDENTIALS_KEY is configured');
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(FeedCredentials.CIPHER, FeedCredentials.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+    return `${FeedCredentials.VERSION}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+  }
+
+  /**
+   * Decrypt stored credentials
+   * @param {string} payload - Value produced by encrypt()
+   * @returns {Object} - Normalised credentials
+   */
+  static decrypt(payload) {
+    const [version, encoded] = String(payload || '').split(':');
+    if (version !== FeedCredentials.VERSION || !encoded) {
+      throw new Error('Unrecognised feed credentials format');
+    }
+
+    try {
+      const data = Buffer.from(encoded, 'base64');
+      const decipher = crypto.createDecipheriv(FeedCredentials.CIPHER, FeedCredentials.getKey(), data.subarray(0, 12));
+      decipher.setAuthTag(data.subarray(12, 28));
+      return JSON.parse(Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString('utf8'));
+    } catch (error) {
+      throw new Error('Feed credentials could not be decrypted; FEED_CREDENTIALS_KEY may have changed');
+    }
+  }
+
+  /**
+   * Request headers that authenticate a feed request
+   * @param {Object} credentials - Normalised credentials
+   * @returns {Object} - Header name to value map
+   */
+  static toHeaders(credentials) {
+    if (!credentials) {
+      return {};
+    }
+
+    const headers = { ...(credentials.headers || {}) };
+
+    if (credentials.type === 'basic') {
+      headers.Authorization = `Basic ${Buffer.from(`${credentials.username}:${credentials.password || ''}`, 'utf8').toString('base64')}`;
+    } else if (credentials.type === 'bearer') {
+      headers.Authorization = `Bearer ${credentials.token}`;
+    }
+
+    if (credentials.cookie) {
+      headers.Cookie = credentials.cookie;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Describe credentials without revealing any secret
+   * @param {Object} credentials - Normalised credentials
+   * @returns {Object} - Auth type, Basic auth username, whether a cookie is set and the extra header names
+   */
+  static describe(credentials) {
+    return {
+      type: credentials.type || null,
+      username: credentials.type === 'basic' ? credentials.username : null,
+      cookie: Boolean(credentials.cookie),
+      headers: Object.keys(credentials.headers || {})
+    };
+  }
+}
+
+module.exports = FeedCredentials;
@@ -0,0 +1,336 @@
+const config = require('../config');
+const FeedFetcher = require('./feedFetcher');
+const { FeedPoller } = require('./feedPoller');
+const SourceAdapters = require('./sourceAdapters');
+const { FeedFetchError } = require('../middlewares/errorHandler');
+const { logger } = require('./logger');
+
+/**
+ * Feed Discovery
+ * Finds the feeds offered by a website so users can paste a homepage URL
+ */
+class FeedDiscovery {
+  // <link rel="alternate"> types that announce a feed
+  static FEED_TYPES = {
+    'application/rss+xml': 'rss',
+    'application/atom+xml': 'atom',
+    'application/rdf+xml': 'rdf',
+    'application/feed+json': 'json',
+    'application/json': 'json'
+  };
+
+  // Paths probed on the site's origin when the page does not announce its feeds
+  static WELL_KNOWN_PATHS = ['/feed', '/rss', '/feed.xml', '/rss.xml', '/atom.xml', '/index.xml', '/feed.json'];
+
+  // Maximum number of announced links that are inspected
+  static MAX_LINKS = 10;
+
+  /**
+   * Decode the few HTML entities that appear in attribute values
+   * @param {string} value - Raw attribute value
+   * @returns {string} - Decoded value
+   */
+  static decodeEntities(value) {
+    return value
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Parse the attributes of a single HTML tag
+   * @param {string} tag - Tag source, e.g. `<link rel="alternate" ...>`
+   * @returns {Object} - Attribute map with lower-cased names
+   */
+  static parseAttributes(tag) {
+    const attributes = {};
+    const source = tag.replace(/^<\s*[a-z0-9]+/i, '').replace(/\/?\s*>$/, '');
+    const pattern = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      attributes[match[1].toLowerCase()] = value === undefined ? '' : FeedDiscovery.decodeEntities(value.trim());
+    }
+
+    return attributes;
+  }
+
+  /**
+   * URL relative links in a page resolve against, honouring <base href>
+   * @param {string} document - HTML document
+   * @param {string} pageUrl - URL the document was served from
+   * @returns {string} - Base URL
+   */
+  static baseUrl(document, pageUrl) {
+    const baseTag = /<base\s[^>]*>/i.exec(document);
+    const baseHref = baseTag ? FeedDiscovery.parseAttributes(baseTag[0]).href : null;
+    if (baseHref) {
+      try {
+        return new URL(baseHref, pageUrl).href;
+      } catch (error) {
+        // Ignore malformed <base> tags and resolve against the page itself
+      }
+    }
+    return pageUrl;
+  }
+
+  /**
+   * Collect the page title and the feed links a page announces
+   * @param {string} html - HTML document
+   * @param {string} pageUrl - URL the document was served from
+   * @returns {Object} - Page title and announced feed links
+   */
+  static extractLinks(html, pageUrl) {
+    const document = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+    const baseUrl = FeedDiscovery.baseUrl(document, pageUrl);
+
+    const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(document);
+    const title = titleMatch ? FeedDiscovery.decodeEntities(titleMatch[1].replace(/\s+/g, ' ').trim()) || null : null;
+
+    const links = [];
+    const tags = document.match(/<link\s[^>]*>/gi) || [];
+
+    for (const tag of tags) {
+      const attributes = FeedDiscovery.parseAttributes(tag);
+      const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+      const format = FeedDiscovery.FEED_TYPES[(attributes.type || '').toLowerCase().split(';')[0].trim()];
+
+      if (!rels.includes('alternate') || !format || !attributes.href) {
+        continue;
+      }
+
+      try {
+        const url = new URL(attributes.href, baseUrl);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+          links.push({ url: url.href, title: attributes.title || null, format });
+        }
+      } catch (error) {
+        logger.debug(`Skipping malformed feed link ${attributes.href} on ${pageUrl}`);
+      }
+    }
+
+    return { title, links };
+  }
+
+  /**
+   * Fetch and parse a candidate feed, no larger than FEED_DISCOVERY_MAX_BYTES
+   * @param {Object} candidate - Candidate URL, title, format and source
+   * @returns {Promise<Object|null>} - Inspected candidate or null if it is not a feed
+   */
+  static async inspect(candidate) {
+    try {
+      const response = await FeedFetcher.fetch(candidate.url, {
+        timeout: config.FEED_DISCOVERY_TIMEOUT,
+        maxBytes: config.FEED_DISCOVERY_MAX_BYTES
+      });
+      const feed = await FeedFetcher.parse(response.body);
+
+      return {
+        url: response.permanentUrl,
+        title: feed.title || candidate.title,
+        format: feed.format,
+        item_count: (feed.items || []).length,
+        source: candidate.source,
+        feed
+      };
+    } catch (error) {
+      logger.debug(`Discovery candidate ${candidate.url} rejected: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Score a candidate; higher scores are better
+   * @param {Object} candidate - Inspected candidate
+   * @param {number} position - Position in discovery order
+   * @returns {number} - Score
+   */
+  static score(candidate, position) {
+    let score = candidate.source === 'link' ? 100 : 0;
+
+    // Comment feeds are rarely what a user is after
+    if (/comments?/i.test(`${candidate.url} ${candidate.title || ''}`)) {
+      score -= 50;
+    }
+
+    // Prefer feeds that carry content, then the order the site announced them in
+    score += Math.min(candidate.item_count, 20);
+    score -= position;
+
+    return score;
+  }
+
+  /**
+   * Collect, inspect and rank the feeds offered by a fetched HTML page; the
+   * well-known paths are only probed when the page announces no feeds, and
+   * FEED_DISCOVERY_CONCURRENCY candidates are fetched at a time
+   * @param {Object} response - Response from FeedFetcher.fetch
+   * @returns {Promise<Object>} - Page title and ranked candidates
+   */
+  static async findCandidates(response) {
+    const pageUrl = response.url;
+    const { title, links } = FeedDiscovery.extractLinks(response.body, pageUrl);
+    const seen = new Set([pageUrl]);
+    const pending = [];
+
+    const add = (candidate) => {
+      if (!seen.has(candidate.url)) {
+        seen.add(candidate.url);
+        pending.push(candidate);
+      }
+    };
+
+    links.slice(0, FeedDiscovery.MAX_LINKS).forEach(link => add({ ...link, source: 'link' }));
+
+    if (links.length === 0) {
+      const origin = new URL(pageUrl).origin;
+      FeedDiscovery.WELL_KNOWN_PATHS.forEach(path => add({ url: `${origin}${path}`, title: null, source: 'well_known' }));
+    }
+
+    const inspected = await FeedPoller.runWithConcurrency(pending, config.FEED_DISCOVERY_CONCURRENCY, (candidate) => {
+      return FeedDiscovery.inspect(candidate);
+    });
+
+    // Several candidate URLs may redirect to the same feed; keep the first
+    const resolved = new Set();
+    const candidates = inspected
+      .filter(candidate => {
+        if (!candidate || resolved.has(candidate.url)) {
+          return false;
+        }
+        resolved.add(candidate.url);
+        return true;
+      })
+      .map((candidate, position) => ({ candidate, score: FeedDiscovery.score(candidate, position) }))
+      .sort((a, b) => b.score - a.score || a.candidate.url.length - b.candidate.url.length)
+      .map(({ candidate }) => candidate);
+
+    return { title, candidates };
+  }
+
+  /**
+   * Strip internal fields from a candidate
+   * @param {Object} candidate - Inspected candidate
+   * @returns {Object} - Candidate for API responses
+   */
+  static toPublic(candidate) {
+    const { feed, ...publicData } = candidate;
+    return publicData;
+  }
+
+  /**
+   * Inspect the native feed of a platform URL, such as a YouTube channel or subreddit
+   * @param {string} url - URL pasted by a user
+   * @returns {Promise<Object|null>} - Inspected candidate, or null if no adapter knows the URL or its feed failed
+   */
+  static async inspectAdapted(url) {
+    const adapted = SourceAdapters.resolve(url);
+    if (!adapted) {
+      return null;
+    }
+
+    // Adapters rewrite by URL shape alone, so a miss falls back to regular discovery
+    const candidate = await FeedDiscovery.inspect({ url: adapted.url, title: null, source: 'adapter' });
+    if (!candidate) {
+      return null;
+    }
+
+    logger.info(`Source adapter ${adapted.adapter} resolved ${url} to ${candidate.url}`);
+    return { ...candidate, adapter: adapted.adapter, feed: SourceAdapters.process(candidate.url, candidate.feed) };
+  }
+
+  /**
+   * Discover the feeds available at any URL; platform URLs a source adapter
+   * recognises are answered with the platform's native feed
+   * @param {string} url - Website or feed URL
+   * @returns {Promise<Object>} - Final URL, page title and ranked candidates
+   */
+  static async discover(url) {
+    const adapted = await FeedDiscovery.inspectAdapted(url);
+    if (adapted) {
+      return { url, title: adapted.title, candidates: [FeedDiscovery.toPublic(adapted)] };
+    }
+
+    const response = await FeedFetcher.fetch(url, { timeout: config.FEED_DISCOVERY_TIMEOUT });
+
+    // The URL may already point at a feed
+    try {
+      const feed = await FeedFetcher.parse(response.body);
+      const title = feed.title || null;
+
+      return {
+        url: response.url,
+        title,
+        candidates: [{
+          url: response.permanentUrl,
+          title,
+          format: feed.format,
+          item_count: (feed.items || []).length,
+          source: 'direct'
+        }]
+      };
+    } catch (error) {
+      if (error.code !== 'FEED_PARSE_FAILED') {
+        throw error;
+      }
+    }
+
+    const { title, candidates } = await FeedDiscovery.findCandidates(response);
+    logger.info(`Discovered ${candidates.length} feeds at ${response.url}`);
+
+    return {
+      url: response.url,
+      title,
+      candidates: candidates.map(FeedDiscovery.toPublic)
+    };
+  }
+
+  /**
+   * Resolve a feed, platform or website URL to a single feed
+   * @param {string} url - Website or feed URL
+   * @param {Object} options - authHeaders of a private feed
+   * @returns {Promise<Object>} - Feed URL, parsed feed and whether the URL was permanently redirected
+   */
+  static async resolve(url, options = {}) {
+    // Platform feeds are public, and credentials belong to the URL they were given for
+    const adapted = options.authHeaders ? null : await FeedDiscovery.inspectAdapted(url);
+    if (adapted) {
+      return { url: adapted.url, feed: adapted.feed, movedPermanently: false };
+    }
+
+    const response = await FeedFetcher.fetch(url, { authHeaders: options.authHeaders });
+
+    try {
+      // Feeds that moved for good are added under their new address
+      return {
+        url: response.permanentUrl,
+        feed: await FeedFetcher.parse(response.body),
+        movedPermanently: response.permanentUrl !== url
+      };
+    } catch (error) {
+      if (error.code !== 'FEED_PARSE_FAILED') {
+        throw error;
+      }
+    }
+
+    // Candidates are inspected without credentials, so private feeds must be given directly
+    if (options.authHeaders) {
+      throw new FeedFetchError('Feeds with credentials must be added by their feed URL', 'NO_FEED_FOUND');
+    }
+
+    const { candidates } = await FeedDiscovery.findCandidates(response);
+    if (candidates.length === 0) {
+      throw new FeedFetchError('No feed could be found at this URL', 'NO_FEED_FOUND');
+    }
+
+    logger.info(`Resolved ${url} to feed ${candidates[0].url}`);
+    return { url: candidates[0].url, feed: candidates[0].feed, movedPermanently: false };
+  }
+}
+
+module.exports = FeedDiscovery;
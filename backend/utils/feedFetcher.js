@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const FeedParser = require('./feedParser');
+const CharsetDetector = require('./charsetDetector');
+const AddressGuard = require('./addressGuard');
+const { FeedFetchError } = require('../middlewares/errorHandler');
+const { logger } = require('./logger');
+
+/**
+ * Feed Fetcher
+ * Downloads remote feeds and parses them into a normalised structure
+ */
+class FeedFetcher {
+  static REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+  // Redirects that tell us to use the new address from now on
+  static PERMANENT_REDIRECT_STATUSES = [301, 308];
+
+  /**
+   * Download a feed document, following redirects up to FEED_MAX_REDIRECTS
+   * @param {string} url - Feed URL
+   * @param {Object} options - Request options (timeout, headers, authHeaders, authOrigin, etag, lastModified,
+   * maxRedirects, maxBytes); authHeaders carry a private feed's credentials and are only sent to authOrigin, which
+   * defaults to the origin of the URL
+   * @returns {Promise<Object>} - Final URL, the URL reached through permanent redirects only,
+   * the redirects followed, response status, headers, bytes downloaded, body transcoded to UTF-8
+   * and the encoding it was transcoded from
+   */
+  static async fetch(url, options = {}) {
+    const headers = {
+      'User-Agent': config.USER_AGENT,
+      Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.8, application/json;q=0.8, */*;q=0.5',
+      ...(options.headers || {})
+    };
+
+    // Conditional GET validators from the previous successful fetch
+    if (options.etag) {
+      headers['If-None-Match'] = options.etag;
+    }
+    if (options.lastModified) {
+      headers['If-Modified-Since'] = options.lastModified;
+    }
+
+    const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : config.FEED_MAX_REDIRECTS;
+    const maxBytes = options.maxBytes || config.FEED_MAX_BYTES;
+    const redirects = [];
+    let currentUrl = url;
+    // Stays on the last address reached before the first temporary redirect
+    let permanentUrl = url;
+    const origin = options.authOrigin || new URL(url).origin;
+
+    try {
+      for (;;) {
+        // Credentials must not follow a redirect to another host
+        const requestHeaders = options.authHeaders && new URL(currentUrl).origin === origin
+          ? { ...headers, ...options.authHeaders }
+          : headers;
+
+        AddressGuard.checkUrl(currentUrl);
+        const response = await axios.get(currentUrl, {
+          timeout: options.timeout || config.FEED_TIMEOUT,
+          // Raw bytes, so the encoding can be detected before decoding
+          responseType: 'arraybuffer',
+          // Bodies are buffered whole, so the download stops once it grows past the limit
+          maxContentLength: maxBytes,
+          headers: requestHeaders,
+          // Host names are resolved through the guard on every hop
+          lookup: AddressGuard.lookup,
+          // Redirects are followed here so permanent moves can be told apart from temporary ones
+          maxRedirects: 0,
+          validateStatus: (status) => (status >= 200 && status < 300) || status === 304 ||
+            FeedFetcher.REDIRECT_STATUSES.includes(status),
+          // Never let axios try to JSON-decode a feed body
+          transformResponse: [(data) => data]
+        });
+
+        if (!FeedFetcher.REDIRECT_STATUSES.includes(response.status)) {
+          const notModified = response.status === 304;
+          const decoded = notModified ? null : CharsetDetector.toUtf8(Buffer.from(response.data), response.headers['content-type']);
+
+          return {
+            // Final URL after redirects, so relative links can be resolved against it
+            url: currentUrl,
+            permanentUrl,
+            redirects,
+            status: response.status,
+            headers: response.headers,
+            bytes: response.data ? response.data.byteLength : 0,
+            body: notModified ? null : decoded.body,
+            encoding: notModified ? null : decoded.encoding,
+            encodingSource: notModified ? null : decoded.source,
+            notModified
+          };
+        }
+
+        const location = FeedFetcher.redirectTarget(currentUrl, response.headers.location);
+        if (redirects.length >= maxRedirects || redirects.some(redirect => redirect.url === location) || location === url) {
+          throw new FeedFetchError(`Feed redirected too many times or in a loop (${redirects.length + 1} redirects)`, 'FEED_FETCH_FAILED');
+        }
+
+        const permanent = FeedFetcher.PERMANENT_REDIRECT_STATUSES.includes(response.status);
+        if (permanent && permanentUrl === currentUrl) {
+          permanentUrl = location;
+        }
+
+        redirects.push({ url: location, status: response.status, permanent });
+        currentUrl = location;
+      }
+    } catch (error) {
+      if (error instanceof FeedFetchError || error.cause instanceof FeedFetchError) {
+        const fetchError = error instanceof FeedFetchError ? error : error.cause;
+        logger.warn(`Feed fetch failed for ${url}: ${fetchError.message}`);
+        throw fetchError;
+      }
+
+      if (/^maxContentLength size of \d+ exceeded/.test(error.message)) {
+        logger.warn(`Feed fetch failed for ${url}: larger than ${maxBytes} bytes`);
+        throw new FeedFetchError(`Feed is larger than the limit of ${maxBytes} bytes`, 'FEED_TOO_LARGE');
+      }
+
+      const status = error.response ? error.response.status : null;
+      logger.warn(`Feed fetch failed for ${url}: ${error.message}`);
+      throw new FeedFetchError(
+        status ? `Feed server responded with HTTP ${status}` : `Feed could not be retrieved: ${error.message}`,
+        'FEED_FETCH_FAILED',
+        {
+          httpStatus: status,
+          retryAfter: status ? error.response.headers['retry-after'] : null
+        }
+      );
+    }
+  }
+
+  /**
+   * Resolve the Location header of a redirect
+   * @param {string} url - URL that redirected
+   * @param {string} location - Location header value
+   * @returns {string} - Absolute redirect target
+   */
+  static redirectTarget(url, location) {
+    if (!location) {
+      throw new FeedFetchError('Feed server sent a redirect without a location', 'FEED_FETCH_FAILED');
+    }
+
+    try {
+      return new URL(location, url).href;
+    } catch (error) {
+      throw new FeedFetchError(`Feed server sent an invalid redirect location: ${location}`, 'FEED_FETCH_FAILED');
+    }
+  }
+
+  /**
+   * Hash a feed body so unchanged documents can skip parsing
+   * @param {string} body - Raw feed document
+   * @returns {string} - Hex-encoded SHA-256 digest
+   */
+  static hashBody(body) {
+    return crypto.createHash('sha256').update(body || '').digest('hex');
+  }
+
+  /**
+   * Parse a feed document in any supported format
+   * @param {string} body - Raw feed document
+   * @returns {Promise<Object>} - Normalised feed with its format, version and items
+   */
+  static async parse(body) {
+    try {
+      return await FeedParser.parse(body);
+    } catch (error) {
+      logger.warn(`Feed parse failed: ${error.message}`);
+      throw new FeedFetchError('Document is not a valid RSS, Atom or JSON feed', 'FEED_PARSE_FAILED');
+    }
+  }
+
+  /**
+   * Download and parse a feed
+   * @param {string} url - Feed URL
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Parsed feed along with the HTTP response
+   */
+  static async fetchAndParse(url, options = {}) {
+    const response = await FeedFetcher.fetch(url, options);
+    const feed = await FeedFetcher.parse(response.body);
+    return { response, feed };
+  }
+}
+
+module.exports = FeedFetcher;
@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cron = require('node-cron');
+const config = require('../config');
+const Feed = require('../models/Feed');
+const { db } = require('../db/database');
+const FeedFetcher = require('./feedFetcher');
+const FeedDiscovery = require('./feedDiscovery');
+const IconImage = require('./iconImage');
+const AddressGuard = require('./addressGuard');
+const { logger } = require('./logger');
+
+/**
+ * Feed Icons
+ * Finds the icon a feed or its website offers, stores it under UPLOAD_DIR
+ * as a small PNG so clients never hot-link third-party images, and
+ * periodically refreshes stale icons
+ */
+class FeedIcons {
+  // Subdirectory of UPLOAD_DIR the icons are stored in
+  static ICON_DIRECTORY = 'icons';
+
+  static ICON_FILE_PATTERN = /^feed-\d+-[0-9a-f]+\.png$/;
+
+  // Candidates tried per refresh, so a site full of broken icons cannot stall the run
+  static MAX_CANDIDATES = 6;
+
+  // Feeds refreshed per scheduled run
+  static BATCH_SIZE = 100;
+
+  // Unreferenced files younger than this may belong to a refresh that is still running
+  static ORPHAN_GRACE_PERIOD = 60 * 60 * 1000;
+
+  constructor(options = {}) {
+    this.uploadDir = options.uploadDir || config.UPLOAD_DIR;
+    this.size = options.size || config.FEED_ICON_SIZE;
+    this.refreshInterval = options.refreshInterval || config.FEED_ICON_REFRESH_INTERVAL;
+    this.schedule = options.schedule || config.FEED_ICON_REFRESH_SCHEDULE;
+    this.inFlight = new Map();
+    this.task = null;
+    this.currentRun = null;
+  }
+
+  /**
+   * Collect the icons a page announces with <link rel="icon"> and
+   * <link rel="apple-touch-icon">, the one closest to `size` first
+   * @param {string} html - HTML document
+   * @param {string} pageUrl - URL the document was served from
+   * @param {number} size - Wanted size
+   * @returns {string[]} - Absolute icon URLs
+   */
+  static extractIcons(html, pageUrl, size) {
+    const document = String(html || '').replace(/<!--[\s\S]*?-->/g, '');
+    const baseUrl = FeedDiscovery.baseUrl(document, pageUrl);
+    const icons = [];
+
+    for (const tag of document.match(/<link\s[^>]*>/gi) || []) {
+      const attributes = FeedDiscovery.parseAttributes(tag);
+      const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+      const touchIcon = rels.some(rel => rel.startsWith('apple-touch-icon'));
+
+      // SVG icons cannot be rasterised here
+      if (!attributes.href || !(rels.includes('icon') || touchIcon) ||
+        /svg/i.test(attributes.type || '') || /\.svg(\?|#|$)/i.test(attributes.href)) {
+        continue;
+      }
+
+      try {
+        const url = new URL(attributes.href, baseUrl);
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+          const sizes = (attributes.sizes || '').match(/\d+(?=x\d+)/gi) || [];
+          // Touch icons without sizes are conventionally 180×180
+          const declared = sizes.length > 0 ? Math.max(...sizes.map(Number)) : (touchIcon ? 180 : 0);
+          icons.push({ url: url.href, size: declared });
+        }
+      } catch (error) {
+        logger.debug(`Skipping malformed icon link ${attributes.href} on ${pageUrl}`);
+      }
+    }
+
+    // Smallest icon at least as large as wanted, then icons of unknown size, then the largest of the rest
+    const rank = (icon) => {
+      if (icon.size >= size) {
+        return icon.size;
+      }
+      return icon.size === 0 ? 100000 : 200000 - icon.size;
+    };
+
+    return icons.sort((a, b) => rank(a) - rank(b)).map(icon => icon.url);
+  }
+
+  /**
+   * List the URLs an icon may be found at, best first: the feed's own
+   * icon, the icons its website announces, then /favicon.ico
+   * @param {Object} parsedFeed - Parsed feed
+   * @param {string} feedUrl - URL the feed was fetched from
+   * @returns {Promise<string[]>} - Candidate URLs
+   */
+  async findCandidates(parsedFeed, feedUrl) {
+    const candidates = [];
+    const add = (url, base) => {
+      try {
+        const resolved = new URL(url, base);
+        if (resolved.protocol === 'http:' || resolved.protocol === 'https:') {
+          candidates.push(resolved.href);
+        }
+      } catch (error) {
+        logger.debug(`Skipping malformed icon URL ${url} for ${feedUrl}`);
+      }
+    };
+
+    if (parsedFeed.icon) {
+      add(parsedFeed.icon, feedUrl);
+    }
+
+    let siteUrl = new URL('/', feedUrl).href;
+    if (parsedFeed.link) {
+      try {
+        siteUrl = new URL(parsedFeed.link, feedUrl).href;
+      } catch (error) {
+        // Fall back to the root of the feed's host
+      }
+    }
+
+    try {
+      const response = await FeedFetcher.fetch(siteUrl, { timeout: config.FEED_ICON_TIMEOUT });
+      FeedIcons.extractIcons(response.body, response.url, this.size).forEach(url => add(url));
+      siteUrl = response.url;
+    } catch (error) {
+      logger.debug(`Could not load ${siteUrl} to look for icons: ${error.message}`);
+    }
+
+    add('/favicon.ico', siteUrl);
+    add('/favicon.ico', feedUrl);
+
+    return [...new Set(candidates)].slice(0, FeedIcons.MAX_CANDIDATES);
+  }
+
+  /**
+   * Download an image, refusing anything larger than FEED_ICON_MAX_BYTES
+   * @param {string} url - Image URL
+   * @returns {Promise<Buffer>} - Image data
+   */
+  async download(url) {
+    AddressGuard.checkUrl(url);
+    const response = await axios.get(url, {
+      timeout: config.FEED_ICON_TIMEOUT,
+      responseType: 'arraybuffer',
+      maxContentLength: config.FEED_ICON_MAX_BYTES,
+      maxRedirects: config.FEED_MAX_REDIRECTS,
+      lookup: AddressGuard.lookup,
+      beforeRedirect: (options) => AddressGuard.checkUrl(options.href),
+      headers: {
+        'User-Agent': config.USER_AGENT,
+        Accept: 'image/png, image/x-icon, image/vnd.microsoft.icon, image/bmp;q=0.9, image/*;q=0.5'
+      }
+    });
+
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Write a feed's icon and remove the one it replaces; the file name
+   * carries a content hash so clients can cache icons indefinitely
+   * @param {Feed} feed - Feed the icon belongs to
+   * @param {Buffer} png - PNG data
+   * @returns {Promise<string>} - Icon path relative to UPLOAD_DIR
+   */
+  async store(feed, png) {
+    const hash = crypto.createHash('sha256').update(png).digest('hex').slice(0, 16);
+    const iconPath = `${FeedIcons.ICON_DIRECTORY}/feed-${feed.id}-${hash}.png`;
+
+    await fs.promises.mkdir(path.join(this.uploadDir, FeedIcons.ICON_DIRECTORY), { recursive: true });
+    await fs.promises.writeFile(path.join(this.uploadDir, iconPath), png);
+
+    if (feed.icon_path && feed.icon_path !== iconPath) {
+      await fs.promises.rm(path.join(this.uploadDir, feed.icon_path), { force: true });
+    }
+
+    return iconPath;
+  }
+
+  /**
+   * Look for a feed's icon and cache it; concurrent refreshes of the same
+   * feed share one run. Never throws, and keeps the current icon when no
+   * usable one is found
+   * @param {Feed} feed - Feed to refresh
+   * @param {Object} parsedFeed - Parsed feed, fetched when omitted
+   * @param {string} feedUrl - URL the parsed feed was fetched from
+   * @returns {Promise<Object>} - feed_id, icon_url, source_url and error
+   */
+  refresh(feed, parsedFeed = null, feedUrl = feed.url) {
+    if (!this.inFlight.has(feed.id)) {
+      this.inFlight.set(feed.id, this.refreshIcon(feed, parsedFeed, feedUrl).finally(() => {
+        this.inFlight.delete(feed.id);
+      }));
+    }
+    return this.inFlight.get(feed.id);
+  }
+
+  /**
+   * Find, normalise and store a feed's icon
+   * @param {Feed} feed - Feed to refresh
+   * @param {Object|null} parsedFeed - Parsed feed
+   * @param {string} feedUrl - URL the parsed feed was fetched from
+   * @returns {Promise<Object>} - Refresh result
+   */
+  async refreshIcon(feed, parsedFeed, feedUrl) {
+    const checkedAt = new Date().toISOString();
+
+    try {
+      if (!parsedFeed && feed.isScraped()) {
+        // A scraped page is its own site page
+        parsedFeed = { link: feed.url, icon: null };
+      } else if (!parsedFeed) {
+        // Credentials go to the feed only, never to icon or site hosts
+        const fetched = await FeedFetcher.fetchAndParse(feed.url, {
+          timeout: config.FEED_ICON_TIMEOUT,
+          authHeaders: feed.getRequestHeaders()
+        });
+        parsedFeed = fetched.feed;
+        feedUrl = fetched.response.url;
+      }
+
+      const candidates = await this.findCandidates(parsedFeed, feedUrl);
+
+      for (const url of candidates) {
+        try {
+          const png = IconImage.normalize(await this.download(url), this.size);
+          const iconPath = await this.store(feed, png);
+
+          await feed.update({ icon_path: iconPath, icon_source_url: url, icon_checked_at: checkedAt, icon_error: null });
+          logger.info(`Cached icon for feed ${feed.id} from ${url}`);
+          return { feed_id: feed.id, icon_url: Feed.iconUrl(iconPath), source_url: url, error: null };
+        } catch (error) {
+          logger.debug(`Icon ${url} for feed ${feed.id} is not usable: ${error.message}`);
+        }
+      }
+
+      throw new Error('Neither the feed nor its website offers a usable icon');
+    } catch (error) {
+      logger.warn(`Icon refresh for feed ${feed.id} (${feed.url}) failed: ${error.message}`);
+
+      try {
+        await feed.update({ icon_checked_at: checkedAt, icon_error: error.message });
+      } catch (updateError) {
+        logger.error(`Failed to record icon refresh for feed ${feed.id}:`, updateError);
+      }
+
+      return { feed_id: feed.id, icon_url: Feed.iconUrl(feed.icon_path), source_url: null, error: error.message };
+    }
+  }
+
+  /**
+   * Delete icon files no feed refers to any more, such as those of deleted or merged feeds
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} - Number of files removed
+   */
+  async pruneOrphans(now = new Date()) {
+    const directory = path.join(this.uploadDir, FeedIcons.ICON_DIRECTORY);
+    let files;
+
+    try {
+      files = await fs.promises.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const referenced = new Set(await db('Feed').whereNotNull('icon_path').pluck('icon_path'));
+    let removed = 0;
+
+    for (const file of files.filter(name => FeedIcons.ICON_FILE_PATTERN.test(name))) {
+      if (referenced.has(`${FeedIcons.ICON_DIRECTORY}/${file}`)) {
+        continue;
+      }
+
+      const stats = await fs.promises.stat(path.join(directory, file));
+      if (now.getTime() - stats.mtime.getTime() >= FeedIcons.ORPHAN_GRACE_PERIOD) {
+        await fs.promises.rm(path.join(directory, file), { force: true });
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Refresh icons not looked for within FEED_ICON_REFRESH_INTERVAL and prune orphaned files
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Counts of refreshed, failed and removed icons
+   */
+  async refreshStale(now = new Date()) {
+    const before = new Date(now.getTime() - this.refreshInterval * 1000);
+    const feeds = await Feed.findIconRefreshes(before, FeedIcons.BATCH_SIZE);
+    const result = { refreshed: 0, failed: 0, removed: 0 };
+
+    for (const feed of feeds) {
+      const { error } = await this.refresh(feed);
+      result[error ? 'failed' : 'refreshed'] += 1;
+    }
+
+    result.removed = await this.pruneOrphans(now);
+
+    if (feeds.length > 0 || result.removed > 0) {
+      logger.info(`Refreshed ${result.refreshed} feed icons, ${result.failed} failed, ${result.removed} orphaned files removed`);
+    }
+    return result;
+  }
+
+  /**
+   * Start the icon refresh schedule
+   * @returns {boolean} - True if the schedule was started
+   */
+  start() {
+    if (this.task) {
+      return false;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.runOnce().catch(error => logger.error('Feed icon refresh failed:', error));
+    });
+
+    logger.info(`Feed icon refresh started (${this.schedule})`);
+    return true;
+  }
+
+  /**
+   * Stop the icon refresh schedule and wait for running refreshes to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+    await Promise.all(this.inFlight.values());
+
+    logger.info('Feed icon refresh stopped');
+  }
+
+  /**
+   * Run a refresh unless one is already in progress
+   * @returns {Promise<Object>} - Refresh result
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.refreshStale().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+}
+
+// Create singleton instance
+const feedIcons = new FeedIcons();
+
+module.exports = feedIcons;
+module.exports.FeedIcons = FeedIcons;
@@ -0,0 +1,408 @@
+const Parser = require('rss-parser');
+const ItemIdentity = require('./itemIdentity');
+
+/**
+ * Feed Parser
+ * Detects the syndication format of a document and normalises RSS 0.9x,
+ * RSS 1.0 (RDF), RSS 2.0, Atom 1.0 and JSON Feed 1.0/1.1 into one shape
+ */
+class FeedParser {
+  static FORMATS = ['rss', 'rdf', 'atom', 'json'];
+
+  static xmlParser = new Parser({
+    // Treat unversioned <rss> documents as RSS 2.0
+    defaultRSS: 2,
+    customFields: {
+      feed: [
+        ['sy:updatePeriod', 'updatePeriod'],
+        ['sy:updateFrequency', 'updateFrequency'],
+        // WebSub discovery uses <link rel="hub"> and <link rel="self">, written as atom:link inside RSS
+        ['link', 'links', { keepArray: true }],
+        ['atom:link', 'atomLinks', { keepArray: true }],
+        ['icon', 'icon'],
+        ['logo', 'logo']
+      ],
+      item: [
+        ['enclosure', 'enclosures', { keepArray: true }],
+        ['link', 'links', { keepArray: true }],
+        ['media:content', 'mediaContent', { keepArray: true }],
+        ['itunes:duration', 'itunesDuration'],
+        ['itunes:episode', 'itunesEpisode'],
+        ['itunes:season', 'itunesSeason'],
+        ['itunes:episodeType', 'itunesEpisodeType'],
+        ['itunes:explicit', 'itunesExplicit'],
+        ['podcast:chapters', 'podcastChapters'],
+        ['podcast:transcript', 'podcastTranscripts', { keepArray: true }]
+      ]
+    }
+  });
+
+  /**
+   * Detect the format and version of a feed document
+   * @param {string} body - Raw feed document
+   * @returns {Object|null} - Format and version, or null if it is not a feed
+   */
+  static detect(body) {
+    const text = String(body || '').replace(/^\uFEFF/, '').trim();
+
+    if (text.startsWith('{')) {
+      let document;
+      try {
+        document = JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+
+      const match = /^https?:\/\/jsonfeed\.org\/version\/(\d+(?:\.\d+)?)\/?$/.exec(document && document.version);
+      if (!match) {
+        return null;
+      }
+      return { format: 'json', version: match[1].includes('.') ? match[1] : `${match[1]}.0` };
+    }
+
+    // Skip the prolog (declaration, comments, doctype, processing instructions)
+    const prolog = /^(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|\s+)*/i;
+    const root = /^<([A-Za-z_][\w:.-]*)([^>]*)>/.exec(text.replace(prolog, ''));
+    if (!root) {
+      return null;
+    }
+
+    const name = root[1].toLowerCase();
+    const attributes = root[2];
+
+    if (name === 'rss') {
+      const version = /\bversion\s*=\s*["']([^"']+)["']/i.exec(attributes);
+      return { format: 'rss', version: version ? version[1] : '2.0' };
+    }
+
+    if (name === 'rdf:rdf') {
+      // RSS 0.90 shares the RDF envelope but uses the Netscape namespace
+      const version = /my\.netscape\.com\/rdf\/simple\/0\.9/i.test(attributes) ? '0.90' : '1.0';
+      return { format: 'rdf', version };
+    }
+
+    if (name === 'feed') {
+      const version = /\bversion\s*=\s*["']0\.3["']/i.test(attributes) ? '0.3' : '1.0';
+      return { format: 'atom', version };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a feed document of any supported format
+   * @param {string} body - Raw feed document
+   * @returns {Promise<Object>} - Normalised feed with items in FeedItem shape
+   */
+  static async parse(body) {
+    const detected = FeedParser.detect(body);
+    if (!detected) {
+      throw new Error('Unrecognised feed format');
+    }
+
+    const feed = detected.format === 'json'
+      ? FeedParser.normalizeJsonFeed(JSON.parse(String(body).replace(/^\uFEFF/, '')))
+      : FeedParser.normalizeXmlFeed(await FeedParser.xmlParser.parseString(body));
+
+    return { ...feed, format: detected.format, version: detected.version };
+  }
+
+  /**
+   * Collapse markup and whitespace into plain text
+   * @param {string} html - HTML or text
+   * @returns {string|null} - Plain text
+   */
+  static toText(html) {
+    if (!html) {
+      return null;
+    }
+
+    const text = String(html).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text || null;
+  }
+
+  /**
+   * Convert a date string to ISO 8601, ignoring unparseable values
+   * @param {string} value - Date string
+   * @returns {string|null} - ISO date
+   */
+  static toIsoDate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(String(value).trim());
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * First of several values that is a non-empty string
+   * @param {...*} values - Candidate values
+   * @returns {string|null} - Trimmed string or null
+   */
+  static firstString(...values) {
+    const match = values.find(value => typeof value === 'string' && value.trim() !== '');
+    return match ? match.trim() : null;
+  }
+
+  /**
+   * Parse a positive integer
+   * @param {*} value - Raw value
+   * @returns {number|null} - Integer or null
+   */
+  static toPositiveInt(value) {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : null;
+  }
+
+  /**
+   * Parse an itunes:duration value given as seconds, MM:SS or HH:MM:SS
+   * @param {string|number} value - Duration
+   * @returns {number|null} - Duration in seconds
+   */
+  static parseDuration(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    const text = String(value).trim();
+    if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(text)) {
+      return null;
+    }
+
+    const seconds = text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    return seconds > 0 ? Math.round(seconds) : null;
+  }
+
+  /**
+   * Parse an itunes:explicit flag
+   * @param {string} value - yes | no | true | false | explicit | clean
+   * @returns {boolean|null} - Flag, or null when absent or unknown
+   */
+  static parseExplicit(value) {
+    const text = String(value || '').trim().toLowerCase();
+
+    if (['yes', 'true', 'explicit'].includes(text)) {
+      return true;
+    }
+    if (['no', 'false', 'clean'].includes(text)) {
+      return false;
+    }
+    return null;
+  }
+
+  /**
+   * Clean up a list of enclosures, dropping duplicates and entries without a URL
+   * @param {Object[]} enclosures - Raw enclosures
+   * @param {number|null} episodeDuration - Episode duration applied to the first audio/video enclosure
+   * @returns {Object[]} - Enclosures in ItemEnclosure shape
+   */
+  static normalizeEnclosures(enclosures, episodeDuration = null) {
+    const seen = new Set();
+    let durationUsed = false;
+
+    return enclosures
+      .filter(enclosure => enclosure.url && !seen.has(enclosure.url) && seen.add(enclosure.url))
+      .map((enclosure) => {
+        const mimeType = enclosure.mime_type ? String(enclosure.mime_type).trim().toLowerCase() : null;
+        let duration = FeedParser.parseDuration(enclosure.duration);
+
+        if (!duration && episodeDuration && !durationUsed && /^(audio|video)\//.test(mimeType || '')) {
+          duration = episodeDuration;
+          durationUsed = true;
+        }
+
+        return {
+          url: String(enclosure.url).trim(),
+          mime_type: mimeType,
+          length: FeedParser.toPositiveInt(enclosure.length),
+          duration
+        };
+      });
+  }
+
+  /**
+   * Title for an item, falling back to its text or link when it has none
+   * @param {string} title - Item title
+   * @param {string} text - Item text
+   * @param {string} link - Item link
+   * @returns {string} - Display title
+   */
+  static itemTitle(title, text, link) {
+    const trimmed = title ? String(title).replace(/\s+/g, ' ').trim() : '';
+    if (trimmed) {
+      return trimmed;
+    }
+
+    const plain = FeedParser.toText(text);
+    if (plain) {
+      return plain.length > 100 ? `${plain.slice(0, 97).trim()}...` : plain;
+    }
+
+    return link || 'Untitled';
+  }
+
+  /**
+   * Put the GUID first on a normalised item, synthesising one when the feed has none
+   * @param {*} guid - GUID provided by the feed
+   * @param {Object} item - Normalised item without GUID
+   * @returns {Object} - Normalised item
+   */
+  static withGuid(guid, item) {
+    const hasGuid = guid !== undefined && guid !== null && String(guid).trim() !== '';
+    return {
+      guid: hasGuid ? String(guid).trim() : ItemIdentity.synthesizeGuid(item),
+      ...item
+    };
+  }
+
+  /**
+   * Normalise an RSS, RDF or Atom document parsed by rss-parser
+   * @param {Object} feed - rss-parser output
+   * @returns {Object} - Normalised feed
+   */
+  static normalizeXmlFeed(feed) {
+    const links = [...(feed.links || []), ...(feed.atomLinks || [])]
+      .filter(link => link && link.$ && link.$.href)
+      .map(link => link.$);
+    const linkFor = (rel) => {
+      const match = links.find(attrs => (attrs.rel || 'alternate') === rel);
+      return match ? match.href : null;
+    };
+
+    return {
+      title: feed.title ? String(feed.title).trim() : null,
+      // rss-parser takes the first Atom link, which may be the hub or self link
+      link: linkFor('alternate') || feed.link || null,
+      description: feed.description || null,
+      ttl: feed.ttl || null,
+      updatePeriod: feed.updatePeriod || null,
+      updateFrequency: feed.updateFrequency || null,
+      hub: linkFor('hub'),
+      self: linkFor('self'),
+      // Atom <icon> is meant to be small and square, so it wins over RSS <image>, podcast artwork and Atom <logo>
+      icon: FeedParser.firstString(feed.icon, feed.image && feed.image.url, feed.itunes && feed.itunes.image, feed.logo),
+      items: (feed.items || []).map(FeedParser.normalizeXmlItem)
+    };
+  }
+
+  /**
+   * Map an rss-parser item onto FeedItem columns
+   * @param {Object} item - rss-parser item
+   * @returns {Object} - Normalised item
+   */
+  static normalizeXmlItem(item) {
+    const link = ItemIdentity.cleanLink(item.link || '');
+    const guid = item.guid || item.id || item['rdf:about'];
+    const image = item.enclosure && /^image\//.test(item.enclosure.type || '') ? item.enclosure.url : null;
+    const content = item['content:encoded'] || item.content || null;
+    const duration = FeedParser.parseDuration(item.itunesDuration);
+
+    // RSS <enclosure>, Atom <link rel="enclosure"> and Media RSS <media:content>
+    const attributes = (elements) => (Array.isArray(elements) ? elements : [])
+      .filter(element => element && element.$)
+      .map(element => element.$);
+    const rawEnclosures = [
+      ...attributes(item.enclosures).map(attrs => ({ url: attrs.url, mime_type: attrs.type, length: attrs.length })),
+      ...attributes(item.links)
+        .filter(attrs => attrs.rel === 'enclosure')
+        .map(attrs => ({ url: attrs.href, mime_type: attrs.type, length: attrs.length })),
+      ...attributes(item.mediaContent)
+        .map(attrs => ({ url: attrs.url, mime_type: attrs.type, length: attrs.fileSize, duration: attrs.duration }))
+    ];
+
+    const chapters = item.podcastChapters && item.podcastChapters.$;
+    const transcripts = attributes(item.podcastTranscripts)
+      .filter(attrs => attrs.url)
+      .map(attrs => ({ url: attrs.url, type: attrs.type || null, language: attrs.language || null, rel: attrs.rel || null }));
+
+    return FeedParser.withGuid(guid, {
+      title: FeedParser.itemTitle(item.title, content, link),
+      link,
+      summary: item.summary || item.contentSnippet || null,
+      content,
+      author: item.creator || item.author || null,
+      image_url: image,
+      published_at: item.isoDate || FeedParser.toIsoDate(item.pubDate),
+      duration,
+      episode: FeedParser.toPositiveInt(item.itunesEpisode),
+      season: FeedParser.toPositiveInt(item.itunesSeason),
+      episode_type: item.itunesEpisodeType ? String(item.itunesEpisodeType).trim().toLowerCase() : null,
+      explicit: FeedParser.parseExplicit(item.itunesExplicit),
+      chapters_url: chapters && chapters.url ? chapters.url : null,
+      chapters_type: chapters && chapters.type ? chapters.type : null,
+      transcripts: transcripts.length > 0 ? transcripts : null,
+      enclosures: FeedParser.normalizeEnclosures(rawEnclosures, duration)
+    });
+  }
+
+  /**
+   * Normalise a JSON Feed document
+   * @param {Object} feed - Parsed JSON Feed
+   * @returns {Object} - Normalised feed
+   */
+  static normalizeJsonFeed(feed) {
+    const hubs = Array.isArray(feed.hubs) ? feed.hubs.filter(entry => entry && entry.url) : [];
+    const hub = hubs.find(entry => /^websub$/i.test(entry.type || '')) || hubs[0];
+
+    return {
+      title: feed.title ? String(feed.title).trim() : null,
+      link: feed.home_page_url || null,
+      description: feed.description || null,
+      ttl: null,
+      updatePeriod: null,
+      updateFrequency: null,
+      hub: hub ? hub.url : null,
+      self: feed.feed_url || null,
+      icon: FeedParser.firstString(feed.icon, feed.favicon),
+      items: (Array.isArray(feed.items) ? feed.items : []).map(item => FeedParser.normalizeJsonItem(item, feed))
+    };
+  }
+
+  /**
+   * Map a JSON Feed item onto FeedItem columns
+   * @param {Object} item - JSON Feed item
+   * @param {Object} feed - Enclosing JSON Feed, for feed-level authors
+   * @returns {Object} - Normalised item
+   */
+  static normalizeJsonItem(item, feed = {}) {
+    const link = ItemIdentity.cleanLink(item.url || item.external_url || '');
+    const guid = item.id !== undefined && item.id !== null && item.id !== '' ? String(item.id) : null;
+    const content = item.content_html || item.content_text || null;
+
+    // JSON Feed 1.1 uses `authors`; 1.0 used a single `author`, and both may be set on the feed instead
+    const authors = item.authors || (item.author && [item.author]) || feed.authors || (feed.author && [feed.author]) || [];
+    const author = authors.map(person => person && person.name).filter(Boolean).join(', ');
+
+    const enclosures = FeedParser.normalizeEnclosures((Array.isArray(item.attachments) ? item.attachments : [])
+      .filter(attachment => attachment && typeof attachment === 'object')
+      .map(attachment => ({
+        url: attachment.url,
+        mime_type: attachment.mime_type,
+        length: attachment.size_in_bytes,
+        duration: attachment.duration_in_seconds
+      })));
+    const media = enclosures.find(enclosure => /^(audio|video)\//.test(enclosure.mime_type || ''));
+
+    return FeedParser.withGuid(guid, {
+      title: FeedParser.itemTitle(item.title, content, link),
+      link,
+      summary: item.summary || FeedParser.toText(item.content_text || item.content_html),
+      content,
+      author: author || null,
+      image_url: item.image || item.banner_image || null,
+      published_at: FeedParser.toIsoDate(item.date_published || item.date_modified),
+      duration: media ? media.duration : null,
+      episode: null,
+      season: null,
+      episode_type: null,
+      explicit: null,
+      chapters_url: null,
+      chapters_type: null,
+      transcripts: null,
+      enclosures
+    });
+  }
+}
+
+module.exports = FeedParser;
@@ -0,0 +1,378 @@
+const cron = require('node-cron');
+const config = require('../config');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const PollLog = require('../models/PollLog');
+const FeedFetcher = require('./feedFetcher');
+const HtmlSanitizer = require('./htmlSanitizer');
+const PageScraper = require('./pageScraper');
+const SourceAdapters = require('./sourceAdapters');
+const { ItemRetention } = require('./itemRetention');
+const PollScheduler = require('./pollScheduler');
+const webSub = require('./webSub');
+const { logger } = require('./logger');
+
+/**
+ * Feed Poller
+ * Periodically fetches due feeds and stores their new items
+ */
+class FeedPoller {
+  constructor(options = {}) {
+    this.interval = options.interval || config.FEED_POLL_INTERVAL;
+    this.concurrency = options.concurrency || config.FEED_POLL_CONCURRENCY;
+    this.maxItemsPerFeed = options.maxItemsPerFeed || config.FEED_MAX_ITEMS_PER_FEED;
+    this.task = null;
+    this.currentRun = null;
+    this.stopping = false;
+    // Polls in progress by feed ID, so a manual refresh and a cycle never fetch the same feed twice
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Convert a polling interval into a cron expression
+   * @param {number} intervalMs - Interval in milliseconds
+   * @returns {string} - Cron expression
+   */
+  static toCronExpression(intervalMs) {
+    const seconds = Math.max(Math.round(intervalMs / 1000), 1);
+
+    if (seconds < 60) {
+      return `*/${seconds} * * * * *`;
+    }
+
+    const minutes = Math.min(Math.round(seconds / 60), 59);
+    return `*/${minutes} * * * *`;
+  }
+
+  /**
+   * Run worker over items with at most `limit` in flight
+   * @param {Array} items - Work items
+   * @param {number} limit - Maximum concurrent workers
+   * @param {Function} worker - Async worker
+   * @returns {Promise<Array>} - Worker results in input order
+   */
+  static async runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
+
+    await Promise.all(runners);
+    return results;
+  }
+
+  /**
+   * Pick the reason code recorded when a failing feed is paused automatically
+   * @param {Error} error - Error raised by the last poll
+   * @returns {string} - Pause reason
+   */
+  static pauseReasonFor(error) {
+    if (error.httpStatus === 404 || error.httpStatus === 410) {
+      return 'not_found';
+    }
+
+    if (error.code === 'FEED_PARSE_FAILED') {
+      return 'invalid_feed';
+    }
+
+    return 'unreachable';
+  }
+
+  /**
+   * Pick the URL relative links in item content are resolved against
+   * @param {Object} parsedFeed - Parsed feed
+   * @param {string} feedUrl - URL the feed was fetched from
+   * @returns {string} - Base URL
+   */
+  static baseUrlFor(parsedFeed, feedUrl) {
+    try {
+      return parsedFeed.link ? new URL(parsedFeed.link, feedUrl).href : feedUrl;
+    } catch (error) {
+      return feedUrl;
+    }
+  }
+
+  /**
+   * Start the polling schedule
+   * @returns {boolean} - True if the schedule was started
+   */
+  start() {
+    if (this.task) {
+      return false;
+    }
+
+    this.stopping = false;
+    const expression = FeedPoller.toCronExpression(this.interval);
+    this.task = cron.schedule(expression, () => {
+      this.runOnce().catch(error => logger.error('Feed poll cycle failed:', error));
+    });
+
+    logger.info(`Feed poller started (${expression}, concurrency ${this.concurrency})`);
+    return true;
+  }
+
+  /**
+   * Stop the polling schedule and wait for the current cycle to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopping = true;
+
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Feed poller stopped');
+  }
+
+  /**
+   * Poll every due feed once; overlapping calls share the running cycle
+   * @returns {Promise<Object[]>} - Per-feed poll results
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.pollDueFeeds().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  /**
+   * Select due feeds and poll them with bounded concurrency
+   * @returns {Promise<Object[]>} - Per-feed poll results
+   */
+  async pollDueFeeds() {
+    const start = Date.now();
+    const feeds = await Feed.findDue();
+
+    if (feeds.length === 0) {
+      return [];
+    }
+
+    const results = await FeedPoller.runWithConcurrency(feeds, this.concurrency, (feed) => {
+      return this.stopping ? null : this.pollNow(feed);
+    });
+
+    const completed = results.filter(Boolean);
+    const newItems = completed.reduce((sum, result) => sum + result.new_items, 0);
+    logger.info(`Polled ${completed.length} feeds, ${newItems} new items (${Date.now() - start}ms)`);
+
+    return completed;
+  }
+
+  /**
+   * Poll a feed right away; a poll of the same feed that is already running is shared instead
+   * @param {Feed} feed - Feed to poll
+   * @returns {Promise<Object>} - Poll result
+   */
+  pollNow(feed) {
+    if (!this.inFlight.has(feed.id)) {
+      this.inFlight.set(feed.id, this.pollFeed(feed).finally(() => {
+        this.inFlight.delete(feed.id);
+      }));
+    }
+    return this.inFlight.get(feed.id);
+  }
+
+  /**
+   * Sanitise and store the items of a parsed document
+   * @param {Feed} feed - Feed the document belongs to
+   * @param {Object} parsedFeed - Parsed feed
+   * @param {string} feedUrl - URL the document came from
+   * @returns {Promise<Object>} - Numbers of inserted and updated items
+   */
+  async ingest(feed, parsedFeed, feedUrl) {
+    const baseUrl = FeedPoller.baseUrlFor(parsedFeed, feedUrl);
+    // Skip items the retention job would remove again right away
+    const { maxItems, maxAgeDays } = ItemRetention.limitsFor(feed, { maxItems: this.maxItemsPerFeed });
+    // Platform adapters fill in what their feeds leave out, such as YouTube thumbnails
+    const items = (feed.isScraped() ? parsedFeed : SourceAdapters.process(feed.url, parsedFeed)).items
+      .filter(item => !ItemRetention.isExpired(item, maxAgeDays))
+      .slice(0, maxItems > 0 ? maxItems : undefined)
+      .map(item => HtmlSanitizer.sanitizeItem(item, baseUrl));
+
+    return FeedItem.upsertMany(feed.id, items);
+  }
+
+  /**
+   * Store a document a WebSub hub pushed for a feed and record the delivery
+   * @param {Feed} feed - Subscribed feed
+   * @param {string} body - Delivered document
+   * @returns {Promise<Object>} - Push result
+   */
+  async ingestPush(feed, body) {
+    const parsedFeed = await FeedFetcher.parse(body);
+    const { inserted, updated } = await this.ingest(feed, parsedFeed, feed.websub_topic || feed.url);
+
+    // Deliveries usually carry only the new entries, so the content hash is left alone
+    await feed.update({ websub_last_push_at: new Date().toISOString() });
+    await PollLog.create({
+      feed_id: feed.id,
+      success: true,
+      new_items: inserted,
+      updated_items: updated,
+      items_parsed: parsedFeed.items.length,
+      bytes: Buffer.byteLength(body)
+    });
+
+    logger.info(`WebSub delivery for feed ${feed.id}: ${inserted} new, ${updated} updated items`);
+    return { feed_id: feed.id, new_items: inserted, updated_items: updated };
+  }
+
+  /**
+   * Fetch a single feed, store its items and record the run
+   * @param {Feed} feed - Feed to poll
+   * @returns {Promise<Object>} - Poll result
+   */
+  async pollFeed(feed) {
+    const result = {
+      feed_id: feed.id,
+      success: false,
+      not_modified: false,
+      new_items: 0,
+      updated_items: 0,
+      error: null,
+      paused: false,
+      recovered: false,
+      moved_to: null,
+      merged_into: null
+    };
+    const feedUpdates = { last_fetched_at: new Date().toISOString() };
+    const start = Date.now();
+    // Recorded in the poll log whether or not the poll succeeds
+    const diagnostics = { http_status: null, bytes: null, final_url: null, items_parsed: null };
+    let parsedFeed = null;
+    let headers = null;
+    let failure = null;
+
+    try {
+      const authHeaders = feed.getRequestHeaders();
+      const authOrigin = new URL(feed.url).origin;
+      const response = await FeedFetcher.fetch(feed.url, {
+        authHeaders,
+        etag: feed.etag,
+        lastModified: feed.last_modified
+      });
+
+      headers = response.headers;
+      feedUpdates.last_http_status = response.status;
+      Object.assign(diagnostics, { http_status: response.status, bytes: response.bytes, final_url: response.url });
+
+      // Publishers move feeds with 301/308; follow them for good, merging into a feed that already has the new URL
+      if (response.permanentUrl !== feed.url) {
+        const relocation = await feed.relocate(response.permanentUrl);
+        result.moved_to = response.permanentUrl;
+        result.merged_into = relocation.merged ? relocation.feed.id : null;
+        feed = relocation.feed;
+      }
+
+      if (response.notModified) {
+        result.not_modified = true;
+      } else {
+        const contentHash = FeedFetcher.hashBody(response.body);
+        // Kept for diagnostics, so garbled items can be traced to a wrong declaration
+        feedUpdates.encoding = response.encoding;
+        feedUpdates.encoding_source = response.encodingSource;
+
+        if (contentHash === feed.content_hash) {
+          result.not_modified = true;
+        } else {
+          parsedFeed = feed.isScraped()
+            ? await PageScraper.scrape(response, feed.getScraper(), { authHeaders, authOrigin })
+            : await FeedFetcher.parse(response.body);
+          diagnostics.items_parsed = parsedFeed.items.length;
+          const { inserted, updated } = await this.ingest(feed, parsedFeed, response.url);
+
+          result.new_items = inserted;
+          result.updated_items = updated;
+          feedUpdates.content_hash = contentHash;
+          feedUpdates.format = parsedFeed.format;
+          feedUpdates.format_version = parsedFeed.version;
+
+          await webSub.sync(feed, parsedFeed, response.url);
+        }
+
+        // Only keep validators once the body has been processed, otherwise a
+        // later 304 would hide a document we never managed to ingest
+        feedUpdates.etag = response.headers.etag || null;
+        feedUpdates.last_modified = response.headers['last-modified'] || null;
+      }
+
+      result.success = true;
+    } catch (error) {
+      failure = error;
+      result.error = error.message;
+      logger.warn(`Polling feed ${feed.id} (${feed.url}) failed: ${error.message}`);
+    }
+
+    try {
+      if (result.success) {
+        Object.assign(feedUpdates, {
+          consecutive_failures: 0,
+          last_error: null,
+          last_success_at: feedUpdates.last_fetched_at
+        });
+
+        if (feed.status === 'paused' && Feed.AUTO_PAUSE_REASONS.includes(feed.paused_reason)) {
+          feedUpdates.status = 'active';
+          result.recovered = true;
+          logger.info(`Feed ${feed.id} (${feed.url}) recovered and was reactivated`);
+        }
+
+        await feed.update(feedUpdates);
+        await PollScheduler.scheduleFeed(feed, { parsedFeed, headers });
+      } else {
+        const failures = (feed.consecutive_failures || 0) + 1;
+        Object.assign(feedUpdates, {
+          consecutive_failures: failures,
+          last_error: failure.message,
+          last_http_status: failure.httpStatus || null
+        });
+
+        if (feed.status === 'active' && failures >= config.FEED_FAILURE_THRESHOLD) {
+          feedUpdates.status = 'paused';
+          feedUpdates.paused_reason = FeedPoller.pauseReasonFor(failure);
+          result.paused = true;
+          logger.warn(`Feed ${feed.id} (${feed.url}) paused after ${failures} failed polls (${feedUpdates.paused_reason})`);
+        }
+
+        await feed.update(feedUpdates);
+        await PollScheduler.scheduleRetry(feed, failure);
+      }
+
+      await PollLog.create({
+        ...diagnostics,
+        feed_id: feed.id,
+        success: result.success,
+        new_items: result.new_items,
+        updated_items: result.updated_items,
+        http_status: diagnostics.http_status || (failure && failure.httpStatus) || null,
+        duration_ms: Date.now() - start,
+        error: failure
+      });
+    } catch (error) {
+      logger.error(`Failed to record poll for feed ${feed.id}:`, error);
+    }
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const feedPoller = new FeedPoller();
+
+module.exports = feedPoller;
+
+// Export the class for tests and custom schedules
+module.exports.FeedPoller = FeedPoller;
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const feedPoller = require('./feedPoller');
+const { FeedPoller } = require('./feedPoller');
+const { logger } = require('./logger');
+
+/**
+ * Feed Refresh
+ * Runs manual "refresh now" requests as background jobs that poll a set of
+ * feeds through the poller and report progress per feed; users are throttled
+ * so that refreshing on demand cannot be used to hammer publishers
+ */
+class FeedRefresh {
+  constructor(options = {}) {
+    this.poller = options.poller || feedPoller;
+    this.concurrency = options.concurrency || config.FEED_POLL_CONCURRENCY;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : config.FEED_REFRESH_COOLDOWN;
+    this.minAge = options.minAge !== undefined ? options.minAge : config.FEED_REFRESH_MIN_AGE;
+    this.jobTtl = options.jobTtl !== undefined ? options.jobTtl : config.FEED_REFRESH_JOB_TTL;
+    this.jobs = new Map();
+    // When each user last started a refresh, in milliseconds
+    this.lastStarted = new Map();
+  }
+
+  /**
+   * Describe a job for API responses
+   * @param {Object} job - Refresh job
+   * @returns {Object} - Job status, progress and per-feed results
+   */
+  static getPublicData(job) {
+    return {
+      id: job.id,
+      scope: job.scope,
+      status: job.status,
+      progress: {
+        total: job.feeds.length,
+        completed: job.feeds.filter(entry => !['pending', 'polling'].includes(entry.status)).length,
+        new_items: job.feeds.reduce((sum, entry) => sum + entry.new_items, 0)
+      },
+      feeds: job.feeds.map(entry => ({ ...entry })),
+      created_at: job.created_at,
+      finished_at: job.finished_at
+    };
+  }
+
+  /**
+   * Find a job, as long as it belongs to the user
+   * @param {string} jobId - Job ID
+   * @param {number} userId - User ID
+   * @returns {Object|null} - Refresh job or null
+   */
+  find(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    return job && job.user_id === userId ? job : null;
+  }
+
+  /**
+   * Find the user's job that is still running
+   * @param {number} userId - User ID
+   * @returns {Object|null} - Refresh job or null
+   */
+  findRunning(userId) {
+    for (const job of this.jobs.values()) {
+      if (job.user_id === userId && job.status === 'running') {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Seconds until the user may start another refresh
+   * @param {number} userId - User ID
+   * @param {number} now - Reference time in milliseconds
+   * @returns {number} - Seconds to wait, 0 if a refresh may start now
+   */
+  getCooldown(userId, now = Date.now()) {
+    const lastStarted = this.lastStarted.get(userId);
+    if (!lastStarted) {
+      return 0;
+    }
+
+    return Math.max(Math.ceil((lastStarted + this.cooldown * 1000 - now) / 1000), 0);
+  }
+
+  /**
+   * Forget finished jobs past their lifetime and cooldowns that have run out
+   * @param {number} now - Reference time in milliseconds
+   */
+  prune(now = Date.now()) {
+    this.jobs.forEach((job, jobId) => {
+      if (job.finished_at && new Date(job.finished_at).getTime() + this.jobTtl * 1000 < now) {
+        this.jobs.delete(jobId);
+      }
+    });
+
+    this.lastStarted.forEach((startedAt, userId) => {
+      if (startedAt + this.cooldown * 1000 <= now) {
+        this.lastStarted.delete(userId);
+      }
+    });
+  }
+
+  /**
+   * Start polling feeds in the background
+   * @param {number} userId - User the job belongs to
+   * @param {Feed[]} feeds - Feeds to poll
+   * @param {Object} options - scope describing what is refreshed, and force to neither start the user's
+   * cooldown nor skip recently fetched feeds
+   * @returns {Object} - Running refresh job
+   */
+  start(userId, feeds, options = {}) {
+    const now = Date.now();
+    this.prune(now);
+
+    const job = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      scope: options.scope || null,
+      status: 'running',
+      feeds: feeds.map(feed => ({
+        feed_id: feed.id,
+        name: feed.name,
+        status: 'pending',
+        reason: null,
+        not_modified: false,
+        new_items: 0,
+        updated_items: 0,
+        error: null
+      })),
+      created_at: new Date(now).toISOString(),
+      finished_at: null,
+      events: new EventEmitter()
+    };
+
+    this.jobs.set(job.id, job);
+    if (!options.force) {
+      this.lastStarted.set(userId, now);
+    }
+
+    job.done = this.run(job, feeds, Boolean(options.force));
+    return job;
+  }
+
+  /**
+   * Poll the feeds of a job with bounded concurrency, emitting `progress` after each feed and `complete` at the end
+   * @param {Object} job - Refresh job
+   * @param {Feed[]} feeds - Feeds to poll, in the order of job.feeds
+   * @param {boolean} force - Whether recently fetched feeds are polled too
+   * @returns {Promise<Object>} - Finished job
+   */
+  async run(job, feeds, force) {
+    const start = Date.now();
+    const fetchedCutoff = start - this.minAge * 1000;
+
+    try {
+      await FeedPoller.runWithConcurrency(feeds, this.concurrency, async (feed, index) => {
+        const entry = job.feeds[index];
+
+        // A failed job has already been completed; feeds still in flight finish, the rest are left
+        if (job.status !== 'running') {
+          return;
+        }
+
+        // Feeds paused by hand stay paused; automatically paused ones are probed, which can recover them
+        if (feed.getHealthState() === 'paused') {
+          Object.assign(entry, { status: 'skipped', reason: 'paused' });
+        } else if (!force && feed.last_fetched_at && new Date(feed.last_fetched_at).getTime() > fetchedCutoff) {
+          Object.assign(entry, { status: 'skipped', reason: 'recently_fetched' });
+        } else {
+          entry.status = 'polling';
+          job.events.emit('progress', job);
+
+          try {
+            const result = await this.poller.pollNow(feed);
+            Object.assign(entry, {
+              status: result.success ? 'done' : 'failed',
+              not_modified: result.not_modified,
+              new_items: result.new_items,
+              updated_items: result.updated_items,
+              error: result.error
+            });
+          } catch (error) {
+            logger.error(`Refreshing feed ${feed.id} failed:`, error);
+            Object.assign(entry, { status: 'failed', error: error.message });
+          }
+        }
+
+        job.events.emit('progress', job);
+      });
+    } catch (error) {
+      logger.error(`Refresh ${job.id} failed:`, error);
+      job.feeds.filter(entry => ['pending', 'polling'].includes(entry.status)).forEach((entry) => {
+        Object.assign(entry, { status: 'failed', error: 'Refresh failed' });
+      });
+    }
+
+    job.status = 'completed';
+    job.finished_at = new Date().toISOString();
+
+    try {
+      job.events.emit('complete', job);
+    } catch (error) {
+      logger.error(`Refresh ${job.id} complete listener failed:`, error);
+    }
+
+    const { progress } = FeedRefresh.getPublicData(job);
+    logger.info(`Refresh ${job.id} for user ${job.user_id} polled ${progress.total} feeds, ` +
+      `${progress.new_items} new items (${Date.now() - start}ms)`);
+    return job;
+  }
+}
+
+// Create singleton instance
+const feedRefresh = new FeedRefresh();
+
+module.exports = feedRefresh;
+
+// Export the class for tests and custom limits
+module.exports.FeedRefresh = FeedRefresh;
@@ -0,0 +1,77 @@
+const config = require('../config');
+const Feed = require('../models/Feed');
+const FeedDiscovery = require('./feedDiscovery');
+const feedIcons = require('./feedIcons');
+const { logger } = require('./logger');
+
+/**
+ * Feed Registry
+ * Adds feeds that have been fetched and parsed, and finds or adds the shared
+ * feed behind a URL so that everyone subscribing to it shares one Feed row
+ */
+class FeedRegistry {
+  /**
+   * Store a resolved feed, remember the URL it was requested by and look for its icon
+   * @param {Object} source - requestedUrl, the resolved url, parsedFeed, movedPermanently, and optional
+   * name, ownerId, credentials and scraper
+   * @returns {Promise<Feed>} - Created feed
+   */
+  static async add(source) {
+    const { requestedUrl, url, parsedFeed, movedPermanently, name, ownerId = null, credentials, scraper } = source;
+
+    const feed = await Feed.create({
+      url,
+      owner_id: ownerId,
+      credentials,
+      scraper,
+      name: name || parsedFeed.title || new URL(url).hostname,
+      format: parsedFeed.format,
+      format_version: parsedFeed.version
+    });
+
+    if (movedPermanently && !ownerId) {
+      await feed.addAlias(requestedUrl);
+    }
+
+    // Looked for in the background so slow icon hosts do not hold up adding the feed
+    if (config.FEED_ICONS_ENABLED) {
+      feedIcons.refresh(feed, parsedFeed, url);
+    }
+
+    return feed;
+  }
+
+  /**
+   * Find the shared feed for a feed, platform or website URL, adding it if nobody has yet
+   * @param {string} url - Feed, platform or website URL
+   * @param {Object} options - name to give a feed that is added
+   * @returns {Promise<Object>} - Feed and whether it was added
+   */
+  static async findOrCreate(url, options = {}) {
+    // Former URLs of moved and merged feeds resolve to the feed that replaced them
+    const existing = await Feed.findByUrlOrAlias(url);
+    if (existing) {
+      return { feed: existing, created: false };
+    }
+
+    const resolved = await FeedDiscovery.resolve(url);
+
+    const resolvedExisting = resolved.url !== url ? await Feed.findByUrlOrAlias(resolved.url) : null;
+    if (resolvedExisting) {
+      return { feed: resolvedExisting, created: false };
+    }
+
+    const feed = await FeedRegistry.add({
+      requestedUrl: url,
+      url: resolved.url,
+      parsedFeed: resolved.feed,
+      movedPermanently: resolved.movedPermanently,
+      name: options.name
+    });
+
+    logger.info(`Feed added for ${url}: ${feed.url}`);
+    return { feed, created: true };
+  }
+}
+
+module.exports = FeedRegistry;
@@ -0,0 +1,585 @@
+const HtmlSanitizer = require('./htmlSanitizer');
+
+/**
+ * HTML Document
+ * Lenient HTML tree builder with a CSS selector engine, used to scrape items
+ * from pages that offer no feed
+ */
+class HtmlDocument {
+  // Elements whose content is never markup
+  static RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'noscript']);
+
+  // Text of these elements is not part of an element's text content
+  static HIDDEN_TAGS = new Set(['script', 'style', 'noscript', 'template']);
+
+  // Open elements that a new start tag closes implicitly, e.g. <li>one<li>two; the
+  // search for them stops at elements that start a new scope, such as nested lists
+  static IMPLIED_END_TAGS = {
+    li: ['li'],
+    dt: ['dt', 'dd'],
+    dd: ['dt', 'dd'],
+    option: ['option', 'optgroup'],
+    thead: ['tbody', 'tfoot'],
+    tbody: ['tbody', 'tfoot'],
+    tr: ['tr', 'tbody', 'thead', 'tfoot'],
+    td: ['td', 'th', 'tr', 'tbody', 'thead', 'tfoot'],
+    th: ['td', 'th', 'tr', 'tbody', 'thead', 'tfoot'],
+    p: [
+      'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+      'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu', 'nav', 'ol', 'p',
+      'pre', 'section', 'table', 'ul'
+    ]
+  };
+
+  static SCOPE_BOUNDARIES = new Set(['ul', 'ol', 'dl', 'table', 'select', 'button', 'caption', 'template']);
+
+  static PSEUDO_CLASSES = new Set([
+    'first-child', 'last-child', 'only-child', 'nth-child', 'nth-last-child', 'first-of-type', 'last-of-type',
+    'nth-of-type', 'not', 'has', 'contains', 'scope', 'empty'
+  ]);
+
+  /**
+   * Parse an HTML document into a tree of element and text nodes
+   * @param {string} html - HTML document or fragment
+   * @returns {Object} - Document node; elements have tag, attributes, children and parent
+   */
+  static parse(html) {
+    const source = String(html || '');
+    const root = { type: 'document', tag: null, attributes: {}, children: [], parent: null };
+    const pattern = new RegExp(HtmlSanitizer.TOKEN_PATTERN.source, 'g');
+    let current = root;
+    let position = 0;
+    let match;
+
+    const appendText = (value) => {
+      if (value) {
+        current.children.push({ type: 'text', value, parent: current });
+      }
+    };
+
+    while ((match = pattern.exec(source)) !== null) {
+      appendText(HtmlSanitizer.decodeEntities(source.slice(position, match.index)));
+      position = pattern.lastIndex;
+
+      const [, cdata, closing, rawName, attributeSource] = match;
+
+      if (cdata !== undefined) {
+        appendText(cdata);
+        continue;
+      }
+      if (!rawName) {
+        // Comments, doctypes and processing instructions
+        continue;
+      }
+
+      const tag = rawName.toLowerCase();
+
+      if (closing) {
+        // Close the nearest open element with this name; stray end tags are ignored
+        let node = current;
+        while (node !== root && node.tag !== tag) {
+          node = node.parent;
+        }
+        if (node !== root) {
+          current = node.parent;
+        }
+        continue;
+      }
+
+      current = HtmlDocument.closeImplied(current, tag);
+
+      const element = {
+        type: 'element',
+        tag,
+        attributes: HtmlSanitizer.parseAttributes(attributeSource),
+        children: [],
+        parent: current
+      };
+      current.children.push(element);
+
+      const selfClosing = /\/\s*$/.test(attributeSource);
+      if (HtmlSanitizer.VOID_TAGS.has(tag) || selfClosing) {
+        continue;
+      }
+
+      if (HtmlDocument.RAW_TEXT_TAGS.has(tag)) {
+        const end = new RegExp(`</${tag}\\s*>`, 'ig');
+        end.lastIndex = position;
+        const endMatch = end.exec(source);
+        const text = source.slice(position, endMatch ? endMatch.index : source.length);
+
+        if (!HtmlDocument.HIDDEN_TAGS.has(tag) && text) {
+          element.children.push({ type: 'text', value: HtmlSanitizer.decodeEntities(text), parent: element });
+        }
+
+        position = endMatch ? end.lastIndex : source.length;
+        pattern.lastIndex = position;
+        continue;
+      }
+
+      current = element;
+    }
+
+    appendText(HtmlSanitizer.decodeEntities(source.slice(position)));
+    return root;
+  }
+
+  /**
+   * Close the open elements a start tag ends implicitly
+   * @param {Object} current - Innermost open element
+   * @param {string} tag - Tag that starts
+   * @returns {Object} - Element the new tag is appended to
+   */
+  static closeImplied(current, tag) {
+    for (let node = current; node.type === 'element'; node = node.parent) {
+      if ((HtmlDocument.IMPLIED_END_TAGS[node.tag] || []).includes(tag)) {
+        // Ending a <td> may in turn end its <tr>
+        return HtmlDocument.closeImplied(node.parent, tag);
+      }
+      if (HtmlDocument.SCOPE_BOUNDARIES.has(node.tag)) {
+        break;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Text content of a node with whitespace collapsed
+   * @param {Object} node - Element or text node
+   * @returns {string} - Text
+   */
+  static text(node) {
+    const parts = [];
+    const walk = (current) => {
+      if (current.type === 'text') {
+        parts.push(current.value);
+      } else if (!HtmlDocument.HIDDEN_TAGS.has(current.tag)) {
+        current.children.forEach(walk);
+      }
+    };
+    walk(node);
+
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Serialise the content of an element back to HTML
+   * @param {Object} node - Element
+   * @returns {string} - Inner HTML
+   */
+  static innerHtml(node) {
+    return node.children.map((child) => {
+      if (child.type === 'text') {
+        return child.value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      }
+
+      const start = HtmlSanitizer.startTag(child.tag, child.attributes);
+      return HtmlSanitizer.VOID_TAGS.has(child.tag) ? start : `${start}${HtmlDocument.innerHtml(child)}</${child.tag}>`;
+    }).join('');
+  }
+
+  /**
+   * Child elements of a node
+   * @param {Object} node - Element or document
+   * @returns {Object[]} - Element children
+   */
+  static elementChildren(node) {
+    return node && node.children ? node.children.filter(child => child.type === 'element') : [];
+  }
+
+  /**
+   * Parse a CSS selector list
+   * Supports type, universal, #id, .class and attribute selectors ([a], =, ~=, |=, ^=, $=, *=,
+   * with an optional `i` flag), the descendant, child (>), adjacent (+) and sibling (~)
+   * combinators, and the :first-child, :last-child, :only-child, :nth-child(), :nth-last-child(),
+   * :first-of-type, :last-of-type, :nth-of-type(), :empty, :not(), :has(), :contains() and
+   * :scope pseudo-classes
+   * @param {string} selector - Selector list
+   * @returns {Object[][]} - Complex selectors, each a list of compound selectors with the combinator before them
+   */
+  static parseSelector(selector) {
+    const source = String(selector || '').trim();
+    let index = 0;
+
+    const fail = (message) => {
+      throw new Error(`Invalid selector "${source}": ${message}`);
+    };
+    const skipWhitespace = () => {
+      const start = index;
+      while (index < source.length && /\s/.test(source[index])) {
+        index++;
+      }
+      return index > start;
+    };
+    const identifier = () => {
+      const match = /^(?:[\w-]|\\.|[^\x00-\x7f])+/.exec(source.slice(index));
+      if (!match) {
+        fail(`expected a name at position ${index + 1}`);
+      }
+      index += match[0].length;
+      return match[0].replace(/\\(.)/g, '$1');
+    };
+    const quoted = () => {
+      const quote = source[index];
+      const end = source.indexOf(quote, index + 1);
+      if (end === -1) {
+        fail('unterminated string');
+      }
+      const value = source.slice(index + 1, end);
+      index = end + 1;
+      return value;
+    };
+    const argument = () => {
+      // Everything up to the matching parenthesis, skipping over strings
+      const start = ++index;
+      let depth = 1;
+      while (index < source.length) {
+        const character = source[index];
+        if (character === '"' || character === '\'') {
+          quoted();
+          continue;
+        }
+        if (character === '(') {
+          depth++;
+        } else if (character === ')' && --depth === 0) {
+          return source.slice(start, index++).trim();
+        }
+        index++;
+      }
+      return fail('unterminated parenthesis');
+    };
+
+    const compound = () => {
+      const parsed = { tag: null, id: null, classes: [], attributes: [], pseudos: [] };
+      const start = index;
+
+      if (source[index] === '*') {
+        index++;
+      } else if (/[\w\\-]|[^\x00-\x7f]/.test(source[index] || '')) {
+        parsed.tag = identifier().toLowerCase();
+      }
+
+      for (;;) {
+        const character = source[index];
+
+        if (character === '#') {
+          index++;
+          parsed.id = identifier();
+        } else if (character === '.') {
+          index++;
+          parsed.classes.push(identifier());
+        } else if (character === '[') {
+          index++;
+          skipWhitespace();
+          const attribute = { name: identifier().toLowerCase(), operator: null, value: null, ignoreCase: false };
+          skipWhitespace();
+          const operator = /^[~|^$*]?=/.exec(source.slice(index));
+          if (operator) {
+            index += operator[0].length;
+            skipWhitespace();
+            attribute.operator = operator[0];
+            attribute.value = source[index] === '"' || source[index] === '\'' ? quoted() : identifier();
+            skipWhitespace();
+            if (/^[iI](?=\s*\])/.test(source.slice(index))) {
+              attribute.ignoreCase = true;
+              index++;
+              skipWhitespace();
+            }
+          }
+          if (source[index] !== ']') {
+            fail(`expected "]" at position ${index + 1}`);
+          }
+          index++;
+          parsed.attributes.push(attribute);
+        } else if (character === ':') {
+          index++;
+          if (source[index] === ':') {
+            fail('pseudo-elements are not supported');
+          }
+          const name = identifier().toLowerCase();
+          if (!HtmlDocument.PSEUDO_CLASSES.has(name)) {
+            fail(`unsupported pseudo-class :${name}`);
+          }
+
+          const pseudo = { name, argument: null };
+          const takesArgument = ['nth-child', 'nth-last-child', 'nth-of-type', 'not', 'has', 'contains'].includes(name);
+          if (takesArgument) {
+            if (source[index] !== '(') {
+              fail(`:${name} needs an argument`);
+            }
+            const value = argument();
+            if (name.startsWith('nth-')) {
+              pseudo.argument = HtmlDocument.parseNth(value);
+              if (!pseudo.argument) {
+                fail(`invalid :${name} argument "${value}"`);
+              }
+            } else if (name === 'contains') {
+              pseudo.argument = /^["'].*["']$/.test(value) ? value.slice(1, -1) : value;
+            } else {
+              // :has() matches descendants, so a leading child combinator is dropped
+              pseudo.argument = HtmlDocument.parseSelector(name === 'has' ? value.replace(/^>\s*/, '') : value);
+            }
+          }
+          parsed.pseudos.push(pseudo);
+        } else {
+          break;
+        }
+      }
+
+      if (index === start) {
+        fail(`expected a selector at position ${index + 1}`);
+      }
+      return parsed;
+    };
+
+    if (!source) {
+      fail('selector is empty');
+    }
+
+    const list = [];
+    let complex = [];
+    let combinator = null;
+
+    for (;;) {
+      complex.push({ combinator, compound: compound() });
+
+      const spaced = skipWhitespace();
+      const character = source[index];
+
+      if (index >= source.length) {
+        list.push(complex);
+        return list;
+      }
+
+      if (character === ',') {
+        index++;
+        skipWhitespace();
+        list.push(complex);
+        complex = [];
+        combinator = null;
+      } else if (character === '>' || character === '+' || character === '~') {
+        index++;
+        skipWhitespace();
+        combinator = character;
+      } else if (spaced) {
+        combinator = ' ';
+      } else {
+        fail(`unexpected "${character}" at position ${index + 1}`);
+      }
+    }
+  }
+
+  /**
+   * Parse an An+B expression
+   * @param {string} value - odd, even, An+B or B
+   * @returns {Object|null} - a and b, or null if the expression is invalid
+   */
+  static parseNth(value) {
+    const expression = value.replace(/\s+/g, '').toLowerCase();
+    if (expression === 'odd') {
+      return { a: 2, b: 1 };
+    }
+    if (expression === 'even') {
+      return { a: 2, b: 0 };
+    }
+
+    const match = /^(?:([+-]?\d*)n)?([+-]?\d+)?$/.exec(expression);
+    if (!match || expression === '') {
+      return null;
+    }
+
+    const a = match[1] === undefined ? 0 : match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+    return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+  }
+
+  /**
+   * Check a 1-based position against an An+B expression
+   * @param {number} position - Position among the siblings
+   * @param {Object} nth - a and b
+   * @returns {boolean} - Whether the position matches
+   */
+  static matchesNth(position, { a, b }) {
+    if (a === 0) {
+      return position === b;
+    }
+    const steps = (position - b) / a;
+    return Number.isInteger(steps) && steps >= 0;
+  }
+
+  /**
+   * Check whether an element matches a compound selector
+   * @param {Object} element - Element
+   * @param {Object} compound - Parsed compound selector
+   * @param {Object} scope - Element the selection started from
+   * @returns {boolean} - Whether it matches
+   */
+  static matchesCompound(element, compound, scope) {
+    if (compound.tag && element.tag !== compound.tag) {
+      return false;
+    }
+    if (compound.id !== null && element.attributes.id !== compound.id) {
+      return false;
+    }
+
+    if (compound.classes.length > 0) {
+      const classes = (element.attributes.class || '').split(/\s+/);
+      if (!compound.classes.every(name => classes.includes(name))) {
+        return false;
+      }
+    }
+
+    for (const attribute of compound.attributes) {
+      let actual = element.attributes[attribute.name];
+      if (actual === undefined) {
+        return false;
+      }
+      if (!attribute.operator) {
+        continue;
+      }
+
+      let expected = attribute.value;
+      if (attribute.ignoreCase) {
+        actual = actual.toLowerCase();
+        expected = expected.toLowerCase();
+      }
+
+      const matched = {
+        '=': () => actual === expected,
+        '~=': () => actual.split(/\s+/).includes(expected),
+        '|=': () => actual === expected || actual.startsWith(`${expected}-`),
+        '^=': () => expected !== '' && actual.startsWith(expected),
+        '$=': () => expected !== '' && actual.endsWith(expected),
+        '*=': () => expected !== '' && actual.includes(expected)
+      }[attribute.operator]();
+
+      if (!matched) {
+        return false;
+      }
+    }
+
+    return compound.pseudos.every(pseudo => HtmlDocument.matchesPseudo(element, pseudo, scope));
+  }
+
+  /**
+   * Check whether an element matches a pseudo-class
+   * @param {Object} element - Element
+   * @param {Object} pseudo - Parsed pseudo-class
+   * @param {Object} scope - Element the selection started from
+   * @returns {boolean} - Whether it matches
+   */
+  static matchesPseudo(element, pseudo, scope) {
+    const siblings = HtmlDocument.elementChildren(element.parent);
+    const sameType = siblings.filter(sibling => sibling.tag === element.tag);
+
+    switch (pseudo.name) {
+      case 'first-child':
+        return siblings[0] === element;
+      case 'last-child':
+        return siblings[siblings.length - 1] === element;
+      case 'only-child':
+        return siblings.length === 1;
+      case 'nth-child':
+        return HtmlDocument.matchesNth(siblings.indexOf(element) + 1, pseudo.argument);
+      case 'nth-last-child':
+        return HtmlDocument.matchesNth(siblings.length - siblings.indexOf(element), pseudo.argument);
+      case 'first-of-type':
+        return sameType[0] === element;
+      case 'last-of-type':
+        return sameType[sameType.length - 1] === element;
+      case 'nth-of-type':
+        return HtmlDocument.matchesNth(sameType.indexOf(element) + 1, pseudo.argument);
+      case 'empty':
+        return element.children.every(child => child.type === 'text' && child.value === '');
+      case 'scope':
+        return element === scope;
+      case 'contains':
+        return HtmlDocument.text(element).includes(pseudo.argument);
+      case 'not':
+        return !pseudo.argument.some(complex => HtmlDocument.matchesComplex(element, complex, complex.length - 1, scope));
+      case 'has':
+        return HtmlDocument.select(element, pseudo.argument).length > 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether an element matches a complex selector, right to left
+   * @param {Object} element - Element
+   * @param {Object[]} complex - Parsed complex selector
+   * @param {number} index - Compound selector to match the element against
+   * @param {Object} scope - Element the selection started from
+   * @returns {boolean} - Whether it matches
+   */
+  static matchesComplex(element, complex, index, scope) {
+    const { combinator, compound } = complex[index];
+    if (!HtmlDocument.matchesCompound(element, compound, scope)) {
+      return false;
+    }
+    if (index === 0) {
+      return true;
+    }
+
+    const isElement = node => node && node.type === 'element';
+    const siblings = HtmlDocument.elementChildren(element.parent);
+    const position = siblings.indexOf(element);
+
+    switch (combinator) {
+      case '>':
+        return isElement(element.parent) && HtmlDocument.matchesComplex(element.parent, complex, index - 1, scope);
+      case '+':
+        return position > 0 && HtmlDocument.matchesComplex(siblings[position - 1], complex, index - 1, scope);
+      case '~':
+        return siblings.slice(0, position).some(sibling => HtmlDocument.matchesComplex(sibling, complex, index - 1, scope));
+      default:
+        for (let ancestor = element.parent; isElement(ancestor); ancestor = ancestor.parent) {
+          if (HtmlDocument.matchesComplex(ancestor, complex, index - 1, scope)) {
+            return true;
+          }
+        }
+        return false;
+    }
+  }
+
+  /**
+   * Find the elements below a node that match a selector, in document order;
+   * the node itself only matches through :scope
+   * @param {Object} node - Document or element to search
+   * @param {string|Object[][]} selector - Selector or parsed selector list
+   * @returns {Object[]} - Matching elements
+   */
+  static select(node, selector) {
+    const list = typeof selector === 'string' ? HtmlDocument.parseSelector(selector) : selector;
+    const usesScope = complex => complex.some(part => part.compound.pseudos.some(pseudo => pseudo.name === 'scope'));
+    const matches = element => list.some(complex => HtmlDocument.matchesComplex(element, complex, complex.length - 1, node));
+    const found = [];
+
+    if (node.type === 'element' && list.some(usesScope) && matches(node)) {
+      found.push(node);
+    }
+
+    const walk = (current) => {
+      for (const child of HtmlDocument.elementChildren(current)) {
+        if (matches(child)) {
+          found.push(child);
+        }
+        walk(child);
+      }
+    };
+    walk(node);
+
+    return found;
+  }
+
+  /**
+   * Find the first element below a node that matches a selector
+   * @param {Object} node - Document or element to search
+   * @param {string|Object[][]} selector - Selector or parsed selector list
+   * @returns {Object|null} - First matching element
+   */
+  static selectOne(node, selector) {
+    return HtmlDocument.select(node, selector)[0] || null;
+  }
+}
+
+module.exports = HtmlDocument;
@@ -0,0 +1,399 @@
+const config = require('../config');
+
+/**
+ * HTML Sanitizer
+ * Allow-list sanitiser for the HTML that feeds put into item content and summaries
+ */
+class HtmlSanitizer {
+  // Tags kept in the output; anything else is unwrapped and only its text survives
+  static ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'audio', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup', 'dd', 'del',
+    'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+    'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'picture', 'pre', 'q', 's', 'samp', 'small',
+    'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time',
+    'tr', 'u', 'ul', 'video', 'wbr'
+  ]);
+
+  // Tags removed together with everything inside them; iframes from FEED_IFRAME_HOSTS are kept empty
+  static DROPPED_TAGS = new Set([
+    'applet', 'frameset', 'head', 'iframe', 'math', 'noembed', 'noframes', 'noscript', 'object', 'script',
+    'select', 'style', 'svg', 'template', 'textarea', 'title'
+  ]);
+
+  static VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+  static GLOBAL_ATTRIBUTES = ['title', 'lang', 'dir'];
+
+  static ALLOWED_ATTRIBUTES = {
+    a: ['href'],
+    audio: ['src', 'controls', 'preload'],
+    blockquote: ['cite'],
+    col: ['span'],
+    colgroup: ['span'],
+    del: ['cite', 'datetime'],
+    iframe: ['src', 'width', 'height', 'allowfullscreen'],
+    img: ['src', 'srcset', 'alt', 'width', 'height'],
+    ins: ['cite', 'datetime'],
+    li: ['value'],
+    ol: ['start', 'reversed', 'type'],
+    q: ['cite'],
+    source: ['src', 'srcset', 'type', 'media'],
+    td: ['colspan', 'rowspan', 'headers'],
+    th: ['colspan', 'rowspan', 'headers', 'scope'],
+    time: ['datetime'],
+    video: ['src', 'poster', 'controls', 'preload', 'width', 'height']
+  };
+
+  static URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'poster']);
+
+  // mailto: only makes sense for links
+  static URL_SCHEMES = {
+    href: ['http:', 'https:', 'mailto:'],
+    default: ['http:', 'https:']
+  };
+
+  // Images served by analytics and feed statistics services
+  static TRACKER_PATTERNS = [
+    /^https?:\/\/feeds\.feedburner\.com\/~(?:r|ff)\//i,
+    /^https?:\/\/(?:pixel|stats)\.wp\.com\//i,
+    /^https?:\/\/stats\.wordpress\.com\//i,
+    /^https?:\/\/(?:www\.)?google-analytics\.com\//i,
+    /^https?:\/\/[^/]*doubleclick\.net\//i,
+    /^https?:\/\/[^/]*\.feedblitz\.com\/_\/\d+\//i,
+    /^https?:\/\/pixel\.[^/]+\//i
+  ];
+
+  // Block-level tags that separate lines of plain text
+  static BLOCK_TAGS = new Set([
+    'blockquote', 'br', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'hr', 'li', 'ol', 'p', 'pre', 'summary', 'table', 'tr', 'ul'
+  ]);
+
+  static NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0', hellip: '\u2026', mdash: '\u2014',
+    ndash: '\u2013', lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', laquo: '\u00ab',
+    raquo: '\u00bb', bull: '\u2022', middot: '\u00b7', copy: '\u00a9', reg: '\u00ae', trade: '\u2122',
+    euro: '\u20ac', pound: '\u00a3', times: '\u00d7', deg: '\u00b0'
+  };
+
+  // Comments, CDATA sections, doctypes, processing instructions and tags
+  static TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  /**
+   * Decode HTML entities
+   * @param {string} value - Encoded text
+   * @returns {string} - Decoded text
+   */
+  static decodeEntities(value) {
+    return String(value).replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (match, hex, dec, name) => {
+      if (hex || dec) {
+        const codePoint = parseInt(hex || dec, hex ? 16 : 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+      }
+      const decoded = HtmlSanitizer.NAMED_ENTITIES[name.toLowerCase()];
+      return decoded !== undefined ? decoded : match;
+    });
+  }
+
+  /**
+   * Escape text for use in element content or a quoted attribute
+   * @param {string} value - Raw text
+   * @returns {string} - Escaped text
+   */
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Parse the attribute source of a tag
+   * @param {string} source - Everything between the tag name and `>`
+   * @returns {Object} - Decoded attribute values keyed by lower-cased name
+   */
+  static parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      const name = match[1].toLowerCase();
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+
+      if (!(name in attributes)) {
+        attributes[name] = value === undefined ? '' : HtmlSanitizer.decodeEntities(value).trim();
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Resolve a URL attribute and reject unsafe schemes
+   * @param {string} value - Decoded attribute value
+   * @param {string} attribute - Attribute name
+   * @param {string|null} baseUrl - URL relative references are resolved against
+   * @returns {string|null} - Absolute URL, or null if it must be dropped
+   */
+  static safeUrl(value, attribute, baseUrl) {
+    // Browsers ignore control characters and whitespace inside schemes, e.g. "java\tscript:"
+    const url = value.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    if (!url) {
+      return null;
+    }
+
+    const schemes = HtmlSanitizer.URL_SCHEMES[attribute] || HtmlSanitizer.URL_SCHEMES.default;
+    const hasScheme = /^[a-z][a-z0-9+.-]*:/i.test(url.replace(/\s/g, ''));
+
+    try {
+      const resolved = new URL(url, baseUrl || undefined);
+      return schemes.includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+      // Without a base URL, relative references are kept as they are
+      return hasScheme ? null : url;
+    }
+  }
+
+  /**
+   * Resolve every candidate of a srcset attribute
+   * @param {string} value - Decoded srcset
+   * @param {string|null} baseUrl - Base URL
+   * @returns {string|null} - Cleaned srcset
+   */
+  static safeSrcset(value, baseUrl) {
+    const candidates = value.split(/,\s+/)
+      .map(candidate => candidate.trim().split(/\s+/))
+      .map(([url, descriptor]) => {
+        const safe = url && HtmlSanitizer.safeUrl(url, 'src', baseUrl);
+        return safe && `${safe}${descriptor ? ` ${descriptor}` : ''}`;
+      })
+      .filter(Boolean);
+
+    return candidates.length > 0 ? candidates.join(', ') : null;
+  }
+
+  /**
+   * Check whether an iframe points at an allowed embed host
+   * @param {string} src - Resolved iframe URL
+   * @returns {boolean} - Whether the embed is allowed
+   */
+  static isAllowedEmbed(src) {
+    try {
+      const { protocol, hostname } = new URL(src);
+      return protocol === 'https:' && config.FEED_IFRAME_HOSTS
+        .some(host => hostname === host || hostname.endsWith(`.${host}`));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether an image is a tracking pixel
+   * @param {Object} attributes - Sanitised image attributes
+   * @returns {boolean} - Whether the image should be removed
+   */
+  static isTrackingPixel(attributes) {
+    const tiny = ['width', 'height'].some(name => attributes[name] !== undefined && parseInt(attributes[name], 10) <= 1);
+    return tiny || HtmlSanitizer.TRACKER_PATTERNS.some(pattern => pattern.test(attributes.src));
+  }
+
+  /**
+   * Filter the attributes of an allowed tag
+   * @param {string} tag - Tag name
+   * @param {Object} attributes - Parsed attributes
+   * @param {string|null} baseUrl - Base URL
+   * @returns {Object|null} - Attributes to keep, or null if the element must be dropped
+   */
+  static filterAttributes(tag, attributes, baseUrl) {
+    const allowed = [...HtmlSanitizer.GLOBAL_ATTRIBUTES, ...(HtmlSanitizer.ALLOWED_ATTRIBUTES[tag] || [])];
+    const kept = {};
+
+    for (const name of allowed) {
+      if (attributes[name] === undefined) {
+        continue;
+      }
+
+      let value = attributes[name];
+      if (HtmlSanitizer.URL_ATTRIBUTES.has(name)) {
+        value = HtmlSanitizer.safeUrl(value, name, baseUrl);
+      } else if (name === 'srcset') {
+        value = HtmlSanitizer.safeSrcset(value, baseUrl);
+      }
+
+      if (value !== null) {
+        kept[name] = value;
+      }
+    }
+
+    if (tag === 'img' && (!kept.src || HtmlSanitizer.isTrackingPixel(kept))) {
+      return null;
+    }
+
+    if (tag === 'iframe') {
+      if (!kept.src || !HtmlSanitizer.isAllowedEmbed(kept.src)) {
+        return null;
+      }
+      kept.sandbox = 'allow-scripts allow-same-origin allow-popups';
+    }
+
+    if (tag === 'a' && kept.href) {
+      kept.rel = 'noopener noreferrer';
+    }
+
+    return kept;
+  }
+
+  /**
+   * Serialise a start tag
+   * @param {string} tag - Tag name
+   * @param {Object} attributes - Attributes to write
+   * @returns {string} - HTML
+   */
+  static startTag(tag, attributes) {
+    const source = Object.entries(attributes)
+      .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${HtmlSanitizer.escape(value)}"`))
+      .join('');
+    return `<${tag}${source}>`;
+  }
+
+  /**
+   * Sanitise an HTML fragment
+   * @param {string} html - Untrusted HTML
+   * @param {Object} options - Options
+   * @param {string} [options.baseUrl] - URL relative links and images are resolved against
+   * @returns {string} - Safe, well-formed HTML
+   */
+  static sanitize(html, options = {}) {
+    if (!html) {
+      return '';
+    }
+
+    const source = String(html);
+    const baseUrl = options.baseUrl || null;
+    const pattern = new RegExp(HtmlSanitizer.TOKEN_PATTERN.source, 'g');
+    const open = [];
+    let output = '';
+    let position = 0;
+    let match;
+
+    const text = (value) => value.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    while ((match = pattern.exec(source)) !== null) {
+      output += text(source.slice(position, match.index));
+      position = pattern.lastIndex;
+
+      const [token, cdata, closing, rawName, attributeSource] = match;
+
+      if (cdata !== undefined) {
+        output += HtmlSanitizer.escape(cdata);
+        continue;
+      }
+      if (!rawName) {
+        // Comments, doctypes and processing instructions
+        continue;
+      }
+
+      const tag = rawName.toLowerCase();
+
+      if (closing) {
+        const index = open.lastIndexOf(tag);
+        if (index !== -1) {
+          output += open.splice(index).reverse().map(name => `</${name}>`).join('');
+        }
+        continue;
+      }
+
+      const selfClosing = /\/\s*$/.test(attributeSource);
+      const attributes = HtmlSanitizer.filterAttributes(tag, HtmlSanitizer.parseAttributes(attributeSource), baseUrl);
+
+      if (HtmlSanitizer.DROPPED_TAGS.has(tag)) {
+        if (tag === 'iframe' && attributes) {
+          output += `${HtmlSanitizer.startTag(tag, attributes)}</iframe>`;
+        }
+        if (!selfClosing) {
+          // Skip to the matching end tag, or drop the rest of an unterminated document
+          const end = new RegExp(`</${tag}\\s*>`, 'ig');
+          end.lastIndex = position;
+          const endMatch = end.exec(source);
+          position = endMatch ? end.lastIndex : source.length;
+          pattern.lastIndex = position;
+        }
+        continue;
+      }
+
+      if (!HtmlSanitizer.ALLOWED_TAGS.has(tag) || !attributes) {
+        continue;
+      }
+
+      output += HtmlSanitizer.startTag(tag, attributes);
+
+      if (HtmlSanitizer.VOID_TAGS.has(tag)) {
+        continue;
+      }
+      if (selfClosing) {
+        output += `</${tag}>`;
+      } else {
+        open.push(tag);
+      }
+    }
+
+    output += text(source.slice(position));
+    output += open.reverse().map(name => `</${name}>`).join('');
+
+    return output.trim();
+  }
+
+  /**
+   * Convert HTML to plain text for search and previews
+   * @param {string} html - HTML fragment
+   * @returns {string|null} - Plain text with one line per block
+   */
+  static toText(html) {
+    if (!html) {
+      return null;
+    }
+
+    const blockTag = new RegExp(`</?(?:${[...HtmlSanitizer.BLOCK_TAGS].join('|')})\\b[^>]*>`, 'gi');
+
+    const text = HtmlSanitizer.decodeEntities(
+      String(html)
+        .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(blockTag, '\n')
+        .replace(/<[^>]*>/g, '')
+    )
+      .replace(/[ \t\r\f\v\u00a0]+/g, ' ')
+      .replace(/ ?\n[\s]*/g, '\n')
+      .trim();
+
+    return text || null;
+  }
+
+  /**
+   * Sanitise the HTML fields of a normalised feed item and derive its plain text
+   * @param {Object} item - Normalised item
+   * @param {string} baseUrl - Feed URL the item was fetched from
+   * @returns {Object} - Item with sanitised content, summary and content_text
+   */
+  static sanitizeItem(item, baseUrl) {
+    let itemBase = baseUrl;
+    try {
+      itemBase = new URL(item.link || baseUrl, baseUrl).href;
+    } catch (error) {
+      // Fall back to the feed URL for malformed item links
+    }
+
+    const content = HtmlSanitizer.sanitize(item.content, { baseUrl: itemBase }) || null;
+    const summary = HtmlSanitizer.sanitize(item.summary, { baseUrl: itemBase }) || null;
+
+    return {
+      ...item,
+      content,
+      summary,
+      content_text: HtmlSanitizer.toText(content || summary)
+    };
+  }
+}
+
+module.exports = HtmlSanitizer;
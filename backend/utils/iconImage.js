@@ -0,0 +1,288 @@
+const { PNG } = require('pngjs');
+
+/**
+ * Icon Image
+ * Decodes icons served as PNG, uncompressed BMP, or ICO files holding either,
+ * into RGBA pixels, scales them down and encodes them as PNG. Icons come from
+ * untrusted servers, so images larger than MAX_DIMENSION are refused before
+ * any pixels are allocated, and bitmaps are checked against the length of
+ * the data before they are read.
+ */
+class IconImage {
+  static PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+  // Widest and tallest image decoded; icons are scaled down to FEED_ICON_SIZE anyway
+  static MAX_DIMENSION = 1024;
+
+  /**
+   * Identify an image format from its leading bytes
+   * @param {Buffer} buffer - Image data
+   * @returns {string|null} - png, ico, bmp or null
+   */
+  static detectType(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(IconImage.PNG_SIGNATURE)) {
+      return 'png';
+    }
+    if (buffer.length >= 6 && buffer.readUInt16LE(0) === 0 && [1, 2].includes(buffer.readUInt16LE(2))) {
+      return 'ico';
+    }
+    if (buffer.length >= 14 && buffer.toString('latin1', 0, 2) === 'BM') {
+      return 'bmp';
+    }
+    return null;
+  }
+
+  /**
+   * Decode an image into RGBA pixels
+   * @param {Buffer} buffer - Image data
+   * @param {number} size - Preferred size when the file holds several images
+   * @returns {Object} - width, height and RGBA data
+   */
+  static decode(buffer, size = 64) {
+    const type = IconImage.detectType(buffer);
+
+    switch (type) {
+    case 'png':
+      return IconImage.decodePng(buffer);
+    case 'ico':
+      return IconImage.decodeIco(buffer, size);
+    case 'bmp':
+      // The file header ends with the offset of the pixels from the start of the file
+      return IconImage.decodeDib(buffer.subarray(14), { pixelOffset: buffer.readUInt32LE(10) - 14 });
+    default:
+      throw new Error(`Unsupported image format: ${type || 'unknown'}`);
+    }
+  }
+
+  /**
+   * Read the dimensions from a PNG's IHDR chunk without decoding it
+   * @param {Buffer} buffer - PNG data
+   * @returns {Object} - width and height
+   */
+  static readPngSize(buffer) {
+    if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+      throw new Error('PNG image has no header');
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  /**
+   * Decode a PNG image no larger than MAX_DIMENSION on either side
+   * @param {Buffer} buffer - PNG data
+   * @returns {Object} - width, height and RGBA data
+   */
+  static decodePng(buffer) {
+    const { width, height } = IconImage.readPngSize(buffer);
+    if (width > IconImage.MAX_DIMENSION || height > IconImage.MAX_DIMENSION) {
+      throw new Error(`Image is too large: ${width}×${height}`);
+    }
+
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+
+  /**
+   * Decode the entry of an ICO file closest to the wanted size, stored as PNG or as a bitmap
+   * @param {Buffer} buffer - ICO data
+   * @param {number} size - Wanted size
+   * @returns {Object} - width, height and RGBA data
+   */
+  static decodeIco(buffer, size) {
+    const count = buffer.readUInt16LE(4);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      const entry = 6 + i * 16;
+      if (entry + 16 > buffer.length) {
+        break;
+      }
+
+      entries.push({
+        // A stored size of 0 means 256
+        width: buffer[entry] || 256,
+        bitCount: buffer.readUInt16LE(entry + 6),
+        length: buffer.readUInt32LE(entry + 8),
+        offset: buffer.readUInt32LE(entry + 12)
+      });
+    }
+
+    // Smallest image at least as large as wanted, otherwise the largest; deepest colour first
+    const rank = (entry) => (entry.width >= size ? entry.width : 100000 - entry.width);
+    const usable = entries
+      .filter(entry => entry.length > 0 && entry.offset + entry.length <= buffer.length)
+      .sort((a, b) => rank(a) - rank(b) || b.bitCount - a.bitCount);
+
+    if (usable.length === 0) {
+      throw new Error('ICO file contains no images');
+    }
+
+    const data = buffer.subarray(usable[0].offset, usable[0].offset + usable[0].length);
+    if (IconImage.detectType(data) === 'png') {
+      return IconImage.decodePng(data);
+    }
+    return IconImage.decodeDib(data, { icon: true });
+  }
+
+  /**
+   * Decode an uncompressed device-independent bitmap, as found in BMP files
+   * after the file header and in ICO entries. Icon bitmaps are twice as tall
+   * as the image, the AND mask following the pixels, and pixels set in the
+   * mask are transparent unless a 32-bit bitmap carries its own alpha.
+   * @param {Buffer} dib - Bitmap, starting with its BITMAPINFOHEADER
+   * @param {Object} options - icon, and pixelOffset when the pixels do not follow the palette
+   * @returns {Object} - width, height and RGBA data
+   */
+  static decodeDib(dib, options = {}) {
+    if (dib.length < 40 || dib.readUInt32LE(0) < 40 || dib.readUInt32LE(0) > dib.length) {
+      throw new Error('Bitmap header is truncated');
+    }
+
+    const headerSize = dib.readUInt32LE(0);
+    const width = dib.readInt32LE(4);
+    const rawHeight = dib.readInt32LE(8);
+    const bitCount = dib.readUInt16LE(14);
+    const compression = dib.readUInt32LE(16);
+    const colorsUsed = dib.readUInt32LE(32);
+
+    const bottomUp = rawHeight > 0;
+    const height = Math.abs(options.icon ? Math.trunc(rawHeight / 2) : rawHeight);
+
+    // Only BI_RGB, plus BI_BITFIELDS for 32-bit images in the usual BGRA layout
+    if (![1, 4, 8, 24, 32].includes(bitCount) || !(compression === 0 || (compression === 3 && bitCount === 32))) {
+      throw new Error(`Unsupported bitmap: ${bitCount} bits per pixel, compression ${compression}`);
+    }
+    if (width <= 0 || height <= 0) {
+      throw new Error(`Invalid bitmap dimensions: ${width}×${height}`);
+    }
+    if (width > IconImage.MAX_DIMENSION || height > IconImage.MAX_DIMENSION) {
+      throw new Error(`Image is too large: ${width}×${height}`);
+    }
+
+    const paletteOffset = headerSize + (compression === 3 && headerSize === 40 ? 12 : 0);
+    const paletteSize = bitCount <= 8 ? Math.min(colorsUsed || 1 << bitCount, 1 << bitCount) : 0;
+    const pixelOffset = options.pixelOffset !== undefined ? options.pixelOffset : paletteOffset + paletteSize * 4;
+    const stride = Math.floor((width * bitCount + 31) / 32) * 4;
+    const maskOffset = pixelOffset + stride * height;
+    const maskStride = Math.floor((width + 31) / 32) * 4;
+
+    if (paletteOffset + paletteSize * 4 > dib.length || pixelOffset < 0 || maskOffset > dib.length) {
+      throw new Error('Bitmap data is truncated');
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+    let hasAlpha = false;
+
+    for (let y = 0; y < height; y++) {
+      const row = pixelOffset + (bottomUp ? height - 1 - y : y) * stride;
+
+      for (let x = 0; x < width; x++) {
+        const out = (y * width + x) * 4;
+        let pixel = row + x * (bitCount / 8);
+
+        if (bitCount <= 8) {
+          const bit = x * bitCount;
+          const index = (dib[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+          pixel = paletteOffset + Math.min(index, paletteSize - 1) * 4;
+        }
+
+        data[out] = dib[pixel + 2];
+        data[out + 1] = dib[pixel + 1];
+        data[out + 2] = dib[pixel];
+        data[out + 3] = bitCount === 32 ? dib[pixel + 3] : 255;
+        hasAlpha = hasAlpha || (bitCount === 32 && dib[pixel + 3] > 0);
+      }
+    }
+
+    // 32-bit bitmaps that leave the alpha channel empty are opaque, apart from the mask
+    const useMask = options.icon && !hasAlpha && maskOffset + maskStride * height <= dib.length;
+
+    for (let y = 0; y < height && (useMask || (bitCount === 32 && !hasAlpha)); y++) {
+      const maskRow = maskOffset + (bottomUp ? height - 1 - y : y) * maskStride;
+
+      for (let x = 0; x < width; x++) {
+        const masked = useMask && (dib[maskRow + (x >> 3)] >> (7 - (x & 7))) & 1;
+        data[(y * width + x) * 4 + 3] = masked ? 0 : 255;
+      }
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Scale an image down so neither side exceeds a size, averaging the
+   * source pixels each target pixel covers; smaller images are kept as is
+   * @param {Object} image - width, height and RGBA data
+   * @param {number} size - Maximum width and height
+   * @returns {Object} - Scaled image
+   */
+  static resize(image, size) {
+    const scale = size / Math.max(image.width, image.height);
+    if (scale >= 1) {
+      return image;
+    }
+
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.floor(y * image.height / height);
+      const y1 = Math.max(y0 + 1, Math.floor((y + 1) * image.height / height));
+
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.floor(x * image.width / width);
+        const x1 = Math.max(x0 + 1, Math.floor((x + 1) * image.width / width));
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        let alpha = 0;
+
+        // Weight colours by alpha so transparent pixels do not darken the edges
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            const pixel = (sy * image.width + sx) * 4;
+            const weight = image.data[pixel + 3];
+            red += image.data[pixel] * weight;
+            green += image.data[pixel + 1] * weight;
+            blue += image.data[pixel + 2] * weight;
+            alpha += weight;
+          }
+        }
+
+        const out = (y * width + x) * 4;
+        const count = (y1 - y0) * (x1 - x0);
+        if (alpha > 0) {
+          data[out] = Math.round(red / alpha);
+          data[out + 1] = Math.round(green / alpha);
+          data[out + 2] = Math.round(blue / alpha);
+          data[out + 3] = Math.round(alpha / count);
+        }
+      }
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Encode RGBA pixels as PNG
+   * @param {Object} image - width, height and RGBA data
+   * @returns {Buffer} - PNG data
+   */
+  static toPng(image) {
+    const png = new PNG({ width: image.width, height: image.height });
+    image.data.copy(png.data);
+    return PNG.sync.write(png);
+  }
+
+  /**
+   * Convert an icon in any supported format to a PNG no larger than size×size
+   * @param {Buffer} buffer - Image data
+   * @param {number} size - Maximum width and height
+   * @returns {Buffer} - PNG data
+   */
+  static normalize(buffer, size) {
+    return IconImage.toPng(IconImage.resize(IconImage.decode(buffer, size), size));
+  }
+}
+
+module.exports = IconImage;
@@ -0,0 +1,243 @@
+const FeedParser = require('./feedParser');
+const ItemIdentity = require('./itemIdentity');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+/**
+ * Item Archive
+ * Reads the starred and saved articles exported by other readers: Google
+ * Reader and Inoreader `starred.json`, Feedly saved-item exports and JSON Feed
+ * archives. Every article becomes an entry with the feed it came from, the
+ * item in FeedItem shape, when it was saved and the user's tags for it.
+ */
+class ItemArchive {
+  static FORMATS = ['google_reader', 'feedly', 'json_feed'];
+
+  /**
+   * Work out which export a parsed document is
+   * @param {*} document - Parsed JSON
+   * @returns {string|null} - Format, or null if it is none of the supported ones
+   */
+  static detect(document) {
+    if (!document || typeof document !== 'object') {
+      return null;
+    }
+
+    if (/^https?:\/\/jsonfeed\.org\/version\/\d+(?:\.\d+)?\/?$/.test(document.version)) {
+      return 'json_feed';
+    }
+
+    const entries = Array.isArray(document) ? document : document.items;
+    if (!Array.isArray(entries)) {
+      return null;
+    }
+    const entryObjects = entries.filter(entry => entry && typeof entry === 'object');
+
+    // Google Reader streams are named like user/<id>/state/com.google/starred; Inoreader kept the API
+    const googleStream = typeof document.id === 'string' && /^user\/[^/]+\/(state|label)\//.test(document.id);
+    if (googleStream || entryObjects.some(entry => entry.crawlTimeMsec || entry.timestampUsec)) {
+      return 'google_reader';
+    }
+
+    if (Array.isArray(document) || entryObjects.some(entry => entry.originId || entry.fingerprint || entry.actionTimestamp)) {
+      return 'feedly';
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse an export into entries
+   * @param {string|Buffer} source - Exported JSON
+   * @returns {Object} - format, title and entries with feed, item, saved_at and tags
+   */
+  static parse(source) {
+    let document;
+    try {
+      document = JSON.parse(String(source || '').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ValidationError('The file is not valid JSON');
+    }
+
+    const format = ItemArchive.detect(document);
+    if (!format) {
+      throw new ValidationError('The file is not a Google Reader, Inoreader, Feedly or JSON Feed export');
+    }
+
+    if (format === 'json_feed') {
+      return { format, title: FeedParser.firstString(document.title), entries: ItemArchive.readJsonFeed(document) };
+    }
+
+    const entries = (Array.isArray(document) ? document : document.items)
+      .filter(entry => entry && typeof entry === 'object')
+      .map(entry => (format === 'google_reader' ? ItemArchive.readGoogleReaderItem(entry) : ItemArchive.readFeedlyEntry(entry)));
+
+    return { format, title: Array.isArray(document) ? null : FeedParser.firstString(document.title), entries };
+  }
+
+  /**
+   * Convert a timestamp counted from the epoch to ISO 8601
+   * @param {*} value - Timestamp, as a number or numeric string
+   * @param {number} perSecond - Units per second: 1 for seconds, 1000 for milliseconds, 1e6 for microseconds
+   * @returns {string|null} - ISO date
+   */
+  static fromEpoch(value, perSecond) {
+    const number = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(number) || number <= 0) {
+      return null;
+    }
+
+    const date = new Date(Math.floor(number / (perSecond / 1000)));
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Feed an entry came from, given a Google Reader style origin
+   * @param {Object} origin - streamId (feed/<url>), title and htmlUrl
+   * @returns {Object|null} - url, title and html_url, or null if the stream is not a feed
+   */
+  static readOrigin(origin) {
+    const streamId = origin && typeof origin.streamId === 'string' ? origin.streamId : '';
+    if (!streamId.startsWith('feed/')) {
+      return null;
+    }
+
+    return {
+      url: streamId.slice('feed/'.length).trim(),
+      title: FeedParser.firstString(origin.title),
+      html_url: FeedParser.firstString(origin.htmlUrl)
+    };
+  }
+
+  /**
+   * First href of a Google Reader style link list, preferring HTML links
+   * @param {Object[]} links - Objects with href and type
+   * @returns {string|null} - Link
+   */
+  static firstHref(links) {
+    if (!Array.isArray(links)) {
+      return null;
+    }
+
+    const withHref = links.filter(link => link && FeedParser.firstString(link.href));
+    const link = withHref.find(candidate => !candidate.type || /html/i.test(candidate.type)) || withHref[0];
+    return link ? link.href.trim() : null;
+  }
+
+  /**
+   * Build the FeedItem shape shared by the Google Reader and Feedly formats
+   * @param {string|null} guid - Item ID
+   * @param {Object} entry - Exported item
+   * @param {Object} fields - link, published_at and image_url
+   * @returns {Object} - Normalised item
+   */
+  static normalizeItem(guid, entry, fields) {
+    const link = ItemIdentity.cleanLink(fields.link || '');
+    const content = FeedParser.firstString(entry.content && entry.content.content, entry.summary && entry.summary.content);
+    const enclosures = FeedParser.normalizeEnclosures((Array.isArray(entry.enclosure) ? entry.enclosure : [])
+      .filter(enclosure => enclosure && typeof enclosure === 'object')
+      .map(enclosure => ({ url: enclosure.href, mime_type: enclosure.type, length: enclosure.length })));
+
+    return FeedParser.withGuid(guid, {
+      title: FeedParser.itemTitle(entry.title, content, link),
+      link,
+      summary: FeedParser.toText(content),
+      content,
+      author: FeedParser.firstString(entry.author),
+      image_url: fields.image_url || null,
+      published_at: fields.published_at,
+      enclosures
+    });
+  }
+
+  /**
+   * Read a Google Reader or Inoreader item. Labels become tags; the exports
+   * carry no time of starring, so the time the reader recorded the item stands in.
+   * @param {Object} entry - Exported item
+   * @returns {Object} - Entry
+   */
+  static readGoogleReaderItem(entry) {
+    const publishedAt = ItemArchive.fromEpoch(entry.published, 1) || ItemArchive.fromEpoch(entry.updated, 1);
+    const categories = Array.isArray(entry.categories) ? entry.categories : [];
+
+    return {
+      feed: ItemArchive.readOrigin(entry.origin),
+      item: ItemArchive.normalizeItem(FeedParser.firstString(entry.id), entry, {
+        link: ItemArchive.firstHref(entry.alternate) || ItemArchive.firstHref(entry.canonical),
+        published_at: publishedAt
+      }),
+      saved_at: ItemArchive.fromEpoch(entry.timestampUsec, 1e6) || ItemArchive.fromEpoch(entry.crawlTimeMsec, 1000) || publishedAt,
+      tags: ItemArchive.uniqueTags(categories
+        .map(category => /^user\/[^/]+\/label\/(.+)$/.exec(String(category)))
+        .filter(Boolean)
+        .map(match => match[1]))
+    };
+  }
+
+  /**
+   * Read a Feedly entry. Tags other than Feedly's own global ones (such as
+   * global.saved) are kept, and actionTimestamp tells when it was saved.
+   * @param {Object} entry - Exported entry
+   * @returns {Object} - Entry
+   */
+  static readFeedlyEntry(entry) {
+    const publishedAt = ItemArchive.fromEpoch(entry.published, 1000) || ItemArchive.fromEpoch(entry.updated, 1000);
+    const originLink = /^https?:\/\//i.test(entry.originId || '') ? entry.originId : null;
+    const tags = Array.isArray(entry.tags) ? entry.tags : [];
+
+    return {
+      feed: ItemArchive.readOrigin(entry.origin),
+      item: ItemArchive.normalizeItem(FeedParser.firstString(entry.originId, entry.id), entry, {
+        link: FeedParser.firstString(entry.canonicalUrl) || ItemArchive.firstHref(entry.canonical) ||
+          ItemArchive.firstHref(entry.alternate) || originLink,
+        published_at: publishedAt,
+        image_url: entry.visual && /^https?:\/\//i.test(entry.visual.url || '') ? entry.visual.url : null
+      }),
+      saved_at: ItemArchive.fromEpoch(entry.actionTimestamp, 1000) || ItemArchive.fromEpoch(entry.crawled, 1000) || publishedAt,
+      tags: ItemArchive.uniqueTags(tags
+        .filter(tag => tag && typeof tag.id === 'string' && !/\/tag\/global\./.test(tag.id))
+        .map(tag => FeedParser.firstString(tag.label) || tag.id.replace(/^.*\/tag\//, '')))
+    };
+  }
+
+  /**
+   * Read the items of a JSON Feed archive, which all belong to the archived
+   * feed. JSON Feed has no time of saving, so items count as saved when published.
+   * @param {Object} document - JSON Feed document
+   * @returns {Object[]} - Entries
+   */
+  static readJsonFeed(document) {
+    const url = FeedParser.firstString(document.feed_url);
+    if (!url) {
+      throw new ValidationError('The JSON Feed archive has no feed_url');
+    }
+
+    const feed = { url, title: FeedParser.firstString(document.title), html_url: FeedParser.firstString(document.home_page_url) };
+
+    return (Array.isArray(document.items) ? document.items : [])
+      .filter(entry => entry && typeof entry === 'object')
+      .map((entry) => {
+        const item = FeedParser.normalizeJsonItem(entry, document);
+        return {
+          feed,
+          item,
+          saved_at: item.published_at,
+          tags: ItemArchive.uniqueTags(Array.isArray(entry.tags) ? entry.tags : [])
+        };
+      });
+  }
+
+  /**
+   * Trim tags and drop empty and repeated ones, ignoring case
+   * @param {*[]} tags - Tag names
+   * @returns {string[]} - Tags
+   */
+  static uniqueTags(tags) {
+    const seen = new Set();
+    return tags
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim().slice(0, 255))
+      .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+  }
+}
+
+module.exports = ItemArchive;
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+/**
+ * Item Identity
+ * Derives stable identities for feed items so missing or unstable GUIDs and
+ * articles syndicated under several feeds can be recognised
+ */
+class ItemIdentity {
+  // Query parameters that only carry campaign or click tracking
+  static TRACKING_PARAMS = [
+    /^utm_/i,
+    /^(?:fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|igshid|twclid|mc_cid|mc_eid|_hsenc|_hsmi|mkt_tok|vero_id|oly_anon_id|oly_enc_id|ncid|wt_mc|_ga)$/i
+  ];
+
+  /**
+   * Check whether a query parameter is a tracking parameter
+   * @param {string} name - Parameter name
+   * @returns {boolean} - Whether it should be stripped
+   */
+  static isTrackingParam(name) {
+    return ItemIdentity.TRACKING_PARAMS.some(pattern => pattern.test(name));
+  }
+
+  /**
+   * Strip tracking parameters from a link, leaving everything else untouched
+   * @param {string} link - Item link, possibly relative
+   * @returns {string} - Cleaned link
+   */
+  static cleanLink(link) {
+    if (!link) {
+      return link;
+    }
+
+    const [beforeHash, ...hash] = String(link).trim().split('#');
+    const queryStart = beforeHash.indexOf('?');
+    if (queryStart === -1) {
+      return String(link).trim();
+    }
+
+    const params = beforeHash.slice(queryStart + 1)
+      .split('&')
+      .filter(param => param && !ItemIdentity.isTrackingParam(decodeURIComponent(param.split('=')[0].replace(/\+/g, ' '))));
+    const query = params.length > 0 ? `?${params.join('&')}` : '';
+
+    return `${beforeHash.slice(0, queryStart)}${query}${hash.length > 0 ? `#${hash.join('#')}` : ''}`;
+  }
+
+  /**
+   * Canonical form of a link used to match the same article across feeds:
+   * scheme, "www.", fragment, trailing slash and parameter order are ignored
+   * @param {string} link - Item link
+   * @returns {string|null} - Canonical URL, or null for relative links and site roots
+   */
+  static canonicalUrl(link) {
+    if (!link) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(ItemIdentity.cleanLink(link));
+    } catch (error) {
+      return null;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+
+    const path = url.pathname.replace(/\/+$/, '');
+    url.searchParams.sort();
+    const query = url.searchParams.toString();
+
+    // Many feeds point every item at their homepage, which identifies nothing
+    if (!path && !query) {
+      return null;
+    }
+
+    return `${url.host.replace(/^www\./, '')}${path}${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Normalise a title for comparison
+   * @param {string} title - Item title
+   * @returns {string} - Lower-cased title without punctuation or repeated whitespace
+   */
+  static normalizeTitle(title) {
+    return String(title || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Deterministic identity built from the normalised link, title and publication day
+   * @param {Object} item - Normalised item
+   * @returns {string|null} - SHA-256 hex digest, or null if the item carries nothing to identify it by
+   */
+  static identityHash(item) {
+    const link = ItemIdentity.canonicalUrl(item.link) || ItemIdentity.cleanLink(item.link) || '';
+    const title = ItemIdentity.normalizeTitle(item.title);
+    // Some feeds restamp their items on every build, so only the day is used
+    const day = item.published_at ? String(item.published_at).slice(0, 10) : '';
+
+    if (!link && !title) {
+      return null;
+    }
+
+    return crypto.createHash('sha256').update([link, title, day].join('\n')).digest('hex');
+  }
+
+  /**
+   * GUID for items whose feed does not provide one
+   * @param {Object} item - Normalised item
+   * @returns {string|null} - Synthesised GUID
+   */
+  static synthesizeGuid(item) {
+    const hash = ItemIdentity.identityHash(item);
+    return hash ? `urn:sha256:${hash}` : null;
+  }
+}
+
+module.exports = ItemIdentity;
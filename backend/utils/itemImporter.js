@@ -0,0 +1,232 @@
+const config = require('../config');
+const Bookmark = require('../models/Bookmark');
+const Category = require('../models/Category');
+const Feed = require('../models/Feed');
+const FeedItem = require('../models/FeedItem');
+const ItemImport = require('../models/ItemImport');
+const HtmlSanitizer = require('./htmlSanitizer');
+const { ValidationUtils } = require('./validation');
+const { logger } = require('./logger');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+/**
+ * Item Importer
+ * Runs imports of starred and saved articles in the background. Each article
+ * is matched to an item the user can already see, or else stored in a private
+ * feed of imported articles, so uploaded content never reaches shared feeds.
+ * It is then bookmarked with its original saved date and filed under
+ * categories named after its tags. Progress is checkpointed after every
+ * batch, and imports interrupted by a shutdown resume on the next start.
+ */
+class ItemImporter {
+  constructor(options = {}) {
+    this.batchSize = options.batchSize || config.ITEM_IMPORT_BATCH_SIZE;
+    this.runs = new Map();
+    this.stopping = false;
+  }
+
+  /**
+   * Resume the imports left running by the previous process
+   * @returns {Promise<number>} - Imports resumed
+   */
+  async start() {
+    this.stopping = false;
+
+    const running = await ItemImport.findRunning();
+    running.forEach(job => this.launch(job));
+
+    if (running.length > 0) {
+      logger.info(`Resuming ${running.length} item imports`);
+    }
+    return running.length;
+  }
+
+  /**
+   * Pause running imports after their current batch; they resume on the next start
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopping = true;
+    await Promise.all(this.runs.values());
+    logger.info('Item importer stopped');
+  }
+
+  /**
+   * Store a parsed archive as an import and start it
+   * @param {number} userId - User the articles are for
+   * @param {Object} archive - format and entries as read by ItemArchive.parse
+   * @returns {Promise<ItemImport>} - Running import
+   */
+  async create(userId, archive) {
+    const job = await ItemImport.create({ user_id: userId, format: archive.format, entries: archive.entries });
+    this.launch(job);
+    return job;
+  }
+
+  /**
+   * Run an import in the background unless it is running already
+   * @param {ItemImport} job - Import
+   * @returns {Promise<ItemImport>} - Settles when the import finishes or pauses
+   */
+  launch(job) {
+    if (!this.runs.has(job.id)) {
+      this.runs.set(job.id, this.run(job).finally(() => this.runs.delete(job.id)));
+    }
+    return this.runs.get(job.id);
+  }
+
+  /**
+   * Import the entries from the last checkpoint on, batch by batch
+   * @param {ItemImport} job - Import
+   * @returns {Promise<ItemImport>} - The import, finished unless the importer is stopping
+   */
+  async run(job) {
+    const start = Date.now();
+    const feeds = new Map();
+    const categories = new Map();
+
+    try {
+      const entries = await job.loadEntries();
+      const progress = {
+        position: job.position,
+        items_created: job.items_created,
+        bookmarks_created: job.bookmarks_created,
+        skipped: job.skipped,
+        failed: job.failed,
+        errors: [...job.errors]
+      };
+
+      while (progress.position < entries.length) {
+        if (this.stopping) {
+          logger.info(`Item import ${job.id} paused at ${progress.position} of ${entries.length} entries`);
+          return job;
+        }
+
+        const batch = entries.slice(progress.position, progress.position + this.batchSize);
+
+        for (const [offset, entry] of batch.entries()) {
+          try {
+            const result = await this.importEntry(job.user_id, entry, feeds, categories);
+            progress.items_created += result.itemCreated ? 1 : 0;
+            progress.bookmarks_created += result.bookmarkCreated ? 1 : 0;
+            progress.skipped += result.bookmarkCreated ? 0 : 1;
+          } catch (error) {
+            progress.failed++;
+            if (progress.errors.length < ItemImport.MAX_ERRORS) {
+              progress.errors.push({
+                index: progress.position + offset,
+                title: entry.item ? entry.item.title : null,
+                error: error instanceof ValidationError ? error.message : 'The article could not be stored'
+              });
+            }
+            logger.warn(`Item import ${job.id} entry ${progress.position + offset} failed: ${error.message}`);
+          }
+        }
+
+        progress.position += batch.length;
+        await job.checkpoint(progress);
+      }
+
+      await job.finish('completed');
+      logger.info(`Item import ${job.id} for user ${job.user_id}: ${progress.items_created} items and ` +
+        `${progress.bookmarks_created} bookmarks created, ${progress.skipped} skipped, ${progress.failed} failed ` +
+        `(${Date.now() - start}ms)`);
+    } catch (error) {
+      logger.error(`Item import ${job.id} failed:`, error);
+      await job.finish('failed', 'The import stopped unexpectedly').catch(finishError => {
+        logger.error(`Item import ${job.id} could not be marked as failed:`, finishError);
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Bookmark and tag one article, storing it first when the user cannot see it yet
+   * @param {number} userId - User ID
+   * @param {Object} entry - feed, item, saved_at and tags
+   * @param {Map} feeds - Feeds already resolved during the run, by URL
+   * @param {Map} categories - Categories already resolved during the run, by lower-cased name
+   * @returns {Promise<Object>} - Whether the item and the bookmark were created
+   */
+  async importEntry(userId, entry, feeds, categories) {
+    if (!entry.feed || !entry.feed.url) {
+      throw new ValidationError('The article does not name the feed it came from');
+    }
+
+    const url = ValidationUtils.withDefaultScheme(entry.feed.url);
+    if (!ValidationUtils.isValidUrl(url)) {
+      throw new ValidationError('Not a valid http(s) feed URL');
+    }
+
+    const item = HtmlSanitizer.sanitizeItem(entry.item, entry.item.link || entry.feed.html_url || url);
+    let storedItem = await FeedItem.findVisibleCopy(userId, item, url);
+    let itemCreated = false;
+
+    if (!storedItem) {
+      const feed = await this.resolveFeed(userId, url, entry.feed.title, feeds);
+      ({ item: storedItem, created: itemCreated } = await FeedItem.findOrInsert(feed.id, item));
+    }
+
+    const { created: bookmarkCreated } = await Bookmark.add({
+      user_id: userId,
+      item_id: storedItem.id,
+      bookmarked_at: entry.saved_at
+    });
+
+    for (const tag of entry.tags) {
+      const key = tag.toLowerCase();
+      if (!categories.has(key)) {
+        categories.set(key, (await Category.findOrCreate(tag)).category);
+      }
+      await categories.get(key).addItem(storedItem.id);
+    }
+
+    return { itemCreated, bookmarkCreated };
+  }
+
+  /**
+   * Find the user's private feed at an article's feed URL for articles they cannot see
+   * anywhere else, adding a feed of imported articles, which is never fetched, if they have none
+   * @param {number} userId - User ID
+   * @param {string} url - Feed URL
+   * @param {string|null} title - Feed title from the export
+   * @param {Map} feeds - Feeds already resolved during the run, by URL
+   * @returns {Promise<Feed>} - Feed
+   */
+  async resolveFeed(userId, url, title, feeds) {
+    if (!feeds.has(url)) {
+      let feed = await Feed.findByUrl(url, userId);
+
+      if (!feed) {
+        try {
+          feed = await Feed.create({
+            name: title || new URL(url).hostname,
+            url,
+            owner_id: userId,
+            status: 'paused',
+            paused_reason: Feed.IMPORT_PAUSE_REASON
+          });
+        } catch (error) {
+          // The user added the feed in the meantime
+          feed = await Feed.findByUrl(url, userId);
+          if (!feed) {
+            throw error;
+          }
+        }
+      }
+
+      feeds.set(url, feed);
+    }
+
+    return feeds.get(url);
+  }
+}
+
+// Create singleton instance
+const itemImporter = new ItemImporter();
+
+module.exports = itemImporter;
+
+// Export the class for tests and custom batch sizes
+module.exports.ItemImporter = ItemImporter;
@@ -0,0 +1,250 @@
+const cron = require('node-cron');
+const config = require('../config');
+const { db } = require('../db/database');
+const PollLog = require('../models/PollLog');
+const { logger } = require('./logger');
+
+/**
+ * Item Retention
+ * Periodically prunes old feed items by count and age, per feed and globally,
+ * while keeping every item a user has bookmarked or referenced from a nugget;
+ * old poll logs are pruned on the same schedule
+ */
+class ItemRetention {
+  // SQLite accepts at most 999 bound variables per statement
+  static BATCH_SIZE = 500;
+
+  constructor(options = {}) {
+    this.schedule = options.schedule || config.FEED_RETENTION_SCHEDULE;
+    this.maxItemsPerFeed = options.maxItemsPerFeed !== undefined ? options.maxItemsPerFeed : config.FEED_MAX_ITEMS_PER_FEED;
+    this.maxAgeDays = options.maxAgeDays !== undefined ? options.maxAgeDays : config.FEED_MAX_ITEM_AGE_DAYS;
+    this.maxItemsTotal = options.maxItemsTotal !== undefined ? options.maxItemsTotal : config.FEED_MAX_ITEMS_TOTAL;
+    this.pollLogMaxAgeDays = options.pollLogMaxAgeDays !== undefined ? options.pollLogMaxAgeDays : config.POLL_LOG_MAX_AGE_DAYS;
+    this.task = null;
+    this.currentRun = null;
+    this.lastReport = null;
+  }
+
+  /**
+   * Effective retention limits of a feed; per-feed settings override the defaults and 0 disables a limit
+   * @param {Object} feed - Feed with optional retention_max_items and retention_max_age_days
+   * @param {Object} defaults - Default limits
+   * @returns {Object} - maxItems and maxAgeDays
+   */
+  static limitsFor(feed, defaults = {}) {
+    const pick = (override, fallback) => (override !== null && override !== undefined ? override : fallback);
+
+    return {
+      maxItems: pick(feed.retention_max_items, pick(defaults.maxItems, config.FEED_MAX_ITEMS_PER_FEED)),
+      maxAgeDays: pick(feed.retention_max_age_days, pick(defaults.maxAgeDays, config.FEED_MAX_ITEM_AGE_DAYS))
+    };
+  }
+
+  /**
+   * Oldest publication date kept under an age limit
+   * @param {number} maxAgeDays - Age limit in days, 0 for none
+   * @param {Date} now - Reference time
+   * @returns {string|null} - ISO cutoff or null
+   */
+  static cutoffFor(maxAgeDays, now = new Date()) {
+    return maxAgeDays > 0 ? new Date(now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString() : null;
+  }
+
+  /**
+   * Check whether a normalised item is already past an age limit, so the
+   * poller does not ingest items the next retention run would remove
+   * @param {Object} item - Normalised item
+   * @param {number} maxAgeDays - Age limit in days, 0 for none
+   * @param {Date} now - Reference time
+   * @returns {boolean} - Whether the item is expired
+   */
+  static isExpired(item, maxAgeDays, now = new Date()) {
+    const cutoff = ItemRetention.cutoffFor(maxAgeDays, now);
+    return Boolean(cutoff && item.published_at && item.published_at < cutoff);
+  }
+
+  /**
+   * Restrict a FeedItem query to items no user has bookmarked or referenced from a nugget
+   * @param {Object} query - Knex query on FeedItem
+   * @returns {Object} - The same query
+   */
+  static unprotected(query) {
+    return query
+      .whereNotExists(db('Bookmark').select(db.raw(1)).whereRaw('Bookmark.item_id = FeedItem.id'))
+      .whereNotExists(db('Nugget').select(db.raw(1)).whereRaw('Nugget.item_id = FeedItem.id'));
+  }
+
+  /**
+   * IDs of the unprotected items ranked below the newest `keep`
+   * @param {Function} scope - Applies the feed restriction, if any
+   * @param {number} keep - Number of items to keep
+   * @returns {Promise<number[]>} - Prunable item IDs
+   */
+  static async findOverflow(scope, keep) {
+    const rows = await ItemRetention.unprotected(scope(db('FeedItem').select('FeedItem.id')))
+      .whereNotIn('FeedItem.id', scope(db('FeedItem').select('FeedItem.id'))
+        .orderByRaw('COALESCE(FeedItem.published_at, FeedItem.created_at) DESC, FeedItem.id DESC')
+        .limit(keep));
+
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * IDs of the items published before a cutoff
+   * @param {Function} scope - Applies the feed restriction, if any
+   * @param {string} cutoff - ISO cutoff
+   * @returns {Promise<number[]>} - Prunable item IDs
+   */
+  static async findExpired(scope, cutoff) {
+    const rows = await ItemRetention.unprotected(scope(db('FeedItem').select('FeedItem.id')))
+      .whereRaw('julianday(COALESCE(FeedItem.published_at, FeedItem.created_at)) < julianday(?)', [cutoff]);
+
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Delete items together with their read states
+   * @param {number[]} itemIds - Items to delete
+   * @returns {Promise<Object>} - Numbers of deleted items and read states
+   */
+  static async removeItems(itemIds) {
+    const removed = { items: 0, read_states: 0 };
+
+    for (let start = 0; start < itemIds.length; start += ItemRetention.BATCH_SIZE) {
+      const batch = itemIds.slice(start, start + ItemRetention.BATCH_SIZE);
+
+      // Read states of pruned items carry no information any more
+      removed.read_states += await db('ReadState').whereIn('item_id', batch).del();
+      removed.items += await db('FeedItem').whereIn('id', batch).del();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Apply every retention limit once
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Report of what was removed
+   */
+  async prune(now = new Date()) {
+    const start = Date.now();
+    const report = {
+      started_at: now.toISOString(),
+      items_removed: 0,
+      read_states_removed: 0,
+      removed_by_reason: { max_items: 0, max_age: 0, global_max_items: 0 },
+      protected_items: 0,
+      poll_logs_removed: 0,
+      feeds: []
+    };
+
+    const apply = async (itemIds, reason, feedReport) => {
+      const removed = await ItemRetention.removeItems(itemIds);
+      report.items_removed += removed.items;
+      report.read_states_removed += removed.read_states;
+      report.removed_by_reason[reason] += removed.items;
+      if (feedReport) {
+        feedReport.removed += removed.items;
+      }
+    };
+
+    const feeds = await db('Feed').select('id', 'url', 'retention_max_items', 'retention_max_age_days').orderBy('id');
+    const defaults = { maxItems: this.maxItemsPerFeed, maxAgeDays: this.maxAgeDays };
+
+    for (const feed of feeds) {
+      const { maxItems, maxAgeDays } = ItemRetention.limitsFor(feed, defaults);
+      const scope = (query) => query.where('FeedItem.feed_id', feed.id);
+      const feedReport = { feed_id: feed.id, url: feed.url, removed: 0 };
+
+      const cutoff = ItemRetention.cutoffFor(maxAgeDays, now);
+      if (cutoff) {
+        await apply(await ItemRetention.findExpired(scope, cutoff), 'max_age', feedReport);
+      }
+
+      if (maxItems > 0) {
+        await apply(await ItemRetention.findOverflow(scope, maxItems), 'max_items', feedReport);
+      }
+
+      if (feedReport.removed > 0) {
+        report.feeds.push(feedReport);
+      }
+    }
+
+    if (this.maxItemsTotal > 0) {
+      await apply(await ItemRetention.findOverflow(query => query, this.maxItemsTotal), 'global_max_items');
+    }
+
+    // Bookmarked and nugget-referenced items are never pruned
+    const [{ count }] = await db('FeedItem')
+      .where(builder => builder
+        .whereExists(db('Bookmark').select(db.raw(1)).whereRaw('Bookmark.item_id = FeedItem.id'))
+        .orWhereExists(db('Nugget').select(db.raw(1)).whereRaw('Nugget.item_id = FeedItem.id')))
+      .count('FeedItem.id as count');
+    report.protected_items = count;
+
+    const pollLogCutoff = ItemRetention.cutoffFor(this.pollLogMaxAgeDays, now);
+    if (pollLogCutoff) {
+      report.poll_logs_removed = await PollLog.deleteOlderThan(pollLogCutoff);
+    }
+
+    report.duration_ms = Date.now() - start;
+    this.lastReport = report;
+
+    logger.info(`Retention removed ${report.items_removed} items and ${report.read_states_removed} read states ` +
+      `from ${report.feeds.length} feeds, and ${report.poll_logs_removed} poll logs, in ${report.duration_ms}ms`, report.removed_by_reason);
+    return report;
+  }
+
+  /**
+   * Start the retention schedule
+   * @returns {boolean} - True if the schedule was started
+   */
+  start() {
+    if (this.task) {
+      return false;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.runOnce().catch(error => logger.error('Item retention run failed:', error));
+    });
+
+    logger.info(`Item retention started (${this.schedule})`);
+    return true;
+  }
+
+  /**
+   * Stop the retention schedule and wait for the current run to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('Item retention stopped');
+  }
+
+  /**
+   * Prune once; overlapping calls share the running pass
+   * @returns {Promise<Object>} - Retention report
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.prune().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+}
+
+// Create singleton instance
+const itemRetention = new ItemRetention();
+
+module.exports = itemRetention;
+module.exports.ItemRetention = ItemRetention;
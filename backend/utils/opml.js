@@ -0,0 +1,111 @@
+const HtmlDocument = require('./htmlDocument');
+const HtmlSanitizer = require('./htmlSanitizer');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+/**
+ * OPML
+ * Reads subscription lists exported by other readers and writes the user's
+ * subscriptions as OPML 2.0. Reading goes through the lenient HTML tree
+ * builder, since real-world OPML files are often not well-formed XML.
+ */
+class Opml {
+  /**
+   * Parse an OPML document into its outline tree
+   * @param {string|Buffer} source - OPML document
+   * @returns {Object} - title and outlines; feeds have title, url and html_url,
+   *   folders have title and outlines
+   */
+  static parse(source) {
+    const document = HtmlDocument.parse(String(source || '').replace(/^\uFEFF/, ''));
+    const body = HtmlDocument.selectOne(document, 'opml > body');
+
+    if (!body) {
+      throw new ValidationError('The file is not an OPML document');
+    }
+
+    const title = HtmlDocument.selectOne(document, 'opml > head > title');
+
+    return {
+      title: title ? HtmlDocument.text(title) || null : null,
+      outlines: Opml.readOutlines(body)
+    };
+  }
+
+  /**
+   * Read the outlines directly inside an element. Outlines with an xmlUrl
+   * are feeds, outlines holding others are folders; anything else is ignored.
+   * @param {Object} element - body or outline element
+   * @returns {Object[]} - Feeds and folders
+   */
+  static readOutlines(element) {
+    const outlines = [];
+
+    HtmlDocument.elementChildren(element)
+      .filter(child => child.tag === 'outline')
+      .forEach((outline) => {
+        const { xmlurl: url, htmlurl: htmlUrl, text, title } = outline.attributes;
+        const name = text || title || null;
+
+        if (url) {
+          outlines.push({ title: name, url, html_url: htmlUrl || null });
+          return;
+        }
+
+        const children = Opml.readOutlines(outline);
+        if (children.length > 0) {
+          outlines.push({ title: name || 'Untitled', outlines: children });
+        }
+      });
+
+    return outlines;
+  }
+
+  /**
+   * Write folders and subscriptions as an OPML 2.0 document
+   * @param {Object} tree - folders and subscriptions as built by SubscriptionFolder.buildTree
+   * @param {Object} head - title, ownerName, ownerEmail and dateCreated
+   * @returns {string} - OPML document
+   */
+  static build(tree, head = {}) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<opml version="2.0">', '  <head>'];
+
+    const dateCreated = head.dateCreated || new Date();
+    lines.push(`    <title>${HtmlSanitizer.escape(head.title || 'Subscriptions')}</title>`);
+    lines.push(`    <dateCreated>${dateCreated.toUTCString()}</dateCreated>`);
+    if (head.ownerName) {
+      lines.push(`    <ownerName>${HtmlSanitizer.escape(head.ownerName)}</ownerName>`);
+    }
+    if (head.ownerEmail) {
+      lines.push(`    <ownerEmail>${HtmlSanitizer.escape(head.ownerEmail)}</ownerEmail>`);
+    }
+    lines.push('  </head>', '  <body>');
+
+    const attribute = (name, value) => ` ${name}="${HtmlSanitizer.escape(value)}"`;
+    const writeNode = (node, depth) => {
+      const indent = '  '.repeat(depth);
+
+      node.folders.forEach((folder) => {
+        if (folder.folders.length === 0 && folder.subscriptions.length === 0) {
+          lines.push(`${indent}<outline${attribute('text', folder.name)}${attribute('title', folder.name)}/>`);
+          return;
+        }
+
+        lines.push(`${indent}<outline${attribute('text', folder.name)}${attribute('title', folder.name)}>`);
+        writeNode(folder, depth + 1);
+        lines.push(`${indent}</outline>`);
+      });
+
+      node.subscriptions.forEach((subscription) => {
+        const title = subscription.title || subscription.feed.name;
+        lines.push(`${indent}<outline${attribute('type', 'rss')}${attribute('text', title)}${attribute('title', title)}` +
+          `${attribute('xmlUrl', subscription.feed.url)}/>`);
+      });
+    };
+    writeNode(tree, 2);
+
+    lines.push('  </body>', '</opml>', '');
+    return lines.join('\n');
+  }
+}
+
+module.exports = Opml;
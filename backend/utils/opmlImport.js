@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const config = require('../config');
+const SubscriptionFolder = require('../models/SubscriptionFolder');
+const UserFeedSubscription = require('../models/UserFeedSubscription');
+const FeedRegistry = require('./feedRegistry');
+const { FeedPoller } = require('./feedPoller');
+const { ValidationUtils } = require('./validation');
+const { logger } = require('./logger');
+const { ValidationError, FeedFetchError } = require('../middlewares/errorHandler');
+
+/**
+ * OPML Import
+ * Subscribes users to the feeds of an uploaded OPML file as a background job.
+ * The outline hierarchy becomes folders, feeds already known by URL or alias
+ * are reused, and each feed is reported as created, skipped or failed.
+ */
+class OpmlImport {
+  // What users are told about feeds that could not be added, by FeedFetchError code
+  static FETCH_ERROR_MESSAGES = {
+    FEED_FETCH_FAILED: 'The feed could not be retrieved',
+    FEED_PARSE_FAILED: 'The document is not a valid RSS, Atom or JSON feed',
+    FEED_TOO_LARGE: 'The feed is too large',
+    NO_FEED_FOUND: 'No feed could be found at this URL',
+    URL_NOT_ALLOWED: 'The feed URL points at an address that is not allowed'
+  };
+
+  constructor(options = {}) {
+    this.registry = options.registry || FeedRegistry;
+    this.concurrency = options.concurrency || config.OPML_IMPORT_CONCURRENCY;
+    this.jobTtl = options.jobTtl !== undefined ? options.jobTtl : config.OPML_IMPORT_JOB_TTL;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Describe a job for API responses
+   * @param {Object} job - Import job
+   * @returns {Object} - Job status, progress and per-feed results
+   */
+  static getPublicData(job) {
+    const count = status => job.feeds.filter(entry => entry.status === status).length;
+
+    return {
+      id: job.id,
+      status: job.status,
+      progress: {
+        total: job.feeds.length,
+        completed: job.feeds.filter(entry => entry.status !== 'pending').length,
+        created: count('created'),
+        skipped: count('skipped'),
+        failed: count('failed')
+      },
+      folders_created: job.folders_created,
+      feeds: job.feeds.map(entry => ({ ...entry })),
+      created_at: job.created_at,
+      finished_at: job.finished_at
+    };
+  }
+
+  /**
+   * Explain why a feed could not be added without revealing internal errors
+   * @param {Error} error - Error raised while adding the feed
+   * @returns {string} - Message for the import results
+   */
+  static errorMessage(error) {
+    if (error instanceof FeedFetchError && OpmlImport.FETCH_ERROR_MESSAGES[error.code]) {
+      return error.httpStatus
+        ? `The feed server responded with HTTP ${error.httpStatus}`
+        : OpmlImport.FETCH_ERROR_MESSAGES[error.code];
+    }
+    if (error instanceof ValidationError) {
+      return error.message;
+    }
+    return 'The feed could not be added';
+  }
+
+  /**
+   * List the feeds of an outline tree with the folder path each sits in
+   * @param {Object[]} outlines - Outlines as read by Opml.parse
+   * @param {string[]} path - Titles of the enclosing folders
+   * @returns {Object[]} - Feeds with title, url and folder path
+   */
+  static flatten(outlines, path = []) {
+    return outlines.flatMap(outline => (outline.outlines
+      ? OpmlImport.flatten(outline.outlines, [...path, outline.title])
+      : [{ title: outline.title, url: outline.url, folder: path }]));
+  }
+
+  /**
+   * Find a job, as long as it belongs to the user
+   * @param {string} jobId - Job ID
+   * @param {number} userId - User ID
+   * @returns {Object|null} - Import job or null
+   */
+  find(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    return job && job.user_id === userId ? job : null;
+  }
+
+  /**
+   * Find the user's job that is still running
+   * @param {number} userId - User ID
+   * @returns {Object|null} - Import job or null
+   */
+  findRunning(userId) {
+    for (const job of this.jobs.values()) {
+      if (job.user_id === userId && job.status === 'running') {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget finished jobs past their lifetime
+   * @param {number} now - Reference time in milliseconds
+   */
+  prune(now = Date.now()) {
+    this.jobs.forEach((job, jobId) => {
+      if (job.finished_at && new Date(job.finished_at).getTime() + this.jobTtl * 1000 < now) {
+        this.jobs.delete(jobId);
+      }
+    });
+  }
+
+  /**
+   * Start importing an OPML outline tree in the background
+   * @param {number} userId - User the subscriptions are for
+   * @param {Object[]} outlines - Outlines as read by Opml.parse
+   * @returns {Object} - Running import job
+   */
+  start(userId, outlines) {
+    this.prune();
+
+    const job = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      status: 'running',
+      folders_created: 0,
+      feeds: OpmlImport.flatten(outlines).map(feed => ({
+        url: feed.url,
+        title: feed.title,
+        folder: feed.folder,
+        status: 'pending',
+        reason: null,
+        feed_id: null,
+        subscription_id: null,
+        error: null
+      })),
+      created_at: new Date().toISOString(),
+      finished_at: null
+    };
+
+    this.jobs.set(job.id, job);
+    job.done = this.run(job);
+    return job;
+  }
+
+  /**
+   * Create the folders a job needs, reusing the user's folders of the same
+   * name in the same place so that importing a file twice adds no copies
+   * @param {Object} job - Import job
+   * @returns {Promise<Map>} - Folder ID by JSON-encoded folder path
+   */
+  async createFolders(job) {
+    const existing = await SubscriptionFolder.findByUser(job.user_id);
+    const folderIds = new Map();
+
+    for (const entry of job.feeds) {
+      let parentId = null;
+
+      for (let depth = 1; depth <= entry.folder.length; depth++) {
+        const key = JSON.stringify(entry.folder.slice(0, depth));
+        const name = entry.folder[depth - 1].slice(0, 255);
+
+        if (!folderIds.has(key)) {
+          let folder = existing.find(candidate => candidate.parent_id === parentId && candidate.name === name);
+          if (!folder) {
+            folder = await SubscriptionFolder.create({ user_id: job.user_id, name, parent_id: parentId });
+            existing.push(folder);
+            job.folders_created++;
+          }
+          folderIds.set(key, folder.id);
+        }
+
+        parentId = folderIds.get(key);
+      }
+    }
+
+    return folderIds;
+  }
+
+  /**
+   * Subscribe to the feeds of a job with bounded concurrency
+   * @param {Object} job - Import job
+   * @returns {Promise<Object>} - Finished job
+   */
+  async run(job) {
+    const start = Date.now();
+
+    try {
+      const folderIds = await this.createFolders(job);
+      const seen = new Set();
+
+      await FeedPoller.runWithConcurrency(job.feeds, this.concurrency, async (entry) => {
+        const url = ValidationUtils.withDefaultScheme(entry.url);
+
+        if (!ValidationUtils.isValidUrl(url)) {
+          Object.assign(entry, { status: 'failed', error: 'Not a valid http(s) feed URL' });
+          return;
+        }
+        if (seen.has(url)) {
+          Object.assign(entry, { status: 'skipped', reason: 'duplicate' });
+          return;
+        }
+        seen.add(url);
+
+        try {
+          // Feeds added here take the publisher's title; the title in the file is the user's own
+          const { feed } = await this.registry.findOrCreate(url);
+          entry.feed_id = feed.id;
+
+          const existing = await UserFeedSubscription.findByUserAndFeed(job.user_id, feed.id);
+          if (existing) {
+            Object.assign(entry, { status: 'skipped', reason: 'already_subscribed', subscription_id: existing.id });
+            return;
+          }
+
+          // A title that differs from the feed's own is the name the user gave it in their old reader
+          const subscription = await UserFeedSubscription.create({
+            user_id: job.user_id,
+            feed_id: feed.id,
+            folder_id: entry.folder.length > 0 ? folderIds.get(JSON.stringify(entry.folder)) : null,
+            custom_title: entry.title && entry.title !== feed.name ? entry.title.slice(0, 255) : null
+          });
+          Object.assign(entry, { status: 'created', subscription_id: subscription.id });
+        } catch (error) {
+          logger.warn(`Importing ${url} for user ${job.user_id} failed: ${error.message}`);
+          Object.assign(entry, { status: 'failed', error: OpmlImport.errorMessage(error) });
+        }
+      });
+    } catch (error) {
+      logger.error(`OPML import ${job.id} failed:`, error);
+      job.feeds.filter(entry => entry.status === 'pending').forEach((entry) => {
+        Object.assign(entry, { status: 'failed', error: 'Import failed' });
+      });
+    }
+
+    job.status = 'completed';
+    job.finished_at = new Date().toISOString();
+
+    const { progress } = OpmlImport.getPublicData(job);
+    logger.info(`OPML import ${job.id} for user ${job.user_id}: ${progress.created} created, ` +
+      `${progress.skipped} skipped, ${progress.failed} failed (${Date.now() - start}ms)`);
+    return job;
+  }
+}
+
+// Create singleton instance
+const opmlImport = new OpmlImport();
+
+module.exports = opmlImport;
+
+// Export the class for tests and custom limits
+module.exports.OpmlImport = OpmlImport;
@@ -0,0 +1,288 @@
+const config = require('../config');
+const FeedFetcher = require('./feedFetcher');
+const FeedParser = require('./feedParser');
+const HtmlDocument = require('./htmlDocument');
+const HtmlSanitizer = require('./htmlSanitizer');
+const ItemIdentity = require('./itemIdentity');
+const { logger } = require('./logger');
+
+/**
+ * Page Scraper
+ * Turns web pages without a feed into feed items using CSS selectors
+ */
+class PageScraper {
+  // Item fields read relative to each item container
+  static FIELDS = ['title', 'link', 'date', 'summary', 'image'];
+
+  // Items returned by a preview
+  static PREVIEW_LIMIT = 20;
+
+  // Attributes read when a field selector does not name one
+  static DEFAULT_ATTRIBUTES = {
+    link: ['href'],
+    date: ['datetime', 'content'],
+    image: ['src', 'data-src', 'data-lazy-src', 'srcset', 'content']
+  };
+
+  /**
+   * Split a field selector into its CSS selector and optional attribute;
+   * `h2 a@href` reads an attribute, and `@href` one of the item container itself
+   * @param {string} value - Field selector
+   * @returns {Object} - selector (parsed, or null for the container) and attribute
+   */
+  static parseFieldSelector(value) {
+    const match = /^([\s\S]*?)(?:@([a-zA-Z_:][\w:.-]*))?$/.exec(String(value || '').trim());
+    const selector = match[1].trim();
+
+    return {
+      selector: selector ? HtmlDocument.parseSelector(selector) : null,
+      attribute: match[2] ? match[2].toLowerCase() : null
+    };
+  }
+
+  /**
+   * Parse every selector of a scraper configuration
+   * @param {Object} scraper - item, field selectors and next_page
+   * @returns {Object} - Parsed selectors
+   */
+  static compile(scraper) {
+    const fields = {};
+    for (const field of PageScraper.FIELDS) {
+      if (scraper[field]) {
+        fields[field] = PageScraper.parseFieldSelector(scraper[field]);
+      }
+    }
+
+    return {
+      item: HtmlDocument.parseSelector(scraper.item),
+      fields,
+      nextPage: scraper.next_page ? PageScraper.parseFieldSelector(scraper.next_page) : null
+    };
+  }
+
+  /**
+   * Read a field from an item container
+   * @param {Object} container - Item container element
+   * @param {string} field - Field name
+   * @param {Object} fieldSelector - Parsed field selector
+   * @returns {string|null} - Raw field value
+   */
+  static readField(container, field, { selector, attribute }) {
+    let element = selector ? HtmlDocument.selectOne(container, selector) : container;
+    if (!element) {
+      return null;
+    }
+
+    if (attribute) {
+      return element.attributes[attribute] || null;
+    }
+
+    // Links and images are usually wrapped, so look inside the matched element too
+    const defaults = PageScraper.DEFAULT_ATTRIBUTES[field] || [];
+    if (field === 'link' && element.attributes.href === undefined) {
+      element = HtmlDocument.selectOne(element, 'a[href]') || element;
+    } else if (field === 'image' && !defaults.some(name => element.attributes[name])) {
+      element = HtmlDocument.selectOne(element, 'img') || element;
+    }
+
+    const value = defaults.map(name => element.attributes[name]).find(Boolean);
+    if (value) {
+      // srcset lists candidates; the first one will do
+      return field === 'image' && !element.attributes.src && element.attributes.srcset === value
+        ? value.trim().split(/\s+/)[0]
+        : value;
+    }
+
+    if (field === 'summary') {
+      return HtmlDocument.innerHtml(element).trim() || null;
+    }
+    // An image or link element without its attribute has nothing to offer
+    return ['link', 'image'].includes(field) ? null : HtmlDocument.text(element) || null;
+  }
+
+  /**
+   * Resolve a URL found on a page
+   * @param {string|null} value - URL, possibly relative
+   * @param {string} baseUrl - Base URL of the page
+   * @returns {string|null} - Absolute http(s) URL or null
+   */
+  static resolveUrl(value, baseUrl) {
+    if (!value) {
+      return null;
+    }
+
+    try {
+      const url = new URL(value.trim(), baseUrl);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Extract the items of a single page
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - URL the page was served from
+   * @param {Object} scraper - Scraper configuration
+   * @returns {Object} - Page title, items in FeedItem shape and the next page URL
+   */
+  static extract(html, pageUrl, scraper) {
+    const compiled = PageScraper.compile(scraper);
+    const document = HtmlDocument.parse(html);
+
+    const base = HtmlDocument.selectOne(document, 'base[href]');
+    const baseUrl = (base && PageScraper.resolveUrl(base.attributes.href, pageUrl)) || pageUrl;
+
+    const title = HtmlDocument.selectOne(document, 'title');
+
+    const items = HtmlDocument.select(document, compiled.item).map((container) => {
+      const value = field => (compiled.fields[field] ? PageScraper.readField(container, field, compiled.fields[field]) : null);
+      const link = ItemIdentity.cleanLink(PageScraper.resolveUrl(value('link'), baseUrl));
+      const summary = value('summary');
+      const itemTitle = value('title');
+
+      if (!itemTitle && !link) {
+        return null;
+      }
+
+      // Links are stable across page layouts; items whose link says nothing fall back to a content hash
+      return FeedParser.withGuid(ItemIdentity.canonicalUrl(link) ? link : null, {
+        title: FeedParser.itemTitle(itemTitle, summary, link),
+        link,
+        summary,
+        content: null,
+        author: null,
+        image_url: PageScraper.resolveUrl(value('image'), baseUrl),
+        published_at: FeedParser.toIsoDate(value('date')),
+        duration: null,
+        episode: null,
+        season: null,
+        episode_type: null,
+        explicit: null,
+        chapters_url: null,
+        chapters_type: null,
+        transcripts: null,
+        enclosures: []
+      });
+    }).filter(Boolean);
+
+    const nextPage = compiled.nextPage
+      ? PageScraper.readField(document, 'link', compiled.nextPage)
+      : null;
+
+    return {
+      title: title ? HtmlDocument.text(title) || null : null,
+      items,
+      nextUrl: PageScraper.resolveUrl(nextPage, baseUrl)
+    };
+  }
+
+  /**
+   * Scrape a fetched page and the pages after it into a normalised feed
+   * @param {Object} response - FeedFetcher response for the first page
+   * @param {Object} scraper - Scraper configuration
+   * @param {Object} options - authHeaders, the authOrigin they may be sent to, and timeout
+   * @returns {Promise<Object>} - Normalised feed in FeedParser shape, plus the pages read
+   */
+  static async scrape(response, scraper, options = {}) {
+    const maxPages = Math.min(scraper.max_pages || 1, config.FEED_SCRAPE_MAX_PAGES);
+    const first = PageScraper.extract(response.body, response.url, scraper);
+    const visited = new Set([response.url]);
+    const items = [];
+    const guids = new Set();
+    let page = first;
+
+    const add = (pageItems) => pageItems.forEach((item) => {
+      if (item.guid && !guids.has(item.guid)) {
+        guids.add(item.guid);
+        items.push(item);
+      }
+    });
+    add(first.items);
+
+    while (page.nextUrl && visited.size < maxPages && !visited.has(page.nextUrl)) {
+      const pageUrl = page.nextUrl;
+      visited.add(pageUrl);
+
+      try {
+        // Credentials stay with the origin of the page that was added, wherever its next links point
+        const next = await FeedFetcher.fetch(pageUrl, {
+          authHeaders: options.authHeaders,
+          authOrigin: options.authOrigin,
+          timeout: options.timeout
+        });
+        page = PageScraper.extract(next.body, next.url, scraper);
+      } catch (error) {
+        // Later pages only add older items, so keep what was found so far
+        logger.warn(`Scraping page ${pageUrl} failed: ${error.message}`);
+        break;
+      }
+
+      const before = items.length;
+      add(page.items);
+      if (items.length === before) {
+        break;
+      }
+    }
+
+    return {
+      title: first.title,
+      link: response.url,
+      description: null,
+      ttl: null,
+      updatePeriod: null,
+      updateFrequency: null,
+      hub: null,
+      self: null,
+      icon: null,
+      items,
+      format: 'html',
+      version: null,
+      pages: [...visited]
+    };
+  }
+
+  /**
+   * Fetch a page and scrape it
+   * @param {string} url - Page URL
+   * @param {Object} scraper - Scraper configuration
+   * @param {Object} options - authHeaders sent to the page's origin, and timeout
+   * @returns {Promise<Object>} - FeedFetcher response and the normalised feed
+   */
+  static async fetchAndScrape(url, scraper, options = {}) {
+    const scrapeOptions = { ...options, authOrigin: new URL(url).origin };
+    const response = await FeedFetcher.fetch(url, scrapeOptions);
+    return { response, feed: await PageScraper.scrape(response, scraper, scrapeOptions) };
+  }
+
+  /**
+   * Show what a scraper configuration extracts from a page, without storing anything
+   * @param {string} url - Page URL
+   * @param {Object} scraper - Scraper configuration
+   * @param {Object} options - authHeaders sent to the page's origin
+   * @returns {Promise<Object>} - Page URL and title, pages read, item count and the first items
+   */
+  static async preview(url, scraper, options = {}) {
+    const { response, feed } = await PageScraper.fetchAndScrape(url, scraper, options);
+
+    return {
+      url: response.url,
+      title: feed.title,
+      pages: feed.pages,
+      total: feed.items.length,
+      items: feed.items.slice(0, PageScraper.PREVIEW_LIMIT).map((item) => {
+        const sanitized = HtmlSanitizer.sanitizeItem(item, response.url);
+        return {
+          guid: item.guid,
+          title: item.title,
+          link: item.link,
+          published_at: item.published_at,
+          summary: sanitized.summary,
+          image_url: item.image_url
+        };
+      })
+    };
+  }
+}
+
+module.exports = PageScraper;
@@ -0,0 +1,293 @@
+const config = require('../config');
+const { db } = require('../db/database');
+const { logger } = require('./logger');
+
+/**
+ * Poll Scheduler
+ * Works out how often each feed should be polled from its publishing
+ * cadence, publisher hints and subscriber overrides
+ */
+class PollScheduler {
+  static UPDATE_PERIODS = {
+    hourly: 3600,
+    daily: 86400,
+    weekly: 604800,
+    monthly: 2592000,
+    yearly: 31536000
+  };
+
+  // Number of recent publication dates used to learn a feed's cadence
+  static CADENCE_SAMPLE_SIZE = 20;
+
+  // Retry delays are spread by up to this fraction either way
+  static BACKOFF_JITTER = 0.2;
+
+  // Responses whose Retry-After header tells us when to come back
+  static RETRY_AFTER_STATUSES = [429, 503];
+
+  /**
+   * Extract the publisher's refresh hint from a parsed feed
+   * @param {Object} parsedFeed - Parsed feed
+   * @returns {number|null} - Hint in seconds
+   */
+  static parseFeedHint(parsedFeed) {
+    if (!parsedFeed) {
+      return null;
+    }
+
+    const hints = [];
+
+    const ttl = parseInt(parsedFeed.ttl);
+    if (ttl > 0) {
+      hints.push(ttl * 60);
+    }
+
+    const period = PollScheduler.UPDATE_PERIODS[String(parsedFeed.updatePeriod || '').trim().toLowerCase()];
+    if (period) {
+      const frequency = parseInt(parsedFeed.updateFrequency) || 1;
+      hints.push(Math.round(period / Math.max(frequency, 1)));
+    }
+
+    return hints.length > 0 ? Math.max(...hints) : null;
+  }
+
+  /**
+   * Extract the Cache-Control max-age from response headers
+   * @param {Object} headers - Response headers
+   * @returns {number|null} - max-age in seconds
+   */
+  static parseMaxAge(headers) {
+    const cacheControl = headers && headers['cache-control'];
+    if (!cacheControl) {
+      return null;
+    }
+
+    const match = /(?:^|,)\s*(?:s-)?max-age=(\d+)/i.exec(cacheControl);
+    const maxAge = match ? parseInt(match[1]) : 0;
+    return maxAge > 0 ? maxAge : null;
+  }
+
+  /**
+   * Parse a Retry-After header given as delta-seconds or an HTTP date
+   * @param {string} value - Retry-After header value
+   * @param {number} now - Reference time in milliseconds
+   * @returns {number|null} - Delay in seconds
+   */
+  static parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+      return null;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      const seconds = parseInt(text);
+      return seconds > 0 ? seconds : null;
+    }
+
+    const date = new Date(text).getTime();
+    if (isNaN(date)) {
+      return null;
+    }
+
+    const seconds = Math.ceil((date - now) / 1000);
+    return seconds > 0 ? seconds : null;
+  }
+
+  /**
+   * Exponential backoff delay with jitter
+   * @param {number} baseInterval - Normal polling interval in seconds
+   * @param {number} failures - Consecutive failures so far
+   * @param {Function} random - Random source returning [0, 1)
+   * @returns {number} - Delay in seconds
+   */
+  static backoffInterval(baseInterval, failures, random = Math.random) {
+    const exponent = Math.max(failures - 1, 0);
+    const delay = Math.min(baseInterval * Math.pow(2, exponent), config.FEED_MAX_BACKOFF_INTERVAL);
+    const jitter = 1 + PollScheduler.BACKOFF_JITTER * (random() * 2 - 1);
+
+    return Math.max(Math.round(delay * jitter), config.FEED_MIN_FETCH_INTERVAL);
+  }
+
+  /**
+   * Learn an interval from the gaps between recent publication dates
+   * @param {Array<string|Date>} publishedDates - Publication dates
+   * @returns {number|null} - Interval in seconds, or null without enough data
+   */
+  static learnInterval(publishedDates) {
+    const times = publishedDates
+      .map(date => new Date(date).getTime())
+      .filter(time => !isNaN(time))
+      .sort((a, b) => b - a);
+
+    if (times.length < 3) {
+      return null;
+    }
+
+    const gaps = [];
+    for (let i = 1; i < times.length; i++) {
+      gaps.push((times[i - 1] - times[i]) / 1000);
+    }
+    gaps.sort((a, b) => a - b);
+
+    const middle = Math.floor(gaps.length / 2);
+    const median = gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+
+    // Poll roughly twice per publishing gap so new items are picked up promptly
+    return Math.round(median / 2);
+  }
+
+  /**
+   * Clamp an interval to the configured bounds
+   * @param {number} seconds - Interval in seconds
+   * @returns {number} - Clamped interval
+   */
+  static clamp(seconds) {
+    return Math.min(Math.max(Math.round(seconds), config.FEED_MIN_FETCH_INTERVAL), config.FEED_MAX_FETCH_INTERVAL);
+  }
+
+  /**
+   * Combine the available signals into an effective interval
+   * @param {Object} signals - fallback, learned, hint, maxAge and override intervals in seconds, and
+   * whether the feed's updates are pushed over WebSub
+   * @returns {Object} - Effective interval and the signal it came from
+   */
+  static computeInterval({ fallback, learned = null, hint = null, maxAge = null, override = null, pushed = false }) {
+    if (override) {
+      return { interval: Math.max(Math.round(override), config.FEED_MIN_FETCH_INTERVAL), source: 'subscriber' };
+    }
+
+    let interval = learned || fallback;
+    let source = learned ? 'cadence' : 'default';
+
+    // Publisher hints are treated as a floor: never poll more often than they ask
+    const publisherFloor = Math.max(hint || 0, maxAge || 0);
+    if (publisherFloor > interval) {
+      interval = publisherFloor;
+      source = 'publisher';
+    }
+
+    // Pushed feeds are only polled as a safety net for missed deliveries
+    if (pushed && config.WEBSUB_POLL_INTERVAL > interval) {
+      interval = config.WEBSUB_POLL_INTERVAL;
+      source = 'websub';
+    }
+
+    return { interval: PollScheduler.clamp(interval), source };
+  }
+
+  /**
+   * Check whether a feed has an unexpired WebSub subscription
+   * @param {Feed} feed - Feed to check
+   * @param {Date} now - Reference time
+   * @returns {boolean} - Whether updates are pushed
+   */
+  static isPushed(feed, now = new Date()) {
+    return feed.websub_state === 'subscribed' &&
+      Boolean(feed.websub_lease_expires_at) &&
+      new Date(feed.websub_lease_expires_at).getTime() > now.getTime();
+  }
+
+  /**
+   * Smallest custom interval among subscribers that want automatic refreshes
+   * @param {number} feedId - Feed ID
+   * @returns {Promise<number|null>} - Override in seconds
+   */
+  static async getSubscriberOverride(feedId) {
+    const row = await db('UserFeedSubscription')
+      .where({ feed_id: feedId, auto_refresh: 1 })
+      .whereNotNull('custom_interval')
+      .min('custom_interval as interval')
+      .first();
+
+    return row && row.interval ? row.interval : null;
+  }
+
+  /**
+   * Recent publication dates for a feed
+   * @param {number} feedId - Feed ID
+   * @returns {Promise<string[]>} - Publication dates, newest first
+   */
+  static async getRecentPublishedDates(feedId) {
+    const rows = await db('FeedItem')
+      .where('feed_id', feedId)
+      .whereNotNull('published_at')
+      .orderBy('published_at', 'desc')
+      .limit(PollScheduler.CADENCE_SAMPLE_SIZE)
+      .select('published_at');
+
+    return rows.map(row => row.published_at);
+  }
+
+  /**
+   * Recompute and store a feed's schedule
+   * @param {Feed} feed - Feed to schedule
+   * @param {Object} options - parsedFeed and headers from the latest fetch
+   * @returns {Promise<Feed>} - Updated feed
+   */
+  static async scheduleFeed(feed, options = {}) {
+    try {
+      const hint = options.parsedFeed ? PollScheduler.parseFeedHint(options.parsedFeed) : feed.hint_interval;
+
+      const { interval, source } = PollScheduler.computeInterval({
+        fallback: feed.fetch_interval,
+        learned: PollScheduler.learnInterval(await PollScheduler.getRecentPublishedDates(feed.id)),
+        hint,
+        maxAge: PollScheduler.parseMaxAge(options.headers),
+        override: await PollScheduler.getSubscriberOverride(feed.id),
+        pushed: PollScheduler.isPushed(feed)
+      });
+
+      const from = feed.last_fetched_at ? new Date(feed.last_fetched_at) : new Date();
+
+      return await feed.update({
+        hint_interval: hint || null,
+        effective_interval: interval,
+        interval_source: source,
+        next_fetch_at: new Date(from.getTime() + interval * 1000).toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error scheduling feed ${feed.id}:`, error);
+      throw new Error('Feed scheduling failed');
+    }
+  }
+
+  /**
+   * Schedule the next attempt after a failed poll
+   * @param {Feed} feed - Feed whose poll failed
+   * @param {Error} error - Error raised by the poll
+   * @returns {Promise<Feed>} - Updated feed
+   */
+  static async scheduleRetry(feed, error = {}) {
+    try {
+      let delay;
+
+      if (feed.status === 'paused') {
+        // Paused feeds are only probed occasionally to see whether they recovered
+        delay = config.FEED_RECOVERY_PROBE_INTERVAL;
+      } else {
+        delay = PollScheduler.backoffInterval(
+          feed.effective_interval || feed.fetch_interval,
+          feed.consecutive_failures || 1
+        );
+
+        if (PollScheduler.RETRY_AFTER_STATUSES.includes(error.httpStatus)) {
+          const retryAfter = PollScheduler.parseRetryAfter(error.retryAfter);
+          if (retryAfter) {
+            delay = Math.max(delay, Math.min(retryAfter, config.FEED_MAX_BACKOFF_INTERVAL));
+          }
+        }
+      }
+
+      const from = feed.last_fetched_at ? new Date(feed.last_fetched_at) : new Date();
+
+      return await feed.update({
+        next_fetch_at: new Date(from.getTime() + delay * 1000).toISOString()
+      });
+    } catch (scheduleError) {
+      logger.error(`Error scheduling retry for feed ${feed.id}:`, scheduleError);
+      throw new Error('Feed scheduling failed');
+    }
+  }
+}
+
+module.exports = PollScheduler;
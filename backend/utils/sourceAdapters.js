@@ -0,0 +1,248 @@
+const config = require('../config');
+
+/**
+ * Source Adapters
+ * Recognise platform URLs that users paste (YouTube channels, subreddits, GitHub
+ * repositories, Mastodon profiles) and rewrite them to the platform's native feed;
+ * adapters may also fill in item fields their platform's feeds leave out
+ *
+ * An adapter is an object with:
+ * - name: unique identifier
+ * - matches(url): whether a page URL belongs to the platform
+ * - feedUrl(url): the native feed URL for a matching page, or null to leave it to discovery
+ * - ownsFeed(url): whether a feed URL is one of the platform's feeds
+ * - transformItem(item): optional, returns a normalised item with platform specifics filled in
+ */
+class SourceAdapters {
+  static adapters = [];
+
+  /**
+   * Whether a URL is on one of the given domains or their subdomains
+   * @param {URL} url - Parsed URL
+   * @param {string[]} domains - Registrable domains
+   * @returns {boolean} - True if the host belongs to a domain
+   */
+  static onDomain(url, domains) {
+    const host = url.hostname.toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  /**
+   * First image source in an HTML fragment
+   * @param {string|null} html - HTML fragment
+   * @returns {string|null} - Image URL
+   */
+  static firstImage(html) {
+    const match = /<img\b[^>]*?\bsrc\s*=\s*["']([^"']+)["']/i.exec(html || '');
+    return match ? match[1].replace(/&amp;/g, '&') : null;
+  }
+
+  /**
+   * Add an adapter; adapters registered later are consulted first, so they can
+   * take over URLs of the built-in ones
+   * @param {Object} adapter - Adapter implementation
+   */
+  static register(adapter) {
+    const required = ['matches', 'feedUrl', 'ownsFeed'];
+    if (!adapter || !adapter.name || required.some(method => typeof adapter[method] !== 'function')) {
+      throw new Error(`Source adapters need a name and ${required.join(', ')} functions`);
+    }
+
+    SourceAdapters.unregister(adapter.name);
+    SourceAdapters.adapters.unshift(adapter);
+  }
+
+  /**
+   * Remove an adapter by name
+   * @param {string} name - Adapter name
+   */
+  static unregister(name) {
+    SourceAdapters.adapters = SourceAdapters.adapters.filter(adapter => adapter.name !== name);
+  }
+
+  /**
+   * Parse a URL, returning null for anything that is not http(s)
+   * @param {string} value - URL
+   * @returns {URL|null} - Parsed URL
+   */
+  static parse(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find the native feed for a platform URL
+   * @param {string} value - URL pasted by a user
+   * @returns {Object|null} - Adapter name and feed URL, or null if no adapter rewrites the URL
+   */
+  static resolve(value) {
+    const url = SourceAdapters.parse(value);
+    if (!url) {
+      return null;
+    }
+
+    // The first adapter that recognises the platform decides, even if it leaves the URL to discovery
+    const adapter = SourceAdapters.adapters.find(candidate => candidate.matches(url));
+    const feedUrl = adapter ? adapter.feedUrl(url) : null;
+
+    return feedUrl ? { adapter: adapter.name, url: feedUrl } : null;
+  }
+
+  /**
+   * Find the adapter a feed URL belongs to
+   * @param {string} value - Feed URL
+   * @returns {Object|null} - Adapter
+   */
+  static forFeed(value) {
+    const url = SourceAdapters.parse(value);
+    return url ? SourceAdapters.adapters.find(adapter => adapter.ownsFeed(url)) || null : null;
+  }
+
+  /**
+   * Apply the item transformations of the adapter owning a feed
+   * @param {string} feedUrl - Feed URL
+   * @param {Object} parsedFeed - Normalised feed
+   * @returns {Object} - Normalised feed with transformed items
+   */
+  static process(feedUrl, parsedFeed) {
+    const adapter = SourceAdapters.forFeed(feedUrl);
+    if (!adapter || typeof adapter.transformItem !== 'function') {
+      return parsedFeed;
+    }
+
+    return { ...parsedFeed, items: parsedFeed.items.map(item => adapter.transformItem({ ...item })) };
+  }
+}
+
+/**
+ * YouTube channels, users and playlists; channel handles (/@name) are left to
+ * discovery, since only the channel page knows its channel ID and announces its feed
+ */
+const youtube = {
+  name: 'youtube',
+  matches: url => SourceAdapters.onDomain(url, ['youtube.com']),
+  feedUrl(url) {
+    const base = 'https://www.youtube.com/feeds/videos.xml';
+    const channel = /^\/channel\/(UC[\w-]+)/.exec(url.pathname);
+    const user = /^\/user\/([^/]+)/.exec(url.pathname);
+    const playlist = url.pathname === '/playlist' && url.searchParams.get('list');
+
+    if (url.pathname === '/feeds/videos.xml') {
+      return url.href;
+    }
+    if (channel) {
+      return `${base}?channel_id=${channel[1]}`;
+    }
+    if (user) {
+      return `${base}?user=${encodeURIComponent(decodeURIComponent(user[1]))}`;
+    }
+    return playlist ? `${base}?playlist_id=${encodeURIComponent(playlist)}` : null;
+  },
+  ownsFeed: url => SourceAdapters.onDomain(url, ['youtube.com']) && url.pathname === '/feeds/videos.xml',
+  transformItem(item) {
+    // Video feeds carry thumbnails in <media:group>; the standard ones are derived from the video ID
+    const video = /[?&]v=([\w-]{11})/.exec(item.link || '') || /\/shorts\/([\w-]{11})/.exec(item.link || '');
+    if (video && !item.image_url) {
+      item.image_url = `https://i.ytimg.com/vi/${video[1]}/hqdefault.jpg`;
+    }
+    return item;
+  }
+};
+
+/**
+ * Subreddits, their sort orders and user pages; old.reddit.com and friends map to the same feed
+ */
+const reddit = {
+  name: 'reddit',
+  matches: url => SourceAdapters.onDomain(url, ['reddit.com']),
+  feedUrl(url) {
+    const match = /^\/(r|u|user)\/([^/]+)((?:\/[^/]+)*?)\/?(?:\.rss)?$/.exec(url.pathname);
+    if (!match) {
+      return null;
+    }
+
+    const section = match[1] === 'u' ? 'user' : match[1];
+    return `https://www.reddit.com/${section}/${match[2]}${match[3]}/.rss${url.search}`;
+  },
+  ownsFeed: url => SourceAdapters.onDomain(url, ['reddit.com']) && /\.rss$/.test(url.pathname),
+  transformItem(item) {
+    // Link posts show their thumbnail as the first image of the content
+    if (!item.image_url) {
+      item.image_url = SourceAdapters.firstImage(item.content);
+    }
+    return item;
+  }
+};
+
+/**
+ * GitHub repositories (releases by default, or the tags and commits pages) and user activity
+ */
+const github = {
+  name: 'github',
+  matches: url => url.hostname.toLowerCase() === 'github.com' || url.hostname.toLowerCase() === 'www.github.com',
+  feedUrl(url) {
+    const segments = url.pathname.split('/').filter(Boolean);
+    const [owner, repo, section, ...rest] = segments;
+
+    if (/\.atom$/.test(url.pathname)) {
+      return `https://github.com${url.pathname}`;
+    }
+    if (!owner) {
+      return null;
+    }
+
+    const base = `https://github.com/${owner}`;
+    if (!repo) {
+      return `${base}.atom`;
+    }
+    if (section === 'commits' || section === 'tree') {
+      return rest.length > 0 ? `${base}/${repo}/commits/${rest.join('/')}.atom` : `${base}/${repo}/commits.atom`;
+    }
+    if (section === 'tags') {
+      return `${base}/${repo}/tags.atom`;
+    }
+    // Issues, pull requests and the like have no feed of their own
+    return !section || section === 'releases' ? `${base}/${repo}/releases.atom` : null;
+  },
+  ownsFeed: url => github.matches(url) && /\.atom$/.test(url.pathname)
+};
+
+/**
+ * Mastodon profiles on the servers listed in MASTODON_HOSTS; accounts of other
+ * servers, written /@name@server, are read from their home server. Paths like
+ * /@name are common on other sites too, so profiles on unlisted servers are
+ * left to discovery, which finds the feed their pages announce.
+ */
+const mastodon = {
+  name: 'mastodon',
+  isServer: url => config.MASTODON_HOSTS.includes(url.hostname.toLowerCase()),
+  matches: url => mastodon.isServer(url) &&
+    /^\/(?:@[\w.-]+(?:@[\w.-]+)?|users\/[\w.-]+)\/?(?:\.rss)?$/.test(url.pathname),
+  feedUrl(url) {
+    const remote = /^\/@([\w.-]+)@([\w.-]+)\/?$/.exec(url.pathname);
+    if (remote) {
+      return `https://${remote[2].toLowerCase()}/@${remote[1]}.rss`;
+    }
+
+    const account = /^\/(?:@|users\/)([\w.-]+?)\/?(?:\.rss)?$/.exec(url.pathname);
+    return `${url.origin}/@${account[1]}.rss`;
+  },
+  ownsFeed: url => mastodon.isServer(url) && /^\/@[\w.-]+\.rss$/.test(url.pathname),
+  transformItem(item) {
+    // Attached pictures arrive as <media:content>; the first one illustrates the post
+    const picture = item.enclosures.find(enclosure => /^image\//.test(enclosure.mime_type || ''));
+    if (picture && !item.image_url) {
+      item.image_url = picture.url;
+    }
+    return item;
+  }
+};
+
+// Mastodon is consulted after the platforms that own their domains
+[mastodon, github, reddit, youtube].forEach(adapter => SourceAdapters.register(adapter));
+
+module.exports = SourceAdapters;
@@ -1,3 +1,6 @@
+const validator = require('validator');
+const config = require('../config');
+const PageScraper = require('./pageScraper');
 const { ValidationError } = require('../middlewares/errorHandler');
 const { logger } = require('./logger');
 
@@ -53,6 +56,37 @@ class ValidationUtils {
     };
   }
 
+  /**
+   * Validate HTTP(S) URL format
+   * @param {string} url - URL to validate
+   * @returns {boolean} - True if URL is valid
+   */
+  static isValidUrl(url) {
+    if (!url || typeof url !== 'string' || url.length > 2048) {
+      return false;
+    }
+
+    return validator.isURL(url.trim(), {
+      protocols: ['http', 'https'],
+      require_protocol: true,
+      require_tld: false
+    });
+  }
+
+  /**
+   * Add https:// to URLs pasted without a scheme
+   * @param {string} url - URL as entered
+   * @returns {string} - URL with a scheme
+   */
+  static withDefaultScheme(url) {
+    if (typeof url !== 'string') {
+      return url;
+    }
+
+    const trimmed = url.trim();
+    return trimmed && !/^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? `https://${trimmed.replace(/^\/\//, '')}` : trimmed;
+  }
+
   /**
    * Validate name format
    * @param {string} name - Name to validate
@@ -411,6 +445,764 @@ class AuthValidation {
   }
 }
 
+/**
+ * Feed Validation Schemas
+ */
+class FeedValidation {
+  static MAX_CREDENTIAL_HEADERS = 20;
+
+  // Headers the HTTP client or the credential fields control
+  static RESERVED_HEADERS = ['authorization', 'cookie', 'host', 'content-length', 'connection', 'transfer-encoding', 'if-none-match', 'if-modified-since'];
+
+  /**
+   * Validate feed credentials; null or undefined means none
+   * @param {*} credentials - Credentials from the request body
+   * @param {string[]} errors - Error list to append to
+   * @returns {Object|null} - Normalised credentials or null
+   */
+  static validateCredentials(credentials, errors) {
+    if (credentials === undefined || credentials === null) {
+      return null;
+    }
+
+    if (typeof credentials !== 'object' || Array.isArray(credentials)) {
+      errors.push('Credentials must be an object');
+      return null;
+    }
+
+    const isHeaderValue = value => typeof value === 'string' && value.length > 0 && value.length <= 4096 && !/[\r\n\0]/.test(value);
+    const normalized = { type: null, headers: {} };
+
+    if (credentials.type !== undefined && credentials.type !== null) {
+      if (!['basic', 'bearer'].includes(credentials.type)) {
+        errors.push('Credential type must be either basic or bearer');
+      } else {
+        normalized.type = credentials.type;
+      }
+    }
+
+    if (normalized.type === 'basic') {
+      if (!isHeaderValue(credentials.username) || credentials.username.includes(':')) {
+        errors.push('Basic credentials need a username without colons');
+      } else if (credentials.password !== undefined && credentials.password !== '' && !isHeaderValue(credentials.password)) {
+        errors.push('Password must be a single line of at most 4096 characters');
+      } else {
+        normalized.username = credentials.username;
+        normalized.password = credentials.password || '';
+      }
+    }
+
+    if (normalized.type === 'bearer') {
+      if (!isHeaderValue(credentials.token)) {
+        errors.push('Bearer credentials need a single-line token of at most 4096 characters');
+      } else {
+        normalized.token = credentials.token;
+      }
+    }
+
+    if (credentials.cookie !== undefined && credentials.cookie !== null) {
+      if (!isHeaderValue(credentials.cookie)) {
+        errors.push('Cookie must be a single line of at most 4096 characters');
+      } else {
+        normalized.cookie = credentials.cookie;
+      }
+    }
+
+    if (credentials.headers !== undefined && credentials.headers !== null) {
+      if (typeof credentials.headers !== 'object' || Array.isArray(credentials.headers)) {
+        errors.push('Headers must be an object of header names to values');
+      } else if (Object.keys(credentials.headers).length > FeedValidation.MAX_CREDENTIAL_HEADERS) {
+        errors.push(`At most ${FeedValidation.MAX_CREDENTIAL_HEADERS} headers are allowed`);
+      } else {
+        for (const [name, value] of Object.entries(credentials.headers)) {
+          if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+            errors.push(`Invalid header name: ${name}`);
+          } else if (FeedValidation.RESERVED_HEADERS.includes(name.toLowerCase())) {
+            errors.push(`Header ${name} cannot be set; use the credential fields instead`);
+          } else if (!isHeaderValue(value)) {
+            errors.push(`Header ${name} must be a single line of at most 4096 characters`);
+          } else {
+            normalized.headers[name] = value;
+          }
+        }
+      }
+    }
+
+    if (!normalized.type && !normalized.cookie && Object.keys(normalized.headers).length === 0) {
+      errors.push('Credentials need a type, a cookie or at least one header');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate the CSS selectors of a scraped page; null or undefined means none
+   * @param {*} scraper - Scraper configuration from the request body
+   * @param {string[]} errors - Error list to append to
+   * @returns {Object|null} - Normalised scraper configuration or null
+   */
+  static validateScraper(scraper, errors) {
+    if (scraper === undefined || scraper === null) {
+      return null;
+    }
+
+    if (typeof scraper !== 'object' || Array.isArray(scraper)) {
+      errors.push('Scraper must be an object of CSS selectors');
+      return null;
+    }
+
+    const normalized = {};
+    const selectorFields = ['item', ...PageScraper.FIELDS, 'next_page'];
+
+    for (const field of selectorFields) {
+      const value = scraper[field];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+
+      if (typeof value !== 'string' || value.length > 500) {
+        errors.push(`Scraper ${field} selector must be a string of at most 500 characters`);
+        continue;
+      }
+
+      try {
+        if (field === 'item') {
+          PageScraper.compile({ item: value });
+        } else {
+          PageScraper.parseFieldSelector(value);
+        }
+        normalized[field] = value.trim();
+      } catch (error) {
+        errors.push(`Scraper ${field}: ${error.message}`);
+      }
+    }
+
+    if (!scraper.item) {
+      errors.push('Scraper needs an item selector');
+    }
+    if (!scraper.title && !scraper.link) {
+      errors.push('Scraper needs a title or link selector');
+    }
+
+    if (scraper.max_pages !== undefined && scraper.max_pages !== null) {
+      const maxPages = parseInt(scraper.max_pages);
+      if (isNaN(maxPages) || maxPages < 1 || maxPages > config.FEED_SCRAPE_MAX_PAGES) {
+        errors.push(`Scraper max_pages must be between 1 and ${config.FEED_SCRAPE_MAX_PAGES}`);
+      } else {
+        normalized.max_pages = maxPages;
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate feed creation data
+   * @param {Object} data - Feed data
+   * @returns {Object} - Validation result
+   */
+  static validateFeedCreate(data) {
+    const errors = [];
+    const url = ValidationUtils.withDefaultScheme(data.url);
+
+    const missingFields = ValidationUtils.getMissingFields(data, ['url']);
+    if (missingFields.length > 0) {
+      errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+
+    if (url && !ValidationUtils.isValidUrl(url)) {
+      errors.push('Please provide a valid http(s) feed or website URL');
+    }
+
+    if (data.name !== undefined && data.name !== null && data.name !== '') {
+      if (typeof data.name !== 'string' || data.name.trim().length > 255) {
+        errors.push('Feed name must be at most 255 characters');
+      }
+    }
+
+    const credentials = FeedValidation.validateCredentials(data.credentials, errors);
+    const scraper = FeedValidation.validateScraper(data.scraper, errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData: {
+        url: typeof url === 'string' ? url : '',
+        name: typeof data.name === 'string' && data.name.trim() ? ValidationUtils.sanitizeString(data.name) : null,
+        credentials,
+        scraper
+      }
+    };
+  }
+
+  /**
+   * Validate a scraper preview request
+   * @param {Object} data - Preview request data
+   * @returns {Object} - Validation result
+   */
+  static validateFeedPreview(data) {
+    const errors = [];
+    const url = ValidationUtils.withDefaultScheme(data.url);
+
+    const missingFields = ValidationUtils.getMissingFields(data, ['url', 'scraper']);
+    if (missingFields.length > 0) {
+      errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+
+    if (url && !ValidationUtils.isValidUrl(url)) {
+      errors.push('Please provide a valid http(s) page URL');
+    }
+
+    const scraper = FeedValidation.validateScraper(data.scraper, errors);
+    const credentials = FeedValidation.validateCredentials(data.credentials, errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData: {
+        url: typeof url === 'string' ? url : '',
+        scraper,
+        credentials
+      }
+    };
+  }
+
+  /**
+   * Validate feed discovery data
+   * @param {Object} data - Discovery request data
+   * @returns {Object} - Validation result
+   */
+  static validateFeedDiscover(data) {
+    const errors = [];
+    const url = ValidationUtils.withDefaultScheme(data.url);
+
+    const missingFields = ValidationUtils.getMissingFields(data, ['url']);
+    if (missingFields.length > 0) {
+      errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+
+    if (url && !ValidationUtils.isValidUrl(url)) {
+      errors.push('Please provide a valid http(s) website URL');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData: {
+        url: typeof url === 'string' ? url : ''
+      }
+    };
+  }
+
+  /**
+   * Validate feed update data
+   * @param {Object} data - Feed update data
+   * @returns {Object} - Validation result
+   */
+  static validateFeedUpdate(data) {
+    const errors = [];
+    const sanitizedData = {};
+
+    if (data.name !== undefined) {
+      if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 255) {
+        errors.push('Feed name must be between 1 and 255 characters');
+      } else {
+        sanitizedData.name = ValidationUtils.sanitizeString(data.name);
+      }
+    }
+
+    if (data.status !== undefined) {
+      if (!['active', 'paused'].includes(data.status)) {
+        errors.push('Status must be either active or paused');
+      } else {
+        sanitizedData.status = data.status;
+      }
+    }
+
+    if (data.fetch_interval !== undefined) {
+      const interval = parseInt(data.fetch_interval);
+      if (isNaN(interval) || interval < 60 || interval > 604800) {
+        errors.push('Fetch interval must be between 60 and 604800 seconds');
+      } else {
+        sanitizedData.fetch_interval = interval;
+      }
+    }
+
+    // Retention overrides: null falls back to the server defaults, 0 disables the limit
+    if (data.retention_max_items !== undefined) {
+      const maxItems = data.retention_max_items === null ? null : parseInt(data.retention_max_items);
+      if (maxItems !== null && (isNaN(maxItems) || maxItems < 0 || maxItems > 100000)) {
+        errors.push('Retention item limit must be between 0 and 100000, or null');
+      } else {
+        sanitizedData.retention_max_items = maxItems;
+      }
+    }
+
+    if (data.retention_max_age_days !== undefined) {
+      const maxAge = data.retention_max_age_days === null ? null : parseInt(data.retention_max_age_days);
+      if (maxAge !== null && (isNaN(maxAge) || maxAge < 0 || maxAge > 3650)) {
+        errors.push('Retention age limit must be between 0 and 3650 days, or null');
+      } else {
+        sanitizedData.retention_max_age_days = maxAge;
+      }
+    }
+
+    // null removes the credentials
+    if (data.credentials !== undefined) {
+      sanitizedData.credentials = FeedValidation.validateCredentials(data.credentials, errors);
+    }
+
+    if (data.scraper !== undefined) {
+      if (data.scraper === null) {
+        errors.push('Scraper selectors cannot be removed');
+      } else {
+        sanitizedData.scraper = FeedValidation.validateScraper(data.scraper, errors);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData
+    };
+  }
+
+  /**
+   * Validate an optional reference to a feed or folder, collecting errors
+   * @param {*} value - ID from the request
+   * @param {string} field - Field name for the error message
+   * @param {string} kind - What the ID names, e.g. folder
+   * @param {string[]} errors - Error list to append to
+   * @returns {number|null|undefined} - The ID, null when cleared, undefined when left out or invalid
+   */
+  static validateOptionalId(value, field, kind, errors) {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (value === null || value === '') {
+      return null;
+    }
+
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+      errors.push(`${field} must be a ${kind} ID`);
+      return undefined;
+    }
+
+    return id;
+  }
+
+  /**
+   * Validate subscription preferences, collecting errors
+   * @param {*} preferences - Preferences from the request
+   * @param {string[]} errors - Error list to append to
+   * @returns {Object} - Sanitised preferences, with only the given settings
+   */
+  static validateSubscriptionPreferences(preferences, errors) {
+    const sanitized = {};
+
+    if (preferences === undefined || preferences === null) {
+      return sanitized;
+    }
+
+    if (typeof preferences !== 'object' || Array.isArray(preferences)) {
+      errors.push('Preferences must be an object');
+      return sanitized;
+    }
+
+    ['auto_refresh', 'show_read_items'].forEach((field) => {
+      if (preferences[field] !== undefined) {
+        if (typeof preferences[field] !== 'boolean') {
+          errors.push(`${field} must be true or false`);
+        } else {
+          sanitized[field] = preferences[field];
+        }
+      }
+    });
+
+    // null goes back to the feed's own schedule
+    if (preferences.custom_interval !== undefined) {
+      const interval = preferences.custom_interval === null ? null : parseInt(preferences.custom_interval);
+      if (interval !== null && (isNaN(interval) || interval < config.FEED_MIN_FETCH_INTERVAL || interval > 604800)) {
+        errors.push(`Custom interval must be between ${config.FEED_MIN_FETCH_INTERVAL} and 604800 seconds, or null`);
+      } else {
+        sanitized.custom_interval = interval;
+      }
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Validate the subscriber's own title, note and display settings, collecting errors
+   * @param {Object} data - Subscription data from the request
+   * @param {string[]} errors - Error list to append to
+   * @returns {Object} - Sanitised custom_title, note and display, with only the given fields
+   */
+  static validateSubscriptionOverrides(data, errors) {
+    const sanitized = {};
+
+    // null or an empty string clears the title or note
+    if (data.custom_title !== undefined) {
+      if (data.custom_title !== null && (typeof data.custom_title !== 'string' || data.custom_title.trim().length > 255)) {
+        errors.push('Custom title must be at most 255 characters');
+      } else {
+        sanitized.custom_title = data.custom_title ? ValidationUtils.sanitizeString(data.custom_title) || null : null;
+      }
+    }
+
+    if (data.note !== undefined) {
+      if (data.note !== null && (typeof data.note !== 'string' || data.note.length > 10000)) {
+        errors.push('Note must be at most 10000 characters');
+      } else {
+        sanitized.note = data.note && data.note.trim() ? data.note : null;
+      }
+    }
+
+    if (data.display === undefined || data.display === null) {
+      return sanitized;
+    }
+
+    if (typeof data.display !== 'object' || Array.isArray(data.display)) {
+      errors.push('Display settings must be an object');
+      return sanitized;
+    }
+
+    sanitized.display = {};
+    const choices = {
+      view: ['list', 'cards', 'magazine'],
+      open_in: ['content', 'original'],
+      sort_order: ['newest', 'oldest']
+    };
+
+    Object.entries(choices).forEach(([field, values]) => {
+      if (data.display[field] !== undefined) {
+        if (!values.includes(data.display[field])) {
+          errors.push(`${field} must be one of: ${values.join(', ')}`);
+        } else {
+          sanitized.display[field] = data.display[field];
+        }
+      }
+    });
+
+    if (data.display.full_text !== undefined) {
+      if (typeof data.display.full_text !== 'boolean') {
+        errors.push('full_text must be true or false');
+      } else {
+        sanitized.display.full_text = data.display.full_text;
+      }
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Validate subscription creation data
+   * @param {Object} data - Subscription data
+   * @returns {Object} - Validation result
+   */
+  static validateSubscriptionCreate(data) {
+    const errors = [];
+    const sanitizedData = { feed_id: null, url: null, name: null };
+
+    const hasFeedId = data.feed_id !== undefined && data.feed_id !== null && data.feed_id !== '';
+    const hasUrl = data.url !== undefined && data.url !== null && data.url !== '';
+
+    if (hasFeedId === hasUrl) {
+      errors.push('Provide either feed_id or url');
+    }
+
+    if (hasFeedId) {
+      const feedId = Number(data.feed_id);
+      if (!Number.isInteger(feedId) || feedId < 1) {
+        errors.push('feed_id must be a feed ID');
+      } else {
+        sanitizedData.feed_id = feedId;
+      }
+    }
+
+    if (hasUrl) {
+      const url = ValidationUtils.withDefaultScheme(data.url);
+      if (!ValidationUtils.isValidUrl(url)) {
+        errors.push('Please provide a valid http(s) feed or website URL');
+      } else {
+        sanitizedData.url = url;
+      }
+    }
+
+    if (data.name !== undefined && data.name !== null && data.name !== '') {
+      if (typeof data.name !== 'string' || data.name.trim().length > 255) {
+        errors.push('Feed name must be at most 255 characters');
+      } else {
+        sanitizedData.name = ValidationUtils.sanitizeString(data.name);
+      }
+    }
+
+    sanitizedData.folder_id = FeedValidation.validateOptionalId(data.folder_id, 'folder_id', 'folder', errors) || null;
+    sanitizedData.preferences = FeedValidation.validateSubscriptionPreferences(data.preferences, errors);
+    Object.assign(sanitizedData, FeedValidation.validateSubscriptionOverrides(data, errors));
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData
+    };
+  }
+
+  /**
+   * Validate subscription update data
+   * @param {Object} data - Subscription update data
+   * @returns {Object} - Validation result
+   */
+  static validateSubscriptionUpdate(data) {
+    const errors = [];
+
+    const fields = ['preferences', 'folder_id', 'custom_title', 'note', 'display'];
+    if (fields.every(field => data[field] === undefined)) {
+      errors.push(`Provide at least one of: ${fields.join(', ')}`);
+    }
+
+    const preferences = FeedValidation.validateSubscriptionPreferences(data.preferences, errors);
+
+    // null moves the subscription to the top level
+    const folderId = FeedValidation.validateOptionalId(data.folder_id, 'folder_id', 'folder', errors);
+
+    const overrides = FeedValidation.validateSubscriptionOverrides(data, errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData: { preferences, folder_id: folderId, overrides }
+    };
+  }
+
+  /**
+   * Validate a folder name, collecting errors
+   * @param {*} name - Name from the request
+   * @param {string[]} errors - Error list to append to
+   * @returns {string|undefined} - Sanitised name
+   */
+  static validateFolderName(name, errors) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 255) {
+      errors.push('Folder name must be 1 to 255 characters');
+      return undefined;
+    }
+
+    return ValidationUtils.sanitizeString(name);
+  }
+
+  /**
+   * Validate folder creation data
+   * @param {Object} data - Folder data
+   * @returns {Object} - Validation result
+   */
+  static validateFolderCreate(data) {
+    const errors = [];
+
+    const name = FeedValidation.validateFolderName(data.name, errors);
+    const parentId = FeedValidation.validateOptionalId(data.parent_id, 'parent_id', 'folder', errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData: { name, parent_id: parentId || null }
+    };
+  }
+
+  /**
+   * Validate folder update data: a new name, or a new parent to move to
+   * @param {Object} data - Folder update data
+   * @returns {Object} - Validation result
+   */
+  static validateFolderUpdate(data) {
+    const errors = [];
+    const sanitizedData = {};
+
+    if (data.name === undefined && data.parent_id === undefined) {
+      errors.push('Provide name or parent_id');
+    }
+
+    if (data.name !== undefined) {
+      sanitizedData.name = FeedValidation.validateFolderName(data.name, errors);
+    }
+
+    // null moves the folder to the top level
+    sanitizedData.parent_id = FeedValidation.validateOptionalId(data.parent_id, 'parent_id', 'folder', errors);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData
+    };
+  }
+
+  /**
+   * Validate a new order for the folders and subscriptions of a folder
+   * @param {Object} data - parent_id, folder_ids and subscription_ids
+   * @returns {Object} - Validation result
+   */
+  static validateFolderOrder(data) {
+    const errors = [];
+    const sanitizedData = {
+      parent_id: FeedValidation.validateOptionalId(data.parent_id, 'parent_id', 'folder', errors) || null
+    };
+
+    if (data.folder_ids === undefined && data.subscription_ids === undefined) {
+      errors.push('Provide folder_ids or subscription_ids');
+    }
+
+    ['folder_ids', 'subscription_ids'].forEach((field) => {
+      const ids = data[field] === undefined ? [] : data[field];
+
+      if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0)) {
+        errors.push(`${field} must be a list of IDs`);
+      } else if (new Set(ids).size !== ids.length) {
+        errors.push(`${field} must not repeat an ID`);
+      } else {
+        sanitizedData[field] = ids;
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData
+    };
+  }
+
+  /**
+   * Validate a request to mark all items as read
+   * @param {Object} data - feed_id or folder_id, and before
+   * @returns {Object} - Validation result
+   */
+  static validateMarkAllRead(data) {
+    const errors = [];
+    const sanitizedData = {
+      feed_id: FeedValidation.validateOptionalId(data.feed_id, 'feed_id', 'feed', errors) || null,
+      folder_id: FeedValidation.validateOptionalId(data.folder_id, 'folder_id', 'folder', errors) || null,
+      before: null
+    };
+
+    if (sanitizedData.feed_id && sanitizedData.folder_id) {
+      errors.push('Provide either feed_id or folder_id');
+    }
+
+    if (data.before !== undefined && data.before !== null) {
+      const before = new Date(data.before);
+      if (typeof data.before !== 'string' || isNaN(before.getTime())) {
+        errors.push('before must be a timestamp');
+      } else {
+        sanitizedData.before = before.toISOString();
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData
+    };
+  }
+
+  /**
+   * Validate a refresh request
+   * @param {Object} data - Refresh request data
+   * @returns {Object} - Validation result
+   */
+  static validateFeedRefresh(data) {
+    const errors = [];
+    const sanitizedData = { feed_id: null, folder_id: null };
+
+    if (data.feed_id !== undefined && data.feed_id !== null) {
+      const feedId = Number(data.feed_id);
+      if (!Number.isInteger(feedId) || feedId < 1) {
+        errors.push('feed_id must be a feed ID');
+      } else {
+        sanitizedData.feed_id = feedId;
+      }
+    }
+
+    sanitizedData.folder_id = FeedValidation.validateOptionalId(data.folder_id, 'folder_id', 'folder', errors) || null;
+
+    if (sanitizedData.feed_id && sanitizedData.folder_id) {
+      errors.push('Provide either feed_id or folder_id');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData
+    };
+  }
+
+  /**
+   * Validate poll log filters
+   * @param {Object} query - Query parameters
+   * @returns {Object} - Validation result
+   */
+  static validatePollLogQuery(query) {
+    const errors = [];
+    const sanitizedData = {
+      limit: Math.min(Math.max(parseInt(query.limit) || 50, 1), 200),
+      offset: Math.max(parseInt(query.offset) || 0, 0),
+      feedId: null,
+      success: null,
+      httpStatus: null,
+      from: null,
+      to: null
+    };
+
+    if (query.feed_id !== undefined) {
+      const feedId = parseInt(query.feed_id);
+      if (isNaN(feedId) || feedId < 1 || String(feedId) !== String(query.feed_id)) {
+        errors.push('feed_id must be a feed ID');
+      } else {
+        sanitizedData.feedId = feedId;
+      }
+    }
+
+    if (query.success !== undefined) {
+      if (!['true', 'false'].includes(query.success)) {
+        errors.push('success must be true or false');
+      } else {
+        sanitizedData.success = query.success === 'true';
+      }
+    }
+
+    if (query.http_status !== undefined) {
+      const status = parseInt(query.http_status);
+      if (isNaN(status) || status < 100 || status > 599) {
+        errors.push('http_status must be an HTTP status code');
+      } else {
+        sanitizedData.httpStatus = status;
+      }
+    }
+
+    // Dates are compared as ISO timestamps, which is how run_at is stored; a bare `to` date includes that whole day
+    ['from', 'to'].forEach((field) => {
+      if (query[field] !== undefined) {
+        const date = new Date(query[field]);
+        if (typeof query[field] !== 'string' || isNaN(date.getTime())) {
+          errors.push(`${field} must be a date or timestamp`);
+        } else if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+          sanitizedData.to = new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1).toISOString();
+        } else {
+          sanitizedData[field] = date.toISOString();
+        }
+      }
+    });
+
+    if (sanitizedData.from && sanitizedData.to && sanitizedData.from > sanitizedData.to) {
+      errors.push('from must not be after to');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      sanitizedData
+    };
+  }
+}
+
 /**
  * Express middleware for validation
  */
@@ -418,12 +1210,13 @@ class ValidationMiddleware {
   /**
    * Create validation middleware for a specific validator
    * @param {Function} validator - Validation function
+   * @param {string} source - Request property to validate, body or query
    * @returns {Function} - Express middleware
    */
-  static validate(validator) {
+  static validate(validator, source = 'body') {
     return (req, res, next) => {
       try {
-        const validation = validator(req.body);
+        const validation = validator(req[source]);
         
         if (!validation.isValid) {
           logger.warn('Validation failed:', { 
@@ -492,10 +1285,71 @@ class ValidationMiddleware {
    * Profile update validation middleware
    */
   static validateProfileUpdate = ValidationMiddleware.validate(AuthValidation.validateProfileUpdate);
+
+  /**
+   * Feed creation validation middleware
+   */
+  static validateFeedCreate = ValidationMiddleware.validate(FeedValidation.validateFeedCreate);
+
+  /**
+   * Feed update validation middleware
+   */
+  static validateFeedUpdate = ValidationMiddleware.validate(FeedValidation.validateFeedUpdate);
+
+  /**
+   * Feed discovery validation middleware
+   */
+  static validateFeedDiscover = ValidationMiddleware.validate(FeedValidation.validateFeedDiscover);
+
+  /**
+   * Scraper preview validation middleware
+   */
+  static validateFeedPreview = ValidationMiddleware.validate(FeedValidation.validateFeedPreview);
+
+  /**
+   * Subscription creation validation middleware
+   */
+  static validateSubscriptionCreate = ValidationMiddleware.validate(FeedValidation.validateSubscriptionCreate);
+
+  /**
+   * Subscription update validation middleware
+   */
+  static validateSubscriptionUpdate = ValidationMiddleware.validate(FeedValidation.validateSubscriptionUpdate);
+
+  /**
+   * Folder creation validation middleware
+   */
+  static validateFolderCreate = ValidationMiddleware.validate(FeedValidation.validateFolderCreate);
+
+  /**
+   * Folder update validation middleware
+   */
+  static validateFolderUpdate = ValidationMiddleware.validate(FeedValidation.validateFolderUpdate);
+
+  /**
+   * Folder order validation middleware
+   */
+  static validateFolderOrder = ValidationMiddleware.validate(FeedValidation.validateFolderOrder);
+
+  /**
+   * Mark all read validation middleware
+   */
+  static validateMarkAllRead = ValidationMiddleware.validate(FeedValidation.validateMarkAllRead);
+
+  /**
+   * Refresh request validation middleware
+   */
+  static validateFeedRefresh = ValidationMiddleware.validate(FeedValidation.validateFeedRefresh);
+
+  /**
+   * Poll log filter validation middleware
+   */
+  static validatePollLogQuery = ValidationMiddleware.validate(FeedValidation.validatePollLogQuery, 'query');
 }
 
 module.exports = {
   ValidationUtils,
   AuthValidation,
+  FeedValidation,
   ValidationMiddleware
 }; 
\ No newline at end of file
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const cron = require('node-cron');
+const config = require('../config');
+const Feed = require('../models/Feed');
+const AddressGuard = require('./addressGuard');
+const { logger } = require('./logger');
+const { ValidationError } = require('../middlewares/errorHandler');
+
+/**
+ * WebSub
+ * Subscribes to the hubs feeds advertise, answers their verification
+ * requests, authenticates content deliveries and renews leases
+ */
+class WebSub {
+  // Algorithms a hub may sign content deliveries with (X-Hub-Signature: <algorithm>=<hex>)
+  static SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : config.WEBSUB_ENABLED;
+    this.callbackUrl = options.callbackUrl || config.WEBSUB_CALLBACK_URL;
+    this.leaseSeconds = options.leaseSeconds || config.WEBSUB_LEASE_SECONDS;
+    this.renewMargin = options.renewMargin || config.WEBSUB_RENEW_MARGIN;
+    this.schedule = options.schedule || config.WEBSUB_RENEW_SCHEDULE;
+    this.task = null;
+    this.currentRun = null;
+  }
+
+  /**
+   * Find the hub and topic a parsed feed advertises
+   * @param {Object} parsedFeed - Parsed feed
+   * @param {string} feedUrl - URL the feed was fetched from
+   * @returns {Object|null} - hub and topic URLs, or null if the feed has no usable hub
+   */
+  static discover(parsedFeed, feedUrl) {
+    if (!parsedFeed || !parsedFeed.hub) {
+      return null;
+    }
+
+    try {
+      const hub = new URL(parsedFeed.hub, feedUrl);
+      if (hub.protocol !== 'http:' && hub.protocol !== 'https:') {
+        return null;
+      }
+
+      // The hub publishes under the feed's self URL, which may differ from the URL we fetch
+      const topic = parsedFeed.self ? new URL(parsedFeed.self, feedUrl).href : feedUrl;
+      return { hub: hub.href, topic };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check an X-Hub-Signature header against the raw delivery body
+   * @param {string} secret - Subscription secret
+   * @param {string} header - X-Hub-Signature header value
+   * @param {Buffer|string} body - Raw request body
+   * @returns {boolean} - Whether the delivery is authentic
+   */
+  static isSignatureValid(secret, header, body) {
+    const match = /^([a-z0-9]+)=([0-9a-f]+)$/i.exec(String(header || '').trim());
+    if (!secret || !match || !WebSub.SIGNATURE_ALGORITHMS.includes(match[1].toLowerCase())) {
+      return false;
+    }
+
+    const expected = crypto.createHmac(match[1].toLowerCase(), secret).update(body || '').digest();
+    const given = Buffer.from(match[2], 'hex');
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Check that a content delivery comes from the hub the feed subscribed to
+   * @param {Feed} feed - Feed named in the callback URL
+   * @param {string} signature - X-Hub-Signature header value
+   * @param {Buffer} body - Raw request body
+   * @returns {boolean} - Whether the delivery should be ingested
+   */
+  static isAuthentic(feed, signature, body) {
+    return ['subscribing', 'subscribed'].includes(feed.websub_state) &&
+      WebSub.isSignatureValid(feed.websub_secret, signature, body);
+  }
+
+  /**
+   * Forget a feed's subscription
+   * @param {Feed} feed - Feed to clear
+   * @returns {Promise<Feed>} - Updated feed
+   */
+  static clear(feed) {
+    return feed.update({
+      websub_hub: null,
+      websub_topic: null,
+      websub_secret: null,
+      websub_state: null,
+      websub_lease_expires_at: null,
+      websub_error: null
+    });
+  }
+
+  /**
+   * Callback URL the hub verifies and delivers to for a feed
+   * @param {Feed} feed - Subscribed feed
+   * @returns {string} - Callback URL
+   */
+  callbackFor(feed) {
+    return `${this.callbackUrl.replace(/\/+$/, '')}/${feed.id}`;
+  }
+
+  /**
+   * Send a subscription request to a hub
+   * @param {Feed} feed - Feed the request is for
+   * @param {string} mode - subscribe | unsubscribe
+   * @param {Object} params - hub, topic and, when subscribing, secret
+   * @returns {Promise<void>}
+   */
+  async sendRequest(feed, mode, { hub, topic, secret }) {
+    const form = new URLSearchParams({
+      'hub.mode': mode,
+      'hub.topic': topic,
+      'hub.callback': this.callbackFor(feed)
+    });
+
+    if (mode === 'subscribe') {
+      form.set('hub.lease_seconds', String(this.leaseSeconds));
+      form.set('hub.secret', secret);
+    }
+
+    try {
+      AddressGuard.checkUrl(hub);
+      await axios.post(hub, form.toString(), {
+        timeout: config.WEBSUB_TIMEOUT,
+        lookup: AddressGuard.lookup,
+        beforeRedirect: (options) => AddressGuard.checkUrl(options.href),
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': config.USER_AGENT
+        },
+        validateStatus: (status) => status >= 200 && status < 300
+      });
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      throw new Error(status ? `Hub responded with HTTP ${status}` : `Hub could not be reached: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask a hub to push a feed's updates; the subscription becomes active once
+   * the hub's verification request has been answered
+   * @param {Feed} feed - Feed to subscribe
+   * @param {Object} target - hub and topic URLs
+   * @returns {Promise<boolean>} - Whether the hub accepted the request
+   */
+  async subscribe(feed, { hub, topic }) {
+    // Renewals keep the secret so deliveries signed under the current lease stay valid
+    const sameTarget = feed.websub_hub === hub && feed.websub_topic === topic;
+    const secret = sameTarget && feed.websub_secret ? feed.websub_secret : crypto.randomBytes(32).toString('hex');
+
+    await feed.update({
+      websub_hub: hub,
+      websub_topic: topic,
+      websub_secret: secret,
+      websub_state: sameTarget && feed.websub_state === 'subscribed' ? 'subscribed' : 'subscribing',
+      websub_error: null
+    });
+
+    try {
+      await this.sendRequest(feed, 'subscribe', { hub, topic, secret });
+      logger.info(`Requested WebSub subscription for feed ${feed.id} at ${hub}`);
+      return true;
+    } catch (error) {
+      logger.warn(`WebSub subscription for feed ${feed.id} at ${hub} failed: ${error.message}`);
+
+      // An existing lease stays valid until it expires; otherwise the next poll tries again
+      await feed.update({
+        websub_state: feed.websub_state === 'subscribed' ? 'subscribed' : null,
+        websub_error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Ask the hub to stop pushing a feed's updates
+   * @param {Feed} feed - Subscribed feed
+   * @returns {Promise<boolean>} - Whether the hub accepted the request
+   */
+  async unsubscribe(feed) {
+    const { websub_hub: hub, websub_topic: topic } = feed;
+    await feed.update({ websub_state: 'unsubscribing' });
+
+    try {
+      await this.sendRequest(feed, 'unsubscribe', { hub, topic });
+      logger.info(`Requested WebSub unsubscription for feed ${feed.id} at ${hub}`);
+      return true;
+    } catch (error) {
+      // The lease will run out on its own and deliveries are no longer accepted
+      logger.warn(`WebSub unsubscription for feed ${feed.id} at ${hub} failed: ${error.message}`);
+      await WebSub.clear(feed);
+      return false;
+    }
+  }
+
+  /**
+   * Bring a feed's subscription in line with the hub its latest document
+   * advertises; failures are logged and never fail the poll
+   * @param {Feed} feed - Polled feed
+   * @param {Object} parsedFeed - Parsed feed
+   * @param {string} feedUrl - URL the feed was fetched from
+   * @returns {Promise<void>}
+   */
+  async sync(feed, parsedFeed, feedUrl) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      // Hubs fetch the topic without our credentials, so private feeds are only polled
+      const target = feed.owner_id ? null : WebSub.discover(parsedFeed, feedUrl);
+
+      if (!target) {
+        if (feed.websub_hub && feed.websub_state !== 'unsubscribing') {
+          await this.unsubscribe(feed);
+        }
+        return;
+      }
+
+      const sameTarget = feed.websub_hub === target.hub && feed.websub_topic === target.topic;
+
+      // Active subscriptions are renewed on schedule, and a hub that denied us is not asked again
+      if (sameTarget && ['subscribed', 'denied'].includes(feed.websub_state)) {
+        return;
+      }
+
+      // A previous hub's lease simply runs out; its deliveries no longer match the new secret
+      await this.subscribe(feed, target);
+    } catch (error) {
+      logger.error(`WebSub sync for feed ${feed.id} failed:`, error);
+    }
+  }
+
+  /**
+   * Answer a hub's verification request
+   * @param {Feed} feed - Feed named in the callback URL
+   * @param {Object} query - hub.* query parameters
+   * @param {Date} now - Reference time
+   * @returns {Promise<string|null>} - Challenge to echo, or null if the request is refused
+   */
+  async verify(feed, query, now = new Date()) {
+    const mode = query['hub.mode'];
+    const topic = query['hub.topic'];
+    const ownTopic = Boolean(feed.websub_topic) && feed.websub_topic === topic;
+
+    if (mode === 'denied') {
+      // Only a subscription request still waiting for verification can be denied
+      if (!ownTopic || feed.websub_state !== 'subscribing') {
+        return null;
+      }
+
+      const reason = typeof query['hub.reason'] === 'string' && query['hub.reason'] ? query['hub.reason'] : null;
+      await feed.update({
+        websub_state: 'denied',
+        websub_lease_expires_at: null,
+        websub_error: reason || 'Subscription denied by hub'
+      });
+      logger.warn(`Hub denied WebSub subscription for feed ${feed.id}: ${reason || 'no reason given'}`);
+      return '';
+    }
+
+    // Repeated parameters arrive as arrays, which must not be echoed
+    const challenge = query['hub.challenge'];
+    if (typeof challenge !== 'string' || !challenge) {
+      throw new ValidationError('hub.challenge must be a non-empty string');
+    }
+
+    if (mode === 'subscribe') {
+      if (!ownTopic || !['subscribing', 'subscribed'].includes(feed.websub_state)) {
+        return null;
+      }
+
+      const leaseSeconds = parseInt(query['hub.lease_seconds']) > 0 ? parseInt(query['hub.lease_seconds']) : this.leaseSeconds;
+      await feed.update({
+        websub_state: 'subscribed',
+        websub_lease_expires_at: new Date(now.getTime() + leaseSeconds * 1000).toISOString(),
+        websub_error: null
+      });
+
+      logger.info(`WebSub subscription for feed ${feed.id} verified (lease ${leaseSeconds}s)`);
+      return challenge;
+    }
+
+    if (mode === 'unsubscribe') {
+      // Only confirm unsubscriptions we asked for, or for topics we no longer follow
+      if (ownTopic && feed.websub_state !== 'unsubscribing') {
+        return null;
+      }
+
+      if (ownTopic) {
+        await WebSub.clear(feed);
+        logger.info(`WebSub unsubscription for feed ${feed.id} verified`);
+      }
+      return challenge;
+    }
+
+    return null;
+  }
+
+  /**
+   * Renew subscriptions whose lease runs out within the renewal margin
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Numbers of renewed and failed subscriptions
+   */
+  async renewLeases(now = new Date()) {
+    const before = new Date(now.getTime() + this.renewMargin * 1000);
+    const feeds = await Feed.findWebSubRenewals(before);
+    const result = { renewed: 0, failed: 0 };
+
+    for (const feed of feeds) {
+      const accepted = await this.subscribe(feed, { hub: feed.websub_hub, topic: feed.websub_topic });
+      result[accepted ? 'renewed' : 'failed'] += 1;
+    }
+
+    if (feeds.length > 0) {
+      logger.info(`Renewed ${result.renewed} WebSub leases, ${result.failed} failed`);
+    }
+    return result;
+  }
+
+  /**
+   * Start the lease renewal schedule
+   * @returns {boolean} - True if the schedule was started
+   */
+  start() {
+    if (this.task) {
+      return false;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.runOnce().catch(error => logger.error('WebSub lease renewal failed:', error));
+    });
+
+    logger.info(`WebSub lease renewal started (${this.schedule})`);
+    return true;
+  }
+
+  /**
+   * Stop the lease renewal schedule and wait for the current run to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+
+    if (this.currentRun) {
+      await this.currentRun;
+    }
+
+    logger.info('WebSub lease renewal stopped');
+  }
+
+  /**
+   * Renew due leases once; overlapping calls share the running pass
+   * @returns {Promise<Object>} - Renewal result
+   */
+  runOnce() {
+    if (!this.currentRun) {
+      this.currentRun = this.renewLeases().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+}
+
+// Create singleton instance
+const webSub = new WebSub();
+
+module.exports = webSub;
+module.exports.WebSub = WebSub;